@@ -0,0 +1,243 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/bucket_cache.js: cache of bucket lookups.  Every object RPC identifies
+ * its bucket by id rather than by name, so a caller that starts with a bucket
+ * name must first look up the bucket with getBucket().  A BucketCache keeps
+ * the results of recent lookups, so that repeated requests for objects in the
+ * same bucket need only one getBucket() round trip.  The cache is bounded in
+ * size, evicting the least recently used entries, and each entry expires after
+ * a fixed time, since other clients may delete or recreate the bucket.
+ */
+
+var assert = require('assert-plus');
+
+
+///--- Globals
+
+var dflBucketCacheSize = 1000;
+var dflBucketCacheTtl = 60 * 1000;              /* milliseconds */
+var dflBucketCacheNegativeTtl = 5 * 1000;       /* milliseconds */
+
+
+///--- Helpers
+
+/*
+ * Returns the key for the cache entry for "bucket".  Owner uuids never contain
+ * "/", so this is unambiguous.
+ */
+function bucketCacheKey(owner, bucket) {
+    assert.string(owner, 'owner');
+    assert.string(bucket, 'bucket');
+    return (owner + '/' + bucket);
+}
+
+
+///--- API
+
+/*
+ * A BucketCache maps (owner, bucket name) pairs to either the bucket record
+ * returned by getBucket() or, for a "negative" entry, the error reporting that
+ * the bucket does not exist.  Entries are kept in a doubly linked list in
+ * order of use, most recent first, so that the least recently used entry can
+ * be evicted when the cache is full.  Named options:
+ *
+ *     size         maximum number of entries (default: 1000)
+ *     (number)
+ *
+ *     ttl          milliseconds for which a bucket record is used (default:
+ *     (number)     60000)
+ *
+ *     negativeTtl  milliseconds for which a BucketNotFound error is used
+ *     (number)     (default: 5000)
+ */
+function BucketCache(options) {
+    assert.object(options, 'options');
+    assert.optionalNumber(options.size, 'options.size');
+    assert.optionalNumber(options.ttl, 'options.ttl');
+    assert.optionalNumber(options.negativeTtl, 'options.negativeTtl');
+
+    this.bc_size = typeof (options.size) === 'number' ?
+        options.size : dflBucketCacheSize;
+    this.bc_ttl = typeof (options.ttl) === 'number' ?
+        options.ttl : dflBucketCacheTtl;
+    this.bc_negative_ttl = typeof (options.negativeTtl) === 'number' ?
+        options.negativeTtl : dflBucketCacheNegativeTtl;
+    this.bc_entries = {};       /* entries, by key (see bucketCacheKey()) */
+    this.bc_count = 0;          /* number of entries */
+    this.bc_head = null;        /* most recently used entry */
+    this.bc_tail = null;        /* least recently used entry */
+    this.bc_epoch = 0;          /* count of invalidations */
+
+    assert.ok(this.bc_size >= 1 && Math.floor(this.bc_size) === this.bc_size,
+        'size must be a positive integer');
+    assert.ok(this.bc_ttl > 0, 'ttl must be positive');
+    assert.ok(this.bc_negative_ttl >= 0, 'negativeTtl must not be negative');
+}
+
+/*
+ * Returns the cached lookup of "bucket" for "owner", as an object with
+ * property "bucket" (the bucket record) or "error" (the BucketNotFound
+ * error), or null if there is no unexpired entry.
+ */
+BucketCache.prototype.get = function get(owner, bucket) {
+    var key = bucketCacheKey(owner, bucket);
+    var entry;
+
+    if (!this.bc_entries.hasOwnProperty(key)) {
+        return (null);
+    }
+
+    entry = this.bc_entries[key];
+    if (Date.now() >= entry.be_expires) {
+        this.remove(entry);
+        return (null);
+    }
+
+    this.unlink(entry);
+    this.link(entry);
+    return (entry.be_error !== null ?
+        { 'error': entry.be_error } : { 'bucket': entry.be_bucket });
+};
+
+/*
+ * Returns a value identifying the current state of the cache, to be passed to
+ * putBucket() or putNotFound() once the lookup started now completes.  If the
+ * cache has been invalidated in the meantime, the lookup may have raced with
+ * the change that caused the invalidation, so its result is not cached.
+ */
+BucketCache.prototype.epoch = function epoch() {
+    return (this.bc_epoch);
+};
+
+/*
+ * Caches the bucket record returned by a successful getBucket().
+ */
+BucketCache.prototype.putBucket =
+    function putBucket(epoch, owner, bucket, record) {
+    assert.object(record, 'record');
+    if (epoch === this.bc_epoch) {
+        this.put(owner, bucket, record, null, this.bc_ttl);
+    }
+};
+
+/*
+ * Caches the error from a getBucket() that found no such bucket.  If
+ * "negativeTtl" is zero, these are not cached at all.
+ */
+BucketCache.prototype.putNotFound =
+    function putNotFound(epoch, owner, bucket, err) {
+    assert.ok(err instanceof Error, 'err must be an Error');
+    if (epoch === this.bc_epoch && this.bc_negative_ttl > 0) {
+        this.put(owner, bucket, null, err, this.bc_negative_ttl);
+    }
+};
+
+/*
+ * Removes any entry for "bucket", such as after the bucket has been created
+ * or deleted.
+ */
+BucketCache.prototype.invalidate = function invalidate(owner, bucket) {
+    var key = bucketCacheKey(owner, bucket);
+
+    this.bc_epoch++;
+    if (this.bc_entries.hasOwnProperty(key)) {
+        this.remove(this.bc_entries[key]);
+    }
+};
+
+/*
+ * Returns the number of entries in the cache, including expired entries that
+ * have not yet been removed.
+ */
+BucketCache.prototype.count = function count() {
+    return (this.bc_count);
+};
+
+/*
+ * [private] Add or replace an entry, evicting the least recently used entry
+ * if the cache is full.
+ */
+BucketCache.prototype.put = function put(owner, bucket, record, err, ttl) {
+    var key = bucketCacheKey(owner, bucket);
+    var entry;
+
+    if (this.bc_entries.hasOwnProperty(key)) {
+        this.remove(this.bc_entries[key]);
+    } else if (this.bc_count >= this.bc_size) {
+        this.remove(this.bc_tail);
+    }
+
+    entry = {
+        'be_key': key,
+        'be_bucket': record,
+        'be_error': err,
+        'be_expires': Date.now() + ttl,
+        'be_prev': null,
+        'be_next': null
+    };
+
+    this.bc_entries[key] = entry;
+    this.bc_count++;
+    this.link(entry);
+};
+
+/*
+ * [private] Remove an entry from the cache.
+ */
+BucketCache.prototype.remove = function remove(entry) {
+    assert.strictEqual(this.bc_entries[entry.be_key], entry);
+    this.unlink(entry);
+    delete (this.bc_entries[entry.be_key]);
+    this.bc_count--;
+};
+
+/*
+ * [private] Insert an entry at the head of the list.
+ */
+BucketCache.prototype.link = function link(entry) {
+    entry.be_prev = null;
+    entry.be_next = this.bc_head;
+    if (this.bc_head !== null) {
+        this.bc_head.be_prev = entry;
+    }
+    this.bc_head = entry;
+    if (this.bc_tail === null) {
+        this.bc_tail = entry;
+    }
+};
+
+/*
+ * [private] Remove an entry from the list.
+ */
+BucketCache.prototype.unlink = function unlink(entry) {
+    if (entry.be_prev !== null) {
+        entry.be_prev.be_next = entry.be_next;
+    } else {
+        this.bc_head = entry.be_next;
+    }
+
+    if (entry.be_next !== null) {
+        entry.be_next.be_prev = entry.be_prev;
+    } else {
+        this.bc_tail = entry.be_prev;
+    }
+
+    entry.be_prev = null;
+    entry.be_next = null;
+};
+
+
+///--- Exports
+
+module.exports = {
+    BucketCache: BucketCache
+};
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright 2019 Joyent, Inc.
+ * Copyright 2020 Joyent, Inc.
  */
 
 /*
@@ -15,15 +15,33 @@
  * functions are documented in the Buckets metadata API.
  */
 
-var stream = require('stream');
-
 var assert = require('assert-plus');
+var jsprim = require('jsprim');
 
 var rpc = require('./rpc');
 
 
 ///--- API
 
+/*
+ * Returns a normalized copy of a bucket record returned by the server, in
+ * which "created" is a Date.  See "Result normalization" in lib/rpc.js.
+ */
+function normalizeBucket(record) {
+    var rv;
+
+    if (typeof (record) !== 'object' || record === null) {
+        return (record);
+    }
+
+    rv = jsprim.mergeObjects(record);
+    if (rv.hasOwnProperty('created')) {
+        rv.created = rpc.resultDate(rv.created);
+    }
+
+    return (rv);
+}
+
 function createBucket(rpcctx, owner, bucket, vnode, req_id, callback) {
     assert.object(rpcctx, 'rpcctx');
     assert.string(owner, 'owner');
@@ -50,12 +68,13 @@ function createBucket(rpcctx, owner, bucket, vnode, req_id, callback) {
      */
     rpc.rpcCommonSingleMessage({
         rpcctx: rpcctx,
+        req_id: req_id,
         rpcmethod: 'createbucket',
         rpcargs: [arg],
         ignoreNullValues: true,
         wrapErrors: true,
         log: log
-    }, callback);
+    }, rpc.rpcResultCallback(rpcctx, normalizeBucket, callback));
 }
 
 function getBucket(rpcctx, owner, bucket, vnode, req_id, callback) {
@@ -80,11 +99,12 @@ function getBucket(rpcctx, owner, bucket, vnode, req_id, callback) {
 
     rpc.rpcCommonSingleMessage({
         rpcctx: rpcctx,
+        req_id: req_id,
         rpcmethod: 'getbucket',
         rpcargs: [arg],
         wrapErrors: true,
         log: log
-    }, callback);
+    }, rpc.rpcResultCallback(rpcctx, normalizeBucket, callback));
 }
 
 function deleteBucket(rpcctx, owner, bucket, vnode, req_id, callback) {
@@ -109,6 +129,7 @@ function deleteBucket(rpcctx, owner, bucket, vnode, req_id, callback) {
 
     rpc.rpcCommonSingleMessage({
         rpcctx: rpcctx,
+        req_id: req_id,
         rpcmethod: 'deletebucket',
         rpcargs: [arg],
         ignoreNullValues: true,
@@ -140,25 +161,31 @@ function listBuckets(rpcctx, owner, prefix, limit, marker, vnode, req_id) {
 
     var log = rpc.childLogger(rpcctx, opts);
 
-    var res = new stream.PassThrough({objectMode: true});
+    var res = rpc.rpcResultStream(rpcctx, normalizeBucket);
 
     var req = rpc.rpcCommon({
         rpcctx: rpcctx,
+        req_id: req_id,
         rpcmethod: 'listbuckets',
         rpcargs: [arg],
         wrapErrors: true,
         log: log
     }, function (err) {
+        /*
+         * Records may still be buffered in "req" if our consumer is slow, so
+         * on success we end "req" and let pipe() end "res" once they have all
+         * been passed along.
+         */
         if (err) {
             res.emit('error', err);
         } else {
-            res.emit('end');
+            req.end();
         }
 
         res.emit('_buckets_mdapi_internal_rpc_done');
     });
 
-    req.pipe(res, {end: false});
+    req.pipe(res);
 
     return (res);
 }
@@ -169,5 +196,6 @@ module.exports = {
     createBucket: createBucket,
     getBucket: getBucket,
     deleteBucket: deleteBucket,
+    normalizeBucket: normalizeBucket,
     listBuckets: listBuckets
 };
@@ -0,0 +1,516 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/bulk.js: operations on many objects at once, built on the single-object
+ * RPCs.  Each operation runs the individual requests through a work queue so
+ * that only a bounded number are outstanding at once, rather than saturating
+ * the connection pool.
+ */
+
+var stream = require('stream');
+var util = require('util');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var conds = require('./conditions');
+var errors = require('./errors');
+var retry = require('./retry');
+
+
+///--- Globals
+
+/*
+ * Default maximum number of requests outstanding at once for a bulk operation.
+ */
+var dflBulkConcurrency = 10;
+
+/*
+ * Properties of the records accepted by BulkCreate, which correspond to the
+ * arguments of createObject(), with the assert-plus function used to validate
+ * each one.  Records may have other properties, which are ignored.
+ */
+var bulkCreateFields = [
+    [ 'owner', 'string' ],
+    [ 'bucket_id', 'string' ],
+    [ 'name', 'string' ],
+    [ 'object_id', 'string' ],
+    [ 'content_length', 'number' ],
+    [ 'content_md5', 'string' ],
+    [ 'content_type', 'string' ],
+    [ 'headers', 'object' ],
+    [ 'sharks', 'object' ],
+    [ 'props', 'optionalObject' ],
+    [ 'conditions', 'optionalObject' ]
+];
+
+
+///--- Helpers
+
+/*
+ * Returns the "result" of a delete that completed with error "err" (which may
+ * be null).  See BulkDelete.
+ */
+function deleteResult(err) {
+    if (!err) {
+        return ('deleted');
+    } else if (errors.hasCause(err, errors.ObjectNotFoundError)) {
+        return ('not-found');
+    } else if (errors.hasCause(err, errors.PreconditionFailedError)) {
+        return ('precondition-failed');
+    } else {
+        return ('error');
+    }
+}
+
+/*
+ * Returns an InvalidArgumentError if "record" is not a valid record for a
+ * BulkCreate, or null otherwise.
+ */
+function checkRecord(record, requireVnode) {
+    var fields = bulkCreateFields;
+
+    if (typeof (record) !== 'object' || record === null) {
+        return (new errors.InvalidArgumentError({
+            'argument': 'record',
+            'message': 'expected an object'
+        }));
+    }
+
+    if (requireVnode) {
+        fields = fields.concat([ [ 'vnode', 'number' ] ]);
+    }
+
+    try {
+        fields.forEach(function (f) {
+            assert[f[1]](record[f[0]], 'record.' + f[0]);
+        });
+    } catch (err) {
+        return (new errors.InvalidArgumentError({
+            'argument': 'record',
+            'message': err.message
+        }));
+    }
+
+    return (null);
+}
+
+/*
+ * Validates the options common to the bulk operations and returns the
+ * concurrency to use.
+ */
+function bulkConcurrency(options) {
+    assert.optionalNumber(options.concurrency, 'options.concurrency');
+    assert.ok(options.concurrency === undefined ||
+        (options.concurrency > 0 &&
+        Math.floor(options.concurrency) === options.concurrency),
+        'options.concurrency must be a positive integer');
+    return (options.concurrency || dflBulkConcurrency);
+}
+
+
+///--- API
+
+/*
+ * A BulkDelete is an object-mode Readable stream that deletes a list of
+ * objects and emits one result for each object, in the order in which the
+ * deletes complete:
+ *
+ *     name         name of the object
+ *     (string)
+ *
+ *     vnode        vnode of the object, if it was specified
+ *     (number)
+ *
+ *     result       "deleted", "not-found" (the object did not exist),
+ *     (string)     "precondition-failed" (the object's conditions were not
+ *                  met), or "error" (the delete failed for some other reason)
+ *
+ *     error        the error, for any result other than "deleted"
+ *     (Error)
+ *
+ * At most "concurrency" deletes are outstanding at once.  By default, every
+ * object is attempted regardless of failures.  With "stopOnError", no more
+ * deletes are started after the first one whose result is "error".  The
+ * results of deletes that were already outstanding are still emitted, but the
+ * objects that were never attempted are not reported.  The stream ends once
+ * every delete that was started has completed.  It does not emit "error".
+ *
+ * Deletes are started only as fast as the consumer reads the results: when
+ * the stream's buffer is full, no more deletes are started (though those
+ * already outstanding complete and are buffered) until the consumer reads
+ * more.
+ *
+ * Named arguments:
+ *
+ *     deleteKey    function invoked as deleteKey(key, callback) to delete one
+ *     (function)   object
+ *
+ *     keys         objects to delete, each with properties "name", "vnode"
+ *     (array)      (optional), and "conditions" (optional)
+ *
+ *     concurrency  maximum number of deletes outstanding at once
+ *     (number)
+ *
+ *     stopOnError  stop after the first delete that fails with an error
+ *     (boolean)
+ *
+ *     log          bunyan logger
+ *     (object)
+ */
+function BulkDelete(args) {
+    var self = this;
+
+    assert.object(args, 'args');
+    assert.func(args.deleteKey, 'args.deleteKey');
+    assert.arrayOfObject(args.keys, 'args.keys');
+    assert.number(args.concurrency, 'args.concurrency');
+    assert.bool(args.stopOnError, 'args.stopOnError');
+    assert.object(args.log, 'args.log');
+
+    stream.Readable.call(this, { 'objectMode': true });
+
+    this.bd_log = args.log;
+    this.bd_delete_key = args.deleteKey;
+    this.bd_keys = args.keys.slice();
+    this.bd_concurrency = args.concurrency;
+    this.bd_stop_on_error = args.stopOnError;
+    this.bd_next = 0;               /* index in bd_keys of next key to queue */
+    this.bd_nqueued = 0;            /* keys queued or being deleted */
+    this.bd_paused = false;         /* consumer is not reading results */
+    this.bd_closed = false;         /* no more keys will be queued */
+    this.bd_stopped = false;        /* stopped after an error */
+    this.bd_counts = {              /* number of keys with each result */
+        'deleted': 0,
+        'not-found': 0,
+        'precondition-failed': 0,
+        'error': 0
+    };
+
+    this.bd_queue = vasync.queue(function bulkDeleteWorker(key, cb) {
+        self.deleteOne(key, cb);
+    }, args.concurrency);
+
+    this.bd_queue.on('end', function () {
+        self.bd_log.debug({
+            'counts': self.bd_counts,
+            'stopped': self.bd_stopped
+        }, 'bulk delete done');
+        self.push(null);
+    });
+
+    this.fill();
+}
+
+util.inherits(BulkDelete, stream.Readable);
+
+/*
+ * Results are emitted as the deletes complete.  If we stopped starting deletes
+ * because the consumer wasn't reading them, start them again.
+ */
+BulkDelete.prototype._read = function _read() {
+    if (this.bd_paused) {
+        this.bd_paused = false;
+        this.fill();
+    }
+};
+
+/*
+ * [private] Queue more keys, up to the concurrency limit, unless the consumer
+ * has stopped reading.  The queue holds only the keys being deleted (and, at
+ * most briefly, those about to be), so that pausing takes effect promptly.
+ */
+BulkDelete.prototype.fill = function fill() {
+    if (this.bd_closed) {
+        return;
+    }
+
+    while (!this.bd_paused && this.bd_next < this.bd_keys.length &&
+        this.bd_nqueued < this.bd_concurrency) {
+        this.bd_nqueued++;
+        this.bd_queue.push(this.bd_keys[this.bd_next++]);
+    }
+
+    if (this.bd_next >= this.bd_keys.length) {
+        this.bd_closed = true;
+        this.bd_queue.close();
+    }
+};
+
+/*
+ * [private] Deletes one object and emits its result.
+ */
+BulkDelete.prototype.deleteOne = function deleteOne(key, callback) {
+    var self = this;
+
+    this.bd_delete_key(key, function (err) {
+        var result = deleteResult(err);
+
+        self.bd_counts[result]++;
+        self.bd_nqueued--;
+        if (!self.push({
+            'name': key.name,
+            'vnode': key.vnode,
+            'result': result,
+            'error': err || undefined
+        })) {
+            self.bd_paused = true;
+        }
+
+        if (result === 'error' && self.bd_stop_on_error &&
+            !self.bd_stopped) {
+            self.bd_stopped = true;
+            self.bd_closed = true;
+            self.bd_log.warn({
+                'err': err,
+                'name': key.name
+            }, 'bulk delete stopping after error');
+            self.bd_queue.kill();
+        }
+
+        self.fill();
+        callback();
+    });
+};
+
+/*
+ * A BulkCreate is an object-mode Writable stream that creates an object for
+ * each record written to it.  Each record has properties named after the
+ * arguments of createObject(): "owner", "bucket_id", "name", "object_id",
+ * "content_length", "content_md5", "content_type", "headers", "sharks",
+ * "props" (optional), "conditions" (optional), and, if "requireVnode" is
+ * true, "vnode".  Other properties are ignored, so that (for example) a file
+ * of newline-separated JSON object records can be parsed and piped straight
+ * into this stream.
+ *
+ * Up to "concurrency" records are created at once.  Once that many are
+ * outstanding, we stop accepting writes until one of them completes, so that
+ * a fast source is paused by the usual stream backpressure.
+ *
+ * A record that cannot be created does not fail the stream.  Instead, we emit
+ * "failure" with an object with properties "record" and "error".  Invalid
+ * records fail with an InvalidArgumentError without being sent.  If
+ * "retryArgs" returns arguments for retryCall() (see lib/retry.js) for a
+ * record, the record is retried as described there.
+ *
+ * "finish" is emitted when the last record has been accepted, which may be
+ * before it has been created.  Once every record has been created or has
+ * failed, we emit "summary" with an object with properties "written" (the
+ * number of records created), "failed", and "retried" (the number of records
+ * that took more than one attempt, whether or not they succeeded).
+ *
+ * Named arguments:
+ *
+ *     createRecord     function invoked as createRecord(record, callback) to
+ *     (function)       create one object.  This may throw an
+ *                      InvalidArgumentError if the record is invalid.
+ *
+ *     retryArgs        function invoked as retryArgs(record) that returns the
+ *     (function)       arguments for retrying the record with retryCall(), or
+ *                      null if it should not be retried
+ *
+ *     requireVnode     records must specify "vnode"
+ *     (boolean)
+ *
+ *     concurrency      maximum number of records being created at once
+ *     (number)
+ *
+ *     log              bunyan logger
+ *     (object)
+ */
+function BulkCreate(args) {
+    var self = this;
+
+    assert.object(args, 'args');
+    assert.func(args.createRecord, 'args.createRecord');
+    assert.func(args.retryArgs, 'args.retryArgs');
+    assert.bool(args.requireVnode, 'args.requireVnode');
+    assert.number(args.concurrency, 'args.concurrency');
+    assert.object(args.log, 'args.log');
+
+    stream.Writable.call(this, { 'objectMode': true });
+
+    this.bc_log = args.log;
+    this.bc_create_record = args.createRecord;
+    this.bc_retry_args = args.retryArgs;
+    this.bc_require_vnode = args.requireVnode;
+    this.bc_concurrency = args.concurrency;
+    this.bc_npending = 0;           /* records being created */
+    this.bc_write_cb = null;        /* callback for a write we're holding */
+    this.bc_finished = false;       /* "finish" has been emitted */
+    this.bc_summary = {
+        'written': 0,
+        'failed': 0,
+        'retried': 0
+    };
+
+    this.on('finish', function () {
+        self.bc_finished = true;
+        self.maybeDone();
+    });
+}
+
+util.inherits(BulkCreate, stream.Writable);
+
+BulkCreate.prototype._write = function _write(record, _, callback) {
+    this.bc_npending++;
+    this.createOne(record);
+
+    if (this.bc_npending < this.bc_concurrency) {
+        callback();
+    } else {
+        assert.strictEqual(this.bc_write_cb, null);
+        this.bc_write_cb = callback;
+    }
+};
+
+/*
+ * [private] Creates the object for one record, retrying it if appropriate,
+ * and records the result.
+ */
+BulkCreate.prototype.createOne = function createOne(record) {
+    var self = this;
+    var nattempts = 0;
+    var err, retryArgs;
+
+    function attempt(cb) {
+        nattempts++;
+        try {
+            self.bc_create_record(record, cb);
+        } catch (ex) {
+            if (!(ex instanceof errors.InvalidArgumentError)) {
+                throw (ex);
+            }
+
+            setImmediate(cb, ex);
+        }
+    }
+
+    function done(rerr) {
+        self.recordDone(record, nattempts, rerr);
+    }
+
+    err = checkRecord(record, this.bc_require_vnode);
+    if (err !== null) {
+        setImmediate(done, err);
+        return;
+    }
+
+    retryArgs = this.bc_retry_args(record);
+    if (retryArgs === null) {
+        attempt(done);
+    } else {
+        retry.retryCall(retryArgs, attempt, done);
+    }
+};
+
+/*
+ * [private] Invoked when we've finished with a record, successfully or not.
+ */
+BulkCreate.prototype.recordDone = function recordDone(record, nattempts, err) {
+    var cb;
+
+    this.bc_npending--;
+    if (nattempts > 1) {
+        this.bc_summary.retried++;
+    }
+
+    if (err) {
+        this.bc_summary.failed++;
+        this.emit('failure', { 'record': record, 'error': err });
+    } else {
+        this.bc_summary.written++;
+    }
+
+    if (this.bc_write_cb !== null) {
+        cb = this.bc_write_cb;
+        this.bc_write_cb = null;
+        cb();
+    }
+
+    this.maybeDone();
+};
+
+/*
+ * [private] Emits "summary" if all records have been written and completed.
+ */
+BulkCreate.prototype.maybeDone = function maybeDone() {
+    if (!this.bc_finished || this.bc_npending > 0) {
+        return;
+    }
+
+    this.bc_log.debug(this.bc_summary, 'bulk create done');
+    this.emit('summary', this.summary());
+};
+
+/*
+ * Returns the number of records written, failed, and retried so far.
+ */
+BulkCreate.prototype.summary = function summary() {
+    return ({
+        'written': this.bc_summary.written,
+        'failed': this.bc_summary.failed,
+        'retried': this.bc_summary.retried
+    });
+};
+
+/*
+ * Validates the options accepted by the client's createObjects() method and
+ * returns the arguments for a BulkCreate other than "createRecord",
+ * "retryArgs", and "log".
+ */
+function bulkCreateArgs(options, requireVnode) {
+    assert.optionalObject(options, 'options');
+
+    return ({
+        'requireVnode': requireVnode,
+        'concurrency': bulkConcurrency(options || {})
+    });
+}
+
+/*
+ * Validates the arguments accepted by the client's deleteObjects() method and
+ * returns the arguments for a BulkDelete other than "deleteKey" and "log".
+ * Each key's conditions are validated and normalized up front (see
+ * lib/conditions.js), so that invalid conditions are reported before any
+ * object is deleted.
+ */
+function bulkDeleteArgs(keys, options) {
+    assert.arrayOfObject(keys, 'keys');
+    assert.optionalObject(options, 'options');
+    options = options || {};
+    assert.optionalBool(options.stopOnError, 'options.stopOnError');
+
+    return ({
+        'keys': keys.map(function (key, i) {
+            assert.string(key.name, 'keys[' + i + '].name');
+            assert.optionalNumber(key.vnode, 'keys[' + i + '].vnode');
+            return ({
+                'name': key.name,
+                'vnode': key.vnode,
+                'conditions': conds.normalizeConditions(key.conditions)
+            });
+        }),
+        'concurrency': bulkConcurrency(options),
+        'stopOnError': options.stopOnError ? true : false
+    });
+}
+
+
+///--- Exports
+
+module.exports = {
+    BulkCreate: BulkCreate,
+    BulkDelete: BulkDelete,
+    bulkConcurrency: bulkConcurrency,
+    bulkCreateArgs: bulkCreateArgs,
+    bulkDeleteArgs: bulkDeleteArgs
+};
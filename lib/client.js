@@ -16,6 +16,7 @@
 
 var EventEmitter = require('events').EventEmitter;
 var path = require('path');
+var stream = require('stream');
 var util = require('util');
 
 var assert = require('assert-plus');
@@ -28,11 +29,23 @@ var VError = require('verror');
 var BucketsMdapiConnectionPool = require('./pool');
 var FastConnection = require('./fast_connection');
 var buckets = require('./buckets');
+var bulk = require('./bulk');
+var coalesce = require('./coalesce');
+var conds = require('./conditions');
+var copy = require('./copy');
+var errors = require('./errors');
+var hedge = require('./hedge');
+var listing = require('./listing');
 var meta = require('./meta');
 var objects = require('./objects');
 var parseBucketsMdapiParameters =
     require('./client_params').parseBucketsMdapiParameters;
+var placement = require('./placement');
+var purge = require('./purge');
+var retry = require('./retry');
 var rpc = require('./rpc');
+var rpcParams = require('./rpc_params');
+var validate = require('./validate');
 
 ///--- Default values for function arguments
 
@@ -48,12 +61,105 @@ var BUCKETS_MDAPI_CS_CLOSING = 'closing';
 
 ///--- Helpers
 
-function emitUnavailable() {
-    var emitter = new EventEmitter();
+/*
+ * Returns a stream that emits the error for a stream-based RPC that could not
+ * be made because ctxCreateForEmitter() failed on the given client: either the
+ * client has been closed or no backend connection is available.
+ */
+function streamUnavailable(client) {
+    var res = new stream.PassThrough({ 'objectMode': true });
+    var err = client.closeState !== BUCKETS_MDAPI_CS_OPEN ?
+        new errors.ClientClosedError() : new errors.NoBackendsError();
+
     setImmediate(function () {
-        emitter.emit('error', new Error('no active connections'));
+        res.emit('error', err);
     });
-    return (emitter);
+    return (res);
+}
+
+/*
+ * Support for Promise-based callers.  Each callback-based RPC method invokes
+ * this when its caller has omitted the callback.  "func" is the method itself
+ * and "args" are the arguments it was given.  We invoke "func" again with the
+ * same arguments (padded out so that the callback lands in its usual position)
+ * and a callback that settles the returned Promise.  Errors that would have
+ * been passed to the callback, including the ones from ctxCreateForCallback()
+ * when no connections are available or the client has been closed, cause the
+ * Promise to be rejected.
+ */
+function promiseCall(client, func, args) {
+    var argv = Array.prototype.slice.call(args, 0, func.length - 1);
+
+    while (argv.length < func.length - 1) {
+        argv.push(undefined);
+    }
+
+    return (new Promise(function (resolve, reject) {
+        argv.push(function onPromiseRpcComplete(err, result) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(result);
+            }
+        });
+        func.apply(client, argv);
+    }));
+}
+
+/*
+ * Support for the named-options form of the callback-based bucket and object
+ * RPC methods.  "args" are the arguments the method "func" was given: an object
+ * of named options, optionally followed by a callback.  We validate the options
+ * and invoke "func" again with the equivalent positional arguments.  See
+ * lib/rpc_params.js.  If the options are invalid, we throw the error from
+ * namedToPositional() or, if the callback was omitted, return a Promise
+ * rejected with it.
+ */
+function namedCall(client, func, method, args) {
+    var argv;
+
+    if (args[1] === undefined) {
+        try {
+            argv = rpcParams.namedToPositional(method, args[0]);
+        } catch (ex) {
+            return (Promise.reject(ex));
+        }
+    } else {
+        argv = rpcParams.namedToPositional(method, args[0]);
+    }
+
+    argv.push(args[1]);
+    return (func.apply(client, argv));
+}
+
+/*
+ * Like namedCall(), but for the stream-based RPC methods, which take no
+ * callback.  As with their positional form, invalid options cause us to throw
+ * the error from namedToPositional() rather than returning a stream.
+ */
+function namedStreamCall(client, func, method, args) {
+    return (func.apply(client,
+        rpcParams.namedToPositional(method, args[0])));
+}
+
+/*
+ * Invokes "func", which validates the arguments of a request, and returns the
+ * InvalidArgumentError that it throws, or null if the arguments are valid.
+ * Invalid arguments of this kind (e.g., metadata that fails strict
+ * validation) are operational errors, which the RPC methods deliver to their
+ * callback rather than throwing.  Any other exception is rethrown.
+ */
+function argumentError(func) {
+    try {
+        func();
+    } catch (ex) {
+        if (ex instanceof errors.InvalidArgumentError) {
+            return (ex);
+        }
+        throw (ex);
+    }
+
+    return (null);
 }
 
 
@@ -72,6 +178,60 @@ function emitUnavailable() {
  * described in the buckets-mdapi(3) manual page inside this repository.
  * Callers can also specify any number of legacy options documented with
  * populateLegacyOptions().
+ *
+ * Clients connected to the buckets-mdplacement service may also specify
+ * "placementRefreshInterval", the number of milliseconds between fetches of
+ * the placement data.  See refreshPlacement().
+ *
+ * Callers may specify "requestTimeout", the default number of milliseconds to
+ * wait for each RPC to complete before failing it with a TimeoutError.  This
+ * can be overridden for individual requests.  By default, there is no timeout.
+ *
+ * Callers may specify "requestRetry", an object describing how to retry
+ * requests that fail because no backend was available, the connection failed,
+ * or the request timed out.  See RetryPolicy in lib/retry.js for the supported
+ * properties.  Reads are retried according to this policy.  Writes are retried
+ * only if the caller marks the request "idempotent" or the request's
+ * conditions make it safe to retry (see retryAllowed()).  By default, requests
+ * are not retried.
+ *
+ * Callers may specify "requestHedge", an object describing when to hedge
+ * getBucket() and getObject() requests: if a response has not arrived within
+ * the hedge delay, the request is sent again on a connection to a different
+ * backend, and the first response wins.  See HedgePolicy in lib/hedge.js for
+ * the supported properties.  By default, requests are not hedged.
+ *
+ * Callers may specify "circuitBreaker", an object describing when to stop
+ * sending requests to a backend that keeps failing them.  See "Circuit
+ * breakers" in lib/pool.js for details and the supported properties.  The
+ * client emits "breakerStateChanged" with an object describing the change
+ * whenever a backend's breaker changes state.  By default, there are no
+ * circuit breakers.
+ *
+ * Callers may specify "connectionSelection", the strategy used to pick a
+ * connection for each request: "random" (the default), "least-outstanding"
+ * (fewest outstanding requests), "p2c" (the less busy of two connections
+ * chosen at random), or "ewma" (lowest recent latency, weighted by
+ * outstanding requests).  See connSelectors in lib/pool.js.
+ *
+ * Callers may specify "strictValidation" to check the metadata given to
+ * createBucket(), createObject(), and updateObject() (bucket names, owner and
+ * object ids, content length and MD5, sharks, and the sizes of headers and
+ * props) before making the request.  See lib/validate.js.  By default, only
+ * the types of these arguments are checked.
+ *
+ * Callers may specify "normalizeResults" to receive normalized bucket and
+ * object records (see "Result normalization" in lib/rpc.js) rather than the
+ * records exactly as the server sent them.  This can be overridden for
+ * individual requests with the "raw" request option.  By default, records are
+ * not normalized.
+ *
+ * Callers may specify "coalesceReads" to coalesce concurrent identical
+ * getBucket() and getObject() requests: a request made while an identical one
+ * is outstanding waits for that one and receives its result, rather than being
+ * sent separately.  See withCoalescing().  Coalesced requests are counted in
+ * the "buckets_mdapi_coalesced_requests" metric.  By default, every request
+ * is sent.
  */
 function BucketsMdapiClient(options) {
     var self = this;
@@ -88,6 +248,20 @@ function BucketsMdapiClient(options) {
     assert.optionalBool(options.requireIndexes, 'options.requireIndexes');
     assert.optionalBool(options.requireOnlineReindexing,
         'options.requireOnlineReindexing');
+    assert.optionalNumber(options.placementRefreshInterval,
+        'options.placementRefreshInterval');
+    assert.optionalNumber(options.requestTimeout, 'options.requestTimeout');
+    assert.ok(options.requestTimeout === undefined ||
+        options.requestTimeout > 0, 'options.requestTimeout must be positive');
+    assert.optionalObject(options.requestRetry, 'options.requestRetry');
+    assert.optionalObject(options.requestHedge, 'options.requestHedge');
+    assert.optionalObject(options.circuitBreaker, 'options.circuitBreaker');
+    assert.optionalString(options.connectionSelection,
+        'options.connectionSelection');
+    assert.optionalBool(options.strictValidation, 'options.strictValidation');
+    assert.optionalBool(options.normalizeResults,
+        'options.normalizeResults');
+    assert.optionalBool(options.coalesceReads, 'options.coalesceReads');
 
     coptions = parseBucketsMdapiParameters(options);
     cueballOptions = coptions.cueballOptions;
@@ -100,6 +274,13 @@ function BucketsMdapiClient(options) {
     this.requireIndexes = options.requireIndexes ? true : false;
     this.requireOnlineReindexing =
         options.requireOnlineReindexing ? true : false;
+    this.requestTimeout = options.requestTimeout || null;
+    this.requestRetry = options.requestRetry ?
+        new retry.RetryPolicy(options.requestRetry) : null;
+    this.requestHedge = options.requestHedge ?
+        new hedge.HedgePolicy(options.requestHedge) : null;
+    this.strictValidation = options.strictValidation ? true : false;
+    this.normalizeResults = options.normalizeResults ? true : false;
 
     /* Helper objects. */
     this.log = options.log.child({
@@ -114,6 +295,17 @@ function BucketsMdapiClient(options) {
         this.collector = options.collector;
     }
 
+    /* Counter for hedged requests, if hedging is enabled.  See withHedging. */
+    this.hedgeCounter = this.collector && this.requestHedge !== null ?
+        hedge.hedgeCounter(this.collector) : null;
+
+    /* Outstanding reads, if coalescing is enabled.  See withCoalescing. */
+    this.coalescer = options.coalesceReads ? new coalesce.Coalescer({
+        'log': this.log,
+        'counter': this.collector ?
+            coalesce.coalesceCounter(this.collector) : undefined
+    }) : null;
+
     if (coptions.mode === 'srv') {
         resolverInput = cueballOptions.domain;
     } else {
@@ -158,6 +350,12 @@ function BucketsMdapiClient(options) {
     this.activeContexts = {};   /* active RPC contexts (requests) */
     this.timeCueballInitFailed = null;   /* cueball entered "failed" */
 
+    /* Placement data state.  See refreshPlacement(). */
+    this.placementRefreshInterval = options.placementRefreshInterval || null;
+    this.currentPlacement = null;   /* latest Placement fetched */
+    this.placementTimer = null;     /* timer for next periodic refresh */
+    this.placementWaiters = null;   /* callbacks for in-flight refresh */
+
     /*
      * State recorded when close() is invoked.  The closeState is one of:
      *
@@ -192,7 +390,13 @@ function BucketsMdapiClient(options) {
     this.pool = new BucketsMdapiConnectionPool({
         'log': this.log,
         'cueballResolver': this.cueballResolver,
-        'cueballSet': this.cueball
+        'cueballSet': this.cueball,
+        'circuitBreaker': options.circuitBreaker,
+        'connectionSelection': options.connectionSelection
+    });
+
+    this.pool.on('breakerStateChanged', function (change) {
+        self.emit('breakerStateChanged', change);
     });
 
     this.cueballOnStateChange = function (st) {
@@ -245,6 +449,10 @@ BucketsMdapiClient.prototype.onCueballStateChange =
         this.cueball.removeListener('stateChanged', this.cueballOnStateChange);
         this.log.debug('client ready');
         this.emit('connect');
+
+        if (this.placementRefreshInterval !== null) {
+            this.placementPoll();
+        }
     } else if (this.failFast && st === 'failed') {
         this.timeCueballInitFailed = new Date();
         this.cueball.removeListener('stateChanged',
@@ -277,6 +485,11 @@ BucketsMdapiClient.prototype.close = function close() {
         this.onprocexit = null;
     }
 
+    if (this.placementTimer !== null) {
+        clearTimeout(this.placementTimer);
+        this.placementTimer = null;
+    }
+
     this.closeState = BUCKETS_MDAPI_CS_CLOSING;
     this.nactiveAtClose = this.nactive;
     this.log.info({ 'nactiveAtClose': this.nactive }, 'closing');
@@ -385,69 +598,77 @@ BucketsMdapiClient.prototype.createFastConnection =
  *        asynchronously with an appropriate error, and the caller should not do
  *        anything else.
  *
- *    (2) Event-emitter-based RPCs (e.g., listBuckets) use this pattern:
+ *    (2) Stream-based RPCs (e.g., listBuckets) use this pattern:
  *
  *          rpcctx = this.ctxCreateForEmitter();
  *          if (rpcctx !== null) {
- *              ee = new EventEmitter();
- *              this.releaseWhenDone(rpcctx, ee);
- *              // Make the RPC call and emit 'end' or 'error' upon completion.
+ *              res = new stream.PassThrough({ 'objectMode': true });
+ *              this.releaseWhenDone(rpcctx, res);
+ *              // Make the RPC call and end or emit 'error' upon completion.
  *          } else {
- *              ee = emitUnavailable();
+ *              res = streamUnavailable(this);
  *          }
  *
- *          return (ee);
+ *          return (res);
  *
  *        If a backend connection is available, a BucketsMdapiRpcContext will be
  *        returned from ctxCreateForEmitter().  These functions typically use
- *        releaseWhenDone() to release the RPC context when the event emitter
- *        emits '_buckets_mdapi_internal_rpc_done'.
+ *        releaseWhenDone() to release the RPC context when the stream emits
+ *        '_buckets_mdapi_internal_rpc_done'.
  *
  *        If no backend connection is available, then the caller is responsible
- *        for allocating and returning a new EventEmitter that will emit the
- *        appropriate Error.
+ *        for allocating and returning a new stream that will emit the
+ *        appropriate Error.  Either way, callers always get an object-mode
+ *        Readable stream, which they may consume with pipe(), pipeline(), or
+ *        (on Node versions that support it) "for await".
  */
 
 /*
  * Internal function that returns a context used for RPC operations for a
  * callback-based RPC call.  If no backend connection is available, this
  * function returns null and schedules an asynchronous invocation of the given
- * callback with a suitable error.
+ * callback with a suitable error.  "options" are the per-request options that
+ * the caller was given, if any.  If "exclude" is specified, neither the
+ * connection with that key (see BucketsMdapiRpcContext.connectionKey()) nor
+ * any other connection to the same backend is used.
  *
  * See "Internal functions for RPC contexts and context management" above.
  */
 BucketsMdapiClient.prototype.ctxCreateForCallback =
-    function ctxCreateForCallback(callback) {
-    var conn;
+    function ctxCreateForCallback(callback, options, exclude) {
+    var conn, reqopts;
 
     assert.func(callback, 'callback');
+    assert.optionalString(exclude, 'exclude');
+    reqopts = rpcParams.requestOptions(options);
     if (this.closeState !== BUCKETS_MDAPI_CS_OPEN) {
-        setImmediate(callback,
-            new Error('buckets-mdapi client has been closed'));
+        setImmediate(callback, new errors.ClientClosedError());
         return (null);
     }
 
-    conn = this.pool.connAlloc();
+    conn = this.pool.connAlloc({ 'exclude': exclude });
     if (conn instanceof Error) {
         setImmediate(callback, conn);
         return (null);
     }
 
-    return (this.ctxCreateCommon(conn));
+    return (this.ctxCreateCommon(conn, reqopts));
 };
 
 /*
  * Internal function that returns a context used for RPC operations for an
  * event-emitter-based RPC call.  If no backend connection is available, this
  * function returns null and the caller is responsible for propagating the error
- * to its caller.
+ * to its caller.  "options" are the per-request options that the caller was
+ * given, if any.
  *
  * See "Internal functions for RPC contexts and context management" above.
  */
 BucketsMdapiClient.prototype.ctxCreateForEmitter =
-    function ctxCreateForEmitter() {
-    var conn;
+    function ctxCreateForEmitter(options) {
+    var conn, reqopts;
 
+    reqopts = rpcParams.requestOptions(options);
     if (this.closeState !== BUCKETS_MDAPI_CS_OPEN) {
         return (null);
     }
@@ -458,7 +679,7 @@ BucketsMdapiClient.prototype.ctxCreateForEmitter =
         return (null);
     }
 
-    return (this.ctxCreateCommon(conn));
+    return (this.ctxCreateCommon(conn, reqopts));
 };
 
 /*
@@ -466,17 +687,21 @@ BucketsMdapiClient.prototype.ctxCreateForEmitter =
  * We keep track of outstanding RPC contexts to provide a clean close()
  * implementation and to aid debuggability in the event of leaks.
  */
-BucketsMdapiClient.prototype.ctxCreateCommon = function (conn) {
+BucketsMdapiClient.prototype.ctxCreateCommon = function (conn, reqopts) {
     var rpcctx;
 
     assert.object(conn);
     assert.ok(!(conn instanceof Error));
+    assert.object(reqopts);
     assert.equal(this.closeState, BUCKETS_MDAPI_CS_OPEN);
 
     this.nactive++;
 
     rpcctx = new BucketsMdapiRpcContext({
         'id': this.ncontexts++,
+        'timeout': reqopts.timeout || this.requestTimeout,
+        'signal': reqopts.signal,
+        'raw': reqopts.raw,
         'bucketsMdapiClient': this,
         'connection': conn
     });
@@ -496,7 +721,7 @@ BucketsMdapiClient.prototype.ctxRelease = function ctxRelease(rpcctx) {
 
     assert.equal(this.activeContexts[rpcctx.mc_id], rpcctx);
     delete (this.activeContexts[rpcctx.mc_id]);
-    this.pool.connRelease(rpcctx.mc_conn);
+    this.pool.connRelease(rpcctx.mc_conn, rpcctx.mc_succeeded);
 
     if (this.nactive === 0 && this.closeState === BUCKETS_MDAPI_CS_CLOSING) {
         this.closeFini();
@@ -543,6 +768,161 @@ BucketsMdapiClient.prototype.releaseWhenDone =
     });
 };
 
+/*
+ * Internal function that makes a callback-based RPC request, retrying it
+ * according to the client's retry policy.  "attempt" is invoked as
+ * attempt(callback) to make each attempt, typically using the pattern for
+ * callback-based RPCs described above, and "callback" is invoked with the
+ * result of the last attempt.  "method" is the name of the client method,
+ * "req_id" is the request identifier used for every attempt, "options" are the
+ * per-request options that the caller was given, and "conditions" are the
+ * request's conditions, if any.  These determine whether the request may be
+ * retried at all (see retryAllowed() in lib/retry.js).
+ */
+BucketsMdapiClient.prototype.withRetries =
+    function withRetries(method, req_id, options, conditions, attempt,
+    callback) {
+    var reqopts = rpcParams.requestOptions(options);
+
+    if (!this.retryEnabled(method, reqopts, conditions)) {
+        attempt(callback);
+        return;
+    }
+
+    retry.retryCall(this.retryArgs(method, req_id, reqopts), attempt,
+        callback);
+};
+
+/*
+ * Internal function that makes a stream-based RPC request, retrying it
+ * according to the client's retry policy.  This is the stream analog of
+ * withRetries(): "attempt" is invoked as attempt() to make each attempt and
+ * returns a stream.  Once an attempt has emitted any data, its failure is not
+ * retried.  See retryStream() in lib/retry.js.
+ */
+BucketsMdapiClient.prototype.streamWithRetries =
+    function streamWithRetries(method, req_id, options, attempt) {
+    var reqopts = rpcParams.requestOptions(options);
+
+    if (!this.retryEnabled(method, reqopts, null)) {
+        return (attempt());
+    }
+
+    return (retry.retryStream(this.retryArgs(method, req_id, reqopts),
+        attempt));
+};
+
+/*
+ * Returns true if a request for "method" with the given request options and
+ * conditions should be retried when it fails.
+ */
+BucketsMdapiClient.prototype.retryEnabled =
+    function retryEnabled(method, reqopts, conditions) {
+    if (this.requestRetry === null || reqopts.retry === false) {
+        return (false);
+    }
+
+    return (retry.retryAllowed({
+        'method': method,
+        'idempotent': reqopts.idempotent,
+        'conditions': conditions || undefined
+    }));
+};
+
+/*
+ * Returns the arguments for retryCall() or retryStream() for a request.  We
+ * stop retrying if the client is being closed or the request is aborted.
+ */
+BucketsMdapiClient.prototype.retryArgs =
+    function retryArgs(method, req_id, reqopts) {
+    var self = this;
+
+    return ({
+        'policy': this.requestRetry,
+        'log': this.log,
+        'method': method,
+        'req_id': req_id,
+        'canRetry': function () {
+            return (self.closeState === BUCKETS_MDAPI_CS_OPEN &&
+                !(reqopts.signal && reqopts.signal.aborted));
+        }
+    });
+};
+
+/*
+ * Returns the arguments for retryCall() for one request made as part of a
+ * bulk operation, or null if the request should not be retried.  Bulk
+ * operations retry each request themselves, rather than having the method
+ * retry it, so that they can count the retries.  See lib/bulk.js.
+ */
+BucketsMdapiClient.prototype.bulkRetryArgs =
+    function bulkRetryArgs(method, req_id, reqopts, conditions) {
+    if (!this.retryEnabled(method, reqopts, conditions)) {
+        return (null);
+    }
+
+    return (this.retryArgs(method, req_id, reqopts));
+};
+
+/*
+ * Internal function that makes a callback-based read request, hedging it
+ * according to the client's hedge policy.  "attempt" is invoked as
+ * attempt(options, exclude, callback) to send each copy of the request.  It
+ * should create an RPC context using ctxCreateForCallback() with the given
+ * options and "exclude" and return the context's connectionKey(), or null if
+ * no context could be created.  See hedgeCall() in lib/hedge.js.
+ */
+BucketsMdapiClient.prototype.withHedging =
+    function withHedging(method, req_id, options, attempt, callback) {
+    var reqopts = rpcParams.requestOptions(options);
+
+    if (this.requestHedge === null || reqopts.hedge === false) {
+        attempt(options, undefined, callback);
+        return;
+    }
+
+    hedge.hedgeCall({
+        'policy': this.requestHedge,
+        'log': this.log,
+        'method': method,
+        'req_id': req_id,
+        'signal': reqopts.signal,
+        'counter': this.hedgeCounter || undefined
+    }, function (signal, exclude, cb) {
+        return (attempt(jsprim.mergeObjects(options, { 'signal': signal }),
+            exclude, cb));
+    }, callback);
+};
+
+/*
+ * Internal function that makes a callback-based read request, coalescing it
+ * with an identical outstanding request if the client was created with
+ * "coalesceReads".  "args" are the arguments that identify what's being read
+ * (e.g., owner, bucket, and vnode), and "start" is invoked as start(callback)
+ * to send the request.  Requests with conditions or an AbortSignal are always
+ * sent separately, since their results may differ from those of other
+ * requests.  A coalesced request shares the outcome of the outstanding
+ * request, including any timeout, retries, and hedging.  See Coalescer in
+ * lib/coalesce.js.
+ */
+BucketsMdapiClient.prototype.withCoalescing =
+    function withCoalescing(method, args, options, conditions, start,
+    callback) {
+    var reqopts = rpcParams.requestOptions(options);
+    var key;
+
+    if (this.coalescer === null || reqopts.coalesce === false ||
+        reqopts.signal !== undefined ||
+        (conditions && !jsprim.isEmpty(conditions))) {
+        start(callback);
+        return;
+    }
+
+    key = JSON.stringify([ method, reqopts.raw === undefined ?
+        !this.normalizeResults : reqopts.raw ].concat(args));
+    this.coalescer.call(method, key, start, callback);
+};
+
 /*
  * RPC implementation functions
  *
@@ -551,42 +931,252 @@ BucketsMdapiClient.prototype.releaseWhenDone =
  * an implementation in one of the nearby files.  They use one of the patterns
  * described above under "Internal functions for RPC contexts and context
  * management" to manage the RPC context.
+ *
+ * The bucket and object methods also accept a single object of named options
+ * in place of their positional arguments (e.g., createObject({ owner: ...,
+ * bucketId: ..., name: ..., ... }, callback)).  See lib/rpc_params.js for the
+ * supported names.  Named options are validated and converted to the
+ * positional form, which remains fully supported.  Invalid named options,
+ * including unsupported (e.g., misspelled) option names, cause the method to
+ * throw an AssertionError or, if the callback was omitted, to return a Promise
+ * rejected with that error.
+ *
+ * Each of the callback-based methods also supports callers that omit the
+ * callback.  In that case, the method returns a Promise that is resolved with
+ * the value that would have been passed to the callback, or rejected with the
+ * error that would have been passed to it.  See promiseCall().
+ *
+ * Each of the RPC methods accepts an optional "opts" object of per-request
+ * options immediately before the callback (or as its last argument, for
+ * methods without a callback).  In the named-options form, these options are
+ * specified alongside the others.  See requestOptions() in lib/rpc_params.js.
+ * Supported per-request options are:
+ *
+ *     timeout      number of milliseconds to wait for the RPC to complete
+ *     (number)     before failing it with a TimeoutError (see
+ *                  lib/errors.js).  This overrides the client's
+ *                  "requestTimeout".
+ *
+ *     signal       AbortSignal that may be used to abort the request.  When
+ *     (object)     the signal is aborted, we stop waiting for the response,
+ *                  release the connection for use by other requests, and
+ *                  fail the request with an AbortError (see lib/errors.js).
+ *                  The server is not notified, so a write request may still
+ *                  complete.
+ *
+ *     retry        if false, the request is not retried, even if the client
+ *     (boolean)    was given a "requestRetry" policy
+ *
+ *     idempotent   if true, the request may safely be applied more than once,
+ *     (boolean)    so it may be retried according to the client's
+ *                  "requestRetry" policy even if it is a write.  Reads are
+ *                  always retried according to that policy.
+ *
+ *     hedge        if false, a getBucket() or getObject() request is not
+ *     (boolean)    hedged, even if the client was given a "requestHedge"
+ *                  policy
+ *
+ *     coalesce     if false, a getBucket() or getObject() request is sent
+ *     (boolean)    even if an identical request is outstanding and the
+ *                  client was created with "coalesceReads"
+ *
+ *     raw          if false, the bucket or object records returned by the
+ *     (boolean)    request are normalized as described below; if true, they
+ *                  are exactly as sent by the server.  This overrides the
+ *                  client's "normalizeResults" option.
+ *
+ * The listing methods return an object-mode Readable stream of results.  If
+ * the request fails, including when no backend connection is available, the
+ * stream emits "error".
+ *
+ * If the client was created with "normalizeResults", or the request's "raw"
+ * option is false, the object records returned by createObject(),
+ * updateObject(), getObject(), and listObjects(), and the bucket records
+ * returned by createBucket(), getBucket(), and listBuckets(), are normalized:
+ * timestamps are Dates, objects have both "id" and "etag", header names are
+ * lowercase, and "sharks" is decoded if it was sent as JSON.  See
+ * normalizeObject() in lib/objects.js and normalizeBucket() in lib/buckets.js.
+ *
+ * The object methods that accept "conditions" validate and normalize them
+ * before making the request.  Invalid conditions cause the method to deliver
+ * an InvalidArgumentError to the callback (or to reject the returned Promise,
+ * if the callback was omitted) without making the request.  See
+ * lib/conditions.js.  Likewise, if the client was created with
+ * "strictValidation", createBucket(), createObject(), and updateObject()
+ * deliver an InvalidArgumentError for invalid metadata.
  */
 
 /**
  * Fetches the metadata placement data managed by buckets-mdplacement service
+ *
+ * @param {Object} opts   - request options (optional; see above)
+ * @param {Function} cb   - callback (optional; see promiseCall())
  */
-BucketsMdapiClient.prototype.getPlacementData = function getPlacementData(cb) {
+BucketsMdapiClient.prototype.getPlacementData =
+    function getPlacementData(opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (promiseCall(this, getPlacementData, arguments));
+    }
+
+    var self = this;
+
     assert.func(cb, 'cb');
 
-    var rpcctx = this.ctxCreateForCallback(cb);
-    var callback = this.makeReleaseCb(rpcctx, cb);
+    this.withRetries('getPlacementData', undefined, opts, null,
+        function getPlacementDataAttempt(attemptcb) {
+        var rpcctx = self.ctxCreateForCallback(attemptcb, opts);
+        var callback = self.makeReleaseCb(rpcctx, attemptcb);
+
+        if (rpcctx) {
+            var log = rpc.childLogger(rpcctx, {});
+
+            rpc.rpcCommonBufferData({
+                rpcctx: rpcctx,
+                rpcmethod: 'getplacementdata',
+                rpcargs: [],
+                log: log
+            }, function (err, placementData) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                if (placementData.length !== 1) {
+                    err = new VError(
+                        'bad server response: expected 1 JSON object, found %d',
+                        placementData.length);
+                    callback(err);
+                    return;
+                }
+
+                callback(null, placementData[0]);
+            });
+        }
+    }, cb);
+};
+
+/**
+ * Fetches the placement data (as with getPlacementData()), validates it, and
+ * records it as this client's current placement data.  The callback is invoked
+ * with the resulting Placement (see lib/placement.js).
+ *
+ * If the placement data differs from what we had before, the client emits
+ * "placementChanged" with an object describing the change, as returned by
+ * diffPlacement(), with an additional "placement" property containing the new
+ * Placement.  When the placement data is fetched for the first time,
+ * "oldVersion" is null and "moved" is empty.  If the new placement data has a
+ * different number of vnodes than the old, the callback receives an error and
+ * the old placement data is kept.
+ *
+ * If the "placementRefreshInterval" constructor option was specified, this is
+ * invoked periodically once the client has connected.  Callers may also invoke
+ * it directly (e.g., after a request fails because it was sent to the wrong
+ * vnode).  If a refresh is already in progress, the callback is invoked when
+ * that one completes rather than issuing another request.
+ *
+ * @param {Function} cb   - callback (optional; see promiseCall())
+ */
+BucketsMdapiClient.prototype.refreshPlacement = function refreshPlacement(cb) {
+    var self = this;
+
+    if (cb === undefined) {
+        return (promiseCall(this, refreshPlacement, arguments));
+    }
+
+    assert.func(cb, 'cb');
+
+    if (this.placementWaiters !== null) {
+        this.placementWaiters.push(cb);
+        return;
+    }
+
+    this.placementWaiters = [ cb ];
+    this.getPlacementData(function (err, data) {
+        var waiters = self.placementWaiters;
+        var p;
+
+        self.placementWaiters = null;
 
-    if (rpcctx) {
-        var log = rpc.childLogger(rpcctx, {});
+        if (!err) {
+            p = placement.parsePlacementData(data);
+            err = p instanceof Error ? p : self.placementUpdate(p);
+        }
 
-        rpc.rpcCommonBufferData({
-            rpcctx: rpcctx,
-            rpcmethod: 'getplacementdata',
-            rpcargs: [],
-            log: log
-        }, function (err, placementData) {
+        waiters.forEach(function (waiter) {
             if (err) {
-                callback(err);
-                return;
+                waiter(err);
+            } else {
+                waiter(null, self.currentPlacement);
             }
+        });
+    });
+};
 
-            if (placementData.length !== 1) {
-                err = new VError(
-                    'bad server response: expected 1 JSON object, found %d',
-                    placementData.length);
-                callback(err);
-                return;
-            }
+/*
+ * [private] Record the new Placement "p", emitting "placementChanged" if it
+ * differs from the current one.  Returns an Error if the two cannot be
+ * compared.  See refreshPlacement().
+ */
+BucketsMdapiClient.prototype.placementUpdate = function placementUpdate(p) {
+    var change;
+
+    if (this.currentPlacement === null) {
+        change = {
+            'oldVersion': null,
+            'newVersion': p.version(),
+            'moved': [],
+            'addedPnodes': p.pnodes(),
+            'removedPnodes': []
+        };
+    } else {
+        change = placement.diffPlacement(this.currentPlacement, p);
+        if (change instanceof Error) {
+            return (change);
+        }
 
-            callback(null, placementData[0]);
-        });
+        if (change.oldVersion === change.newVersion &&
+            change.moved.length === 0 && change.addedPnodes.length === 0 &&
+            change.removedPnodes.length === 0) {
+            this.currentPlacement = p;
+            return (null);
+        }
     }
+
+    this.log.info({
+        'oldVersion': change.oldVersion,
+        'newVersion': change.newVersion,
+        'nmoved': change.moved.length
+    }, 'placement data changed');
+
+    this.currentPlacement = p;
+    change.placement = p;
+    this.emit('placementChanged', change);
+    return (null);
+};
+
+/*
+ * [private] Refresh the placement data and schedule the next refresh.
+ */
+BucketsMdapiClient.prototype.placementPoll = function placementPoll() {
+    var self = this;
+
+    this.placementTimer = null;
+    this.refreshPlacement(function (err) {
+        if (err) {
+            self.log.warn(err, 'failed to refresh placement data');
+        }
+
+        if (self.closeState === BUCKETS_MDAPI_CS_OPEN) {
+            self.placementTimer = setTimeout(function () {
+                self.placementPoll();
+            }, self.placementRefreshInterval);
+        }
+    });
 };
 
 /**
@@ -599,16 +1189,46 @@ BucketsMdapiClient.prototype.getPlacementData = function getPlacementData(cb) {
  * @param {String} bucket - Bucket name
  * @param {Number} vnode  - Virtual node identifier
  * @param {String} req_id - Request identifier
- * @param {Function} cb   - callback
+ * @param {Object} opts   - request options (optional; see above)
+ * @param {Function} cb   - callback (optional; see promiseCall())
  */
 BucketsMdapiClient.prototype.createBucket =
-    function createBucket(owner, bucket, vnode, req_id, cb) {
+    function createBucket(owner, bucket, vnode, req_id, opts, cb) {
+    if (rpcParams.isNamedForm(owner)) {
+        return (namedCall(this, createBucket, 'createBucket', arguments));
+    }
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
 
-    var rpcctx = this.ctxCreateForCallback(cb);
-    if (rpcctx) {
-        buckets.createBucket(rpcctx, owner, bucket, vnode, req_id,
-            this.makeReleaseCb(rpcctx, cb));
+    if (cb === undefined) {
+        return (promiseCall(this, createBucket, arguments));
     }
+
+    assert.func(cb, 'callback');
+
+    var self = this;
+    var err = argumentError(function () {
+        if (self.strictValidation) {
+            validate.validateBucket({ 'owner': owner, 'bucket': bucket });
+        }
+    });
+
+    if (err !== null) {
+        setImmediate(cb, err);
+        return (undefined);
+    }
+
+    this.withRetries('createBucket', req_id, opts, null,
+        function createBucketAttempt(attemptcb) {
+        var rpcctx = self.ctxCreateForCallback(attemptcb, opts);
+        if (rpcctx) {
+            buckets.createBucket(rpcctx, owner, bucket, vnode, req_id,
+                self.makeReleaseCb(rpcctx, attemptcb));
+        }
+    }, cb);
 };
 
 /**
@@ -621,15 +1241,51 @@ BucketsMdapiClient.prototype.createBucket =
  * @param {String} bucket - Bucket name
  * @param {Number} vnode  - Virtual node identifier
  * @param {String} req_id - Request identifier
+ * @param {Object} opts   - request options (optional; see above)
+ * @param {Function} cb   - callback (optional; see promiseCall())
  */
 BucketsMdapiClient.prototype.getBucket =
     function getBucket(owner, bucket, vnode,
-    req_id, cb) {
-    var rpcctx = this.ctxCreateForCallback(cb);
-    if (rpcctx) {
-        buckets.getBucket(rpcctx, owner, bucket, vnode, req_id,
-            this.makeReleaseCb(rpcctx, cb));
+    req_id, opts, cb) {
+    if (rpcParams.isNamedForm(owner)) {
+        return (namedCall(this, getBucket, 'getBucket', arguments));
     }
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (promiseCall(this, getBucket, arguments));
+    }
+
+    assert.string(owner, 'owner');
+    assert.string(bucket, 'bucket');
+    assert.number(vnode, 'vnode');
+    assert.string(req_id, 'req_id');
+    assert.func(cb, 'callback');
+
+    var self = this;
+
+    this.withCoalescing('getBucket', [ owner, bucket, vnode ], opts, null,
+        function getBucketStart(startcb) {
+        self.withRetries('getBucket', req_id, opts, null,
+            function getBucketAttempt(attemptcb) {
+            self.withHedging('getBucket', req_id, opts,
+                function getBucketCopy(copyopts, exclude, copycb) {
+                var rpcctx = self.ctxCreateForCallback(copycb, copyopts,
+                    exclude);
+                if (!rpcctx) {
+                    return (null);
+                }
+
+                buckets.getBucket(rpcctx, owner, bucket, vnode, req_id,
+                    self.makeReleaseCb(rpcctx, copycb));
+                return (rpcctx.connectionKey());
+            }, attemptcb);
+        }, startcb);
+    }, cb);
 };
 
 /**
@@ -641,22 +1297,69 @@ BucketsMdapiClient.prototype.getBucket =
  * @param {Number} marker    - An optional string to start listing from
  * @param {Number} vnode     - Virtual node identifier
  * @param {String} req_id    - Request identifier
+ * @param {Object} opts      - request options (optional; see above)
  */
 BucketsMdapiClient.prototype.listBuckets =
-    function listBuckets(owner, prefix, limit, marker, vnode, req_id) {
+    function listBuckets(owner, prefix, limit, marker, vnode, req_id, opts) {
 
-    var rpcctx = this.ctxCreateForEmitter();
-    var rv;
+    var self = this;
 
-    if (!rpcctx) {
-        return (emitUnavailable());
+    if (rpcParams.isNamedForm(owner)) {
+        return (namedStreamCall(this, listBuckets, 'listBuckets',
+            arguments));
     }
 
-    rv = buckets.listBuckets(rpcctx, owner, prefix, limit, marker, vnode,
-        req_id);
-    this.releaseWhenDone(rpcctx, rv);
+    return (this.streamWithRetries('listBuckets', req_id, opts,
+        function listBucketsAttempt() {
+        var rpcctx, rv;
 
-    return (rv);
+        rpcctx = self.ctxCreateForEmitter(opts);
+        if (!rpcctx) {
+            return (streamUnavailable(self));
+        }
+
+        rv = buckets.listBuckets(rpcctx, owner, prefix, limit, marker, vnode,
+            req_id);
+        self.releaseWhenDone(rpcctx, rv);
+
+        return (rv);
+    }));
+};
+
+/**
+ * Lists all buckets on a vnode, following the marker from page to page
+ *
+ * Returns an object-mode stream that emits the same entries as listBuckets()
+ * but continues with the next page until the listing is complete (or "limit"
+ * entries have been emitted).  Each page is a separate listBuckets() request.
+ * See lib/listing.js.
+ *
+ * @param {String} owner     - Account owner
+ * @param {String} prefix    - A prefix to use to group buckets
+ * @param {Number} limit     - An optional maximum number of buckets to return
+ *                             (a positive integer)
+ * @param {String} marker    - An optional string to start listing from
+ * @param {Number} vnode     - Virtual node identifier
+ * @param {String} req_id    - Request identifier (used for every page)
+ * @param {Object} opts      - Optional object with property "pageSize", the
+ *                             number of buckets to request per page, along
+ *                             with request options (see above), which apply
+ *                             to each page
+ */
+BucketsMdapiClient.prototype.listAllBuckets =
+    function listAllBuckets(owner, prefix, limit, marker, vnode, req_id,
+    opts) {
+    var self = this;
+
+    return (new listing.PaginatedListing({
+        'listPage': function (pageLimit, pageMarker) {
+            return (self.listBuckets(owner, prefix, pageLimit, pageMarker,
+                vnode, req_id, rpcParams.requestOptions(opts)));
+        },
+        'pageSize': listing.listAllPageSize(opts),
+        'limit': listing.listLimit(limit),
+        'marker': marker || undefined
+    }));
 };
 
 /**
@@ -669,16 +1372,97 @@ BucketsMdapiClient.prototype.listBuckets =
  * @param {String} bucket - Bucket name
  * @param {Number} vnode  - Virtual node identifier
  * @param {String} req_id - Request identifier
- * @param {Function} cb   - callback
+ * @param {Object} opts   - request options (optional; see above)
+ * @param {Function} cb   - callback (optional; see promiseCall())
  */
 BucketsMdapiClient.prototype.deleteBucket =
     function deleteBucket(owner, bucket, vnode,
-    req_id, cb) {
-    var rpcctx = this.ctxCreateForCallback(cb);
-    if (rpcctx) {
-        buckets.deleteBucket(rpcctx, owner, bucket, vnode, req_id,
-            this.makeReleaseCb(rpcctx, cb));
+    req_id, opts, cb) {
+    if (rpcParams.isNamedForm(owner)) {
+        return (namedCall(this, deleteBucket, 'deleteBucket', arguments));
+    }
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (promiseCall(this, deleteBucket, arguments));
     }
+
+    var self = this;
+
+    this.withRetries('deleteBucket', req_id, opts, null,
+        function deleteBucketAttempt(attemptcb) {
+        var rpcctx = self.ctxCreateForCallback(attemptcb, opts);
+        if (rpcctx) {
+            buckets.deleteBucket(rpcctx, owner, bucket, vnode, req_id,
+                self.makeReleaseCb(rpcctx, attemptcb));
+        }
+    }, cb);
+};
+
+/**
+ * Deletes a bucket and all of its objects
+ *
+ * Returns an EventEmitter that deletes every object in the bucket on each of
+ * the vnodes in "opts.vnodes" (one page at a time), reporting "progress" with
+ * a checkpoint after each page, and then deletes the bucket and emits "end".
+ * A purge that fails emits "error" and can be resumed from the last
+ * checkpoint.  See BucketPurge in lib/purge.js.
+ *
+ * @param {String} owner  - Account owner
+ * @param {String} bucket - Bucket name
+ * @param {Number} vnode  - Virtual node identifier for the bucket
+ * @param {String} req_id - Request identifier (used for every request)
+ * @param {Object} opts   - Object with property "vnodes", the virtual nodes
+ *                          on which to delete the bucket's objects, and
+ *                          optional properties "pageSize", the number of
+ *                          objects to request per page, "concurrency", the
+ *                          maximum number of deletes to send at once,
+ *                          "checkpoint", the checkpoint from which to resume,
+ *                          and "dryRun", to count the objects without deleting
+ *                          anything, along with request options (see above),
+ *                          which apply to each request
+ */
+BucketsMdapiClient.prototype.purgeBucket =
+    function purgeBucket(owner, bucket, vnode, req_id, opts) {
+    var self = this;
+    var args, reqopts;
+
+    assert.string(owner, 'owner');
+    assert.string(bucket, 'bucket');
+    assert.number(vnode, 'vnode');
+    assert.string(req_id, 'req_id');
+    assert.object(opts, 'opts');
+    args = purge.purgeArgs(opts.vnodes, opts);
+    reqopts = rpcParams.requestOptions(opts);
+
+    args.log = this.log.child({
+        'owner': owner,
+        'bucket': bucket,
+        'req_id': req_id
+    }, true);
+    args.getBucketId = function (cb) {
+        self.getBucket(owner, bucket, vnode, req_id, reqopts,
+            function (err, b) {
+            cb(err, err ? undefined : b.id);
+        });
+    };
+    args.listPage = function (bucket_id, objvnode, limit, marker) {
+        return (self.listObjects(owner, bucket_id, undefined, limit, marker,
+            objvnode, req_id, reqopts));
+    };
+    args.deleteKey = function (bucket_id, key, cb) {
+        self.deleteObject(owner, bucket_id, key.name, key.vnode, null,
+            req_id, reqopts, cb);
+    };
+    args.deleteBucket = function (cb) {
+        self.deleteBucket(owner, bucket, vnode, req_id, reqopts, cb);
+    };
+
+    return (new purge.BucketPurge(args));
 };
 
 /**
@@ -707,12 +1491,25 @@ BucketsMdapiClient.prototype.deleteBucket =
  * @param {Object} conditions      - Object representing a set of conditional
  *                                   parameters.
  * @param {String} req_id          - Request identifier
- * @param {Function} cb            - callback
+ * @param {Object} opts            - request options (optional; see above)
+ * @param {Function} cb            - callback (optional; see promiseCall())
  */
 BucketsMdapiClient.prototype.createObject =
     function createObject(owner, bucket_id,
     name, object_id, content_length, content_md5, content_type, headers,
-    sharks, props, vnode, conditions, req_id, cb) {
+    sharks, props, vnode, conditions, req_id, opts, cb) {
+    if (rpcParams.isNamedForm(owner)) {
+        return (namedCall(this, createObject, 'createObject', arguments));
+    }
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (promiseCall(this, createObject, arguments));
+    }
 
     assert.string(owner, 'owner');
     assert.string(bucket_id, 'bucket_id');
@@ -725,15 +1522,39 @@ BucketsMdapiClient.prototype.createObject =
     assert.number(vnode, 'vnode');
     assert.string(req_id, 'req_id');
     assert.optionalObject(props, 'props');
-    assert.optionalObject(conditions, 'conditions');
     assert.func(cb, 'callback');
 
-    var rpcctx = this.ctxCreateForCallback(cb);
-    if (rpcctx) {
-        objects.createObject(rpcctx, owner, bucket_id, name, object_id,
-            content_length, content_md5, content_type, headers, sharks, props,
-            vnode, conditions, req_id, this.makeReleaseCb(rpcctx, cb));
+    var self = this;
+    var err = argumentError(function () {
+        conditions = conds.normalizeConditions(conditions);
+        if (self.strictValidation) {
+            validate.validateObject({
+                'owner': owner,
+                'object_id': object_id,
+                'content_length': content_length,
+                'content_md5': content_md5,
+                'headers': headers,
+                'sharks': sharks,
+                'props': props
+            });
+        }
+    });
+
+    if (err !== null) {
+        setImmediate(cb, err);
+        return (undefined);
     }
+
+    this.withRetries('createObject', req_id, opts, conditions,
+        function createObjectAttempt(attemptcb) {
+        var rpcctx = self.ctxCreateForCallback(attemptcb, opts);
+        if (rpcctx) {
+            objects.createObject(rpcctx, owner, bucket_id, name, object_id,
+                content_length, content_md5, content_type, headers, sharks,
+                props, vnode, conditions, req_id,
+                self.makeReleaseCb(rpcctx, attemptcb));
+        }
+    }, cb);
 };
 
 /**
@@ -758,12 +1579,25 @@ BucketsMdapiClient.prototype.createObject =
  * @param {Object} conditions      - Object representing a set of conditional
  *                                   parameters.
  * @param {String} req_id          - Request identifier
- * @param {Function} cb            - callback
+ * @param {Object} opts            - request options (optional; see above)
+ * @param {Function} cb            - callback (optional; see promiseCall())
  */
 BucketsMdapiClient.prototype.updateObject =
     function updateObject(owner, bucket_id,
     name, object_id, content_type, headers, props, vnode, conditions, req_id,
-    cb) {
+    opts, cb) {
+    if (rpcParams.isNamedForm(owner)) {
+        return (namedCall(this, updateObject, 'updateObject', arguments));
+    }
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (promiseCall(this, updateObject, arguments));
+    }
 
     assert.string(owner, 'owner');
     assert.string(bucket_id, 'bucket_id');
@@ -773,15 +1607,35 @@ BucketsMdapiClient.prototype.updateObject =
     assert.number(vnode, 'vnode');
     assert.optionalObject(props, 'props');
     assert.string(req_id, 'req_id');
-    assert.optionalObject(conditions, 'conditions');
     assert.func(cb, 'callback');
 
-    var rpcctx = this.ctxCreateForCallback(cb);
-    if (rpcctx) {
-        objects.updateObject(rpcctx, owner, bucket_id, name, object_id,
-        content_type, headers, props, vnode, conditions, req_id,
-        this.makeReleaseCb(rpcctx, cb));
+    var self = this;
+    var err = argumentError(function () {
+        conditions = conds.normalizeConditions(conditions);
+        if (self.strictValidation) {
+            validate.validateObject({
+                'owner': owner,
+                'object_id': object_id,
+                'headers': headers,
+                'props': props
+            });
+        }
+    });
+
+    if (err !== null) {
+        setImmediate(cb, err);
+        return (undefined);
     }
+
+    this.withRetries('updateObject', req_id, opts, conditions,
+        function updateObjectAttempt(attemptcb) {
+        var rpcctx = self.ctxCreateForCallback(attemptcb, opts);
+        if (rpcctx) {
+            objects.updateObject(rpcctx, owner, bucket_id, name, object_id,
+            content_type, headers, props, vnode, conditions, req_id,
+            self.makeReleaseCb(rpcctx, attemptcb));
+        }
+    }, cb);
 };
 
 /**
@@ -797,25 +1651,60 @@ BucketsMdapiClient.prototype.updateObject =
  * @param {Object} conditions      - Object representing a set of conditional
  *                                   parameters.
  * @param {String} req_id          - Request identifier
- * @param {Function} cb            - callback
+ * @param {Object} opts            - request options (optional; see above)
+ * @param {Function} cb            - callback (optional; see promiseCall())
  */
 BucketsMdapiClient.prototype.getObject =
     function getObject(owner, bucket_id, name, vnode, conditions, req_id,
-    cb) {
+    opts, cb) {
+    if (rpcParams.isNamedForm(owner)) {
+        return (namedCall(this, getObject, 'getObject', arguments));
+    }
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (promiseCall(this, getObject, arguments));
+    }
 
     assert.string(owner, 'owner');
     assert.string(bucket_id, 'bucket_id');
     assert.string(name, 'name');
     assert.number(vnode, 'vnode');
-    assert.optionalObject(conditions, 'conditions');
     assert.string(req_id, 'req_id');
     assert.func(cb, 'callback');
 
-    var rpcctx = this.ctxCreateForCallback(cb);
-    if (rpcctx) {
-        objects.getObject(rpcctx, owner, bucket_id, name, vnode, conditions,
-            req_id, this.makeReleaseCb(rpcctx, cb));
+    var self = this;
+    var err = argumentError(function () {
+        conditions = conds.normalizeConditions(conditions);
+    });
+
+    if (err !== null) {
+        setImmediate(cb, err);
+        return (undefined);
     }
+
+    this.withCoalescing('getObject', [ owner, bucket_id, name, vnode ], opts,
+        conditions, function getObjectStart(startcb) {
+        self.withRetries('getObject', req_id, opts, conditions,
+            function getObjectAttempt(attemptcb) {
+            self.withHedging('getObject', req_id, opts,
+                function getObjectCopy(copyopts, exclude, copycb) {
+                var rpcctx = self.ctxCreateForCallback(copycb, copyopts,
+                    exclude);
+                if (!rpcctx) {
+                    return (null);
+                }
+
+                objects.getObject(rpcctx, owner, bucket_id, name, vnode,
+                    conditions, req_id, self.makeReleaseCb(rpcctx, copycb));
+                return (rpcctx.connectionKey());
+            }, attemptcb);
+        }, startcb);
+    }, cb);
 };
 
 /**
@@ -829,25 +1718,132 @@ BucketsMdapiClient.prototype.getObject =
  * @param {String} marker     - An optional string to start listing from
  * @param {Number} vnode      - Virtual node identifier
  * @param {String} req_id     - Request identifier
+ * @param {Object} opts       - Optional object with property "delimiter".  If
+ *                              specified, names containing the delimiter after
+ *                              the prefix are rolled up into "prefix" records.
+ *                              The returned stream's truncated() method
+ *                              reports whether the page was full, and its
+ *                              marker() method returns the marker for the
+ *                              next page (undefined once the listing is
+ *                              complete).  See rollupStream() and
+ *                              PrefixRollup in lib/listing.js.  Request
+ *                              options (see above) may also be specified.
  */
 BucketsMdapiClient.prototype.listObjects =
     function listObjects(owner, bucket_id, prefix, limit, marker, vnode,
-        req_id) {
+        req_id, opts) {
 
-    var rpcctx = this.ctxCreateForEmitter();
-    var rv;
+    var self = this;
+    var rv, rollup;
 
-    if (!rpcctx) {
-        return (emitUnavailable());
+    if (rpcParams.isNamedForm(owner)) {
+        return (namedStreamCall(this, listObjects, 'listObjects',
+            arguments));
     }
 
-    rv = objects.listObjects(rpcctx, owner, bucket_id, prefix, limit,
-        marker, vnode, req_id);
-    this.releaseWhenDone(rpcctx, rv);
+    rollup = listing.listRollup(prefix, opts, marker);
+    rv = this.streamWithRetries('listObjects', req_id, opts,
+        function listObjectsAttempt() {
+        var rpcctx, res;
+
+        rpcctx = self.ctxCreateForEmitter(opts);
+        if (!rpcctx) {
+            return (streamUnavailable(self));
+        }
+
+        res = objects.listObjects(rpcctx, owner, bucket_id, prefix, limit,
+            marker, vnode, req_id);
+        self.releaseWhenDone(rpcctx, res);
+
+        return (res);
+    });
+
+    if (rollup !== null) {
+        rv = listing.rollupStream(rv, rollup, limit);
+    }
 
     return (rv);
 };
 
+/**
+ * Lists all objects in a bucket on a vnode, following the marker from page to
+ * page
+ *
+ * Returns an object-mode stream that emits the same entries as listObjects()
+ * but continues with the next page until the listing is complete (or "limit"
+ * entries have been emitted).  Each page is a separate listObjects() request.
+ * See lib/listing.js.
+ *
+ * @param {String} owner      - Account owner
+ * @param {String} bucket_id  - Bucket id
+ * @param {String} prefix     - A prefix to use to group objects
+ * @param {Number} limit      - An optional maximum number of objects to return
+ *                              (a positive integer)
+ * @param {String} marker     - An optional string to start listing from
+ * @param {Number} vnode      - Virtual node identifier
+ * @param {String} req_id     - Request identifier (used for every page)
+ * @param {Object} opts       - Optional object with properties "pageSize", the
+ *                              number of objects to request per page, and
+ *                              "delimiter" (see listObjects()), along with
+ *                              request options (see above), which apply to
+ *                              each page
+ */
+BucketsMdapiClient.prototype.listAllObjects =
+    function listAllObjects(owner, bucket_id, prefix, limit, marker, vnode,
+    req_id, opts) {
+    var self = this;
+
+    return (new listing.PaginatedListing({
+        'listPage': function (pageLimit, pageMarker) {
+            return (self.listObjects(owner, bucket_id, prefix, pageLimit,
+                pageMarker, vnode, req_id, rpcParams.requestOptions(opts)));
+        },
+        'pageSize': listing.listAllPageSize(opts),
+        'limit': listing.listLimit(limit),
+        'marker': marker || undefined,
+        'rollup': listing.listRollup(prefix, opts, marker) || undefined
+    }));
+};
+
+/**
+ * Lists the objects in a bucket across several vnodes
+ *
+ * Returns an object-mode stream that emits the objects from all of the given
+ * vnodes in a single sequence sorted by name, as though they were all stored
+ * on one vnode.  "limit" and "marker" apply to that merged sequence.  Each
+ * vnode is listed with a series of listObjects() requests.  See MergedListing
+ * in lib/listing.js.
+ *
+ * @param {String} owner      - Account owner
+ * @param {String} bucket_id  - Bucket id
+ * @param {String} prefix     - A prefix to use to group objects
+ * @param {Number} limit      - An optional maximum number of objects to return
+ *                              (a positive integer)
+ * @param {String} marker     - An optional string to start listing from
+ * @param {Array} vnodes      - Virtual node identifiers
+ * @param {String} req_id     - Request identifier (used for every page)
+ * @param {Object} opts       - Optional object with properties "pageSize", the
+ *                              number of objects to request per page,
+ *                              "concurrency", the maximum number of pages
+ *                              to request at once, and "delimiter" (see
+ *                              listObjects()), along with request options
+ *                              (see above), which apply to each page
+ */
+BucketsMdapiClient.prototype.listObjectsAcrossVnodes =
+    function listObjectsAcrossVnodes(owner, bucket_id, prefix, limit, marker,
+    vnodes, req_id, opts) {
+    var self = this;
+    var args = listing.mergedListingArgs(prefix, vnodes, limit, marker,
+        opts);
+
+    args.listPage = function (vnode, pageLimit, pageMarker) {
+        return (self.listObjects(owner, bucket_id, prefix, pageLimit,
+            pageMarker, vnode, req_id, rpcParams.requestOptions(opts)));
+    };
+
+    return (new listing.MergedListing(args));
+};
+
 /**
  * Deletes an object.
  *
@@ -861,25 +1857,255 @@ BucketsMdapiClient.prototype.listObjects =
  * @param {Object} conditions      - Object representing a set of conditional
  *                                   parameters.
  * @param {String} req_id          - Request identifier
- * @param {Function} cb            - callback
+ * @param {Object} opts            - request options (optional; see above)
+ * @param {Function} cb            - callback (optional; see promiseCall())
  */
 BucketsMdapiClient.prototype.deleteObject =
     function deleteObject(owner, bucket_id, name, vnode, conditions, req_id,
-    cb) {
+    opts, cb) {
+    if (rpcParams.isNamedForm(owner)) {
+        return (namedCall(this, deleteObject, 'deleteObject', arguments));
+    }
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (promiseCall(this, deleteObject, arguments));
+    }
+
+    assert.string(owner, 'owner');
+    assert.string(bucket_id, 'bucket_id');
+    assert.string(name, 'name');
+    assert.number(vnode, 'vnode');
+    assert.string(req_id, 'req_id');
+    assert.func(cb, 'callback');
+
+    var self = this;
+    var err = argumentError(function () {
+        conditions = conds.normalizeConditions(conditions);
+    });
+
+    if (err !== null) {
+        setImmediate(cb, err);
+        return (undefined);
+    }
+
+    this.withRetries('deleteObject', req_id, opts, conditions,
+        function deleteObjectAttempt(attemptcb) {
+        var rpcctx = self.ctxCreateForCallback(attemptcb, opts);
+        if (rpcctx) {
+            objects.deleteObject(rpcctx, owner, bucket_id, name, vnode,
+                conditions, req_id, self.makeReleaseCb(rpcctx, attemptcb));
+        }
+    }, cb);
+};
+
+/**
+ * Copies an object's metadata to a new name in the same bucket
+ *
+ * The new object has the same object id, content length, MD5, content type,
+ * headers, sharks, and properties as the source.  It is created only if no
+ * object exists with the new name, unless "opts.overwrite" is true.  The
+ * source is fetched with the given "conditions", if any.  See lib/copy.js.
+ *
+ * @param {String} owner      - Account owner
+ * @param {String} bucket_id  - Bucket id
+ * @param {String} name       - Object key name
+ * @param {Number} vnode      - Virtual node identifier for the source
+ * @param {String} new_name   - Object key name for the copy
+ * @param {Number} new_vnode  - Virtual node identifier for the copy
+ * @param {Object} conditions - Conditions for fetching the source (optional)
+ * @param {String} req_id     - Request identifier (used for every request)
+ * @param {Object} opts       - Optional object with property "overwrite",
+ *                              along with request options (see above), which
+ *                              apply to each request
+ * @param {Function} cb       - callback (optional; see promiseCall())
+ */
+BucketsMdapiClient.prototype.copyObject =
+    function copyObject(owner, bucket_id, name, vnode, new_name, new_vnode,
+    conditions, req_id, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (promiseCall(this, copyObject, arguments));
+    }
+
+    this.copyOrRename(false, owner, bucket_id, name, vnode, new_name,
+        new_vnode, conditions, req_id, opts, cb);
+};
+
+/**
+ * Renames an object within a bucket
+ *
+ * Copies the object as copyObject() does and then deletes the source, provided
+ * that it has not changed since it was copied.  If it has changed (or has
+ * been deleted) in the meantime, the copy is rolled back and the error from
+ * deleting the source is returned.  See lib/copy.js.
+ *
+ * The arguments are the same as for copyObject().
+ */
+BucketsMdapiClient.prototype.renameObject =
+    function renameObject(owner, bucket_id, name, vnode, new_name, new_vnode,
+    conditions, req_id, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (promiseCall(this, renameObject, arguments));
+    }
+
+    this.copyOrRename(true, owner, bucket_id, name, vnode, new_name,
+        new_vnode, conditions, req_id, opts, cb);
+};
+
+/*
+ * Common implementation of copyObject() and renameObject().
+ */
+BucketsMdapiClient.prototype.copyOrRename =
+    function copyOrRename(rename, owner, bucket_id, name, vnode, new_name,
+    new_vnode, conditions, req_id, opts, cb) {
+    var self = this;
+    var overwrite, reqopts, err;
 
     assert.string(owner, 'owner');
     assert.string(bucket_id, 'bucket_id');
     assert.string(name, 'name');
     assert.number(vnode, 'vnode');
+    assert.string(new_name, 'new_name');
+    assert.number(new_vnode, 'new_vnode');
     assert.string(req_id, 'req_id');
-    assert.optionalObject(conditions, 'conditions');
     assert.func(cb, 'callback');
+    overwrite = copy.copyOverwrite(opts);
+    reqopts = rpcParams.requestOptions(opts);
 
-    var rpcctx = this.ctxCreateForCallback(cb);
-    if (rpcctx) {
-        objects.deleteObject(rpcctx, owner, bucket_id, name, vnode,
-            conditions, req_id, this.makeReleaseCb(rpcctx, cb));
+    err = argumentError(function () {
+        conditions = conds.normalizeConditions(conditions);
+    });
+
+    if (err !== null) {
+        setImmediate(cb, err);
+        return;
     }
+
+    copy.copyObject({
+        'log': this.log,
+        'source': { 'bucket_id': bucket_id, 'name': name, 'vnode': vnode },
+        'dest': { 'bucket_id': bucket_id, 'name': new_name,
+            'vnode': new_vnode },
+        'conditions': conditions,
+        'overwrite': overwrite,
+        'rename': rename,
+        'getObject': function (loc, c, gcb) {
+            self.getObject(owner, loc.bucket_id, loc.name, loc.vnode, c,
+                req_id, reqopts, gcb);
+        },
+        'createObject': function (loc, r, ccb) {
+            self.createObject(owner, loc.bucket_id, loc.name, r.object_id,
+                r.content_length, r.content_md5, r.content_type, r.headers,
+                r.sharks, r.props, loc.vnode, r.conditions, req_id, reqopts,
+                ccb);
+        },
+        'deleteObject': function (loc, c, dcb) {
+            self.deleteObject(owner, loc.bucket_id, loc.name, loc.vnode, c,
+                req_id, reqopts, dcb);
+        }
+    }, cb);
+};
+
+/**
+ * Deletes many objects in a bucket
+ *
+ * Returns an object-mode stream that emits the result of deleting each object
+ * ("deleted", "not-found", "precondition-failed", or "error").  Each object is
+ * deleted with a separate deleteObject() request, with at most "concurrency"
+ * outstanding at once.  See BulkDelete in lib/bulk.js.
+ *
+ * @param {String} owner      - Account owner
+ * @param {String} bucket_id  - Bucket id
+ * @param {Array} keys        - Objects to delete, each with properties "name",
+ *                              "vnode", and "conditions" (optional)
+ * @param {String} req_id     - Request identifier (used for every delete)
+ * @param {Object} opts       - Optional object with properties "concurrency",
+ *                              the maximum number of deletes to send at once
+ *                              (default: 10), and "stopOnError", whether to
+ *                              stop after the first failed delete, along with
+ *                              request options (see above), which apply to
+ *                              each delete
+ */
+BucketsMdapiClient.prototype.deleteObjects =
+    function deleteObjects(owner, bucket_id, keys, req_id, opts) {
+    var self = this;
+    var args, reqopts;
+
+    assert.string(owner, 'owner');
+    assert.string(bucket_id, 'bucket_id');
+    assert.string(req_id, 'req_id');
+    args = bulk.bulkDeleteArgs(keys, opts);
+    args.keys.forEach(function (key, i) {
+        assert.number(key.vnode, 'keys[' + i + '].vnode');
+    });
+    reqopts = rpcParams.requestOptions(opts);
+
+    args.log = this.log;
+    args.deleteKey = function (key, cb) {
+        self.deleteObject(owner, bucket_id, key.name, key.vnode,
+            key.conditions, req_id, reqopts, cb);
+    };
+
+    return (new bulk.BulkDelete(args));
+};
+
+/**
+ * Creates many objects
+ *
+ * Returns an object-mode Writable stream that creates an object for each
+ * record written to it, with at most "concurrency" createObject() requests
+ * outstanding at once.  Records have properties named after the arguments of
+ * createObject(), including "vnode".  The stream emits "failure" for each
+ * record that could not be created and "summary" once every record has been
+ * handled.  See BulkCreate in lib/bulk.js.
+ *
+ * Records are retried according to the client's retry policy if the request
+ * options mark them "idempotent" or their conditions make them safe to retry.
+ * Retries are counted in the summary.
+ *
+ * @param {String} req_id     - Request identifier (used for every create)
+ * @param {Object} opts       - Optional object with property "concurrency",
+ *                              the maximum number of creates to send at once
+ *                              (default: 10), along with request options (see
+ *                              above), which apply to each create
+ */
+BucketsMdapiClient.prototype.createObjects =
+    function createObjects(req_id, opts) {
+    var self = this;
+    var args, reqopts;
+
+    assert.string(req_id, 'req_id');
+    args = bulk.bulkCreateArgs(opts, true);
+    reqopts = rpcParams.requestOptions(opts);
+
+    args.log = this.log;
+    args.retryArgs = function (record) {
+        return (self.bulkRetryArgs('createObject', req_id, reqopts,
+            record.conditions));
+    };
+    args.createRecord = function (record, cb) {
+        self.createObject(record.owner, record.bucket_id, record.name,
+            record.object_id, record.content_length, record.content_md5,
+            record.content_type, record.headers, record.sharks, record.props,
+            record.vnode, record.conditions, req_id,
+            jsprim.mergeObjects(reqopts, { 'retry': false }), cb);
+    };
+
+    return (new bulk.BulkCreate(args));
 };
 
 /**
@@ -893,17 +2119,20 @@ BucketsMdapiClient.prototype.deleteObject =
  * so a DB-level check is performed on the server.
  *
  * @param {Object} opts   - request parameters
- * @return {EventEmitter} - listen for 'record', 'end' and 'error'
+ * @param {Function} cb   - callback (optional; see promiseCall())
  */
 BucketsMdapiClient.prototype.ping = function _ping(opts, cb) {
     if (typeof (opts) === 'function') {
         cb = opts;
         opts = {};
     }
+    if (cb === undefined) {
+        return (promiseCall(this, _ping, [ opts || {} ]));
+    }
     assert.object(opts, 'options');
     assert.func(cb, 'callback');
 
-    var rpcctx = this.ctxCreateForCallback(cb);
+    var rpcctx = this.ctxCreateForCallback(cb, opts);
     if (rpcctx)
         meta.ping(rpcctx, opts, this.makeReleaseCb(rpcctx, cb));
 };
@@ -915,17 +2144,20 @@ BucketsMdapiClient.prototype.ping = function _ping(opts, cb) {
  * the comment in meta.versionInternal().
  *
  * @param {Object} opts   - request parameters
- * @param {Function} cb   - callback
+ * @param {Function} cb   - callback (optional; see promiseCall())
  */
 BucketsMdapiClient.prototype.versionInternal = function _version(opts, cb) {
     if (typeof (opts) === 'function') {
         cb = opts;
         opts = {};
     }
+    if (cb === undefined) {
+        return (promiseCall(this, _version, [ opts || {} ]));
+    }
     assert.object(opts, 'options');
     assert.func(cb, 'callback');
 
-    var rpcctx = this.ctxCreateForCallback(cb);
+    var rpcctx = this.ctxCreateForCallback(cb, opts);
     if (rpcctx)
         meta.versionInternal(rpcctx, opts, this.makeReleaseCb(rpcctx, cb));
 };
@@ -935,36 +2167,50 @@ BucketsMdapiClient.prototype.versionInternal = function _version(opts, cb) {
  * Gets a batch of garbage.
  *
  * @param {String} request_id   - request uuid
- * @param {Function} cb         - callback
+ * @param {Object} opts         - request options (optional; see above)
+ * @param {Function} cb         - callback (optional; see promiseCall())
  */
-BucketsMdapiClient.prototype.getGCBatch = function getGCBatch(request_id, cb) {
-    assert.uuid(request_id, 'request_id');
-    assert.func(cb, 'cb');
-
-    var arg = {};
-    var callback;
-    var log;
-    var opts = {};
-    var rpcctx;
+BucketsMdapiClient.prototype.getGCBatch =
+    function getGCBatch(request_id, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
 
-    rpcctx = this.ctxCreateForCallback(cb);
-    opts.req_id = request_id;
+    if (cb === undefined) {
+        return (promiseCall(this, getGCBatch, arguments));
+    }
 
-    if (rpcctx) {
-        callback = this.makeReleaseCb(rpcctx, cb);
-        log = rpc.childLogger(rpcctx, opts);
+    assert.uuid(request_id, 'request_id');
+    assert.func(cb, 'cb');
 
-        arg = {
-            request_id: request_id
-        };
+    var self = this;
 
-        rpc.rpcCommonSingleMessage({
-            rpcctx: rpcctx,
-            rpcmethod: 'getgcbatch',
-            rpcargs: [arg],
-            log: log
-        }, callback);
-    }
+    this.withRetries('getGCBatch', request_id, opts, null,
+        function getGCBatchAttempt(attemptcb) {
+        var arg, callback, log, rpcctx;
+        var logopts = {};
+
+        rpcctx = self.ctxCreateForCallback(attemptcb, opts);
+        logopts.req_id = request_id;
+
+        if (rpcctx) {
+            callback = self.makeReleaseCb(rpcctx, attemptcb);
+            log = rpc.childLogger(rpcctx, logopts);
+
+            arg = {
+                request_id: request_id
+            };
+
+            rpc.rpcCommonSingleMessage({
+                rpcctx: rpcctx,
+                req_id: request_id,
+                rpcmethod: 'getgcbatch',
+                rpcargs: [arg],
+                log: log
+            }, callback);
+        }
+    }, cb);
 };
 
 /* BEGIN JSSTYLED */
@@ -973,40 +2219,53 @@ BucketsMdapiClient.prototype.getGCBatch = function getGCBatch(request_id, cb) {
  *
  * @param {String} batch_id     - batch id previously returned by getGCBatch
  * @param {String} request_id   - request uuid
- * @param {Function} cb         - callback
+ * @param {Object} opts         - request options (optional; see above)
+ * @param {Function} cb         - callback (optional; see promiseCall())
  */
 /* END JSSTYLED */
 BucketsMdapiClient.prototype.deleteGCBatch =
-function deleteGCBatch(batch_id, request_id, cb) {
+function deleteGCBatch(batch_id, request_id, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (promiseCall(this, deleteGCBatch, arguments));
+    }
+
     assert.uuid(batch_id, 'batch_id');
     assert.uuid(request_id, 'request_id');
     assert.func(cb, 'cb');
 
-    var arg = {};
-    var log;
-    var rpcctx;
-    var opts = {};
-    var callback;
-
-    rpcctx = this.ctxCreateForCallback(cb);
-    opts.req_id = request_id;
-
-    if (rpcctx) {
-        callback = this.makeReleaseCb(rpcctx, cb);
-        log = rpc.childLogger(rpcctx, opts);
-
-        arg = {
-            batch_id: batch_id,
-            request_id: request_id
-        };
+    var self = this;
 
-        rpc.rpcCommonSingleMessage({
-            rpcctx: rpcctx,
-            rpcmethod: 'deletegcbatch',
-            rpcargs: [arg],
-            log: log
-        }, callback);
-    }
+    this.withRetries('deleteGCBatch', request_id, opts, null,
+        function deleteGCBatchAttempt(attemptcb) {
+        var arg, callback, log, rpcctx;
+        var logopts = {};
+
+        rpcctx = self.ctxCreateForCallback(attemptcb, opts);
+        logopts.req_id = request_id;
+
+        if (rpcctx) {
+            callback = self.makeReleaseCb(rpcctx, attemptcb);
+            log = rpc.childLogger(rpcctx, logopts);
+
+            arg = {
+                batch_id: batch_id,
+                request_id: request_id
+            };
+
+            rpc.rpcCommonSingleMessage({
+                rpcctx: rpcctx,
+                req_id: request_id,
+                rpcmethod: 'deletegcbatch',
+                rpcargs: [arg],
+                log: log
+            }, callback);
+        }
+    }, cb);
 };
 
 
@@ -1026,6 +2285,9 @@ function BucketsMdapiRpcContext(args) {
     assert.number(args.id, 'args.id');
     assert.object(args.connection, 'args.connection');
     assert.object(args.bucketsMdapiClient, 'args.bucketsMdapiClient');
+    assert.optionalNumber(args.timeout, 'args.timeout');
+    assert.optionalObject(args.signal, 'args.signal');
+    assert.optionalBool(args.raw, 'args.raw');
 
     /*
      * There's no mechanism in place to stop us from reaching this limit, but
@@ -1037,6 +2299,10 @@ function BucketsMdapiRpcContext(args) {
     this.mc_id = args.id;
     this.mc_conn = args.connection;
     this.mc_buckets_mdapi = args.bucketsMdapiClient;
+    this.mc_timeout = args.timeout || undefined;    /* request timeout (ms) */
+    this.mc_signal = args.signal || null;           /* caller's AbortSignal */
+    this.mc_raw = args.raw;                         /* "raw" request option */
+    this.mc_succeeded = undefined;                  /* RPC outcome, if known */
 }
 
 BucketsMdapiRpcContext.prototype.fastClient = function fastClient() {
@@ -1047,11 +2313,57 @@ BucketsMdapiRpcContext.prototype.socketAddrs = function socketAddrs() {
     return (this.mc_conn.connection().socketAddrs());
 };
 
+/*
+ * Returns the key identifying the connection used for this request.  See
+ * connAlloc() in lib/pool.js.
+ */
+BucketsMdapiRpcContext.prototype.connectionKey = function connectionKey() {
+    return (this.mc_conn.key());
+};
+
+/*
+ * Returns the timeout for this request, in milliseconds, or undefined if the
+ * request has no timeout.
+ */
+BucketsMdapiRpcContext.prototype.timeout = function timeout() {
+    return (this.mc_timeout);
+};
+
+/*
+ * Returns the AbortSignal for this request, or null if the caller did not
+ * provide one.
+ */
+BucketsMdapiRpcContext.prototype.signal = function signal() {
+    return (this.mc_signal);
+};
+
+/*
+ * Records whether the RPC succeeded, for the connection pool's circuit
+ * breakers.  See rpcCommon() in lib/rpc.js.
+ */
+BucketsMdapiRpcContext.prototype.recordOutcome =
+    function recordOutcome(succeeded) {
+    assert.bool(succeeded, 'succeeded');
+    this.mc_succeeded = succeeded;
+};
+
 BucketsMdapiRpcContext.prototype.unwrapErrors = function unwrapErrors() {
     assert.bool(this.mc_buckets_mdapi.unwrapErrors);
     return (this.mc_buckets_mdapi.unwrapErrors);
 };
 
+/*
+ * Returns true if the records returned by this request should not be
+ * normalized.  See "Result normalization" in lib/rpc.js.
+ */
+BucketsMdapiRpcContext.prototype.rawResults = function rawResults() {
+    if (this.mc_raw !== undefined) {
+        return (this.mc_raw);
+    }
+
+    return (!this.mc_buckets_mdapi.normalizeResults);
+};
+
 BucketsMdapiRpcContext.prototype.createLog = function createLog(options) {
     assert.optionalObject(options, 'options');
     options = jsprim.deepCopy(options || {});
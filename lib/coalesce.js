@@ -0,0 +1,162 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/coalesce.js: coalescing of concurrent identical reads.  When many
+ * callers ask for the same bucket or object at the same time (e.g., during a
+ * spike in traffic for a hot object), there is no need to send the server one
+ * request for each of them.  Instead, the first caller's request is sent, and
+ * callers that ask for the same thing while it is outstanding wait for it and
+ * receive the same result.  This is sometimes called "single-flight".
+ */
+
+var assert = require('assert-plus');
+
+
+///--- Globals
+
+/*
+ * Name of the artedi counter used to count coalesced requests.  See
+ * coalesceCounter().
+ */
+var coalesceCounterName = 'buckets_mdapi_coalesced_requests';
+
+
+///--- Helpers
+
+/*
+ * Returns a deep copy of "value", a result returned by one of the read RPCs,
+ * so that each caller sharing a coalesced request gets its own copy.  Results
+ * consist of plain objects, arrays, Dates (see "Result normalization" in
+ * lib/rpc.js), and primitive values.
+ */
+function copyResult(value) {
+    var rv;
+
+    if (typeof (value) !== 'object' || value === null) {
+        return (value);
+    }
+
+    if (value instanceof Date) {
+        return (new Date(value.getTime()));
+    }
+
+    if (Array.isArray(value)) {
+        return (value.map(copyResult));
+    }
+
+    rv = {};
+    Object.keys(value).forEach(function (key) {
+        rv[key] = copyResult(value[key]);
+    });
+    return (rv);
+}
+
+
+///--- API
+
+/*
+ * A Coalescer tracks the outstanding requests that later identical requests
+ * may join.  Named arguments:
+ *
+ *     log          bunyan logger
+ *     (object)
+ *
+ *     counter      artedi counter from coalesceCounter(), incremented with
+ *     (object)     label "method" for each request that joins an outstanding
+ *                  one rather than being sent [optional]
+ */
+function Coalescer(args) {
+    assert.object(args, 'args');
+    assert.object(args.log, 'args.log');
+    assert.optionalObject(args.counter, 'args.counter');
+
+    this.co_log = args.log;
+    this.co_counter = args.counter || null;
+    this.co_inflight = {};      /* callbacks for outstanding requests, by key */
+}
+
+/*
+ * Makes a request that may be coalesced with other requests for the same
+ * "key", which must identify everything that affects the result (including
+ * "method").  If a request for "key" is already outstanding, "callback" is
+ * invoked with its result.  Otherwise, "start" is invoked as start(callback)
+ * to send the request, and every callback waiting for it is invoked with the
+ * result in the order in which the requests were made.  Each callback is
+ * invoked separately (so that one that throws does not prevent the others
+ * from being invoked) and, except for the first, with its own copy of the
+ * result.  If "start" throws, no request is outstanding, so the exception is
+ * rethrown to the caller and later requests for "key" are sent as usual.
+ */
+Coalescer.prototype.call = function call(method, key, start, callback) {
+    var self = this;
+    var waiters;
+
+    assert.string(method, 'method');
+    assert.string(key, 'key');
+    assert.func(start, 'start');
+    assert.func(callback, 'callback');
+
+    if (this.co_inflight.hasOwnProperty(key)) {
+        this.co_inflight[key].push(callback);
+        this.co_log.trace({
+            'method': method,
+            'nwaiters': this.co_inflight[key].length
+        }, 'coalesced request');
+        if (this.co_counter !== null) {
+            this.co_counter.increment({ 'method': method });
+        }
+        return;
+    }
+
+    waiters = [ callback ];
+    this.co_inflight[key] = waiters;
+    try {
+        start(function onCoalescedRequestDone(err, result) {
+            assert.strictEqual(self.co_inflight[key], waiters);
+            delete (self.co_inflight[key]);
+            waiters.forEach(function (cb, i) {
+                setImmediate(cb, err, i === 0 ? result : copyResult(result));
+            });
+        });
+    } catch (ex) {
+        if (this.co_inflight[key] === waiters) {
+            delete (this.co_inflight[key]);
+        }
+        throw (ex);
+    }
+};
+
+/*
+ * Returns the number of distinct requests currently outstanding.
+ */
+Coalescer.prototype.inflight = function inflight() {
+    return (Object.keys(this.co_inflight).length);
+};
+
+/*
+ * Returns the artedi counter used to count coalesced requests for the given
+ * collector.
+ */
+function coalesceCounter(collector) {
+    return (collector.counter({
+        'name': coalesceCounterName,
+        'help': 'buckets-mdapi requests coalesced with an identical ' +
+            'outstanding request, by method'
+    }));
+}
+
+
+///--- Exports
+
+module.exports = {
+    Coalescer: Coalescer,
+    coalesceCounter: coalesceCounter
+};
@@ -0,0 +1,193 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/conditions.js: build and validate the conditions for conditional
+ * requests.  createObject(), updateObject(), getObject(), and deleteObject()
+ * accept a "conditions" object that the server evaluates before carrying out
+ * the request.  The server expects these properties:
+ *
+ *     if-match                 array of etags (object ids), or [ "*" ] to
+ *     if-none-match            match any object
+ *
+ *     if-modified-since        ISO 8601 timestamp
+ *     if-unmodified-since
+ *
+ * A misspelled condition would otherwise be ignored by the server, turning a
+ * conditional request into an unconditional one, so we reject unknown
+ * conditions (and malformed values) before the request is sent.
+ */
+
+var assert = require('assert-plus');
+
+var errors = require('./errors');
+
+
+///--- Globals
+
+/*
+ * Supported conditions, with the function that normalizes each one's value,
+ * and the equivalent option names accepted by buildConditions().
+ */
+var condNormalizers = {
+    'if-match': normalizeEtags,
+    'if-none-match': normalizeEtags,
+    'if-modified-since': normalizeDate,
+    'if-unmodified-since': normalizeDate
+};
+
+var condOptionNames = {
+    'ifMatch': 'if-match',
+    'ifNoneMatch': 'if-none-match',
+    'ifModifiedSince': 'if-modified-since',
+    'ifUnmodifiedSince': 'if-unmodified-since'
+};
+
+
+///--- Helpers
+
+function conditionError(cond, message) {
+    return (new errors.InvalidArgumentError({
+        'argument': 'conditions',
+        'message': 'condition "' + cond + '": ' + message
+    }));
+}
+
+/*
+ * Normalizes a list of etags, which may be an array of strings or a string
+ * containing a comma-separated list (as in an HTTP header).  Each etag may be
+ * quoted.  "*" matches any object, and may not be combined with other etags.
+ */
+function normalizeEtags(cond, value) {
+    var etags;
+
+    if (typeof (value) === 'string') {
+        etags = value.split(',');
+    } else if (Array.isArray(value)) {
+        etags = value.slice();
+    } else {
+        throw (conditionError(cond, 'expected a string or array of strings'));
+    }
+
+    etags = etags.map(function (etag) {
+        if (typeof (etag) !== 'string') {
+            throw (conditionError(cond, 'expected etags to be strings'));
+        }
+
+        etag = etag.trim();
+        if (etag.length >= 2 && etag.charAt(0) === '"' &&
+            etag.charAt(etag.length - 1) === '"') {
+            etag = etag.substr(1, etag.length - 2);
+        }
+
+        if (etag.length === 0) {
+            throw (conditionError(cond, 'empty etag'));
+        }
+
+        return (etag);
+    });
+
+    if (etags.length === 0) {
+        throw (conditionError(cond, 'expected at least one etag'));
+    }
+
+    if (etags.length > 1 && etags.indexOf('*') !== -1) {
+        throw (conditionError(cond,
+            '"*" may not be combined with other etags'));
+    }
+
+    return (etags);
+}
+
+/*
+ * Normalizes a timestamp, which may be a Date, a number of milliseconds since
+ * the epoch, or a string that Date can parse.
+ */
+function normalizeDate(cond, value) {
+    var date;
+
+    if (value instanceof Date) {
+        date = value;
+    } else if (typeof (value) === 'string' || typeof (value) === 'number') {
+        date = new Date(value);
+    } else {
+        throw (conditionError(cond, 'expected a Date, number, or string'));
+    }
+
+    if (isNaN(date.getTime())) {
+        throw (conditionError(cond, 'invalid date: "' + value + '"'));
+    }
+
+    return (date.toISOString());
+}
+
+
+///--- API
+
+/*
+ * Validates the "conditions" for a conditional request and returns them in
+ * the form that the server expects (see above).  Throws an InvalidArgumentError
+ * if any condition is unsupported or has an invalid value.  "conditions" may
+ * be null or undefined, in which case it is returned as-is.
+ */
+function normalizeConditions(conditions) {
+    var rv;
+
+    assert.optionalObject(conditions, 'conditions');
+    if (conditions === null || conditions === undefined) {
+        return (conditions);
+    }
+
+    rv = {};
+    Object.keys(conditions).forEach(function (cond) {
+        if (!condNormalizers.hasOwnProperty(cond)) {
+            throw (conditionError(cond, 'unsupported condition'));
+        }
+
+        if (conditions[cond] !== undefined) {
+            rv[cond] = condNormalizers[cond](cond, conditions[cond]);
+        }
+    });
+
+    return (rv);
+}
+
+/*
+ * Builds the "conditions" for a conditional request from named options
+ * "ifMatch", "ifNoneMatch", "ifModifiedSince", and "ifUnmodifiedSince", whose
+ * values are as described for normalizeConditions().  For example:
+ *
+ *     buildConditions({ 'ifMatch': etag, 'ifUnmodifiedSince': new Date() })
+ */
+function buildConditions(options) {
+    var conditions = {};
+
+    assert.object(options, 'options');
+    Object.keys(options).forEach(function (name) {
+        if (!condOptionNames.hasOwnProperty(name)) {
+            throw (new errors.InvalidArgumentError({
+                'argument': 'options',
+                'message': 'unsupported condition option "' + name + '"'
+            }));
+        }
+
+        conditions[condOptionNames[name]] = options[name];
+    });
+
+    return (normalizeConditions(conditions));
+}
+
+
+///--- Exports
+
+module.exports = {
+    buildConditions: buildConditions,
+    normalizeConditions: normalizeConditions
+};
@@ -0,0 +1,240 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/copy.js: copy and rename objects.  The server has no RPC for either, so
+ * we fetch the source object's metadata, create an object with the same
+ * metadata at the destination (which may be on a different vnode), and, for a
+ * rename, delete the source.  Other clients may be modifying either object at
+ * the same time, so each step is conditional on the state we saw in the
+ * previous ones:
+ *
+ *   - The destination is created with "if-none-match: *" (or, when
+ *     overwriting, "if-match" on the destination object we found), so that we
+ *     never replace an object that we haven't seen.
+ *
+ *   - The source is deleted with "if-match" on its etag (its object id), so
+ *     that we never delete a version of the source that we didn't copy.
+ *
+ *   - If the source delete fails because the source has changed or is gone,
+ *     another client got there first, and we roll back the destination
+ *     (again conditional on it still being our copy): we delete it, or, if
+ *     we overwrote an object, restore that object's metadata.
+ */
+
+var assert = require('assert-plus');
+var VError = require('verror');
+
+var errors = require('./errors');
+
+
+///--- Helpers
+
+/*
+ * Returns the arguments for createObject() that recreate the object described
+ * by "obj", a record returned by getObject(), along with "conditions".
+ */
+function copyRecord(obj, conditions) {
+    return ({
+        'object_id': obj.id,
+        'content_length': obj.content_length,
+        'content_md5': obj.content_md5,
+        'content_type': obj.content_type,
+        'headers': obj.headers,
+        'sharks': obj.sharks,
+        'props': obj.properties,
+        'conditions': conditions
+    });
+}
+
+/*
+ * Returns true if "err" indicates that a conditional request failed because
+ * another client modified or removed the object.
+ */
+function lostRace(err) {
+    return (errors.hasCause(err, errors.PreconditionFailedError) ||
+        errors.hasCause(err, errors.ObjectNotFoundError));
+}
+
+
+///--- API
+
+/*
+ * Copies an object, or renames it if "rename" is true, as described above.
+ * "callback" is invoked with the result of creating the destination object,
+ * or with an InvalidArgumentError if the source and destination are the same.
+ * If the rename fails after the destination was created, the destination is
+ * rolled back only if the source delete failed because of a concurrent change
+ * (in which case the error from that delete is reported).  For other errors
+ * (e.g., a timeout), we cannot tell whether the source was deleted, so the
+ * copy is left in place.  If the rollback itself fails, we report a
+ * RollbackError whose cause is the rollback failure.
+ *
+ * Named arguments:
+ *
+ *     log          bunyan logger
+ *     (object)
+ *
+ *     source       the source and destination objects, each an object with
+ *     dest         properties "bucket_id", "name", and "vnode"
+ *     (object)
+ *
+ *     conditions   conditions for fetching the source object [optional]
+ *     (object)
+ *
+ *     overwrite    replace an existing destination object
+ *     (boolean)
+ *
+ *     rename       delete the source object once it has been copied
+ *     (boolean)
+ *
+ *     getObject    function invoked as getObject(loc, conditions, callback)
+ *     (function)   to fetch the object at "loc" (one of "source" or "dest")
+ *
+ *     createObject function invoked as createObject(loc, record, callback) to
+ *     (function)   create an object, where "record" has properties named
+ *                  after the arguments of createObject() ("object_id",
+ *                  "content_length", and so on, including "conditions")
+ *
+ *     deleteObject function invoked as deleteObject(loc, conditions,
+ *     (function)   callback) to delete an object
+ */
+function copyObject(args, callback) {
+    var log, source, dest, src, prev;
+
+    assert.object(args, 'args');
+    assert.object(args.log, 'args.log');
+    assert.object(args.source, 'args.source');
+    assert.object(args.dest, 'args.dest');
+    assert.optionalObject(args.conditions, 'args.conditions');
+    assert.bool(args.overwrite, 'args.overwrite');
+    assert.bool(args.rename, 'args.rename');
+    assert.func(args.getObject, 'args.getObject');
+    assert.func(args.createObject, 'args.createObject');
+    assert.func(args.deleteObject, 'args.deleteObject');
+    assert.func(callback, 'callback');
+
+    log = args.log;
+    source = args.source;
+    dest = args.dest;
+
+    if (source.bucket_id === dest.bucket_id && source.name === dest.name) {
+        setImmediate(callback, new errors.InvalidArgumentError({
+            'argument': 'new_name',
+            'message': 'source and destination are the same object'
+        }));
+        return;
+    }
+
+    args.getObject(source, args.conditions, function (err, obj) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        src = obj;
+        if (!args.overwrite) {
+            prev = null;
+            create();
+            return;
+        }
+
+        args.getObject(dest, null, function (derr, dobj) {
+            if (derr && !errors.hasCause(derr, errors.ObjectNotFoundError)) {
+                callback(derr);
+                return;
+            }
+
+            prev = derr ? null : dobj;
+            create();
+        });
+    });
+
+    function create() {
+        var conditions = prev === null ?
+            { 'if-none-match': [ '*' ] } : { 'if-match': [ prev.id ] };
+
+        args.createObject(dest, copyRecord(src, conditions),
+            function (err, created) {
+            if (err || !args.rename) {
+                callback(err, created);
+                return;
+            }
+
+            args.deleteObject(source, { 'if-match': [ src.id ] },
+                function (delerr) {
+                if (!delerr) {
+                    callback(null, created);
+                } else if (lostRace(delerr)) {
+                    rollback(delerr);
+                } else {
+                    log.warn({
+                        'err': delerr,
+                        'source': source,
+                        'dest': dest
+                    }, 'rename: failed to delete source; leaving copy');
+                    callback(delerr);
+                }
+            });
+        });
+    }
+
+    function rollback(delerr) {
+        var conditions = { 'if-match': [ src.id ] };
+
+        log.warn({
+            'err': delerr,
+            'source': source,
+            'dest': dest,
+            'restore': prev !== null
+        }, 'rename: source changed; rolling back destination');
+
+        function onRollback(rberr) {
+            if (rberr) {
+                callback(new VError({
+                    'name': 'RollbackError',
+                    'cause': rberr,
+                    'info': {
+                        'source': source,
+                        'dest': dest
+                    }
+                }, 'failed to roll back rename after "%s"', delerr.message));
+                return;
+            }
+
+            callback(delerr);
+        }
+
+        if (prev === null) {
+            args.deleteObject(dest, conditions, onRollback);
+        } else {
+            args.createObject(dest, copyRecord(prev, conditions), onRollback);
+        }
+    }
+}
+
+/*
+ * Validates the options accepted by the client's copyObject() and
+ * renameObject() methods and returns whether to overwrite the destination.
+ */
+function copyOverwrite(options) {
+    assert.optionalObject(options, 'options');
+    options = options || {};
+    assert.optionalBool(options.overwrite, 'options.overwrite');
+    return (options.overwrite ? true : false);
+}
+
+
+///--- Exports
+
+module.exports = {
+    copyObject: copyObject,
+    copyOverwrite: copyOverwrite
+};
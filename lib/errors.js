@@ -0,0 +1,345 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/errors.js: error classes produced by the buckets-mdapi client.  Some of
+ * these describe failures in the client itself (e.g., TimeoutError), while
+ * others represent errors reported by the server in its response to a request
+ * (e.g., ObjectNotFoundError).  Each of these is a VError with a distinct
+ * "name", so callers may identify them either with "instanceof" or with
+ * VError.findCauseByName().  Additional context is available both as
+ * properties of the error and through VError.info().
+ */
+
+var util = require('util');
+
+var assert = require('assert-plus');
+var VError = require('verror');
+
+
+///--- API
+
+/*
+ * TimeoutError is produced when an RPC does not complete within its timeout.
+ * Named arguments:
+ *
+ *     cause        underlying error reported by the Fast client
+ *     (Error)
+ *
+ *     rpcmethod    name of the RPC that timed out
+ *     (string)
+ *
+ *     req_id       request identifier [optional]
+ *     (string)
+ *
+ *     timeout      timeout that was exceeded, in milliseconds
+ *     (number)
+ *
+ *     addrs        local and remote addresses of the connection used for the
+ *     (object)     request (see BucketsMdapiRpcContext.socketAddrs())
+ */
+function TimeoutError(args) {
+    assert.object(args, 'args');
+    assert.object(args.cause, 'args.cause');
+    assert.string(args.rpcmethod, 'args.rpcmethod');
+    assert.optionalString(args.req_id, 'args.req_id');
+    assert.number(args.timeout, 'args.timeout');
+    assert.object(args.addrs, 'args.addrs');
+
+    VError.call(this, {
+        'name': 'TimeoutError',
+        'cause': args.cause,
+        'info': {
+            'rpcmethod': args.rpcmethod,
+            'req_id': args.req_id,
+            'timeout': args.timeout,
+            'local': args.addrs.local,
+            'remote': args.addrs.remote
+        }
+    }, 'buckets-mdapi request "%s" (req_id %s) to "%s" timed out after %dms',
+        args.rpcmethod, args.req_id || 'unknown', args.addrs.remote,
+        args.timeout);
+
+    this.rpcmethod = args.rpcmethod;
+    this.req_id = args.req_id;
+    this.timeout = args.timeout;
+    this.remote = args.addrs.remote;
+}
+
+util.inherits(TimeoutError, VError);
+
+/*
+ * AbortError is produced when the caller aborts a request using the AbortSignal
+ * passed in the request's "signal" option.  Named arguments:
+ *
+ *     cause        underlying error reported by the Fast client, if the
+ *     (Error)      request had been issued [optional]
+ *
+ *     rpcmethod    name of the RPC that was aborted
+ *     (string)
+ *
+ *     req_id       request identifier [optional]
+ *     (string)
+ *
+ *     addrs        local and remote addresses of the connection used for the
+ *     (object)     request (see BucketsMdapiRpcContext.socketAddrs())
+ */
+function AbortError(args) {
+    assert.object(args, 'args');
+    assert.optionalObject(args.cause, 'args.cause');
+    assert.string(args.rpcmethod, 'args.rpcmethod');
+    assert.optionalString(args.req_id, 'args.req_id');
+    assert.object(args.addrs, 'args.addrs');
+
+    VError.call(this, {
+        'name': 'AbortError',
+        'cause': args.cause,
+        'info': {
+            'rpcmethod': args.rpcmethod,
+            'req_id': args.req_id,
+            'local': args.addrs.local,
+            'remote': args.addrs.remote
+        }
+    }, 'buckets-mdapi request "%s" (req_id %s) to "%s" was aborted',
+        args.rpcmethod, args.req_id || 'unknown', args.addrs.remote);
+
+    this.rpcmethod = args.rpcmethod;
+    this.req_id = args.req_id;
+    this.remote = args.addrs.remote;
+}
+
+util.inherits(AbortError, VError);
+
+/*
+ * NoBackendsError is produced when a request cannot be made because no backend
+ * connection is available.  Named arguments:
+ *
+ *     reason       why no connection is available, if more specific than
+ *     (string)     that there are none [optional]
+ */
+function NoBackendsError(args) {
+    assert.optionalObject(args, 'args');
+    args = args || {};
+    assert.optionalString(args.reason, 'args.reason');
+
+    if (args.reason) {
+        VError.call(this, { 'name': 'NoBackendsError' },
+            'no connections available (%s)', args.reason);
+    } else {
+        VError.call(this, { 'name': 'NoBackendsError' },
+            'no connections available');
+    }
+}
+
+util.inherits(NoBackendsError, VError);
+
+/*
+ * ClientClosedError is produced when a request is made using a client that has
+ * been closed.
+ */
+function ClientClosedError() {
+    VError.call(this, { 'name': 'ClientClosedError' },
+        'buckets-mdapi client has been closed');
+}
+
+util.inherits(ClientClosedError, VError);
+
+/*
+ * InvalidArgumentError is produced when the client rejects an argument before
+ * making a request because the server would misinterpret it.  Named arguments:
+ *
+ *     argument     name of the invalid argument
+ *     (string)
+ *
+ *     message      description of the problem
+ *     (string)
+ */
+function InvalidArgumentError(args) {
+    assert.object(args, 'args');
+    assert.string(args.argument, 'args.argument');
+    assert.string(args.message, 'args.message');
+
+    VError.call(this, {
+        'name': 'InvalidArgumentError',
+        'info': {
+            'argument': args.argument
+        }
+    }, 'invalid argument "%s": %s', args.argument, args.message);
+
+    this.argument = args.argument;
+}
+
+util.inherits(InvalidArgumentError, VError);
+
+/*
+ * ServerError represents an error reported by the server in its response to a
+ * request.  The subclasses below represent specific errors that callers
+ * commonly need to handle.  The "name" of each of these errors is the name
+ * reported by the server (e.g., "ObjectNotFound"), as it was before these
+ * classes existed.  See serverError().  Named arguments:
+ *
+ *     name         name of the error, as reported by the server
+ *     (string)
+ *
+ *     message      message reported by the server
+ *     (string)
+ *
+ *     rpcmethod    name of the RPC that failed
+ *     (string)
+ *
+ *     req_id       request identifier [optional]
+ *     (string)
+ *
+ *     owner        account owner from the request [optional]
+ *     (string)
+ *
+ *     bucket       bucket from the request: its name, for bucket RPCs, or its
+ *     (string)     id, for object RPCs [optional]
+ *
+ *     key          object name from the request [optional]
+ *     (string)
+ *
+ *     addrs        local and remote addresses of the connection used for the
+ *     (object)     request (see BucketsMdapiRpcContext.socketAddrs())
+ */
+function ServerError(args) {
+    assert.object(args, 'args');
+    assert.string(args.name, 'args.name');
+    assert.string(args.message, 'args.message');
+    assert.string(args.rpcmethod, 'args.rpcmethod');
+    assert.optionalString(args.req_id, 'args.req_id');
+    assert.optionalString(args.owner, 'args.owner');
+    assert.optionalString(args.bucket, 'args.bucket');
+    assert.optionalString(args.key, 'args.key');
+    assert.object(args.addrs, 'args.addrs');
+
+    VError.call(this, {
+        'name': args.name,
+        'info': {
+            'rpcmethod': args.rpcmethod,
+            'req_id': args.req_id,
+            'owner': args.owner,
+            'bucket': args.bucket,
+            'key': args.key,
+            'local': args.addrs.local,
+            'remote': args.addrs.remote
+        }
+    }, '%s', args.message);
+
+    this.rpcmethod = args.rpcmethod;
+    this.req_id = args.req_id;
+    this.owner = args.owner;
+    this.bucket = args.bucket;
+    this.key = args.key;
+    this.remote = args.addrs.remote;
+}
+
+util.inherits(ServerError, VError);
+
+/*
+ * The requested object does not exist.
+ */
+function ObjectNotFoundError(args) {
+    ServerError.call(this, args);
+}
+
+util.inherits(ObjectNotFoundError, ServerError);
+
+/*
+ * The requested bucket does not exist.
+ */
+function BucketNotFoundError(args) {
+    ServerError.call(this, args);
+}
+
+util.inherits(BucketNotFoundError, ServerError);
+
+/*
+ * The bucket to be created already exists.
+ */
+function BucketAlreadyExistsError(args) {
+    ServerError.call(this, args);
+}
+
+util.inherits(BucketAlreadyExistsError, ServerError);
+
+/*
+ * The request's conditions were not met.
+ */
+function PreconditionFailedError(args) {
+    ServerError.call(this, args);
+}
+
+util.inherits(PreconditionFailedError, ServerError);
+
+/*
+ * Classes for the errors reported by the server, by the name that the server
+ * uses.  Servers have reported some of these both with and without the "Error"
+ * suffix.
+ */
+var serverErrorClasses = {
+    'ObjectNotFound': ObjectNotFoundError,
+    'ObjectNotFoundError': ObjectNotFoundError,
+    'BucketNotFound': BucketNotFoundError,
+    'BucketNotFoundError': BucketNotFoundError,
+    'BucketAlreadyExists': BucketAlreadyExistsError,
+    'BucketAlreadyExistsError': BucketAlreadyExistsError,
+    'PreconditionFailed': PreconditionFailedError,
+    'PreconditionFailedError': PreconditionFailedError
+};
+
+/*
+ * Returns an error representing an error reported by the server.  "args" are
+ * the named arguments for ServerError.  The error is an instance of the class
+ * for its name, if there is one, or of ServerError otherwise.
+ */
+function serverError(args) {
+    var cls;
+
+    assert.object(args, 'args');
+    assert.string(args.name, 'args.name');
+
+    cls = serverErrorClasses.hasOwnProperty(args.name) ?
+        serverErrorClasses[args.name] : ServerError;
+    return (new cls(args));
+}
+
+/*
+ * Returns true if "err" or any of its causes is an instance of "cls".  Unlike
+ * VError.findCauseByName(), this recognizes the server errors above regardless
+ * of which name the server used.
+ */
+function hasCause(err, cls) {
+    for (; err; err = VError.cause(err)) {
+        if (err instanceof cls) {
+            return (true);
+        }
+    }
+
+    return (false);
+}
+
+
+///--- Exports
+
+module.exports = {
+    AbortError: AbortError,
+    BucketAlreadyExistsError: BucketAlreadyExistsError,
+    BucketNotFoundError: BucketNotFoundError,
+    ClientClosedError: ClientClosedError,
+    InvalidArgumentError: InvalidArgumentError,
+    NoBackendsError: NoBackendsError,
+    ObjectNotFoundError: ObjectNotFoundError,
+    PreconditionFailedError: PreconditionFailedError,
+    ServerError: ServerError,
+    TimeoutError: TimeoutError,
+    hasCause: hasCause,
+    serverError: serverError
+};
@@ -0,0 +1,315 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/hedge.js: hedged read requests.  A request that is sent to a slow backend
+ * waits for that backend, even if others could have responded sooner.  To
+ * reduce this tail latency, a client configured with a "requestHedge" policy
+ * sends a second copy of a read request (the "hedge") on a connection to a
+ * different backend if the first has not completed within the hedge delay.
+ * Whichever request succeeds first wins, and the other is abandoned.
+ *
+ * The hedge delay is either fixed or a percentile of the recent latencies of
+ * the same kind of request, so that only the slowest requests are hedged.
+ * Hedging is only used for reads, since sending a write twice could apply it
+ * twice.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+
+
+///--- Globals
+
+var dflHedgeDelay = 50;             /* milliseconds */
+
+/*
+ * Number of recent latencies kept for each method, and the number required
+ * before the percentile is used instead of the fixed delay.
+ */
+var hedgeLatencySamples = 100;
+var hedgeMinSamples = 20;
+
+/*
+ * Name of the artedi counter used to count hedged requests.  See hedgeCall().
+ */
+var hedgeCounterName = 'buckets_mdapi_hedged_requests';
+
+
+///--- API
+
+/*
+ * A HedgePolicy describes when read requests are hedged.  Named options:
+ *
+ *     delay        milliseconds to wait for a response before sending the
+ *     (number)     hedge (default: 50).  If "percentile" is specified, this
+ *                  is only used until enough latencies have been recorded.
+ *
+ *     percentile   if specified, the hedge is sent once the request has taken
+ *     (number)     longer than this percentile (between 0 and 100) of recent
+ *                  successful requests for the same method
+ */
+function HedgePolicy(options) {
+    assert.object(options, 'options');
+    assert.optionalNumber(options.delay, 'options.delay');
+    assert.optionalNumber(options.percentile, 'options.percentile');
+
+    this.hp_delay = typeof (options.delay) === 'number' ?
+        options.delay : dflHedgeDelay;
+    this.hp_percentile = typeof (options.percentile) === 'number' ?
+        options.percentile : null;
+    this.hp_latencies = {};     /* recent latencies, by method */
+
+    assert.ok(this.hp_delay > 0, 'delay must be positive');
+    assert.ok(this.hp_percentile === null ||
+        (this.hp_percentile > 0 && this.hp_percentile < 100),
+        'percentile must be between 0 and 100');
+}
+
+/*
+ * Returns the number of milliseconds to wait before hedging a request for
+ * "method".
+ */
+HedgePolicy.prototype.delay = function delay(method) {
+    var samples, sorted, idx;
+
+    if (this.hp_percentile === null ||
+        !this.hp_latencies.hasOwnProperty(method)) {
+        return (this.hp_delay);
+    }
+
+    samples = this.hp_latencies[method].hl_samples;
+    if (samples.length < hedgeMinSamples) {
+        return (this.hp_delay);
+    }
+
+    sorted = samples.slice().sort(function (a, b) { return (a - b); });
+    idx = Math.ceil(sorted.length * this.hp_percentile / 100) - 1;
+    return (Math.max(sorted[Math.max(idx, 0)], 1));
+};
+
+/*
+ * Records the latency of a successful request for "method".
+ */
+HedgePolicy.prototype.record = function record(method, latency) {
+    var hl;
+
+    if (this.hp_percentile === null) {
+        return;
+    }
+
+    if (!this.hp_latencies.hasOwnProperty(method)) {
+        this.hp_latencies[method] = { 'hl_samples': [], 'hl_next': 0 };
+    }
+
+    hl = this.hp_latencies[method];
+    if (hl.hl_samples.length < hedgeLatencySamples) {
+        hl.hl_samples.push(latency);
+    } else {
+        hl.hl_samples[hl.hl_next] = latency;
+        hl.hl_next = (hl.hl_next + 1) % hedgeLatencySamples;
+    }
+};
+
+/*
+ * A minimal stand-in for AbortSignal, used to abandon whichever of a hedged
+ * pair of requests loses.  See the "signal" request option in lib/client.js.
+ */
+function HedgeSignal() {
+    this.aborted = false;
+    this.hs_emitter = new EventEmitter();
+}
+
+HedgeSignal.prototype.addEventListener = function (name, listener) {
+    this.hs_emitter.on(name, listener);
+};
+
+HedgeSignal.prototype.removeEventListener = function (name, listener) {
+    this.hs_emitter.removeListener(name, listener);
+};
+
+HedgeSignal.prototype.abort = function () {
+    if (!this.aborted) {
+        this.aborted = true;
+        this.hs_emitter.emit('abort');
+    }
+};
+
+/*
+ * Returns the artedi counter used to count hedged requests for the given
+ * collector.
+ */
+function hedgeCounter(collector) {
+    return (collector.counter({
+        'name': hedgeCounterName,
+        'help': 'hedged buckets-mdapi requests, by method and result'
+    }));
+}
+
+/*
+ * Makes a hedged request.  "attempt" is invoked as attempt(signal, exclude,
+ * callback) to send one copy of the request.  It should send the request using
+ * the given AbortSignal on a connection to a backend other than that of the
+ * connection identified by "exclude" (if any; see connAlloc() in
+ * lib/pool.js), and return the key of the connection that it used, or
+ * null if no connection was available (in which case it must still invoke
+ * "callback" with an error).  "callback" is invoked with the result of the
+ * first copy to succeed, or of the last copy to fail.  Named arguments:
+ *
+ *     policy       HedgePolicy
+ *     (object)
+ *
+ *     log          bunyan logger
+ *     (object)
+ *
+ *     method       client method name, for logging and metrics
+ *     (string)
+ *
+ *     req_id       request identifier, for logging [optional]
+ *     (string)
+ *
+ *     signal       the caller's AbortSignal, if any [optional]
+ *     (object)
+ *
+ *     counter      artedi counter from hedgeCounter(), incremented for each
+ *     (object)     hedge sent with labels "method" and "result" ("won",
+ *                  "lost", or "failed" if neither copy succeeded) [optional]
+ */
+function hedgeCall(args, attempt, callback) {
+    var policy, start, attempts, timer, done, primary;
+
+    assert.object(args, 'args');
+    assert.ok(args.policy instanceof HedgePolicy, 'args.policy');
+    assert.object(args.log, 'args.log');
+    assert.string(args.method, 'args.method');
+    assert.optionalString(args.req_id, 'args.req_id');
+    assert.optionalObject(args.signal, 'args.signal');
+    assert.optionalObject(args.counter, 'args.counter');
+    assert.func(attempt, 'attempt');
+    assert.func(callback, 'callback');
+
+    policy = args.policy;
+    start = process.hrtime();
+    attempts = [];
+    timer = null;
+    done = false;
+
+    function onCallerAbort() {
+        if (timer !== null) {
+            clearTimeout(timer);
+            timer = null;
+        }
+
+        attempts.forEach(function (a) { a.ha_signal.abort(); });
+    }
+
+    function launch(exclude, hedge) {
+        var a = {
+            'ha_signal': new HedgeSignal(),
+            'ha_hedge': hedge,
+            'ha_done': false,
+            'ha_key': null
+        };
+
+        if (args.signal && args.signal.aborted) {
+            a.ha_signal.abort();
+        }
+
+        attempts.push(a);
+        a.ha_key = attempt(a.ha_signal, exclude, function () {
+            onAttemptDone(a, arguments);
+        });
+        return (a);
+    }
+
+    function onAttemptDone(a, argv) {
+        var err = argv[0];
+
+        a.ha_done = true;
+        if (done) {
+            /* This is the loser of a hedged pair. */
+            return;
+        }
+
+        if (err && attempts.some(function (o) { return (!o.ha_done); })) {
+            /* Wait for the other copy of the request. */
+            return;
+        }
+
+        done = true;
+        if (timer !== null) {
+            clearTimeout(timer);
+            timer = null;
+        }
+
+        if (args.signal) {
+            args.signal.removeEventListener('abort', onCallerAbort);
+        }
+
+        attempts.forEach(function (o) {
+            if (!o.ha_done) {
+                o.ha_signal.abort();
+            }
+
+            if (o.ha_hedge && o.ha_key !== null && args.counter) {
+                args.counter.increment({
+                    'method': args.method,
+                    'result': err ? 'failed' : (o === a ? 'won' : 'lost')
+                });
+            }
+        });
+
+        if (!err) {
+            policy.record(args.method,
+                jsprim.hrtimeMillisec(process.hrtime(start)));
+        }
+
+        callback.apply(null, argv);
+    }
+
+    if (args.signal) {
+        args.signal.addEventListener('abort', onCallerAbort);
+    }
+
+    primary = launch(undefined, false);
+    if (primary.ha_key === null || done) {
+        return;
+    }
+
+    timer = setTimeout(function onHedgeTimeout() {
+        var hedge;
+
+        timer = null;
+        hedge = launch(primary.ha_key, true);
+        if (hedge.ha_key === null) {
+            args.log.debug({
+                'req_id': args.req_id,
+                'method': args.method
+            }, 'no other connection available for hedged request');
+        } else {
+            args.log.debug({
+                'req_id': args.req_id,
+                'method': args.method,
+                'key': hedge.ha_key
+            }, 'sent hedged request');
+        }
+    }, policy.delay(args.method));
+}
+
+
+///--- Exports
+
+module.exports = {
+    HedgePolicy: HedgePolicy,
+    hedgeCall: hedgeCall,
+    hedgeCounter: hedgeCounter
+};
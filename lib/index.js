@@ -12,7 +12,13 @@
  * lib/index.js: public exports from the node-buckets-mdapi module.
  */
 
+var buckets = require('./buckets');
 var Client = require('./client').Client;
+var conditions = require('./conditions');
+var errors = require('./errors');
+var objects = require('./objects');
+var placement = require('./placement');
+var RoutedClient = require('./routed_client').RoutedClient;
 
 
 ///-- API
@@ -21,5 +27,26 @@ module.exports = {
     Client: Client,
     createClient: function createClient(options) {
         return (new Client(options));
-    }
+    },
+    RoutedClient: RoutedClient,
+    createRoutedClient: function createRoutedClient(options) {
+        return (new RoutedClient(options));
+    },
+    Placement: placement.Placement,
+    parsePlacementData: placement.parsePlacementData,
+    diffPlacement: placement.diffPlacement,
+    buildConditions: conditions.buildConditions,
+    normalizeConditions: conditions.normalizeConditions,
+    normalizeBucket: buckets.normalizeBucket,
+    normalizeObject: objects.normalizeObject,
+    AbortError: errors.AbortError,
+    BucketAlreadyExistsError: errors.BucketAlreadyExistsError,
+    BucketNotFoundError: errors.BucketNotFoundError,
+    ClientClosedError: errors.ClientClosedError,
+    InvalidArgumentError: errors.InvalidArgumentError,
+    NoBackendsError: errors.NoBackendsError,
+    ObjectNotFoundError: errors.ObjectNotFoundError,
+    PreconditionFailedError: errors.PreconditionFailedError,
+    ServerError: errors.ServerError,
+    TimeoutError: errors.TimeoutError
 };
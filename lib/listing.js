@@ -0,0 +1,663 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/listing.js: higher-level listing operations built on the "listobjects"
+ * and "listbuckets" RPCs.  Each of those RPCs returns a single page of results
+ * bounded by "limit", starting after "marker".
+ */
+
+var stream = require('stream');
+var util = require('util');
+
+var assert = require('assert-plus');
+
+/*
+ * Default number of entries requested with each page.
+ */
+var dflListPageSize = 1000;
+
+/*
+ * Default maximum number of per-vnode page requests outstanding at once for a
+ * merged listing.
+ */
+var dflMergeConcurrency = 10;
+
+/*
+ * Suffix appended to a common prefix to form a marker that sorts after every
+ * name beginning with that prefix.  See PrefixRollup.
+ */
+var rollupMarkerSuffix = '\uffff';
+
+
+///--- API
+
+/*
+ * A PrefixRollup implements S3-style "delimiter" listings on the client.  The
+ * "listobjects" RPC knows nothing about delimiters, so we examine each name
+ * returned by the server: if the part of the name after "prefix" contains
+ * "delimiter", then the name is replaced by a single record
+ *
+ *     { "type": "prefix", "name": COMMON_PREFIX }
+ *
+ * where COMMON_PREFIX is the name up to and including the first such
+ * delimiter.  Since the server returns names in sorted order, names with the
+ * same common prefix are adjacent, and we emit only one record for each group.
+ * Other entries are passed through unchanged.
+ *
+ * Once we have seen a name within a group, the marker for resuming the listing
+ * is not that name but COMMON_PREFIX followed by rollupMarkerSuffix, so that
+ * the next page skips the rest of the group rather than repeating it.  This
+ * relies on the server sorting names by code point, and it cannot skip names
+ * in the group whose next character sorts after rollupMarkerSuffix.  Such
+ * names are still recognized as part of the group and dropped here.  That
+ * includes a listing that resumes from such a marker (i.e., one whose previous
+ * page ended within a group): if "marker" is specified, the group it skips is
+ * treated as already emitted.
+ */
+function PrefixRollup(prefix, delimiter, marker) {
+    var group;
+
+    assert.optionalString(prefix, 'prefix');
+    assert.string(delimiter, 'delimiter');
+    assert.ok(delimiter.length > 0, 'delimiter must not be empty');
+    assert.optionalString(marker, 'marker');
+
+    this.pr_prefix = prefix || '';
+    this.pr_delimiter = delimiter;
+    this.pr_group = null;           /* current common prefix, if any */
+    this.pr_last = undefined;       /* last name seen */
+
+    if (marker !== undefined && marker.length > 0 &&
+        marker.charAt(marker.length - 1) === rollupMarkerSuffix) {
+        group = marker.substr(0, marker.length - 1);
+        if (group.substr(0, this.pr_prefix.length) === this.pr_prefix &&
+            group.indexOf(delimiter, this.pr_prefix.length) ===
+            group.length - delimiter.length) {
+            this.pr_group = group;
+        }
+    }
+}
+
+/*
+ * Process the next entry returned by the server, returning the record to emit
+ * in its place or null if it belongs to the group we've already emitted.
+ */
+PrefixRollup.prototype.entry = function entry(ent) {
+    var rest, idx, group;
+
+    assert.string(ent.name, 'entry.name');
+    this.pr_last = ent.name;
+
+    rest = ent.name.substr(this.pr_prefix.length);
+    idx = rest.indexOf(this.pr_delimiter);
+    if (idx === -1) {
+        this.pr_group = null;
+        return (ent);
+    }
+
+    group = this.pr_prefix + rest.substr(0, idx + this.pr_delimiter.length);
+    if (group === this.pr_group) {
+        return (null);
+    }
+
+    this.pr_group = group;
+    return ({ 'type': 'prefix', 'name': group });
+};
+
+/*
+ * Returns the marker to use to resume the listing after "name", which must be
+ * a name we have seen (the last one, if unspecified).
+ */
+PrefixRollup.prototype.marker = function marker(name) {
+    if (name === undefined) {
+        name = this.pr_last;
+    }
+
+    if (this.pr_group !== null && name !== undefined &&
+        name.substr(0, this.pr_group.length) === this.pr_group) {
+        return (this.pr_group + rollupMarkerSuffix);
+    }
+
+    return (name);
+};
+
+/*
+ * Given a stream of entries from a single listing request for at most "limit"
+ * entries, return a stream of the records produced by rolling them up with
+ * "rollup".  Since rolling up may emit far fewer records than the server
+ * returned, the consumer cannot tell from the records alone whether there may
+ * be more to list, so the returned stream has two more methods:
+ *
+ *     truncated()  returns true if the server returned "limit" entries, so
+ *                  that the listing may continue on another page
+ *
+ *     marker()     returns the marker for the next page, or undefined if the
+ *                  stream has ended and was not truncated.  If the page ended
+ *                  within a rolled-up group, the marker skips the rest of the
+ *                  group (see PrefixRollup).
+ *
+ * Both reflect the entries received so far, so they are final once the stream
+ * has emitted "end".
+ */
+function rollupStream(source, rollup, limit) {
+    var rv = new stream.PassThrough({ 'objectMode': true });
+    var count = 0;
+    var ended = false;
+
+    assert.number(limit, 'limit');
+
+    source.on('data', function (ent) {
+        var rec;
+
+        count++;
+        rec = rollup.entry(ent);
+        if (rec !== null) {
+            rv.write(rec);
+        }
+    });
+
+    source.on('error', function (err) {
+        rv.emit('error', err);
+    });
+
+    source.on('end', function () {
+        ended = true;
+        rv.end();
+    });
+
+    rv.truncated = function truncated() {
+        return (count >= limit);
+    };
+
+    rv.marker = function marker() {
+        if (ended && !rv.truncated()) {
+            return (undefined);
+        }
+
+        return (rollup.marker());
+    };
+
+    return (rv);
+}
+
+/*
+ * Validates the "delimiter" option accepted by the object listing methods and
+ * returns a PrefixRollup for a listing starting after "marker", or null if no
+ * delimiter was given.
+ */
+function listRollup(prefix, options, marker) {
+    assert.optionalObject(options, 'options');
+    if (!options || options.delimiter === undefined) {
+        return (null);
+    }
+
+    return (new PrefixRollup(prefix, options.delimiter, marker || undefined));
+}
+
+/*
+ * A PaginatedListing is an object-mode Readable stream that emits every entry
+ * of a listing by requesting successive pages, using the name of the last
+ * entry of each page as the marker for the next one.  A page containing fewer
+ * entries than requested is the last one.  Only one page is requested at a
+ * time, and each page is requested through the client's usual listing method,
+ * which releases that page's RPC context when the page ends.  On Node versions
+ * that support it, this stream may be consumed with "for await".
+ *
+ * Backpressure is applied between pages: each page is read in full (which
+ * bounds what we buffer to one page), but the next page is not requested until
+ * the consumer has caught up.
+ *
+ * If "rollup" is specified, entries are rolled up as described under
+ * PrefixRollup.  The page size applies to the entries returned by the server,
+ * and the limit applies to the records we emit.
+ *
+ * Named arguments:
+ *
+ *     listPage     function invoked as listPage(limit, marker) to request a
+ *     (function)   page.  This must return a stream of entries, each of which
+ *                  has a "name" property.
+ *
+ *     pageSize     maximum number of entries to request per page
+ *     (number)
+ *
+ *     limit        maximum number of entries to emit overall [optional]
+ *     (number)
+ *
+ *     marker       emit only entries after this one [optional]
+ *     (string)
+ *
+ *     rollup       PrefixRollup for delimiter listings [optional]
+ *     (object)
+ */
+function PaginatedListing(args) {
+    assert.object(args, 'args');
+    assert.func(args.listPage, 'args.listPage');
+    assert.number(args.pageSize, 'args.pageSize');
+    assert.ok(args.pageSize > 0, 'args.pageSize must be positive');
+    assert.optionalNumber(args.limit, 'args.limit');
+    assert.optionalString(args.marker, 'args.marker');
+    assert.optionalObject(args.rollup, 'args.rollup');
+
+    stream.Readable.call(this, { 'objectMode': true });
+
+    this.pg_rollup = args.rollup || null;
+    this.pg_list_page = args.listPage;
+    this.pg_page_size = args.pageSize;
+    this.pg_remaining = typeof (args.limit) === 'number' ? args.limit : null;
+    this.pg_marker = args.marker;   /* marker to resume after last entry */
+    this.pg_page = null;            /* stream for the current page */
+    this.pg_page_count = 0;         /* entries seen in the current page */
+    this.pg_page_limit = 0;         /* entries requested for current page */
+    this.pg_want = false;           /* consumer is ready for more entries */
+    this.pg_done = false;           /* no more pages will be requested */
+    this.pg_npages = 0;             /* count of pages requested */
+}
+
+util.inherits(PaginatedListing, stream.Readable);
+
+PaginatedListing.prototype._read = function _read() {
+    if (this.pg_page !== null) {
+        this.pg_want = true;
+    } else if (!this.pg_done) {
+        this.nextPage();
+    }
+};
+
+/*
+ * [private] Request the next page.
+ */
+PaginatedListing.prototype.nextPage = function nextPage() {
+    var self = this;
+    var page;
+
+    if (this.pg_remaining === 0) {
+        this.finish();
+        return;
+    }
+
+    this.pg_page_limit = this.pg_remaining === null ? this.pg_page_size :
+        Math.min(this.pg_page_size, this.pg_remaining);
+    this.pg_page_count = 0;
+    this.pg_want = false;
+    this.pg_npages++;
+
+    page = this.pg_list_page(this.pg_page_limit, this.pg_marker);
+    this.pg_page = page;
+
+    page.on('data', function (entry) {
+        var rec = entry;
+
+        self.pg_page_count++;
+        if (self.pg_remaining === 0) {
+            /* Rolled-up pages may contain more than we need. */
+            return;
+        }
+
+        if (self.pg_rollup !== null) {
+            rec = self.pg_rollup.entry(entry);
+            self.pg_marker = self.pg_rollup.marker();
+        } else {
+            self.pg_marker = entry.name;
+        }
+
+        if (rec === null) {
+            return;
+        }
+
+        if (self.pg_remaining !== null) {
+            self.pg_remaining--;
+        }
+
+        self.pg_want = self.push(rec);
+    });
+
+    page.on('error', function (err) {
+        self.pg_done = true;
+        self.pg_page = null;
+        self.emit('error', err);
+    });
+
+    page.on('end', function () {
+        self.pg_page = null;
+        if (self.pg_page_count < self.pg_page_limit) {
+            self.finish();
+        } else if (self.pg_want) {
+            self.nextPage();
+        }
+    });
+};
+
+/*
+ * [private] End the stream.
+ */
+PaginatedListing.prototype.finish = function finish() {
+    this.pg_done = true;
+    this.push(null);
+};
+
+/*
+ * Returns the marker for resuming the listing after the last entry emitted
+ * (normally the name of that entry).  After the stream has ended because it
+ * reached the "limit", this can be used to resume the listing.
+ */
+PaginatedListing.prototype.marker = function marker() {
+    return (this.pg_marker);
+};
+
+/*
+ * A MergedListing is an object-mode Readable stream that emits the entries of
+ * a listing that is spread across several vnodes in a single sorted sequence.
+ * Each vnode returns its own entries sorted by name, so we keep a cursor for
+ * each vnode holding the rest of that vnode's current page and repeatedly emit
+ * the entry with the lowest name among the cursors (a k-way merge).  When a
+ * cursor runs out of buffered entries, we request that vnode's next page,
+ * using the name of its last entry as the marker.  We cannot emit anything
+ * while such a request is outstanding, since that vnode may have the next
+ * entry.
+ *
+ * The "limit" and "marker" apply to the merged listing as a whole: the marker
+ * is used as the initial marker for every vnode, and no page requests more
+ * entries than we might still emit.  At most "concurrency" page requests are
+ * outstanding at once, and at most one page is buffered per vnode.
+ *
+ * If "rollup" is specified, the merged entries are rolled up as described
+ * under PrefixRollup, and each vnode's next page starts after the current
+ * group.
+ *
+ * Named arguments:
+ *
+ *     listPage     function invoked as listPage(vnode, limit, marker) to
+ *     (function)   request a page from one vnode.  This must return a stream
+ *                  of entries, each of which has a "name" property.
+ *
+ *     vnodes       list of vnodes to list
+ *     (array)
+ *
+ *     pageSize     maximum number of entries to request per page
+ *     (number)
+ *
+ *     concurrency  maximum number of page requests outstanding at once
+ *     (number)
+ *
+ *     limit        maximum number of entries to emit overall [optional]
+ *     (number)
+ *
+ *     marker       emit only entries after this one [optional]
+ *     (string)
+ *
+ *     rollup       PrefixRollup for delimiter listings [optional]
+ *     (object)
+ */
+function MergedListing(args) {
+    var self = this;
+
+    assert.object(args, 'args');
+    assert.func(args.listPage, 'args.listPage');
+    assert.arrayOfNumber(args.vnodes, 'args.vnodes');
+    assert.number(args.pageSize, 'args.pageSize');
+    assert.ok(args.pageSize > 0, 'args.pageSize must be positive');
+    assert.number(args.concurrency, 'args.concurrency');
+    assert.ok(args.concurrency > 0, 'args.concurrency must be positive');
+    assert.optionalNumber(args.limit, 'args.limit');
+    assert.optionalString(args.marker, 'args.marker');
+    assert.optionalObject(args.rollup, 'args.rollup');
+
+    stream.Readable.call(this, { 'objectMode': true });
+
+    this.ml_rollup = args.rollup || null;
+    this.ml_list_page = args.listPage;
+    this.ml_page_size = args.pageSize;
+    this.ml_concurrency = args.concurrency;
+    this.ml_remaining = typeof (args.limit) === 'number' ? args.limit : null;
+    this.ml_marker = args.marker;   /* marker to resume after last entry */
+    this.ml_queue = [];             /* cursors waiting to request a page */
+    this.ml_npending = 0;           /* count of outstanding page requests */
+    this.ml_want = false;           /* consumer is ready for more entries */
+    this.ml_done = false;           /* the stream has ended or failed */
+
+    this.ml_cursors = args.vnodes.map(function (vnode) {
+        return ({
+            'mc_vnode': vnode,              /* vnode being listed */
+            'mc_entries': [],               /* buffered entries, in order */
+            'mc_marker': args.marker,       /* marker for the next page */
+            'mc_fetching': false,           /* page requested or queued */
+            'mc_done': false                /* no more pages on this vnode */
+        });
+    });
+
+    this.ml_cursors.forEach(function (cursor) {
+        self.enqueue(cursor);
+    });
+}
+
+util.inherits(MergedListing, stream.Readable);
+
+MergedListing.prototype._read = function _read() {
+    this.ml_want = true;
+    this.emitReady();
+};
+
+/*
+ * [private] Queue a page request for the given cursor and issue as many
+ * queued requests as our concurrency allows.
+ */
+MergedListing.prototype.enqueue = function enqueue(cursor) {
+    assert.ok(!cursor.mc_fetching);
+    assert.ok(!cursor.mc_done);
+    cursor.mc_fetching = true;
+    this.ml_queue.push(cursor);
+    this.dispatch();
+};
+
+/*
+ * [private] Issue queued page requests, up to our concurrency.
+ */
+MergedListing.prototype.dispatch = function dispatch() {
+    while (!this.ml_done && this.ml_queue.length > 0 &&
+        this.ml_npending < this.ml_concurrency) {
+        this.fetchPage(this.ml_queue.shift());
+    }
+};
+
+/*
+ * [private] Request the next page for the given cursor.  Unlike
+ * PaginatedListing, we buffer the whole page, since we need to be able to look
+ * at the next entry from each vnode.
+ */
+MergedListing.prototype.fetchPage = function fetchPage(cursor) {
+    var self = this;
+    var page, limit, entries;
+    var finished = false;
+
+    limit = this.ml_remaining === null ? this.ml_page_size :
+        Math.min(this.ml_page_size, this.ml_remaining);
+    entries = [];
+    this.ml_npending++;
+
+    page = this.ml_list_page(cursor.mc_vnode, limit, cursor.mc_marker);
+    page.on('data', function (entry) {
+        entries.push(entry);
+    });
+
+    page.on('error', function (err) {
+        if (finished) {
+            return;
+        }
+
+        finished = true;
+        self.ml_npending--;
+        if (!self.ml_done) {
+            self.ml_done = true;
+            self.emit('error', err);
+        }
+    });
+
+    page.on('end', function () {
+        if (finished) {
+            return;
+        }
+
+        finished = true;
+        self.ml_npending--;
+        cursor.mc_fetching = false;
+        cursor.mc_entries = entries;
+        cursor.mc_done = entries.length < limit;
+        if (entries.length > 0) {
+            cursor.mc_marker = entries[entries.length - 1].name;
+        }
+
+        self.dispatch();
+        self.emitReady();
+    });
+};
+
+/*
+ * [private] Emit entries for as long as the consumer wants them and we know
+ * which entry comes next.
+ */
+MergedListing.prototype.emitReady = function emitReady() {
+    var i, cursor, next, entry, rec;
+
+    while (this.ml_want && !this.ml_done) {
+        if (this.ml_remaining === 0) {
+            this.finish();
+            return;
+        }
+
+        next = null;
+        for (i = 0; i < this.ml_cursors.length; i++) {
+            cursor = this.ml_cursors[i];
+            if (cursor.mc_entries.length === 0) {
+                if (cursor.mc_fetching) {
+                    return;
+                }
+
+                continue;
+            }
+
+            if (next === null ||
+                cursor.mc_entries[0].name < next.mc_entries[0].name) {
+                next = cursor;
+            }
+        }
+
+        if (next === null) {
+            this.finish();
+            return;
+        }
+
+        entry = next.mc_entries.shift();
+        rec = entry;
+        if (this.ml_rollup !== null) {
+            rec = this.ml_rollup.entry(entry);
+            this.ml_marker = this.ml_rollup.marker();
+        } else {
+            this.ml_marker = entry.name;
+        }
+
+        if (next.mc_entries.length === 0 && !next.mc_done) {
+            if (this.ml_rollup !== null) {
+                next.mc_marker = this.ml_rollup.marker(next.mc_marker);
+            }
+
+            this.enqueue(next);
+        }
+
+        if (rec === null) {
+            continue;
+        }
+
+        if (this.ml_remaining !== null) {
+            this.ml_remaining--;
+        }
+
+        this.ml_want = this.push(rec);
+    }
+};
+
+/*
+ * [private] End the stream.
+ */
+MergedListing.prototype.finish = function finish() {
+    this.ml_done = true;
+    this.push(null);
+};
+
+/*
+ * Returns the marker for resuming the listing after the last entry emitted.
+ * See PaginatedListing.marker().
+ */
+MergedListing.prototype.marker = function marker() {
+    return (this.ml_marker);
+};
+
+/*
+ * Validates the options accepted by the client's listObjectsAcrossVnodes()
+ * method and returns the arguments for a MergedListing other than "listPage".
+ */
+function mergedListingArgs(prefix, vnodes, limit, marker, options) {
+    assert.arrayOfNumber(vnodes, 'vnodes');
+    assert.optionalString(marker, 'marker');
+    assert.optionalObject(options, 'options');
+    options = options || {};
+    assert.optionalNumber(options.concurrency, 'options.concurrency');
+
+    return ({
+        'vnodes': vnodes,
+        'pageSize': listAllPageSize(options),
+        'concurrency': options.concurrency || dflMergeConcurrency,
+        'limit': listLimit(limit),
+        'marker': marker || undefined,
+        'rollup': listRollup(prefix, options, marker) || undefined
+    });
+}
+
+/*
+ * Validates the "limit" argument of the listAll* and listObjectsAcrossVnodes()
+ * client methods and returns it, or undefined if it was not specified
+ * (undefined or null), meaning that the listing is not limited.  A limit of
+ * zero is rejected rather than treated as unlimited.
+ */
+function listLimit(limit) {
+    assert.optionalNumber(limit, 'limit');
+    if (limit === undefined || limit === null) {
+        return (undefined);
+    }
+
+    assert.ok(limit > 0 && Math.floor(limit) === limit,
+        'limit must be a positive integer');
+    return (limit);
+}
+
+/*
+ * Validates the options accepted by the listAll* client methods and returns
+ * the page size to use.
+ */
+function listAllPageSize(options) {
+    assert.optionalObject(options, 'options');
+    options = options || {};
+    assert.optionalNumber(options.pageSize, 'options.pageSize');
+    return (options.pageSize || dflListPageSize);
+}
+
+
+///--- Exports
+
+module.exports = {
+    MergedListing: MergedListing,
+    PaginatedListing: PaginatedListing,
+    PrefixRollup: PrefixRollup,
+    listAllPageSize: listAllPageSize,
+    listLimit: listLimit,
+    listRollup: listRollup,
+    mergedListingArgs: mergedListingArgs,
+    rollupStream: rollupStream
+};
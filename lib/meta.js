@@ -18,7 +18,7 @@
 var assert = require('assert-plus');
 var libuuid = require('libuuid');
 var jsprim = require('jsprim');
-var events = require('events');
+var stream = require('stream');
 var VError = require('verror');
 
 var rpc = require('./rpc');
@@ -41,6 +41,7 @@ function ping(rpcctx, options, callback) {
     log = rpc.childLogger(rpcctx, opts);
     rpc.rpcCommonNoData({
         'rpcctx': rpcctx,
+        'req_id': opts.req_id,
         'rpcmethod': 'ping',
         'rpcargs': [ opts ],
         'log': log,
@@ -99,6 +100,7 @@ function versionInternal(rpcctx, options, callback) {
     log = rpc.childLogger(rpcctx, opts);
     rpc.rpcCommonBufferData({
         'rpcctx': rpcctx,
+        'req_id': opts.req_id,
         'rpcmethod': 'version',
         'rpcargs': [ opts ],
         'timeout': timeout,
@@ -136,6 +138,10 @@ function versionInternal(rpcctx, options, callback) {
     });
 }
 
+/*
+ * Executes a SQL statement, returning an object-mode Readable stream that emits
+ * each record returned by the server.
+ */
 function sql(rpcctx, statement, values, options) {
     var opts, log, req, res;
 
@@ -152,7 +158,7 @@ function sql(rpcctx, statement, values, options) {
         readOnlyOverride: options.readOnlyOverride || false
     };
     log = rpc.childLogger(rpcctx, opts);
-    res = new events.EventEmitter();
+    res = new stream.PassThrough({ 'objectMode': true });
 
     /*
      * We specify ignoreNullValues because buckets-mdplacement sends spurious
@@ -162,6 +168,7 @@ function sql(rpcctx, statement, values, options) {
      */
     req = rpc.rpcCommon({
         'rpcctx': rpcctx,
+        'req_id': opts.req_id,
         'rpcmethod': 'sql',
         'rpcargs': [ statement, values, opts ],
         'ignoreNullValues': true,
@@ -170,7 +177,7 @@ function sql(rpcctx, statement, values, options) {
         if (err) {
             res.emit('error', err);
         } else {
-            res.emit('end');
+            res.end();
         }
 
         res.emit('_buckets_mdapi_internal_rpc_done');
@@ -179,7 +186,7 @@ function sql(rpcctx, statement, values, options) {
     req.on('data', function (msg) {
         if (msg !== null) {
             log.debug('sql: msg: %j', msg);
-            res.emit('record', msg);
+            res.write(msg);
         }
     });
 
@@ -15,15 +15,94 @@
  * functions are documented in the Manta buckets metadata API.
  */
 
-var stream = require('stream');
-
 var assert = require('assert-plus');
+var jsprim = require('jsprim');
 
 var rpc = require('./rpc');
 
 
 ///--- API
 
+/*
+ * Returns a normalized copy of an object record returned by the server (see
+ * "Result normalization" in lib/rpc.js):
+ *
+ *   - "created" and "modified" are Dates.
+ *   - "id" and "etag" are both present, with the same value.
+ *   - Header names are lowercase.
+ *   - "sharks" is an array, if it was an array or a JSON-encoded array.
+ */
+function normalizeObject(record) {
+    var rv, headers;
+
+    if (typeof (record) !== 'object' || record === null) {
+        return (record);
+    }
+
+    rv = jsprim.mergeObjects(record);
+    ['created', 'modified'].forEach(function (field) {
+        if (rv.hasOwnProperty(field)) {
+            rv[field] = rpc.resultDate(rv[field]);
+        }
+    });
+
+    if (rv.id === undefined && rv.etag !== undefined) {
+        rv.id = rv.etag;
+    }
+    if (rv.id !== undefined) {
+        rv.etag = rv.id;
+    }
+
+    if (typeof (rv.headers) === 'object' && rv.headers !== null) {
+        headers = {};
+        Object.keys(rv.headers).forEach(function (name) {
+            headers[name.toLowerCase()] = rv.headers[name];
+        });
+        rv.headers = headers;
+    }
+
+    if (rv.hasOwnProperty('sharks')) {
+        rv.sharks = normalizeSharks(rv.sharks);
+    }
+
+    return (rv);
+}
+
+/*
+ * See normalizeObject().  The sharks may be an array or a JSON string
+ * encoding one, which is decoded.  Each shark is copied with all of its
+ * properties.  Anything else is returned unchanged.
+ */
+function normalizeSharks(sharks) {
+    var decoded;
+
+    if (typeof (sharks) === 'string') {
+        try {
+            decoded = JSON.parse(sharks);
+        } catch (ex) {
+            return (sharks);
+        }
+
+        if (!Array.isArray(decoded)) {
+            return (sharks);
+        }
+
+        sharks = decoded;
+    }
+
+    if (!Array.isArray(sharks)) {
+        return (sharks);
+    }
+
+    return (sharks.map(function (shark) {
+        if (typeof (shark) !== 'object' || shark === null) {
+            return (shark);
+        }
+
+        return (jsprim.mergeObjects(shark));
+    }));
+}
+
 function createObject(rpcctx, owner, bucket_id, name, object_id, content_length,
     content_md5, content_type, headers, sharks, props, vnode, conditions,
     req_id, callback) {
@@ -66,11 +145,12 @@ function createObject(rpcctx, owner, bucket_id, name, object_id, content_length,
     log = rpc.childLogger(rpcctx, opts);
     rpc.rpcCommonSingleMessage({
         rpcctx: rpcctx,
+        req_id: req_id,
         log: log,
         rpcmethod: 'createobject',
         wrapErrors: true,
         rpcargs: [arg]
-    }, callback);
+    }, rpc.rpcResultCallback(rpcctx, normalizeObject, callback));
 }
 
 function getObject(rpcctx, owner, bucket_id, name, vnode, conditions, req_id,
@@ -101,11 +181,12 @@ function getObject(rpcctx, owner, bucket_id, name, vnode, conditions, req_id,
     log = rpc.childLogger(rpcctx, opts);
     rpc.rpcCommonSingleMessage({
         rpcctx: rpcctx,
+        req_id: req_id,
         log: log,
         rpcmethod: 'getobject',
         wrapErrors: true,
         rpcargs: [arg]
-    }, callback);
+    }, rpc.rpcResultCallback(rpcctx, normalizeObject, callback));
 }
 
 function updateObject(rpcctx, owner, bucket_id, name, object_id, content_type,
@@ -143,11 +224,12 @@ function updateObject(rpcctx, owner, bucket_id, name, object_id, content_type,
     log = rpc.childLogger(rpcctx, opts);
     rpc.rpcCommonSingleMessage({
         rpcctx: rpcctx,
+        req_id: req_id,
         log: log,
         rpcmethod: 'updateobject',
         wrapErrors: true,
         rpcargs: [arg]
-    }, callback);
+    }, rpc.rpcResultCallback(rpcctx, normalizeObject, callback));
 }
 
 function deleteObject(rpcctx, owner, bucket_id, name, vnode, conditions,
@@ -179,6 +261,7 @@ function deleteObject(rpcctx, owner, bucket_id, name, vnode, conditions,
     log = rpc.childLogger(rpcctx, opts);
     rpc.rpcCommonSingleMessage({
         rpcctx: rpcctx,
+        req_id: req_id,
         log: log,
         rpcmethod: 'deleteobject',
         wrapErrors: true,
@@ -213,25 +296,31 @@ function listObjects(rpcctx, owner, bucket_id, prefix, limit, marker, vnode,
 
     var log = rpc.childLogger(rpcctx, opts);
 
-    var res = new stream.PassThrough({objectMode: true});
+    var res = rpc.rpcResultStream(rpcctx, normalizeObject);
 
     var req = rpc.rpcCommon({
         rpcctx: rpcctx,
+        req_id: req_id,
         rpcmethod: 'listobjects',
         rpcargs: [arg],
         wrapErrors: true,
         log: log
     }, function (err) {
+        /*
+         * Records may still be buffered in "req" if our consumer is slow, so
+         * on success we end "req" and let pipe() end "res" once they have all
+         * been passed along.
+         */
         if (err) {
             res.emit('error', err);
         } else {
-            res.emit('end');
+            req.end();
         }
 
         res.emit('_buckets_mdapi_internal_rpc_done');
     });
 
-    req.pipe(res, {end: false});
+    req.pipe(res);
 
     return (res);
 }
@@ -243,5 +332,6 @@ module.exports = {
     updateObject: updateObject,
     getObject: getObject,
     deleteObject: deleteObject,
-    listObjects: listObjects
+    listObjects: listObjects,
+    normalizeObject: normalizeObject
 };
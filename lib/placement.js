@@ -0,0 +1,483 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/placement.js: buckets-mdplacement placement data.  The "getplacementdata"
+ * RPC returns the serialized consistent-hash ring that maps each virtual node
+ * ("vnode") to the physical buckets-mdapi shard ("pnode") that stores it.  The
+ * payload looks like this:
+ *
+ *     {
+ *         "version": "1.0.0",
+ *         "vnodes": 1024,
+ *         "algorithm": {
+ *             "NAME": "sha256",
+ *             "MAX": "ffff...ffff",
+ *             "VNODE_HASH_INTERVAL": "3fffff...ffff"
+ *         },
+ *         "pnodeToVnodeMap": {
+ *             "tcp://1.buckets-mdapi.example.com:2030": {
+ *                 "0": 1,
+ *                 "2": 1,
+ *                 ...
+ *             },
+ *             ...
+ *         }
+ *     }
+ *
+ * parsePlacementData() validates this payload and returns a Placement object
+ * that can locate the vnode and pnode for a given key and compare itself with
+ * another version of the placement data.
+ */
+
+var crypto = require('crypto');
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var sprintf = require('extsprintf').sprintf;
+var VError = require('verror');
+
+
+///--- Helpers
+
+/*
+ * Keys are located by hashing them with the ring's algorithm and dividing the
+ * resulting digest by the ring's vnode hash interval, both of which are
+ * arbitrary-precision hexadecimal numbers.  The quotient (the vnode) is small,
+ * so rather than depending on a bignum library we do binary long division over
+ * arrays of 16-bit limbs, most significant limb first.
+ */
+function hexToLimbs(hex, nlimbs) {
+    var limbs = [];
+    var i;
+
+    while (hex.length % 4 !== 0) {
+        hex = '0' + hex;
+    }
+
+    for (i = 0; i < hex.length; i += 4) {
+        limbs.push(parseInt(hex.substr(i, 4), 16));
+    }
+
+    while (limbs.length < nlimbs) {
+        limbs.unshift(0);
+    }
+
+    return (limbs);
+}
+
+function limbsToHex(limbs) {
+    var hex = limbs.map(function (l) {
+        return (('000' + l.toString(16)).substr(-4));
+    }).join('');
+
+    hex = hex.replace(/^0+/, '');
+    return (hex === '' ? '0' : hex);
+}
+
+function limbsCompare(a, b) {
+    var i;
+
+    assert.equal(a.length, b.length);
+    for (i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) {
+            return (a[i] < b[i] ? -1 : 1);
+        }
+    }
+
+    return (0);
+}
+
+/*
+ * Returns floor(dividend / divisor) as a number.  Both arguments are
+ * hexadecimal strings.  The caller must know that the quotient is small enough
+ * to be represented exactly.
+ */
+function hexDivide(dividend, divisor) {
+    var nlimbs, r, d, q, i, j, digit, v, carry, borrow;
+
+    assert.ok(/^[0-9a-f]+$/i.test(dividend), 'dividend must be hex');
+    assert.ok(/^[0-9a-f]+$/i.test(divisor), 'divisor must be hex');
+    assert.ok(/[1-9a-f]/i.test(divisor), 'divisor must be non-zero');
+
+    /* One extra limb so that the shifted remainder never overflows. */
+    nlimbs = Math.ceil(Math.max(dividend.length, divisor.length) / 4) + 1;
+    d = hexToLimbs(divisor, nlimbs);
+    r = hexToLimbs('0', nlimbs);
+    q = 0;
+
+    for (i = 0; i < dividend.length; i++) {
+        digit = parseInt(dividend.charAt(i), 16);
+        for (j = 3; j >= 0; j--) {
+            /* r = (r << 1) | next bit of the dividend */
+            carry = (digit >> j) & 1;
+            for (v = nlimbs - 1; v >= 0; v--) {
+                r[v] = r[v] * 2 + carry;
+                carry = r[v] >> 16;
+                r[v] &= 0xffff;
+            }
+
+            q *= 2;
+            if (limbsCompare(r, d) >= 0) {
+                borrow = 0;
+                for (v = nlimbs - 1; v >= 0; v--) {
+                    r[v] -= d[v] + borrow;
+                    borrow = r[v] < 0 ? 1 : 0;
+                    if (borrow) {
+                        r[v] += 0x10000;
+                    }
+                }
+                q += 1;
+            }
+        }
+    }
+
+    return (q);
+}
+
+/*
+ * Returns floor(dividend / divisor) as a hexadecimal string, where "dividend"
+ * is a hexadecimal string and "divisor" is a positive integer that fits in 32
+ * bits.  This is how the vnode hash interval is derived from the algorithm's
+ * maximum value and the vnode count.
+ */
+function hexDivideSmall(dividend, divisor) {
+    var limbs, i, rem, cur;
+
+    assert.ok(/^[0-9a-f]+$/i.test(dividend), 'dividend must be hex');
+    assert.ok(divisor > 0 && divisor <= 0xffffffff,
+        'divisor must fit in 32 bits');
+
+    limbs = hexToLimbs(dividend, 0);
+    rem = 0;
+    for (i = 0; i < limbs.length; i++) {
+        cur = rem * 0x10000 + limbs[i];
+        limbs[i] = Math.floor(cur / divisor);
+        rem = cur % divisor;
+    }
+
+    return (limbsToHex(limbs));
+}
+
+/*
+ * Returns an Error describing a problem with the placement data.  Arguments
+ * are a printf-style format string and its arguments.
+ */
+function placementError() {
+    return (new VError({ 'name': 'PlacementDataError' },
+        'invalid placement data: %s', sprintf.apply(null, arguments)));
+}
+
+
+///--- API
+
+/*
+ * A Placement is an immutable, validated representation of one version of the
+ * placement data.  Use parsePlacementData() to construct one.
+ */
+function Placement(args) {
+    var vnode, pnode;
+
+    assert.object(args, 'args');
+    assert.string(args.version, 'args.version');
+    assert.number(args.vnodes, 'args.vnodes');
+    assert.string(args.algorithm, 'args.algorithm');
+    assert.string(args.interval, 'args.interval');
+    assert.object(args.vnodeToPnode, 'args.vnodeToPnode');
+    assert.object(args.raw, 'args.raw');
+
+    this.pl_version = args.version;         /* placement data version */
+    this.pl_nvnodes = args.vnodes;          /* number of vnodes in the ring */
+    this.pl_algorithm = args.algorithm;     /* hash algorithm name */
+    this.pl_interval = args.interval;       /* vnode hash interval (hex) */
+    this.pl_vnode_to_pnode = args.vnodeToPnode; /* pnode, by vnode */
+    this.pl_raw = args.raw;                 /* payload we were built from */
+
+    /* vnodes, by pnode (sorted) */
+    this.pl_pnode_to_vnodes = {};
+    for (vnode = 0; vnode < this.pl_nvnodes; vnode++) {
+        pnode = this.pl_vnode_to_pnode[vnode];
+        if (!this.pl_pnode_to_vnodes.hasOwnProperty(pnode)) {
+            this.pl_pnode_to_vnodes[pnode] = [];
+        }
+        this.pl_pnode_to_vnodes[pnode].push(vnode);
+    }
+}
+
+Placement.prototype.version = function version() {
+    return (this.pl_version);
+};
+
+Placement.prototype.vnodeCount = function vnodeCount() {
+    return (this.pl_nvnodes);
+};
+
+/*
+ * Returns a sorted array of the pnodes in this ring.
+ */
+Placement.prototype.pnodes = function pnodes() {
+    return (Object.keys(this.pl_pnode_to_vnodes).sort());
+};
+
+/*
+ * Returns the vnodes stored on the given pnode, in increasing order.
+ */
+Placement.prototype.vnodesForPnode = function vnodesForPnode(pnode) {
+    assert.string(pnode, 'pnode');
+    if (!this.pl_pnode_to_vnodes.hasOwnProperty(pnode)) {
+        return ([]);
+    }
+
+    return (this.pl_pnode_to_vnodes[pnode].slice(0));
+};
+
+/*
+ * Returns the vnode for the given key.  With only "owner" and "bucket", this
+ * locates a bucket (by bucket name).  With "name" as well, this locates an
+ * object, in which case "bucket" is the bucket id rather than its name.  This
+ * is the same scheme that buckets-mdplacement uses.
+ */
+Placement.prototype.vnodeForKey = function vnodeForKey(owner, bucket, name) {
+    var tkey, digest;
+
+    assert.string(owner, 'owner');
+    assert.string(bucket, 'bucket');
+    assert.optionalString(name, 'name');
+
+    tkey = owner + ':' + bucket;
+    if (name !== undefined) {
+        tkey += ':' + name;
+    }
+
+    digest = crypto.createHash(this.pl_algorithm).update(tkey).digest('hex');
+    return (hexDivide(digest, this.pl_interval));
+};
+
+/*
+ * Returns the pnode that stores the given vnode.
+ */
+Placement.prototype.pnodeForVnode = function pnodeForVnode(vnode) {
+    assert.number(vnode, 'vnode');
+    assert.ok(vnode >= 0 && vnode < this.pl_nvnodes,
+        'vnode out of range: ' + vnode);
+    return (this.pl_vnode_to_pnode[vnode]);
+};
+
+/*
+ * Returns the placement data payload that this object was parsed from.
+ */
+Placement.prototype.toJSON = function toJSON() {
+    return (this.pl_raw);
+};
+
+/*
+ * Validates the given placement data payload (see above) and returns either a
+ * Placement or an Error describing what's wrong with it.  We check that:
+ *
+ *     o "version" is a non-empty string
+ *     o "vnodes" is a positive integer
+ *     o "algorithm.NAME" is a hash algorithm that we support
+ *     o "algorithm.VNODE_HASH_INTERVAL" is a hexadecimal number, or (if it's
+ *       absent) that it can be computed from "algorithm.MAX" and "vnodes".  If
+ *       both are present, they must agree.
+ *     o "pnodeToVnodeMap" assigns every vnode from 0 to "vnodes" - 1 to exactly
+ *       one pnode, and does not mention any other vnodes
+ */
+function parsePlacementData(data) {
+    var version, nvnodes, alg, interval, vnodeToPnode, err;
+    var computed = null;
+    var nassigned;
+
+    if (typeof (data) !== 'object' || data === null) {
+        return (placementError('expected an object'));
+    }
+
+    version = data.version;
+    if (typeof (version) !== 'string' || version.length === 0) {
+        return (placementError('"version" must be a non-empty string'));
+    }
+
+    nvnodes = data.vnodes;
+    if (typeof (nvnodes) !== 'number' || nvnodes <= 0 ||
+        nvnodes > 0xffffffff || Math.floor(nvnodes) !== nvnodes) {
+        return (placementError('"vnodes" must be a positive integer'));
+    }
+
+    alg = data.algorithm;
+    if (typeof (alg) !== 'object' || alg === null) {
+        return (placementError('"algorithm" must be an object'));
+    }
+
+    if (typeof (alg.NAME) !== 'string' ||
+        crypto.getHashes().indexOf(alg.NAME) === -1) {
+        return (placementError('unsupported hash algorithm: "%s"',
+            String(alg.NAME)));
+    }
+
+    if (alg.VNODE_HASH_INTERVAL !== undefined &&
+        (typeof (alg.VNODE_HASH_INTERVAL) !== 'string' ||
+        !/^[0-9a-f]*[1-9a-f][0-9a-f]*$/i.test(alg.VNODE_HASH_INTERVAL))) {
+        return (placementError('"algorithm.VNODE_HASH_INTERVAL" must be a ' +
+            'non-zero hexadecimal number'));
+    }
+
+    if (alg.MAX !== undefined) {
+        if (typeof (alg.MAX) !== 'string' || !/^[0-9a-f]+$/i.test(alg.MAX)) {
+            return (placementError(
+                '"algorithm.MAX" must be a hexadecimal number'));
+        }
+
+        computed = hexDivideSmall(alg.MAX, nvnodes);
+    }
+
+    if (alg.VNODE_HASH_INTERVAL !== undefined) {
+        interval = alg.VNODE_HASH_INTERVAL.toLowerCase().replace(/^0+/, '');
+        if (computed !== null && computed !== interval) {
+            return (placementError('"algorithm.VNODE_HASH_INTERVAL" does not ' +
+                'match "algorithm.MAX" divided by "vnodes"'));
+        }
+    } else if (computed !== null) {
+        interval = computed;
+    } else {
+        return (placementError('"algorithm.VNODE_HASH_INTERVAL" is required'));
+    }
+
+    if (typeof (data.pnodeToVnodeMap) !== 'object' ||
+        data.pnodeToVnodeMap === null) {
+        return (placementError('"pnodeToVnodeMap" must be an object'));
+    }
+
+    vnodeToPnode = {};
+    nassigned = 0;
+    err = null;
+    jsprim.forEachKey(data.pnodeToVnodeMap, function (pnode, vnodes) {
+        if (err !== null) {
+            return;
+        }
+
+        if (typeof (vnodes) !== 'object' || vnodes === null) {
+            err = placementError('vnodes for pnode "%s" must be an object',
+                pnode);
+            return;
+        }
+
+        jsprim.forEachKey(vnodes, function (vnodestr) {
+            var vnode = jsprim.parseInteger(vnodestr, { 'allowSign': false });
+
+            if (err !== null) {
+                return;
+            }
+
+            if (vnode instanceof Error || vnode >= nvnodes) {
+                err = placementError('pnode "%s": invalid vnode "%s"',
+                    pnode, vnodestr);
+            } else if (vnodeToPnode.hasOwnProperty(vnode)) {
+                err = placementError('vnode %d assigned to both "%s" and ' +
+                    '"%s"', vnode, vnodeToPnode[vnode], pnode);
+            } else {
+                vnodeToPnode[vnode] = pnode;
+                nassigned++;
+            }
+        });
+    });
+
+    if (err !== null) {
+        return (err);
+    }
+
+    if (nassigned !== nvnodes) {
+        return (placementError('expected %d vnodes, but found %d assigned',
+            nvnodes, nassigned));
+    }
+
+    return (new Placement({
+        'version': version,
+        'vnodes': nvnodes,
+        'algorithm': alg.NAME,
+        'interval': interval,
+        'vnodeToPnode': vnodeToPnode,
+        'raw': data
+    }));
+}
+
+/*
+ * Compares two versions of the placement data and returns an object
+ * describing the differences:
+ *
+ *     oldVersion      version of "oldp"
+ *
+ *     newVersion      version of "newp"
+ *
+ *     moved           array of objects, one for each vnode whose pnode
+ *                     changed, with properties "vnode", "from" (the old pnode),
+ *                     and "to" (the new pnode), sorted by vnode
+ *
+ *     addedPnodes     pnodes present only in "newp"
+ *
+ *     removedPnodes   pnodes present only in "oldp"
+ *
+ * Rings with different numbers of vnodes locate keys differently, so nearly
+ * every key would move between them.  Comparing them is not meaningful, and an
+ * Error is returned instead.
+ */
+function diffPlacement(oldp, newp) {
+    var moved, vnode, from, to, oldpnodes, newpnodes;
+
+    assert.ok(oldp instanceof Placement, 'oldp must be a Placement');
+    assert.ok(newp instanceof Placement, 'newp must be a Placement');
+
+    if (oldp.vnodeCount() !== newp.vnodeCount()) {
+        return (new VError({
+            'name': 'PlacementDataError',
+            'info': {
+                'oldVersion': oldp.version(),
+                'newVersion': newp.version()
+            }
+        }, 'cannot compare placement data with %d vnodes to placement data ' +
+            'with %d vnodes', oldp.vnodeCount(), newp.vnodeCount()));
+    }
+
+    moved = [];
+    for (vnode = 0; vnode < oldp.vnodeCount(); vnode++) {
+        from = oldp.pnodeForVnode(vnode);
+        to = newp.pnodeForVnode(vnode);
+        if (from !== to) {
+            moved.push({ 'vnode': vnode, 'from': from, 'to': to });
+        }
+    }
+
+    oldpnodes = oldp.pnodes();
+    newpnodes = newp.pnodes();
+
+    return ({
+        'oldVersion': oldp.version(),
+        'newVersion': newp.version(),
+        'moved': moved,
+        'addedPnodes': newpnodes.filter(function (p) {
+            return (oldpnodes.indexOf(p) === -1);
+        }),
+        'removedPnodes': oldpnodes.filter(function (p) {
+            return (newpnodes.indexOf(p) === -1);
+        })
+    });
+}
+
+
+///--- Exports
+
+module.exports = {
+    Placement: Placement,
+    parsePlacementData: parsePlacementData,
+    diffPlacement: diffPlacement,
+
+    /* exposed for testing */
+    hexDivide: hexDivide,
+    hexDivideSmall: hexDivideSmall
+};
@@ -63,11 +63,46 @@
  *  | state: MC_S_DELETED |
  *  |    (removed)        |
  *  +---------------------+
+ *
+ *
+ * Circuit breakers
+ *
+ * Cueball only removes a connection when the connection itself fails.  A
+ * backend that accepts connections but fails every request would otherwise
+ * continue to receive its share of new requests.  If the pool is given
+ * "circuitBreaker" options, we track the outcome of requests to each backend
+ * (identified by its remote address) with a circuit breaker:
+ *
+ *     closed      The backend is in service.  After "failureThreshold"
+ *                 consecutive failed requests, the breaker opens.
+ *
+ *     open        The backend's connections are not used for new requests.
+ *                 After "coolDown" milliseconds, the breaker becomes
+ *                 half-open.
+ *
+ *     half-open   One new request (the probe) may be sent to the backend.  If
+ *                 it succeeds, the breaker closes.  If it fails, the breaker
+ *                 opens again.
+ *
+ * A request fails for this purpose if the backend does not respond, the
+ * connection fails, or the server reports an error for the RPC itself (as
+ * opposed to an error embedded in the response, like a missing object).  See
+ * connRelease().
+ *
+ * Connections whose breaker is open or half-open remain in "mcp_avail", since
+ * that set reflects what cueball considers in service and the connection state
+ * machine above relies on that.  Instead, connAlloc() skips them when picking
+ * a connection.  The pool emits "breakerStateChanged" whenever a breaker
+ * changes state.
  */
 
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
 var assert = require('assert-plus');
 var jsprim = require('jsprim');
-var VError = require('verror');
+
+var errors = require('./errors');
 
 /*
  * Maximum time (in milliseconds) that we will continue to use a connection when
@@ -83,6 +118,22 @@ var MC_S_DRAIN = '_buckets_mdapi_conn_state_drain';
 var MC_S_FALLBACK = '_buckets_mdapi_conn_state_fallback';
 var MC_S_DELETED = '_buckets_mdapi_conn_state_deleted';
 
+/*
+ * Circuit breaker states and defaults (see above)
+ */
+var MB_S_CLOSED = 'closed';
+var MB_S_OPEN = 'open';
+var MB_S_HALF_OPEN = 'half-open';
+
+var dflBreakerFailureThreshold = 5;
+var dflBreakerCoolDown = 10 * 1000;     /* milliseconds */
+
+/*
+ * Weight given to each new latency sample in a connection's exponentially
+ * weighted moving average latency.  See selectEwma().
+ */
+var ewmaLatencyWeight = 0.3;
+
 module.exports = BucketsMdapiConnectionPool;
 
 /*
@@ -100,6 +151,21 @@ function BucketsMdapiConnection(key, conn, hdl, log) {
     this.mc_log = log;      /* bunyan-style logger */
     this.mc_nreqs = 0;      /* number of outstanding requests */
     this.mc_state = MC_S_AVAIL;
+    this.mc_remote = null;  /* remote address, for circuit breakers */
+    this.mc_ewma = null;    /* moving average request latency (ms) */
+}
+
+/*
+ * This is a struct-like class representing the circuit breaker for a single
+ * backend.  See "Circuit breakers" above.
+ */
+function BucketsMdapiBreaker(remote) {
+    assert.string(remote, 'remote');
+    this.mb_remote = remote;        /* backend remote address */
+    this.mb_state = MB_S_CLOSED;
+    this.mb_nfailures = 0;          /* consecutive failed requests */
+    this.mb_opened = null;          /* hrtime when the breaker last opened */
+    this.mb_probe = false;          /* half-open probe is outstanding */
 }
 
 /*
@@ -111,12 +177,18 @@ function BucketsMdapiConnection(key, conn, hdl, log) {
 function BucketsMdapiConnectionAllocation(mconn) {
     this.mca_mconn = mconn;
     this.mca_released = false;
+    this.mca_probe = false;     /* half-open circuit breaker probe */
+    this.mca_start = process.hrtime();
 }
 
 BucketsMdapiConnectionAllocation.prototype.connection = function () {
     return (this.mca_mconn.mc_conn);
 };
 
+BucketsMdapiConnectionAllocation.prototype.key = function () {
+    return (this.mca_mconn.mc_key);
+};
+
 /*
  * Given a Cueball ConnectionSet, implements a simple allocate/release interface
  * using the connections in that set.
@@ -128,11 +200,21 @@ function BucketsMdapiConnectionPool(args) {
     assert.object(args.log, 'args.log');
     assert.object(args.cueballResolver, 'args.cueballResolver');
     assert.object(args.cueballSet, 'args.cueballSet');
+    assert.optionalObject(args.circuitBreaker, 'args.circuitBreaker');
+    assert.optionalString(args.connectionSelection, 'args.connectionSelection');
+    assert.ok(args.connectionSelection === undefined ||
+        connSelectors.hasOwnProperty(args.connectionSelection),
+        'unsupported connectionSelection: "' + args.connectionSelection + '"');
+
+    EventEmitter.call(this);
 
     this.mcp_log = args.log;
     this.mcp_cueball_resolver = args.cueballResolver;
     this.mcp_cueball_set = args.cueballSet;
 
+    /* Function used to pick a connection for each request.  See below. */
+    this.mcp_select = connSelectors[args.connectionSelection || 'random'];
+
     /*
      * We keep track of all connections that we know about in "mcp_conns".  This
      * includes connections available for general use for new requests,
@@ -169,6 +251,16 @@ function BucketsMdapiConnectionPool(args) {
     this.mcp_nreleased = 0;         /* releases */
     this.mcp_nfallbacks = 0;        /* assigned a conn as fallback */
 
+    /*
+     * Circuit breakers, by backend remote address.  "mcp_breaker_conf" is null
+     * if circuit breakers are disabled.  See above.
+     */
+    this.mcp_breakers = {};
+    this.mcp_breaker_conf = null;
+    if (args.circuitBreaker) {
+        this.mcp_breaker_conf = breakerConfig(args.circuitBreaker);
+    }
+
     this.mcp_cueball_set.on('added', function onConnectionAdd(key, conn, hdl) {
         self.connAdd(key, conn, hdl);
     });
@@ -178,31 +270,189 @@ function BucketsMdapiConnectionPool(args) {
     });
 }
 
+util.inherits(BucketsMdapiConnectionPool, EventEmitter);
+
+/*
+ * Validates the "circuitBreaker" options and fills in defaults.  Named options:
+ *
+ *     failureThreshold     number of consecutive failed requests to a backend
+ *     (number)             after which its breaker opens (default: 5)
+ *
+ *     coolDown             milliseconds after which an open breaker becomes
+ *     (number)             half-open (default: 10000)
+ */
+function breakerConfig(options) {
+    var rv;
+
+    assert.object(options, 'options');
+    assert.optionalNumber(options.failureThreshold,
+        'options.failureThreshold');
+    assert.optionalNumber(options.coolDown, 'options.coolDown');
+
+    rv = {
+        'failureThreshold': options.failureThreshold ||
+            dflBreakerFailureThreshold,
+        'coolDown': options.coolDown || dflBreakerCoolDown
+    };
+
+    assert.ok(rv.failureThreshold >= 1, 'failureThreshold must be positive');
+    assert.ok(rv.coolDown > 0, 'coolDown must be positive');
+    return (rv);
+}
+
+/*
+ * Connection selection strategies.  Each of these functions is invoked with a
+ * non-empty array of candidate connections and returns the one to use for a
+ * new request.  The strategy is chosen with the "connectionSelection" option.
+ */
+var connSelectors = {
+    'random': selectRandom,
+    'least-outstanding': selectLeastOutstanding,
+    'p2c': selectPowerOfTwo,
+    'ewma': selectEwma
+};
+
+/*
+ * Returns a candidate chosen uniformly at random.
+ */
+function selectRandom(mconns) {
+    return (jsprim.randElt(mconns));
+}
+
+/*
+ * Returns one of the candidates with the lowest value of "score", chosen at
+ * random to avoid always preferring the same connection when they're tied.
+ */
+function selectMinimum(mconns, score) {
+    var best, bestscore;
+
+    best = [];
+    bestscore = Infinity;
+    mconns.forEach(function (mconn) {
+        var sc = score(mconn);
+
+        if (sc < bestscore) {
+            best = [ mconn ];
+            bestscore = sc;
+        } else if (sc === bestscore) {
+            best.push(mconn);
+        }
+    });
+
+    return (jsprim.randElt(best));
+}
+
+/*
+ * Returns a candidate with the fewest outstanding requests.
+ */
+function selectLeastOutstanding(mconns) {
+    return (selectMinimum(mconns, function (mconn) {
+        return (mconn.mc_nreqs);
+    }));
+}
+
+/*
+ * "Power of two choices": picks two candidates at random and returns the one
+ * with fewer outstanding requests.  This avoids most of the imbalance of a
+ * random choice without sending every new request to the same least-loaded
+ * connection.
+ */
+function selectPowerOfTwo(mconns) {
+    var i, j;
+
+    if (mconns.length === 1) {
+        return (mconns[0]);
+    }
+
+    i = Math.floor(Math.random() * mconns.length);
+    j = Math.floor(Math.random() * (mconns.length - 1));
+    if (j >= i) {
+        j++;
+    }
+
+    return (mconns[j].mc_nreqs < mconns[i].mc_nreqs ? mconns[j] : mconns[i]);
+}
+
+/*
+ * Returns the candidate with the lowest expected wait: its moving average
+ * request latency scaled by the number of requests it would have outstanding.
+ * Connections without any successful requests are preferred so that we learn
+ * their latency.  Only successful requests are counted (see connRelease()).
+ */
+function selectEwma(mconns) {
+    return (selectMinimum(mconns, function (mconn) {
+        return (mconn.mc_ewma === null ? 0 :
+            mconn.mc_ewma * (mconn.mc_nreqs + 1));
+    }));
+}
+
 /*
  * [public] Pick an available connection to use for a new request.  On success,
  * returns an object that the caller can use to make requests.  On failure,
  * returns an Error describing the problem.
  *
+ * Callers may specify "options.exclude", the key of a connection (as returned
+ * by the allocation's key() method) whose backend should not be used: neither
+ * that connection nor any other connection to the same remote address is
+ * allocated.  This is used to send a second copy of a request to a different
+ * backend.
+ *
  * The caller must invoke connRelease() when the request is finished.
  */
-BucketsMdapiConnectionPool.prototype.connAlloc = function () {
-    var availkeys, key, mconn, aconn, staletime, staletimems;
+BucketsMdapiConnectionPool.prototype.connAlloc = function (options) {
+    var self = this;
+    var availkeys, key, mconn, aconn, staletime, staletimems, exclude;
+    var breaker, excludeRemote;
+
+    assert.optionalObject(options, 'options');
+    exclude = options ? options.exclude : undefined;
+    assert.optionalString(exclude, 'options.exclude');
+    excludeRemote = exclude !== undefined &&
+        this.mcp_conns.hasOwnProperty(exclude) ?
+        this.mcp_conns[exclude].mc_remote : null;
 
     /*
-     * There are more sophisticated ways to pick a connection (e.g., store
-     * connections in a priority queue by number of outstanding requests).  But
-     * our expectation is that BucketsMdapi servers are pretty uniform,
-     * BucketsMdapi requests are pretty uniform in their cost on the server, and
-     * so a random distribution is likely to be reasonable.
+     * By default, we pick a connection at random.  Our expectation is that
+     * BucketsMdapi servers are pretty uniform and BucketsMdapi requests are
+     * pretty uniform in their cost on the server, so a random distribution is
+     * likely to be reasonable.  When that's not the case (e.g., with a mix of
+     * cheap and expensive requests), callers may choose a load-aware strategy
+     * instead.  See connSelectors below.
      */
     availkeys = Object.keys(this.mcp_avail);
+    if (exclude !== undefined) {
+        availkeys = availkeys.filter(function (k) {
+            return (k !== exclude && (excludeRemote === null ||
+                self.mcp_conns[k].mc_remote !== excludeRemote));
+        });
+    }
+
+    if (this.mcp_breaker_conf !== null && availkeys.length > 0) {
+        availkeys = availkeys.filter(function (k) {
+            return (self.breakerAllows(self.mcp_conns[k]));
+        });
+
+        if (availkeys.length === 0) {
+            this.mcp_nalloc_fail++;
+            this.mcp_log.trace('failed to allocate connection (breakers open)');
+            return (new errors.NoBackendsError({
+                'reason': 'all backends have open circuit breakers'
+            }));
+        }
+    }
+
     if (availkeys.length > 0) {
-        key = jsprim.randElt(availkeys);
+        key = this.mcp_select(availkeys.map(function (k) {
+            return (self.mcp_conns[k]);
+        })).mc_key;
         mconn = this.mcp_conns[key];
         assert.strictEqual(mconn.mc_state, MC_S_AVAIL);
     } else {
         mconn = this.mcp_conn_fallback;
-        if (mconn !== null) {
+        if (mconn !== null && (mconn.mc_key === exclude ||
+            (excludeRemote !== null && mconn.mc_remote === excludeRemote))) {
+            mconn = null;
+        } else if (mconn !== null) {
             assert.arrayOfNumber(this.mcp_conn_fallback_time);
             assert.strictEqual(mconn.mc_state, MC_S_FALLBACK);
             key = mconn.mc_key;
@@ -224,15 +474,20 @@ BucketsMdapiConnectionPool.prototype.connAlloc = function () {
     if (mconn === null) {
         this.mcp_nalloc_fail++;
         this.mcp_log.trace('failed to allocate connection');
-        return (new VError({
-            'name': 'NoBackendsError'
-        }, 'no connections available'));
+        return (new errors.NoBackendsError());
     }
 
     assert.ok(mconn instanceof BucketsMdapiConnection);
     assert.ok(mconn.mc_nreqs >= 0);
     mconn.mc_nreqs++;
     aconn = new BucketsMdapiConnectionAllocation(mconn);
+    breaker = this.breakerFor(mconn);
+    if (breaker !== null && breaker.mb_state === MB_S_HALF_OPEN) {
+        assert.ok(!breaker.mb_probe);
+        breaker.mb_probe = true;
+        aconn.mca_probe = true;
+        mconn.mc_log.info('sending circuit breaker probe');
+    }
     mconn.mc_log.trace('allocated connection');
     this.mcp_nalloc_ok++;
     return (aconn);
@@ -240,22 +495,43 @@ BucketsMdapiConnectionPool.prototype.connAlloc = function () {
 
 /*
  * [public] Release a connection allocated from connAlloc().  The caller should
- * not do anything else with the connection.
+ * not do anything else with the connection.  "succeeded" indicates whether the
+ * request made with this connection succeeded (true) or failed (false), for
+ * the purpose of circuit breakers (see above).  It may be omitted if the
+ * outcome is not known (e.g., because the request was abandoned).
  */
-BucketsMdapiConnectionPool.prototype.connRelease = function (aconn) {
-    var mconn, key;
+BucketsMdapiConnectionPool.prototype.connRelease =
+    function (aconn, succeeded) {
+    var mconn, key, latency;
 
     assert.ok(aconn instanceof BucketsMdapiConnectionAllocation);
     assert.ok(!aconn.mca_released, 'double-release of BucketsMdapi connection');
+    assert.optionalBool(succeeded, 'succeeded');
 
     mconn = aconn.mca_mconn;
     assert.ok(mconn.mc_nreqs > 0);
 
     aconn.mca_released = true;
     mconn.mc_nreqs--;
+
+    /*
+     * Only successful requests tell us how long this backend takes to serve a
+     * request.  Failed requests may have ended early (e.g., with an error from
+     * the server) or late (on timeout), and abandoned requests ended whenever
+     * the caller gave up.
+     */
+    if (succeeded === true) {
+        latency = jsprim.hrtimeMillisec(process.hrtime(aconn.mca_start));
+        mconn.mc_ewma = mconn.mc_ewma === null ? latency :
+            ewmaLatencyWeight * latency +
+            (1 - ewmaLatencyWeight) * mconn.mc_ewma;
+    }
+
     mconn.mc_log.trace({ 'nreqs': mconn.mc_nreqs }, 'released connection');
     this.mcp_nreleased++;
 
+    this.breakerRecord(mconn, aconn.mca_probe, succeeded);
+
     key = mconn.mc_key;
     if (mconn.mc_state == MC_S_AVAIL) {
         assert.ok(this.mcp_avail.hasOwnProperty(key));
@@ -284,6 +560,7 @@ BucketsMdapiConnectionPool.prototype.connAdd =
     extras.key = key;
     mconn = new BucketsMdapiConnection(key, conn, hdl,
         this.mcp_log.child(extras, true));
+    mconn.mc_remote = extras.remote;
     assert.strictEqual(mconn.mc_state, MC_S_AVAIL);
     this.mcp_conns[key] = mconn;
     this.mcp_avail[key] = true;
@@ -366,7 +643,7 @@ BucketsMdapiConnectionPool.prototype.connDrain = function connDrain(key) {
  * no requests associated with it) to destroy it.
  */
 BucketsMdapiConnectionPool.prototype.connDelete = function (key) {
-    var mconn;
+    var mconn, remote, k;
 
     assert.ok(!this.mcp_avail.hasOwnProperty(key));
     assert.ok(this.mcp_conns.hasOwnProperty(key));
@@ -387,6 +664,130 @@ BucketsMdapiConnectionPool.prototype.connDelete = function (key) {
     mconn.mc_state = MC_S_DELETED;
     mconn.mc_log.info('removed connection');
     mconn.mc_hdl.release();
+
+    /*
+     * Forget the backend's circuit breaker once we have no connections to it.
+     */
+    remote = mconn.mc_remote;
+    if (this.mcp_breakers.hasOwnProperty(remote)) {
+        for (k in this.mcp_conns) {
+            if (this.mcp_conns[k].mc_remote === remote) {
+                return;
+            }
+        }
+
+        delete (this.mcp_breakers[remote]);
+    }
+};
+
+/*
+ * [private] Returns the circuit breaker for the backend of the given
+ * connection, creating it if necessary, or null if circuit breakers are
+ * disabled.
+ */
+BucketsMdapiConnectionPool.prototype.breakerFor = function (mconn) {
+    var remote;
+
+    if (this.mcp_breaker_conf === null || mconn.mc_remote === null) {
+        return (null);
+    }
+
+    remote = mconn.mc_remote;
+    if (!this.mcp_breakers.hasOwnProperty(remote)) {
+        this.mcp_breakers[remote] = new BucketsMdapiBreaker(remote);
+    }
+
+    return (this.mcp_breakers[remote]);
+};
+
+/*
+ * [private] Returns true if the circuit breaker for the given connection's
+ * backend allows a new request to use it.  An open breaker becomes half-open
+ * here once its cool-down has elapsed.
+ */
+BucketsMdapiConnectionPool.prototype.breakerAllows = function (mconn) {
+    var breaker, elapsed;
+
+    breaker = this.breakerFor(mconn);
+    if (breaker === null || breaker.mb_state === MB_S_CLOSED) {
+        return (true);
+    }
+
+    if (breaker.mb_state === MB_S_OPEN) {
+        elapsed = jsprim.hrtimeMillisec(process.hrtime(breaker.mb_opened));
+        if (elapsed < this.mcp_breaker_conf.coolDown) {
+            return (false);
+        }
+
+        this.breakerTransition(breaker, MB_S_HALF_OPEN);
+    }
+
+    assert.strictEqual(breaker.mb_state, MB_S_HALF_OPEN);
+    return (!breaker.mb_probe);
+};
+
+/*
+ * [private] Records the outcome of a request to the given connection's backend
+ * (see connRelease()).  "probe" indicates whether the request was the probe
+ * for a half-open breaker.
+ */
+BucketsMdapiConnectionPool.prototype.breakerRecord =
+    function (mconn, probe, succeeded) {
+    var breaker = this.breakerFor(mconn);
+
+    if (breaker === null) {
+        return;
+    }
+
+    if (probe) {
+        assert.strictEqual(breaker.mb_state, MB_S_HALF_OPEN);
+        assert.ok(breaker.mb_probe);
+        breaker.mb_probe = false;
+    }
+
+    if (succeeded === true) {
+        breaker.mb_nfailures = 0;
+        if (probe) {
+            this.breakerTransition(breaker, MB_S_CLOSED);
+        }
+    } else if (succeeded === false) {
+        breaker.mb_nfailures++;
+        if (probe || (breaker.mb_state === MB_S_CLOSED &&
+            breaker.mb_nfailures >= this.mcp_breaker_conf.failureThreshold)) {
+            this.breakerTransition(breaker, MB_S_OPEN);
+        }
+    }
+};
+
+/*
+ * [private] Moves the given circuit breaker to state "state", logging the
+ * transition and emitting "breakerStateChanged".
+ */
+BucketsMdapiConnectionPool.prototype.breakerTransition =
+    function (breaker, state) {
+    var change;
+
+    assert.notStrictEqual(breaker.mb_state, state);
+    change = {
+        'remote': breaker.mb_remote,
+        'oldState': breaker.mb_state,
+        'newState': state,
+        'failures': breaker.mb_nfailures
+    };
+
+    breaker.mb_state = state;
+    if (state === MB_S_OPEN) {
+        breaker.mb_opened = process.hrtime();
+        this.mcp_log.warn(change, 'circuit breaker opened');
+    } else {
+        if (state === MB_S_CLOSED) {
+            breaker.mb_nfailures = 0;
+            breaker.mb_opened = null;
+        }
+        this.mcp_log.info(change, 'circuit breaker state changed');
+    }
+
+    this.emit('breakerStateChanged', change);
 };
 
 /*
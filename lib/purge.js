@@ -0,0 +1,370 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/purge.js: delete a bucket along with all of its objects.  The
+ * "deletebucket" RPC removes only the bucket itself, leaving its objects on
+ * every vnode where they're stored.  A BucketPurge lists the objects on each
+ * of a set of vnodes, deletes them, and finally deletes the bucket.  Progress
+ * is reported with checkpoints, so that a purge that fails (or whose process
+ * dies) partway through can be resumed rather than started over.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var assert = require('assert-plus');
+
+var bulk = require('./bulk');
+var listing = require('./listing');
+
+
+///--- API
+
+/*
+ * A BucketPurge is an EventEmitter that deletes every object in a bucket on
+ * the given vnodes and then deletes the bucket.  The vnodes are purged one at
+ * a time, in order.  Each vnode is listed one page at a time, and the objects
+ * in each page are deleted (with up to "concurrency" deletes outstanding at
+ * once) before the next page is requested.
+ *
+ * After each page, we emit "progress" with an object with properties:
+ *
+ *     vnode        vnode that the page came from
+ *     (number)
+ *
+ *     objects      number of objects deleted so far (or, for a dry run, the
+ *     (number)     number that would have been deleted)
+ *
+ *     checkpoint   the purge's checkpoint (see checkpoint())
+ *     (object)
+ *
+ * A "checkpoint" is an object with properties "vnode" and "marker" that
+ * identifies where to resume the purge: the vnode to resume listing, and the
+ * marker to resume listing it from (or null, to list it from the beginning).
+ * Once all of the vnodes have been purged, "vnode" is null.  Every object
+ * before the checkpoint has been deleted.  To resume a purge, pass the last
+ * checkpoint reported as the "checkpoint" argument along with the same
+ * vnodes.
+ *
+ * When the purge is complete, we emit "end" with an object with properties
+ * "objects" (as for "progress"), "pages" (the number of pages listed), and
+ * "bucketDeleted" (false for a dry run).  If listing the objects or deleting
+ * an object or the bucket fails, we stop and emit "error".  Objects that were
+ * already gone when we tried to delete them are counted as deleted.
+ *
+ * In a dry run, we only list and count the objects, without deleting them or
+ * the bucket.
+ *
+ * Named arguments:
+ *
+ *     getBucketId  function invoked as getBucketId(callback) to look up the
+ *     (function)   bucket's id
+ *
+ *     listPage     function invoked as listPage(bucket_id, vnode, limit,
+ *     (function)   marker) to request a page of objects from one vnode.  This
+ *                  must return a stream of entries, each of which has a
+ *                  "name" property.
+ *
+ *     deleteKey    function invoked as deleteKey(bucket_id, key, callback) to
+ *     (function)   delete one object, where "key" has properties "name" and
+ *                  "vnode"
+ *
+ *     deleteBucket function invoked as deleteBucket(callback) to delete the
+ *     (function)   bucket
+ *
+ *     vnodes       vnodes to purge
+ *     (array)
+ *
+ *     pageSize     maximum number of objects to request per page
+ *     (number)
+ *
+ *     concurrency  maximum number of deletes outstanding at once
+ *     (number)
+ *
+ *     dryRun       only count the objects that would be deleted
+ *     (boolean)
+ *
+ *     checkpoint   checkpoint from which to resume a previous purge
+ *     (object)     [optional]
+ *
+ *     log          bunyan logger
+ *     (object)
+ */
+function BucketPurge(args) {
+    var self = this;
+    var checkpoint;
+
+    assert.object(args, 'args');
+    assert.func(args.getBucketId, 'args.getBucketId');
+    assert.func(args.listPage, 'args.listPage');
+    assert.func(args.deleteKey, 'args.deleteKey');
+    assert.func(args.deleteBucket, 'args.deleteBucket');
+    assert.arrayOfNumber(args.vnodes, 'args.vnodes');
+    assert.number(args.pageSize, 'args.pageSize');
+    assert.number(args.concurrency, 'args.concurrency');
+    assert.bool(args.dryRun, 'args.dryRun');
+    assert.optionalObject(args.checkpoint, 'args.checkpoint');
+    assert.object(args.log, 'args.log');
+
+    EventEmitter.call(this);
+
+    this.bp_get_bucket_id = args.getBucketId;
+    this.bp_list_page = args.listPage;
+    this.bp_delete_key = args.deleteKey;
+    this.bp_delete_bucket = args.deleteBucket;
+    this.bp_vnodes = args.vnodes.slice();
+    this.bp_page_size = args.pageSize;
+    this.bp_concurrency = args.concurrency;
+    this.bp_dry_run = args.dryRun;
+    this.bp_log = args.log;
+    this.bp_bucket_id = null;       /* bucket id, once we've looked it up */
+    this.bp_idx = 0;                /* index in bp_vnodes of current vnode */
+    this.bp_marker = null;          /* marker for the next page */
+    this.bp_nobjects = 0;           /* objects deleted (or counted) */
+    this.bp_npages = 0;             /* pages listed */
+
+    checkpoint = args.checkpoint;
+    if (checkpoint) {
+        assert.ok(checkpoint.vnode === null ||
+            typeof (checkpoint.vnode) === 'number',
+            'args.checkpoint.vnode must be a number or null');
+        assert.ok(checkpoint.marker === null ||
+            typeof (checkpoint.marker) === 'string',
+            'args.checkpoint.marker must be a string or null');
+
+        if (checkpoint.vnode === null) {
+            this.bp_idx = this.bp_vnodes.length;
+        } else {
+            this.bp_idx = this.bp_vnodes.indexOf(checkpoint.vnode);
+            assert.ok(this.bp_idx !== -1,
+                'args.checkpoint.vnode must be one of args.vnodes');
+            this.bp_marker = checkpoint.marker;
+        }
+    }
+
+    setImmediate(function () {
+        self.start();
+    });
+}
+
+util.inherits(BucketPurge, EventEmitter);
+
+/*
+ * Returns the checkpoint from which the purge could be resumed.  See above.
+ */
+BucketPurge.prototype.checkpoint = function checkpoint() {
+    if (this.bp_idx >= this.bp_vnodes.length) {
+        return ({ 'vnode': null, 'marker': null });
+    }
+
+    return ({
+        'vnode': this.bp_vnodes[this.bp_idx],
+        'marker': this.bp_marker
+    });
+};
+
+/*
+ * [private] Look up the bucket and begin listing.
+ */
+BucketPurge.prototype.start = function start() {
+    var self = this;
+
+    this.bp_log.info({
+        'checkpoint': this.checkpoint(),
+        'dryRun': this.bp_dry_run
+    }, 'purging bucket');
+
+    this.bp_get_bucket_id(function (err, bucket_id) {
+        if (err) {
+            self.fail(err);
+            return;
+        }
+
+        self.bp_bucket_id = bucket_id;
+        self.nextPage();
+    });
+};
+
+/*
+ * [private] List the next page of objects, or, if all the vnodes have been
+ * listed, finish the purge.
+ */
+BucketPurge.prototype.nextPage = function nextPage() {
+    var self = this;
+    var vnode, page, entries, failed;
+
+    if (this.bp_idx >= this.bp_vnodes.length) {
+        this.finish();
+        return;
+    }
+
+    vnode = this.bp_vnodes[this.bp_idx];
+    entries = [];
+    failed = false;
+    this.bp_npages++;
+
+    page = this.bp_list_page(this.bp_bucket_id, vnode, this.bp_page_size,
+        this.bp_marker === null ? undefined : this.bp_marker);
+
+    page.on('data', function (entry) {
+        entries.push(entry);
+    });
+
+    page.on('error', function (err) {
+        failed = true;
+        self.fail(err);
+    });
+
+    page.on('end', function () {
+        if (failed) {
+            return;
+        }
+
+        if (self.bp_dry_run) {
+            self.bp_nobjects += entries.length;
+            self.pageDone(vnode, entries);
+            return;
+        }
+
+        self.deletePage(vnode, entries);
+    });
+};
+
+/*
+ * [private] Delete the objects in a page.
+ */
+BucketPurge.prototype.deletePage = function deletePage(vnode, entries) {
+    var self = this;
+    var deletes, firstErr;
+
+    firstErr = null;
+    deletes = new bulk.BulkDelete({
+        'deleteKey': function (key, cb) {
+            self.bp_delete_key(self.bp_bucket_id, key, cb);
+        },
+        'keys': entries.map(function (entry) {
+            return ({ 'name': entry.name, 'vnode': vnode });
+        }),
+        'concurrency': this.bp_concurrency,
+        'stopOnError': true,
+        'log': this.bp_log
+    });
+
+    deletes.on('data', function (result) {
+        if (result.result === 'deleted' || result.result === 'not-found') {
+            self.bp_nobjects++;
+        } else if (firstErr === null) {
+            firstErr = result.error;
+        }
+    });
+
+    deletes.on('end', function () {
+        if (firstErr !== null) {
+            self.fail(firstErr);
+        } else {
+            self.pageDone(vnode, entries);
+        }
+    });
+};
+
+/*
+ * [private] Invoked when we've finished with a page.  A page with fewer
+ * objects than we asked for is the last one for its vnode.
+ */
+BucketPurge.prototype.pageDone = function pageDone(vnode, entries) {
+    if (entries.length < this.bp_page_size) {
+        this.bp_idx++;
+        this.bp_marker = null;
+    } else {
+        this.bp_marker = entries[entries.length - 1].name;
+    }
+
+    this.emit('progress', {
+        'vnode': vnode,
+        'objects': this.bp_nobjects,
+        'checkpoint': this.checkpoint()
+    });
+
+    this.nextPage();
+};
+
+/*
+ * [private] Delete the bucket, now that its objects are gone.
+ */
+BucketPurge.prototype.finish = function finish() {
+    var self = this;
+
+    if (this.bp_dry_run) {
+        this.done(false);
+        return;
+    }
+
+    this.bp_delete_bucket(function (err) {
+        if (err) {
+            self.fail(err);
+        } else {
+            self.done(true);
+        }
+    });
+};
+
+/*
+ * [private] Report the outcome of the purge.
+ */
+BucketPurge.prototype.done = function done(bucketDeleted) {
+    var summary = {
+        'objects': this.bp_nobjects,
+        'pages': this.bp_npages,
+        'bucketDeleted': bucketDeleted
+    };
+
+    this.bp_log.info(summary, 'purged bucket');
+    this.emit('end', summary);
+};
+
+/*
+ * [private] Stop the purge after a failure.
+ */
+BucketPurge.prototype.fail = function fail(err) {
+    this.bp_log.warn({
+        'err': err,
+        'checkpoint': this.checkpoint()
+    }, 'bucket purge failed');
+    this.emit('error', err);
+};
+
+/*
+ * Validates the options accepted by the client's purgeBucket() method and
+ * returns the arguments for a BucketPurge other than the functions and "log".
+ */
+function purgeArgs(vnodes, options) {
+    assert.arrayOfNumber(vnodes, 'vnodes');
+    assert.optionalObject(options, 'options');
+    options = options || {};
+    assert.optionalBool(options.dryRun, 'options.dryRun');
+    assert.optionalObject(options.checkpoint, 'options.checkpoint');
+
+    return ({
+        'vnodes': vnodes,
+        'pageSize': listing.listAllPageSize(options),
+        'concurrency': bulk.bulkConcurrency(options),
+        'dryRun': options.dryRun ? true : false,
+        'checkpoint': options.checkpoint || undefined
+    });
+}
+
+
+///--- Exports
+
+module.exports = {
+    BucketPurge: BucketPurge,
+    purgeArgs: purgeArgs
+};
@@ -0,0 +1,295 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/retry.js: retry policy for RPC requests.  Retries are opt-in: the client
+ * only retries requests if it was given a "requestRetry" policy.  Even then,
+ * requests are only retried if doing so is safe.  Reads can always be retried.
+ * A write may have been applied by the server even though the client saw an
+ * error (e.g., a timeout), so writes are retried only if the caller says the
+ * request is idempotent or if the request's conditions would prevent it from
+ * being applied twice.
+ *
+ * Retries of a request use the same request identifier as the original
+ * attempt, and each attempt is logged with it.
+ */
+
+var stream = require('stream');
+
+var assert = require('assert-plus');
+var backoff = require('backoff');
+var VError = require('verror');
+
+
+///--- Globals
+
+/*
+ * Default policy parameters.  See RetryPolicy.
+ */
+var dflRetryMaxAttempts = 3;
+var dflRetryInitialDelay = 100;         /* milliseconds */
+var dflRetryMaxDelay = 2000;            /* milliseconds */
+var dflRetryJitter = 0.2;
+
+/*
+ * Names of errors that are retried by default.  These indicate that the
+ * request could not be sent (NoBackendsError), that the connection failed
+ * (FastTransportError), or that the server did not respond in time
+ * (TimeoutError).  Errors reported by the server itself are not retried.
+ */
+var dflRetryableErrors = [
+    'NoBackendsError',
+    'FastTransportError',
+    'TimeoutError'
+];
+
+/*
+ * RPC methods that only read data, which are always safe to retry.
+ */
+var retryReadMethods = {
+    'getBucket': true,
+    'listBuckets': true,
+    'getObject': true,
+    'listObjects': true,
+    'getPlacementData': true
+};
+
+/*
+ * Conditions that prevent a write from being applied more than once: if the
+ * first attempt was applied, a retry fails the precondition instead.
+ */
+var retrySafeConditions = [ 'if-match', 'if-none-match' ];
+
+
+///--- API
+
+/*
+ * A RetryPolicy describes how failed requests are retried.  Named options:
+ *
+ *     maxAttempts      maximum number of attempts for each request, including
+ *     (number)         the first one (default: 3)
+ *
+ *     initialDelay     delay before the first retry, in milliseconds.  The
+ *     (number)         delay doubles for each subsequent retry.
+ *                      (default: 100)
+ *
+ *     maxDelay         maximum delay between attempts, in milliseconds.  This
+ *     (number)         must be greater than initialDelay.  (default: 2000)
+ *
+ *     jitter           fraction of each delay to randomize, between 0 and 1
+ *     (number)         (default: 0.2)
+ *
+ *     retryableErrors  names of errors that may be retried.  An error is
+ *     (array)          retryable if it or any of its causes has one of these
+ *                      names.  (default: see dflRetryableErrors)
+ */
+function RetryPolicy(options) {
+    assert.object(options, 'options');
+    assert.optionalNumber(options.maxAttempts, 'options.maxAttempts');
+    assert.optionalNumber(options.initialDelay, 'options.initialDelay');
+    assert.optionalNumber(options.maxDelay, 'options.maxDelay');
+    assert.optionalNumber(options.jitter, 'options.jitter');
+    assert.optionalArrayOfString(options.retryableErrors,
+        'options.retryableErrors');
+
+    this.rp_max_attempts = typeof (options.maxAttempts) === 'number' ?
+        options.maxAttempts : dflRetryMaxAttempts;
+    this.rp_initial_delay = typeof (options.initialDelay) === 'number' ?
+        options.initialDelay : dflRetryInitialDelay;
+    this.rp_max_delay = typeof (options.maxDelay) === 'number' ?
+        options.maxDelay : dflRetryMaxDelay;
+    this.rp_jitter = typeof (options.jitter) === 'number' ?
+        options.jitter : dflRetryJitter;
+    this.rp_retryable = (options.retryableErrors || dflRetryableErrors).slice();
+
+    assert.ok(this.rp_max_attempts >= 1 &&
+        Math.floor(this.rp_max_attempts) === this.rp_max_attempts,
+        'maxAttempts must be a positive integer');
+    assert.ok(this.rp_initial_delay > 0, 'initialDelay must be positive');
+    assert.ok(this.rp_max_delay > this.rp_initial_delay,
+        'maxDelay must be greater than initialDelay');
+    assert.ok(this.rp_jitter >= 0 && this.rp_jitter <= 1,
+        'jitter must be between 0 and 1');
+}
+
+/*
+ * Returns true if the given error may be retried under this policy.  Aborted
+ * requests are never retried.
+ */
+RetryPolicy.prototype.isRetryable = function isRetryable(err) {
+    if (VError.findCauseByName(err, 'AbortError') !== null) {
+        return (false);
+    }
+
+    return (this.rp_retryable.some(function (name) {
+        return (VError.findCauseByName(err, name) !== null);
+    }));
+};
+
+/*
+ * Returns true if a request for the RPC method "method" may be retried.  Named
+ * arguments:
+ *
+ *     method       client method name (e.g., "getObject")
+ *     (string)
+ *
+ *     idempotent   caller has indicated that this request may safely be
+ *     (boolean)    applied more than once [optional]
+ *
+ *     conditions   the request's conditions, if any [optional]
+ *     (object)
+ */
+function retryAllowed(args) {
+    assert.object(args, 'args');
+    assert.string(args.method, 'args.method');
+    assert.optionalBool(args.idempotent, 'args.idempotent');
+    assert.optionalObject(args.conditions, 'args.conditions');
+
+    if (retryReadMethods.hasOwnProperty(args.method) || args.idempotent) {
+        return (true);
+    }
+
+    if (args.conditions) {
+        return (retrySafeConditions.some(function (c) {
+            return (args.conditions.hasOwnProperty(c));
+        }));
+    }
+
+    return (false);
+}
+
+/*
+ * Invokes "attempt" until it succeeds, fails with an error that is not
+ * retryable, or the policy's maximum number of attempts is reached, waiting
+ * between attempts as specified by the policy.  "attempt" is invoked as
+ * attempt(callback), and "callback" is eventually invoked with the arguments
+ * passed to the callback of the last attempt.  Named arguments:
+ *
+ *     policy       RetryPolicy
+ *     (object)
+ *
+ *     log          bunyan logger
+ *     (object)
+ *
+ *     method       client method name, for logging
+ *     (string)
+ *
+ *     req_id       request identifier, for logging [optional]
+ *     (string)
+ *
+ *     canRetry     function invoked as canRetry(err) for each retryable error
+ *     (function)   that returns false if we should not retry anyway
+ *                  [optional]
+ */
+function retryCall(args, attempt, callback) {
+    var policy, call, nattempts;
+
+    assert.object(args, 'args');
+    assert.ok(args.policy instanceof RetryPolicy, 'args.policy');
+    assert.object(args.log, 'args.log');
+    assert.string(args.method, 'args.method');
+    assert.optionalString(args.req_id, 'args.req_id');
+    assert.optionalFunc(args.canRetry, 'args.canRetry');
+    assert.func(attempt, 'attempt');
+    assert.func(callback, 'callback');
+
+    policy = args.policy;
+    nattempts = 0;
+
+    call = backoff.call(function retryAttempt(cb) {
+        nattempts++;
+        args.log.debug({
+            'req_id': args.req_id,
+            'method': args.method,
+            'attempt': nattempts
+        }, 'starting attempt');
+        attempt(cb);
+    }, callback);
+
+    call.retryIf(function (err) {
+        return (nattempts < policy.rp_max_attempts &&
+            policy.isRetryable(err) &&
+            (args.canRetry === undefined || args.canRetry(err)));
+    });
+
+    call.on('backoff', function (number, delay, err) {
+        args.log.warn({
+            'req_id': args.req_id,
+            'method': args.method,
+            'attempt': nattempts,
+            'delay': delay,
+            'err': err
+        }, 'request failed; will retry');
+    });
+
+    call.setStrategy(new backoff.ExponentialStrategy({
+        'initialDelay': policy.rp_initial_delay,
+        'maxDelay': policy.rp_max_delay,
+        'randomisationFactor': policy.rp_jitter
+    }));
+    call.start();
+}
+
+/*
+ * Like retryCall(), but for requests that return a stream.  "attempt" is
+ * invoked as attempt() and returns a stream.  We return a stream that emits
+ * the data from the first attempt that emits any data or completes
+ * successfully.  Once an attempt has emitted data, we cannot retry it without
+ * emitting that data again, so a subsequent error is not retried.
+ */
+function retryStream(args, attempt) {
+    var rv = new stream.PassThrough({ 'objectMode': true });
+    var committed = false;
+    var canRetry = args.canRetry;
+
+    assert.func(attempt, 'attempt');
+
+    retryCall({
+        'policy': args.policy,
+        'log': args.log,
+        'method': args.method,
+        'req_id': args.req_id,
+        'canRetry': function (err) {
+            return (!committed &&
+                (canRetry === undefined || canRetry(err)));
+        }
+    }, function (cb) {
+        var s = attempt();
+
+        s.once('data', function () {
+            committed = true;
+        });
+        s.pipe(rv, { 'end': false });
+        s.on('error', function (err) {
+            cb(err);
+        });
+        s.on('end', function () {
+            cb(null);
+        });
+    }, function (err) {
+        if (err) {
+            rv.emit('error', err);
+        } else {
+            rv.end();
+        }
+    });
+
+    return (rv);
+}
+
+
+///--- Exports
+
+module.exports = {
+    RetryPolicy: RetryPolicy,
+    retryAllowed: retryAllowed,
+    retryCall: retryCall,
+    retryStream: retryStream
+};
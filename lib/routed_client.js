@@ -0,0 +1,887 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/routed_client.js: placement-aware buckets-mdapi client.  Buckets and
+ * objects are spread across many virtual nodes ("vnodes"), each of which lives
+ * on one physical buckets-mdapi shard ("pnode").  The mapping is maintained by
+ * the buckets-mdplacement service and fetched with getPlacementData().  The
+ * plain BucketsMdapiClient talks to a single shard and requires callers to
+ * supply the vnode for every request.  The RoutedBucketsMdapiClient here takes
+ * the placement data, keeps one BucketsMdapiClient for each pnode, and for
+ * each request computes the vnode (see lib/placement.js) and dispatches the
+ * request to the right pnode.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var stream = require('stream');
+var util = require('util');
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var VError = require('verror');
+
+var BucketCache = require('./bucket_cache').BucketCache;
+var BucketsMdapiClient = require('./client').Client;
+var bulk = require('./bulk');
+var copy = require('./copy');
+var errors = require('./errors');
+var listing = require('./listing');
+var placement = require('./placement');
+var purge = require('./purge');
+var rpcParams = require('./rpc_params');
+
+
+///--- Helpers
+
+/*
+ * Options consumed by the RoutedBucketsMdapiClient itself, which are not passed
+ * through to the per-pnode clients.
+ */
+var routedOnlyOptions = [
+    'bucketCache',
+    'placementData',
+    'placementClient',
+    'placementRefreshInterval'
+];
+
+/*
+ * Given a BucketsMdapiClient options object, return the options used to
+ * construct the client for the given pnode.  pnodes are URLs like
+ * "tcp://1.buckets-mdapi.example.com:2030".
+ */
+function pnodeClientOptions(options, pnode) {
+    var rv = {};
+
+    jsprim.forEachKey(options, function (key, value) {
+        if (routedOnlyOptions.indexOf(key) === -1) {
+            rv[key] = value;
+        }
+    });
+
+    rv.url = pnode;
+    return (rv);
+}
+
+/*
+ * Invokes "func", a method of "client" whose last argument is a callback, with
+ * the arguments "argv" and a callback that settles the returned Promise.  See
+ * promiseCall() in lib/client.js.
+ */
+function routedPromise(client, func, argv) {
+    return (new Promise(function (resolve, reject) {
+        func.apply(client, argv.concat(function (err, result) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(result);
+            }
+        }));
+    }));
+}
+
+/*
+ * Returns a stream that emits "err", for a listing that could not be started.
+ * See streamUnavailable() in lib/client.js.
+ */
+function streamError(err) {
+    var res = new stream.PassThrough({ 'objectMode': true });
+
+    setImmediate(function () {
+        res.emit('error', err);
+    });
+    return (res);
+}
+
+
+///--- API
+
+/*
+ * Constructor for the placement-aware client.  Named options:
+ *
+ *     placementData    the placement data returned by a BucketsMdapiClient's
+ *     (object)         getPlacementData() method, or a Placement
+ *
+ *     placementClient  optional BucketsMdapiClient connected to the
+ *     (object)         buckets-mdplacement service.  If specified, we update
+ *                      our routing whenever that client emits
+ *                      "placementChanged" (see its refreshPlacement() method
+ *                      and "placementRefreshInterval" option), and we re-emit
+ *                      the event.  We do not close this client.
+ *
+ *     bucketCache      optional object with properties "size", "ttl", and
+ *     (object)         "negativeTtl" configuring the cache of bucket lookups
+ *                      used by the "ByBucketName" methods (see
+ *                      lib/bucket_cache.js)
+ *
+ * along with any options supported by the BucketsMdapiClient constructor
+ * (which must include "log"), except for the ones that say where to connect
+ * ("srvDomain", "url", "host", and "port").  Those are filled in for each pnode
+ * from the placement data, and all other options are passed through to each
+ * pnode's BucketsMdapiClient.
+ *
+ * This object emits "connect" once the clients for the initial pnodes have
+ * connected, "error" if any of them emits "error", and "close" once close()
+ * has been invoked and all of them have closed.
+ */
+function RoutedBucketsMdapiClient(options) {
+    var self = this;
+
+    assert.object(options, 'options');
+    assert.object(options.placementData, 'options.placementData');
+    assert.object(options.log, 'options.log');
+    assert.optionalObject(options.placementClient, 'options.placementClient');
+    assert.optionalObject(options.bucketCache, 'options.bucketCache');
+    assert.ok(options.srvDomain === undefined && options.url === undefined &&
+        options.host === undefined && options.port === undefined,
+        'connection options are derived from the placement data');
+
+    EventEmitter.call(this);
+
+    this.log = options.log.child({
+        component: 'RoutedBucketsMdapiClient'
+    }, true);
+
+    this.rc_options = options;          /* options for per-pnode clients */
+    this.rc_clients = {};               /* BucketsMdapiClient, by pnode */
+    this.rc_nconnected = 0;             /* count of connected clients */
+    this.rc_connected = false;          /* "connect" has been emitted */
+    this.rc_closing = false;            /* close() has been invoked */
+    this.rc_placement = null;           /* current Placement */
+    this.rc_bucket_cache = new BucketCache(options.bucketCache || {});
+
+    this.setPlacementData(options.placementData);
+
+    this.rc_placement_client = options.placementClient || null;
+    this.rc_on_placement_changed = null;
+    if (this.rc_placement_client !== null) {
+        this.rc_on_placement_changed = function (change) {
+            self.onPlacementChanged(change);
+        };
+        this.rc_placement_client.on('placementChanged',
+            this.rc_on_placement_changed);
+    }
+}
+
+util.inherits(RoutedBucketsMdapiClient, EventEmitter);
+
+/*
+ * [private] Load the given placement data (either a Placement or the form
+ * returned by getPlacementData()), creating clients for any pnodes we haven't
+ * seen before.  Clients for pnodes that no longer own any vnodes are kept,
+ * since requests may still be outstanding on them.
+ */
+RoutedBucketsMdapiClient.prototype.setPlacementData =
+    function setPlacementData(placementData) {
+    var self = this;
+    var p;
+
+    if (placementData instanceof placement.Placement) {
+        p = placementData;
+    } else {
+        p = placement.parsePlacementData(placementData);
+        if (p instanceof Error) {
+            throw (p);
+        }
+    }
+
+    this.log.info({
+        'version': p.version(),
+        'nvnodes': p.vnodeCount(),
+        'pnodes': p.pnodes()
+    }, 'loaded placement data');
+    this.rc_placement = p;
+
+    p.pnodes().forEach(function (pnode) {
+        if (!self.rc_clients.hasOwnProperty(pnode)) {
+            self.createPnodeClient(pnode);
+        }
+    });
+};
+
+/*
+ * [private] Invoked when our placement client reports new placement data.
+ */
+RoutedBucketsMdapiClient.prototype.onPlacementChanged =
+    function onPlacementChanged(change) {
+    if (this.rc_closing) {
+        return;
+    }
+
+    this.setPlacementData(change.placement);
+    this.emit('placementChanged', change);
+};
+
+/**
+ * Forces a refresh of the placement data using the "placementClient" given to
+ * the constructor.  This is useful when a request fails because it was sent to
+ * the wrong vnode.  See BucketsMdapiClient.refreshPlacement().
+ *
+ * @param {Function} cb   - callback (optional; see promiseCall())
+ */
+RoutedBucketsMdapiClient.prototype.refreshPlacement =
+    function refreshPlacement(cb) {
+    assert.ok(this.rc_placement_client !== null,
+        'refreshPlacement() requires a "placementClient"');
+    return (this.rc_placement_client.refreshPlacement(cb));
+};
+
+/**
+ * Returns the Placement currently used for routing requests.
+ */
+RoutedBucketsMdapiClient.prototype.placement = function getPlacement() {
+    return (this.rc_placement);
+};
+
+/*
+ * [private] Create the BucketsMdapiClient for the given pnode.
+ */
+RoutedBucketsMdapiClient.prototype.createPnodeClient =
+    function createPnodeClient(pnode) {
+    var self = this;
+    var client;
+
+    this.log.info({ 'pnode': pnode }, 'creating client for pnode');
+    client = new BucketsMdapiClient(pnodeClientOptions(this.rc_options, pnode));
+    this.rc_clients[pnode] = client;
+
+    client.on('connect', function () {
+        if (++self.rc_nconnected === Object.keys(self.rc_clients).length &&
+            !self.rc_connected) {
+            self.rc_connected = true;
+            self.log.debug('all pnode clients ready');
+            self.emit('connect');
+        }
+    });
+
+    client.on('error', function (err) {
+        self.emit('error', new VError(err, 'pnode "%s"', pnode));
+    });
+};
+
+/**
+ * Returns the vnode, pnode, and BucketsMdapiClient for the given vnode, or an
+ * InvalidArgumentError if the placement data has no such vnode.  Vnodes
+ * computed from a key are always valid, but the listing methods take the vnode
+ * from the caller.
+ */
+RoutedBucketsMdapiClient.prototype.locateVnode = function locateVnode(vnode) {
+    var pnode;
+
+    assert.number(vnode, 'vnode');
+    if (vnode < 0 || vnode >= this.rc_placement.vnodeCount() ||
+        Math.floor(vnode) !== vnode) {
+        return (new errors.InvalidArgumentError({
+            'argument': 'vnode',
+            'message': util.format('no vnode %d in placement data ' +
+                'version "%s" (which has %d vnodes)', vnode,
+                this.rc_placement.version(), this.rc_placement.vnodeCount())
+        }));
+    }
+
+    pnode = this.rc_placement.pnodeForVnode(vnode);
+    return ({
+        'vnode': vnode,
+        'pnode': pnode,
+        'client': this.rc_clients[pnode]
+    });
+};
+
+RoutedBucketsMdapiClient.prototype.locateBucket =
+    function locateBucket(owner, bucket) {
+    return (this.locateVnode(this.rc_placement.vnodeForKey(owner, bucket)));
+};
+
+RoutedBucketsMdapiClient.prototype.locateObject =
+    function locateObject(owner, bucket_id, name) {
+    assert.string(name, 'name');
+    return (this.locateVnode(
+        this.rc_placement.vnodeForKey(owner, bucket_id, name)));
+};
+
+/**
+ * Closes the clients for all pnodes.
+ */
+RoutedBucketsMdapiClient.prototype.close = function close() {
+    var self = this;
+    var pnodes, nclosed;
+
+    if (this.rc_closing) {
+        this.log.warn('ignoring close() after previous close()');
+        return;
+    }
+
+    this.rc_closing = true;
+    if (this.rc_placement_client !== null) {
+        this.rc_placement_client.removeListener('placementChanged',
+            this.rc_on_placement_changed);
+    }
+
+    pnodes = Object.keys(this.rc_clients);
+    nclosed = 0;
+    this.log.info({ 'npnodes': pnodes.length }, 'closing');
+    pnodes.forEach(function (pnode) {
+        var client = self.rc_clients[pnode];
+
+        client.on('close', function () {
+            if (++nclosed === pnodes.length) {
+                self.log.info('closed');
+                self.emit('close');
+            }
+        });
+        client.close();
+    });
+};
+
+RoutedBucketsMdapiClient.prototype.toString = function toString() {
+    return (util.format('[object RoutedBucketsMdapiClient<npnodes=%d>]',
+        Object.keys(this.rc_clients).length));
+};
+
+/*
+ * RPC methods
+ *
+ * Each of these has the same semantics as the same-named BucketsMdapiClient
+ * method, except that the "vnode" argument is omitted (for methods that operate
+ * on a single bucket or object) and computed from the placement data.  The
+ * listing methods operate on a single vnode, which must still be specified,
+ * and are dispatched to the pnode that owns that vnode.  As with the
+ * BucketsMdapiClient methods, callers may pass per-request options in "opts"
+ * and may omit the callback to get a Promise.
+ */
+
+/*
+ * Creating or deleting a bucket invalidates our cached lookup of it (see
+ * getObjectByBucketName()), whether or not the request succeeds, since a
+ * request that fails may still have been carried out.
+ */
+RoutedBucketsMdapiClient.prototype.createBucket =
+    function createBucket(owner, bucket, req_id, opts, cb) {
+    var self = this;
+    var loc = this.locateBucket(owner, bucket);
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (routedPromise(this, createBucket,
+            [ owner, bucket, req_id, opts ]));
+    }
+
+    this.rc_bucket_cache.invalidate(owner, bucket);
+    return (loc.client.createBucket(owner, bucket, loc.vnode, req_id, opts,
+        function (err, result) {
+        self.rc_bucket_cache.invalidate(owner, bucket);
+        cb(err, result);
+    }));
+};
+
+RoutedBucketsMdapiClient.prototype.getBucket =
+    function getBucket(owner, bucket, req_id, opts, cb) {
+    var loc = this.locateBucket(owner, bucket);
+    return (loc.client.getBucket(owner, bucket, loc.vnode, req_id, opts,
+        cb));
+};
+
+RoutedBucketsMdapiClient.prototype.deleteBucket =
+    function deleteBucket(owner, bucket, req_id, opts, cb) {
+    var self = this;
+    var loc = this.locateBucket(owner, bucket);
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (routedPromise(this, deleteBucket,
+            [ owner, bucket, req_id, opts ]));
+    }
+
+    this.rc_bucket_cache.invalidate(owner, bucket);
+    return (loc.client.deleteBucket(owner, bucket, loc.vnode, req_id, opts,
+        function (err, result) {
+        self.rc_bucket_cache.invalidate(owner, bucket);
+        cb(err, result);
+    }));
+};
+
+RoutedBucketsMdapiClient.prototype.listBuckets =
+    function listBuckets(owner, prefix, limit, marker, vnode, req_id, opts) {
+    var loc = this.locateVnode(vnode);
+    if (loc instanceof Error) {
+        return (streamError(loc));
+    }
+
+    return (loc.client.listBuckets(owner, prefix, limit, marker, vnode,
+        req_id, opts));
+};
+
+RoutedBucketsMdapiClient.prototype.listAllBuckets =
+    function listAllBuckets(owner, prefix, limit, marker, vnode, req_id,
+    opts) {
+    var loc = this.locateVnode(vnode);
+    if (loc instanceof Error) {
+        return (streamError(loc));
+    }
+
+    return (loc.client.listAllBuckets(owner, prefix, limit, marker, vnode,
+        req_id, opts));
+};
+
+RoutedBucketsMdapiClient.prototype.createObject =
+    function createObject(owner, bucket_id, name, object_id, content_length,
+    content_md5, content_type, headers, sharks, props, conditions, req_id, opts,
+    cb) {
+    var loc = this.locateObject(owner, bucket_id, name);
+    return (loc.client.createObject(owner, bucket_id, name, object_id,
+        content_length, content_md5, content_type, headers, sharks, props,
+        loc.vnode, conditions, req_id, opts, cb));
+};
+
+RoutedBucketsMdapiClient.prototype.updateObject =
+    function updateObject(owner, bucket_id, name, object_id, content_type,
+    headers, props, conditions, req_id, opts, cb) {
+    var loc = this.locateObject(owner, bucket_id, name);
+    return (loc.client.updateObject(owner, bucket_id, name, object_id,
+        content_type, headers, props, loc.vnode, conditions, req_id, opts, cb));
+};
+
+RoutedBucketsMdapiClient.prototype.getObject =
+    function getObject(owner, bucket_id, name, conditions, req_id, opts,
+    cb) {
+    var loc = this.locateObject(owner, bucket_id, name);
+    return (loc.client.getObject(owner, bucket_id, name, loc.vnode,
+        conditions, req_id, opts, cb));
+};
+
+RoutedBucketsMdapiClient.prototype.deleteObject =
+    function deleteObject(owner, bucket_id, name, conditions, req_id, opts,
+    cb) {
+    var loc = this.locateObject(owner, bucket_id, name);
+    return (loc.client.deleteObject(owner, bucket_id, name, loc.vnode,
+        conditions, req_id, opts, cb));
+};
+
+/*
+ * Bucket lookups
+ *
+ * Object RPCs identify the bucket by its id, which callers that start from the
+ * bucket's name must first look up with getBucket().  The "ByBucketName"
+ * variants of the object methods take the bucket's name in place of
+ * "bucket_id", look up the bucket (using our cache of recent lookups, if
+ * possible), and then behave exactly like the corresponding method.  If the
+ * bucket does not exist, they fail with the BucketNotFound error from
+ * getBucket().
+ *
+ * Cached lookups expire after the cache's "ttl" (or "negativeTtl", for
+ * buckets that were not found), and are invalidated when this client creates
+ * or deletes the bucket.  Buckets deleted or recreated by other clients may
+ * be seen only once the entry expires, in which case requests are sent with
+ * the old bucket's id.  Callers that see such failures may use
+ * invalidateBucket() to force a fresh lookup.
+ */
+
+/*
+ * [private] Look up the id of "bucket", using the cache if possible.
+ */
+RoutedBucketsMdapiClient.prototype.resolveBucketId =
+    function resolveBucketId(owner, bucket, req_id, opts, cb) {
+    var self = this;
+    var cache = this.rc_bucket_cache;
+    var cached, epoch;
+
+    cached = cache.get(owner, bucket);
+    if (cached !== null) {
+        setImmediate(cb, cached.error || null,
+            cached.error ? undefined : cached.bucket.id);
+        return;
+    }
+
+    epoch = cache.epoch();
+    this.getBucket(owner, bucket, req_id, rpcParams.requestOptions(opts),
+        function (err, record) {
+        if (err) {
+            if (errors.hasCause(err, errors.BucketNotFoundError)) {
+                cache.putNotFound(epoch, owner, bucket, err);
+            }
+            cb(err);
+            return;
+        }
+
+        cache.putBucket(epoch, owner, bucket, record);
+        self.log.debug({
+            'owner': owner,
+            'bucket': bucket,
+            'bucket_id': record.id
+        }, 'cached bucket lookup');
+        cb(null, record.id);
+    });
+};
+
+/**
+ * Discards any cached lookup of "bucket".  See "Bucket lookups" above.
+ */
+RoutedBucketsMdapiClient.prototype.invalidateBucket =
+    function invalidateBucket(owner, bucket) {
+    this.rc_bucket_cache.invalidate(owner, bucket);
+};
+
+RoutedBucketsMdapiClient.prototype.createObjectByBucketName =
+    function createObjectByBucketName(owner, bucket, name, object_id,
+    content_length, content_md5, content_type, headers, sharks, props,
+    conditions, req_id, opts, cb) {
+    var self = this;
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (routedPromise(this, createObjectByBucketName, [ owner,
+            bucket, name, object_id, content_length, content_md5,
+            content_type, headers, sharks, props, conditions, req_id,
+            opts ]));
+    }
+
+    this.resolveBucketId(owner, bucket, req_id, opts,
+        function (err, bucket_id) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        self.createObject(owner, bucket_id, name, object_id, content_length,
+            content_md5, content_type, headers, sharks, props, conditions,
+            req_id, opts, cb);
+    });
+};
+
+RoutedBucketsMdapiClient.prototype.updateObjectByBucketName =
+    function updateObjectByBucketName(owner, bucket, name, object_id,
+    content_type, headers, props, conditions, req_id, opts, cb) {
+    var self = this;
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (routedPromise(this, updateObjectByBucketName, [ owner,
+            bucket, name, object_id, content_type, headers, props, conditions,
+            req_id, opts ]));
+    }
+
+    this.resolveBucketId(owner, bucket, req_id, opts,
+        function (err, bucket_id) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        self.updateObject(owner, bucket_id, name, object_id, content_type,
+            headers, props, conditions, req_id, opts, cb);
+    });
+};
+
+RoutedBucketsMdapiClient.prototype.getObjectByBucketName =
+    function getObjectByBucketName(owner, bucket, name, conditions, req_id,
+    opts, cb) {
+    var self = this;
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (routedPromise(this, getObjectByBucketName,
+            [ owner, bucket, name, conditions, req_id, opts ]));
+    }
+
+    this.resolveBucketId(owner, bucket, req_id, opts,
+        function (err, bucket_id) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        self.getObject(owner, bucket_id, name, conditions, req_id, opts, cb);
+    });
+};
+
+RoutedBucketsMdapiClient.prototype.deleteObjectByBucketName =
+    function deleteObjectByBucketName(owner, bucket, name, conditions, req_id,
+    opts, cb) {
+    var self = this;
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (routedPromise(this, deleteObjectByBucketName,
+            [ owner, bucket, name, conditions, req_id, opts ]));
+    }
+
+    this.resolveBucketId(owner, bucket, req_id, opts,
+        function (err, bucket_id) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        self.deleteObject(owner, bucket_id, name, conditions, req_id, opts,
+            cb);
+    });
+};
+
+/*
+ * The source and destination may be on different pnodes, so unlike the other
+ * methods, these can't simply be passed to a single pnode's client.  Each
+ * step of the copy is routed separately.
+ */
+RoutedBucketsMdapiClient.prototype.copyObject =
+    function copyObject(owner, bucket_id, name, new_name, conditions, req_id,
+    opts, cb) {
+    return (this.copyOrRename(false, owner, bucket_id, name, new_name,
+        conditions, req_id, opts, cb));
+};
+
+RoutedBucketsMdapiClient.prototype.renameObject =
+    function renameObject(owner, bucket_id, name, new_name, conditions,
+    req_id, opts, cb) {
+    return (this.copyOrRename(true, owner, bucket_id, name, new_name,
+        conditions, req_id, opts, cb));
+};
+
+RoutedBucketsMdapiClient.prototype.copyOrRename =
+    function copyOrRename(rename, owner, bucket_id, name, new_name, conditions,
+    req_id, opts, cb) {
+    var self = this;
+    var overwrite, reqopts;
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = undefined;
+    }
+
+    if (cb === undefined) {
+        return (routedPromise(this, copyOrRename, [ rename, owner, bucket_id,
+            name, new_name, conditions, req_id, opts ]));
+    }
+
+    assert.string(owner, 'owner');
+    assert.string(bucket_id, 'bucket_id');
+    assert.string(name, 'name');
+    assert.string(new_name, 'new_name');
+    assert.optionalObject(conditions, 'conditions');   /* see getObject() */
+    assert.string(req_id, 'req_id');
+    assert.func(cb, 'callback');
+    overwrite = copy.copyOverwrite(opts);
+    reqopts = rpcParams.requestOptions(opts);
+
+    copy.copyObject({
+        'log': this.log,
+        'source': { 'bucket_id': bucket_id, 'name': name },
+        'dest': { 'bucket_id': bucket_id, 'name': new_name },
+        'conditions': conditions,
+        'overwrite': overwrite,
+        'rename': rename,
+        'getObject': function (loc, c, gcb) {
+            self.getObject(owner, loc.bucket_id, loc.name, c, req_id,
+                reqopts, gcb);
+        },
+        'createObject': function (loc, r, ccb) {
+            self.createObject(owner, loc.bucket_id, loc.name, r.object_id,
+                r.content_length, r.content_md5, r.content_type, r.headers,
+                r.sharks, r.props, r.conditions, req_id, reqopts, ccb);
+        },
+        'deleteObject': function (loc, c, dcb) {
+            self.deleteObject(owner, loc.bucket_id, loc.name, c, req_id,
+                reqopts, dcb);
+        }
+    }, cb);
+};
+
+RoutedBucketsMdapiClient.prototype.listObjects =
+    function listObjects(owner, bucket_id, prefix, limit, marker, vnode,
+    req_id, opts) {
+    var loc = this.locateVnode(vnode);
+    if (loc instanceof Error) {
+        return (streamError(loc));
+    }
+
+    return (loc.client.listObjects(owner, bucket_id, prefix, limit, marker,
+        vnode, req_id, opts));
+};
+
+RoutedBucketsMdapiClient.prototype.listAllObjects =
+    function listAllObjects(owner, bucket_id, prefix, limit, marker, vnode,
+    req_id, opts) {
+    var loc = this.locateVnode(vnode);
+    if (loc instanceof Error) {
+        return (streamError(loc));
+    }
+
+    return (loc.client.listAllObjects(owner, bucket_id, prefix, limit, marker,
+        vnode, req_id, opts));
+};
+
+/*
+ * Unlike the other listing methods, this one may cover vnodes on several
+ * pnodes, and "vnodes" may be null to list every vnode in the placement data.
+ */
+RoutedBucketsMdapiClient.prototype.listObjectsAcrossVnodes =
+    function listObjectsAcrossVnodes(owner, bucket_id, prefix, limit, marker,
+    vnodes, req_id, opts) {
+    var self = this;
+    var args, i;
+
+    if (vnodes === null) {
+        vnodes = [];
+        for (i = 0; i < this.rc_placement.vnodeCount(); i++) {
+            vnodes.push(i);
+        }
+    }
+
+    args = listing.mergedListingArgs(prefix, vnodes, limit, marker, opts);
+    args.listPage = function (vnode, pageLimit, pageMarker) {
+        return (self.listObjects(owner, bucket_id, prefix, pageLimit,
+            pageMarker, vnode, req_id, rpcParams.requestOptions(opts)));
+    };
+
+    return (new listing.MergedListing(args));
+};
+
+/*
+ * Each object's vnode is computed from its name, so "keys" need not specify
+ * vnodes, and the objects may be spread across several pnodes.  The
+ * concurrency limit applies to the deletes as a whole.
+ */
+RoutedBucketsMdapiClient.prototype.deleteObjects =
+    function deleteObjects(owner, bucket_id, keys, req_id, opts) {
+    var self = this;
+    var args, reqopts;
+
+    assert.string(owner, 'owner');
+    assert.string(bucket_id, 'bucket_id');
+    assert.string(req_id, 'req_id');
+    args = bulk.bulkDeleteArgs(keys, opts);
+    reqopts = rpcParams.requestOptions(opts);
+
+    args.log = this.log;
+    args.deleteKey = function (key, cb) {
+        self.deleteObject(owner, bucket_id, key.name, key.conditions, req_id,
+            reqopts, cb);
+    };
+
+    return (new bulk.BulkDelete(args));
+};
+
+/*
+ * Records need not specify "vnode": each record's vnode is computed from its
+ * name, and its create (including any retries) is sent to that vnode's pnode.
+ */
+RoutedBucketsMdapiClient.prototype.createObjects =
+    function createObjects(req_id, opts) {
+    var self = this;
+    var args, reqopts;
+
+    assert.string(req_id, 'req_id');
+    args = bulk.bulkCreateArgs(opts, false);
+    reqopts = rpcParams.requestOptions(opts);
+
+    args.log = this.log;
+    args.retryArgs = function (record) {
+        var loc = self.locateObject(record.owner, record.bucket_id,
+            record.name);
+        return (loc.client.bulkRetryArgs('createObject', req_id, reqopts,
+            record.conditions));
+    };
+    args.createRecord = function (record, cb) {
+        self.createObject(record.owner, record.bucket_id, record.name,
+            record.object_id, record.content_length, record.content_md5,
+            record.content_type, record.headers, record.sharks, record.props,
+            record.conditions, req_id,
+            jsprim.mergeObjects(reqopts, { 'retry': false }), cb);
+    };
+
+    return (new bulk.BulkCreate(args));
+};
+
+/*
+ * The bucket's objects may be on vnodes on several pnodes.  "opts.vnodes" is
+ * optional here, and defaults to every vnode in the placement data.
+ */
+RoutedBucketsMdapiClient.prototype.purgeBucket =
+    function purgeBucket(owner, bucket, req_id, opts) {
+    var self = this;
+    var args, reqopts, vnodes, i;
+
+    assert.string(owner, 'owner');
+    assert.string(bucket, 'bucket');
+    assert.string(req_id, 'req_id');
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
+
+    vnodes = opts.vnodes;
+    if (vnodes === undefined) {
+        vnodes = [];
+        for (i = 0; i < this.rc_placement.vnodeCount(); i++) {
+            vnodes.push(i);
+        }
+    }
+
+    args = purge.purgeArgs(vnodes, opts);
+    reqopts = rpcParams.requestOptions(opts);
+
+    args.log = this.log.child({
+        'owner': owner,
+        'bucket': bucket,
+        'req_id': req_id
+    }, true);
+    args.getBucketId = function (cb) {
+        self.getBucket(owner, bucket, req_id, reqopts, function (err, b) {
+            cb(err, err ? undefined : b.id);
+        });
+    };
+    args.listPage = function (bucket_id, vnode, limit, marker) {
+        return (self.listObjects(owner, bucket_id, undefined, limit, marker,
+            vnode, req_id, reqopts));
+    };
+    args.deleteKey = function (bucket_id, key, cb) {
+        var loc = self.locateVnode(key.vnode);
+        if (loc instanceof Error) {
+            setImmediate(cb, loc);
+            return;
+        }
+
+        loc.client.deleteObject(owner, bucket_id, key.name, key.vnode, null,
+            req_id, reqopts, cb);
+    };
+    args.deleteBucket = function (cb) {
+        self.deleteBucket(owner, bucket, req_id, reqopts, cb);
+    };
+
+    return (new purge.BucketPurge(args));
+};
+
+
+///--- Exports
+
+module.exports = {
+    RoutedClient: RoutedBucketsMdapiClient
+};
@@ -17,6 +17,8 @@ var stream = require('stream');
 var assert = require('assert-plus');
 var VError = require('verror');
 
+var errors = require('./errors');
+
 ///--- API
 
 function childLogger(rpcctx, options) {
@@ -87,6 +89,12 @@ function childLogger(rpcctx, options) {
  *     rpcctx                       buckets-mdapi's "rpcctx" handle, a wrapper
  *                                  around a FastClient that includes context
  *                                  related to this buckets-mdapi client.
+ *     timeout                      {Number} Milliseconds to wait for the RPC
+ *                                  to complete before failing it with a
+ *                                  TimeoutError.  Defaults to the timeout
+ *                                  configured for the RPC context, if any.
+ *     req_id                       {String} Request identifier, used to
+ *                                  identify the request in errors.
  *     wrapErrors                   {Boolean} Whether error messages in
  *                                  received Fast messages should be wrapped as
  *                                  VError objects and returned as errors to
@@ -94,9 +102,20 @@ function childLogger(rpcctx, options) {
  *
  * Error messages are considered to be objects with an "error" key, which
  * itself is an object that must contain a "name" and "message" property.
+ *
+ * If the RPC context has an AbortSignal (see the "signal" request option in
+ * lib/client.js), then aborting it abandons the RPC, which then fails with an
+ * AbortError.  If the signal has already been aborted, we don't issue the RPC
+ * at all.
+ *
+ * The outcome of each RPC is recorded in the RPC context for the connection
+ * pool's circuit breakers (see lib/pool.js).  An RPC succeeds for this purpose
+ * if the server responds to it, even if the response contains an embedded
+ * error.
  */
 function rpcCommon(args, callback) {
-    var rpcctx, req, addrs, res, embeddedError;
+    var rpcctx, req, addrs, res, embeddedError, timeout, signal, onAbort;
+    var aborted = false;
 
     assert.object(args, 'args');
     assert.object(args.rpcctx, 'args.rpcctx');
@@ -104,6 +123,7 @@ function rpcCommon(args, callback) {
     assert.array(args.rpcargs, 'args.rpcargs');
     assert.object(args.log, 'args.log');
     assert.optionalNumber(args.timeout, 'args.timeout');
+    assert.optionalString(args.req_id, 'args.req_id');
     assert.optionalBool(args.ignoreNullValues, 'args.ignoreNullValues');
     assert.optionalBool(args.wrapErrors, 'args.wrapErrors');
     assert.func(callback);
@@ -111,15 +131,41 @@ function rpcCommon(args, callback) {
     res = new stream.PassThrough({objectMode: true});
 
     rpcctx = args.rpcctx;
+    signal = rpcctx.signal();
+    if (signal !== null && signal.aborted) {
+        setImmediate(callback, new errors.AbortError({
+            'rpcmethod': args.rpcmethod,
+            'req_id': args.req_id,
+            'addrs': rpcctx.socketAddrs()
+        }));
+        return (res);
+    }
+
+    timeout = typeof (args.timeout) === 'number' ?
+        args.timeout : rpcctx.timeout();
     req = rpcctx.fastClient().rpc({
         rpcmethod: args.rpcmethod,
         rpcargs: args.rpcargs,
-        timeout: args.timeout,
+        timeout: timeout,
         ignoreNullValues: args.ignoreNullValues,
         log: args.log
     });
 
+    if (signal !== null) {
+        onAbort = function onRpcAbort() {
+            aborted = true;
+            req.abandon();
+        };
+        signal.addEventListener('abort', onAbort);
+    }
+
     req.once('end', function () {
+        if (signal !== null) {
+            signal.removeEventListener('abort', onAbort);
+        }
+
+        rpcctx.recordOutcome(true);
+
         if (embeddedError) {
             args.log.error(embeddedError, 'FastMessage embedded error seen');
             callback(embeddedError);
@@ -130,7 +176,31 @@ function rpcCommon(args, callback) {
     });
 
     req.once('error', function (err) {
-        if (rpcctx.unwrapErrors()) {
+        if (signal !== null) {
+            signal.removeEventListener('abort', onAbort);
+        }
+
+        if (!aborted) {
+            rpcctx.recordOutcome(false);
+        }
+
+        if (aborted) {
+            err = new errors.AbortError({
+                'cause': err,
+                'rpcmethod': args.rpcmethod,
+                'req_id': args.req_id,
+                'addrs': rpcctx.socketAddrs()
+            });
+        } else if (typeof (timeout) === 'number' &&
+            VError.findCauseByName(err, 'TimeoutError') !== null) {
+            err = new errors.TimeoutError({
+                'cause': err,
+                'rpcmethod': args.rpcmethod,
+                'req_id': args.req_id,
+                'timeout': timeout,
+                'addrs': rpcctx.socketAddrs()
+            });
+        } else if (rpcctx.unwrapErrors()) {
             err = unwrapError(err);
         } else {
             addrs = rpcctx.socketAddrs();
@@ -158,7 +228,7 @@ function rpcCommon(args, callback) {
                     return;
                 }
 
-                var err = rpcWrapEmbeddedError(obj);
+                var err = rpcWrapEmbeddedError(obj, args);
 
                 // an error is seen, save it to be emitted at the end
                 if (err) {
@@ -256,6 +326,63 @@ function rpcCommonSingleMessage(args, callback) {
     return (req);
 }
 
+/*
+ * Result normalization: if the RPC context calls for it (see the
+ * "normalizeResults" client option and the "raw" request option in
+ * lib/client.js), the records returned by the object and bucket RPCs are
+ * normalized with normalizeObject() in lib/objects.js or normalizeBucket() in
+ * lib/buckets.js.  rpcResultCallback() returns a callback that normalizes the
+ * result of a single-message RPC before invoking "callback", and
+ * rpcResultStream() returns the stream through which a listing RPC's records
+ * should be piped.
+ */
+function rpcResultCallback(rpcctx, normalize, callback) {
+    assert.func(normalize, 'normalize');
+    assert.func(callback, 'callback');
+
+    if (rpcctx.rawResults()) {
+        return (callback);
+    }
+
+    return (function onRpcResult(err, result) {
+        if (err) {
+            callback(err);
+        } else {
+            callback(null, normalize(result));
+        }
+    });
+}
+
+function rpcResultStream(rpcctx, normalize) {
+    assert.func(normalize, 'normalize');
+
+    if (rpcctx.rawResults()) {
+        return (new stream.PassThrough({objectMode: true}));
+    }
+
+    return (new stream.Transform({
+        objectMode: true,
+        transform: function (record, _, cb) {
+            cb(null, normalize(record));
+        }
+    }));
+}
+
+/*
+ * Returns "value", a timestamp reported by the server, as a Date.  Values that
+ * can't be parsed are returned unchanged.
+ */
+function resultDate(value) {
+    var date;
+
+    if (typeof (value) !== 'string' && typeof (value) !== 'number') {
+        return (value);
+    }
+
+    date = new Date(value);
+    return (isNaN(date.getTime()) ? value : date);
+}
+
 /*
  * See the "unwrapErrors" constructor argument for the BucketsMdapiClient.
  */
@@ -272,19 +399,33 @@ function unwrapError(err) {
 }
 
 /*
- * Wrap an error message embedded in a FastMessage as a VError object.  Returns
- * null if no error is found.
+ * Wrap an error message embedded in a FastMessage as an error object (see
+ * serverError() in lib/errors.js).  "args" are the arguments to rpcCommon(),
+ * which identify the request.  Returns null if no error is found.
  */
-function rpcWrapEmbeddedError(msg) {
-    var e;
+function rpcWrapEmbeddedError(msg, args) {
+    var arg;
 
     if (msg && msg.error) {
         assert.string(msg.error.name, 'msg.error.name');
         assert.string(msg.error.message, 'msg.error.message');
 
-        e = new VError(msg.error.message);
-        e.name = msg.error.name;
-        return (e);
+        /*
+         * Identify the bucket and object from the request arguments.  Object
+         * RPCs identify the bucket by id and the object by "name", while
+         * bucket RPCs use "name" for the bucket.
+         */
+        arg = args.rpcargs[0] || {};
+        return (errors.serverError({
+            'name': msg.error.name,
+            'message': msg.error.message,
+            'rpcmethod': args.rpcmethod,
+            'req_id': args.req_id,
+            'owner': arg.owner,
+            'bucket': arg.bucket_id || arg.name,
+            'key': arg.bucket_id ? arg.name : undefined,
+            'addrs': args.rpcctx.socketAddrs()
+        }));
     }
 
     return (null);
@@ -295,8 +436,11 @@ function rpcWrapEmbeddedError(msg) {
 
 module.exports = {
     childLogger: childLogger,
+    resultDate: resultDate,
     rpcCommon: rpcCommon,
     rpcCommonNoData: rpcCommonNoData,
     rpcCommonBufferData: rpcCommonBufferData,
-    rpcCommonSingleMessage: rpcCommonSingleMessage
+    rpcCommonSingleMessage: rpcCommonSingleMessage,
+    rpcResultCallback: rpcResultCallback,
+    rpcResultStream: rpcResultStream
 };
@@ -0,0 +1,268 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/rpc_params.js: normalize the named-options form of the bucket and object
+ * RPC methods.  Each of these methods in lib/client.js takes a long list of
+ * positional arguments, several of which have the same type, which makes it
+ * easy to pass them in the wrong order.  Callers may instead pass a single
+ * options object, which we validate here and convert into the positional
+ * arguments that the rest of the client expects.
+ */
+
+var assert = require('assert-plus');
+var libuuid = require('libuuid');
+
+/*
+ * For each method that supports named options, this table lists the named
+ * options in the same order as the method's positional arguments, along with
+ * the assert-plus function used to validate each one.  "reqId" is always
+ * optional in the named form, and a new request identifier is generated if it
+ * is not specified.
+ *
+ * Entries marked with "opts" are not positional arguments but properties of
+ * the optional options object that follows them.  In the named form, these are
+ * specified alongside the other named options.
+ */
+var rpcNamedParams = {
+    'createBucket': [
+        [ 'owner', 'string' ],
+        [ 'bucket', 'string' ],
+        [ 'vnode', 'number' ],
+        [ 'reqId', 'optionalString' ],
+        [ 'timeout', 'optionalNumber', 'opts' ],
+        [ 'signal', 'optionalObject', 'opts' ],
+        [ 'retry', 'optionalBool', 'opts' ],
+        [ 'idempotent', 'optionalBool', 'opts' ],
+        [ 'raw', 'optionalBool', 'opts' ]
+    ],
+    'getBucket': [
+        [ 'owner', 'string' ],
+        [ 'bucket', 'string' ],
+        [ 'vnode', 'number' ],
+        [ 'reqId', 'optionalString' ],
+        [ 'timeout', 'optionalNumber', 'opts' ],
+        [ 'signal', 'optionalObject', 'opts' ],
+        [ 'retry', 'optionalBool', 'opts' ],
+        [ 'idempotent', 'optionalBool', 'opts' ],
+        [ 'hedge', 'optionalBool', 'opts' ],
+        [ 'coalesce', 'optionalBool', 'opts' ],
+        [ 'raw', 'optionalBool', 'opts' ]
+    ],
+    'deleteBucket': [
+        [ 'owner', 'string' ],
+        [ 'bucket', 'string' ],
+        [ 'vnode', 'number' ],
+        [ 'reqId', 'optionalString' ],
+        [ 'timeout', 'optionalNumber', 'opts' ],
+        [ 'signal', 'optionalObject', 'opts' ],
+        [ 'retry', 'optionalBool', 'opts' ],
+        [ 'idempotent', 'optionalBool', 'opts' ]
+    ],
+    'listBuckets': [
+        [ 'owner', 'string' ],
+        [ 'prefix', 'optionalString' ],
+        [ 'limit', 'number' ],
+        [ 'marker', 'optionalString' ],
+        [ 'vnode', 'number' ],
+        [ 'reqId', 'optionalString' ],
+        [ 'timeout', 'optionalNumber', 'opts' ],
+        [ 'signal', 'optionalObject', 'opts' ],
+        [ 'retry', 'optionalBool', 'opts' ],
+        [ 'idempotent', 'optionalBool', 'opts' ],
+        [ 'raw', 'optionalBool', 'opts' ]
+    ],
+    'createObject': [
+        [ 'owner', 'string' ],
+        [ 'bucketId', 'string' ],
+        [ 'name', 'string' ],
+        [ 'objectId', 'string' ],
+        [ 'contentLength', 'number' ],
+        [ 'contentMd5', 'string' ],
+        [ 'contentType', 'string' ],
+        [ 'headers', 'object' ],
+        [ 'sharks', 'object' ],
+        [ 'props', 'optionalObject' ],
+        [ 'vnode', 'number' ],
+        [ 'conditions', 'optionalObject' ],
+        [ 'reqId', 'optionalString' ],
+        [ 'timeout', 'optionalNumber', 'opts' ],
+        [ 'signal', 'optionalObject', 'opts' ],
+        [ 'retry', 'optionalBool', 'opts' ],
+        [ 'idempotent', 'optionalBool', 'opts' ],
+        [ 'raw', 'optionalBool', 'opts' ]
+    ],
+    'updateObject': [
+        [ 'owner', 'string' ],
+        [ 'bucketId', 'string' ],
+        [ 'name', 'string' ],
+        [ 'objectId', 'string' ],
+        [ 'contentType', 'string' ],
+        [ 'headers', 'object' ],
+        [ 'props', 'optionalObject' ],
+        [ 'vnode', 'number' ],
+        [ 'conditions', 'optionalObject' ],
+        [ 'reqId', 'optionalString' ],
+        [ 'timeout', 'optionalNumber', 'opts' ],
+        [ 'signal', 'optionalObject', 'opts' ],
+        [ 'retry', 'optionalBool', 'opts' ],
+        [ 'idempotent', 'optionalBool', 'opts' ],
+        [ 'raw', 'optionalBool', 'opts' ]
+    ],
+    'getObject': [
+        [ 'owner', 'string' ],
+        [ 'bucketId', 'string' ],
+        [ 'name', 'string' ],
+        [ 'vnode', 'number' ],
+        [ 'conditions', 'optionalObject' ],
+        [ 'reqId', 'optionalString' ],
+        [ 'timeout', 'optionalNumber', 'opts' ],
+        [ 'signal', 'optionalObject', 'opts' ],
+        [ 'retry', 'optionalBool', 'opts' ],
+        [ 'idempotent', 'optionalBool', 'opts' ],
+        [ 'hedge', 'optionalBool', 'opts' ],
+        [ 'coalesce', 'optionalBool', 'opts' ],
+        [ 'raw', 'optionalBool', 'opts' ]
+    ],
+    'deleteObject': [
+        [ 'owner', 'string' ],
+        [ 'bucketId', 'string' ],
+        [ 'name', 'string' ],
+        [ 'vnode', 'number' ],
+        [ 'conditions', 'optionalObject' ],
+        [ 'reqId', 'optionalString' ],
+        [ 'timeout', 'optionalNumber', 'opts' ],
+        [ 'signal', 'optionalObject', 'opts' ],
+        [ 'retry', 'optionalBool', 'opts' ],
+        [ 'idempotent', 'optionalBool', 'opts' ]
+    ],
+    'listObjects': [
+        [ 'owner', 'string' ],
+        [ 'bucketId', 'string' ],
+        [ 'prefix', 'optionalString' ],
+        [ 'limit', 'number' ],
+        [ 'marker', 'optionalString' ],
+        [ 'vnode', 'number' ],
+        [ 'reqId', 'optionalString' ],
+        [ 'delimiter', 'optionalString', 'opts' ],
+        [ 'timeout', 'optionalNumber', 'opts' ],
+        [ 'signal', 'optionalObject', 'opts' ],
+        [ 'retry', 'optionalBool', 'opts' ],
+        [ 'idempotent', 'optionalBool', 'opts' ],
+        [ 'raw', 'optionalBool', 'opts' ]
+    ]
+};
+
+
+///--- API
+
+/*
+ * Validates the per-request options accepted by each RPC method (see
+ * "RPC implementation functions" in lib/client.js) and returns an object
+ * containing only those options.  Callers may pass an options object that
+ * includes other, method-specific options.
+ */
+function requestOptions(opts) {
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
+    assert.optionalNumber(opts.timeout, 'opts.timeout');
+    assert.ok(opts.timeout === undefined || opts.timeout > 0,
+        'opts.timeout must be positive');
+    assert.optionalObject(opts.signal, 'opts.signal');
+    if (opts.signal) {
+        assert.bool(opts.signal.aborted, 'opts.signal.aborted');
+        assert.func(opts.signal.addEventListener,
+            'opts.signal.addEventListener');
+    }
+    assert.optionalBool(opts.retry, 'opts.retry');
+    assert.optionalBool(opts.idempotent, 'opts.idempotent');
+    assert.optionalBool(opts.hedge, 'opts.hedge');
+    assert.optionalBool(opts.coalesce, 'opts.coalesce');
+    assert.optionalBool(opts.raw, 'opts.raw');
+
+    return ({
+        'timeout': opts.timeout,
+        'signal': opts.signal,
+        'retry': opts.retry,
+        'idempotent': opts.idempotent,
+        'hedge': opts.hedge,
+        'coalesce': opts.coalesce,
+        'raw': opts.raw
+    });
+}
+
+/*
+ * Returns true if "arg" (the first argument passed to one of the RPC methods)
+ * is an options object rather than the first positional argument.  The first
+ * positional argument of every method that supports named options is a string.
+ */
+function isNamedForm(arg) {
+    return (typeof (arg) === 'object' && arg !== null);
+}
+
+/*
+ * Given the name of an RPC method and the named options passed to it, validate
+ * the options and return an array of the equivalent positional arguments (not
+ * including the callback).  Unknown options are rejected so that misspelled
+ * option names are caught rather than silently ignored.  Invalid options cause
+ * this function to throw an AssertionError.  For callback-based methods,
+ * namedCall() in lib/client.js turns this into a rejected Promise for callers
+ * that omitted the callback.  Stream-based methods always throw it (see
+ * namedStreamCall()).
+ */
+function namedToPositional(method, options) {
+    var params, rv, opts, hasOpts;
+
+    assert.string(method, 'method');
+    assert.object(options, 'options');
+    assert.ok(rpcNamedParams.hasOwnProperty(method),
+        'no named parameters for method "' + method + '"');
+
+    params = rpcNamedParams[method];
+    Object.keys(options).forEach(function (key) {
+        var known = params.some(function (p) { return (p[0] === key); });
+        assert.ok(known, method + ': unsupported option "' + key + '"');
+    });
+
+    rv = [];
+    opts = {};
+    hasOpts = false;
+    params.forEach(function (p) {
+        var name = p[0];
+        var check = p[1];
+
+        assert[check](options[name], 'options.' + name);
+        if (p[2] === 'opts') {
+            hasOpts = true;
+            if (options[name] !== undefined) {
+                opts[name] = options[name];
+            }
+        } else if (name === 'reqId' && options[name] === undefined) {
+            rv.push(libuuid.create());
+        } else {
+            rv.push(options[name]);
+        }
+    });
+
+    if (hasOpts) {
+        rv.push(opts);
+    }
+
+    return (rv);
+}
+
+
+///--- Exports
+
+module.exports = {
+    isNamedForm: isNamedForm,
+    namedToPositional: namedToPositional,
+    requestOptions: requestOptions
+};
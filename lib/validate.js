@@ -0,0 +1,168 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/validate.js: strict validation of bucket and object metadata.  The RPC
+ * methods only check the JavaScript types of their arguments, and the server
+ * stores whatever it is given.  Clients created with the "strictValidation"
+ * option also check the metadata for createBucket(), createObject(), and
+ * updateObject() against the rules below before making the request, so that
+ * malformed metadata is caught when it's written rather than when it's later
+ * read.
+ */
+
+var assert = require('assert-plus');
+
+var errors = require('./errors');
+
+
+///--- Globals
+
+/*
+ * Bucket names must be 3 to 63 characters of lowercase letters, digits,
+ * periods, and hyphens, and must begin and end with a letter or digit.  They
+ * must not look like IPv4 addresses.
+ */
+var bucketNameRe = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
+var ipAddressRe = /^\d+\.\d+\.\d+\.\d+$/;
+
+/* The base64 encoding of a 16-byte MD5 digest. */
+var contentMd5Re = /^[A-Za-z0-9+\/]{22}==$/;
+
+var uuidRe = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/*
+ * Maximum sizes of an object's headers and properties, in bytes of JSON.
+ */
+var validateMaxHeadersBytes = 4 * 1024;
+var validateMaxPropsBytes = 4 * 1024;
+
+
+///--- Helpers
+
+function invalid(argument, message) {
+    return (new errors.InvalidArgumentError({
+        'argument': argument,
+        'message': message
+    }));
+}
+
+function checkUuid(argument, value) {
+    if (!uuidRe.test(value)) {
+        throw (invalid(argument, 'expected a UUID'));
+    }
+}
+
+function checkJsonSize(argument, value, max) {
+    var size = Buffer.byteLength(JSON.stringify(value));
+
+    if (size > max) {
+        throw (invalid(argument, 'too large (' + size +
+            ' bytes, maximum ' + max + ')'));
+    }
+}
+
+function checkHeaders(headers) {
+    Object.keys(headers).forEach(function (name) {
+        if (typeof (headers[name]) !== 'string') {
+            throw (invalid('headers',
+                'value of header "' + name + '" is not a string'));
+        }
+    });
+
+    checkJsonSize('headers', headers, validateMaxHeadersBytes);
+}
+
+function checkSharks(sharks) {
+    if (!Array.isArray(sharks)) {
+        throw (invalid('sharks', 'expected an array'));
+    }
+
+    sharks.forEach(function (shark, i) {
+        if (typeof (shark) !== 'object' || shark === null ||
+            typeof (shark.datacenter) !== 'string' ||
+            shark.datacenter.length === 0 ||
+            typeof (shark.manta_storage_id) !== 'string' ||
+            shark.manta_storage_id.length === 0) {
+            throw (invalid('sharks', 'element ' + i + ' must have non-empty ' +
+                'string properties "datacenter" and "manta_storage_id"'));
+        }
+    });
+}
+
+
+///--- API
+
+/*
+ * Validates the metadata for a new bucket.  Throws an InvalidArgumentError if
+ * it's invalid.  Named arguments:
+ *
+ *     owner        account owner (a UUID)
+ *     (string)
+ *
+ *     bucket       bucket name
+ *     (string)
+ */
+function validateBucket(args) {
+    assert.object(args, 'args');
+    assert.string(args.owner, 'args.owner');
+    assert.string(args.bucket, 'args.bucket');
+
+    checkUuid('owner', args.owner);
+    if (!bucketNameRe.test(args.bucket) || ipAddressRe.test(args.bucket)) {
+        throw (invalid('bucket', 'bucket names must be 3 to 63 lowercase ' +
+            'letters, digits, periods, and hyphens, must begin and end with ' +
+            'a letter or digit, and must not be formatted as an IP address'));
+    }
+}
+
+/*
+ * Validates the metadata for an object being created or updated.  Throws an
+ * InvalidArgumentError if it's invalid.  Named arguments correspond to the
+ * arguments of createObject() and updateObject():
+ *
+ *     owner, object_id, headers, props
+ *
+ *     content_length, content_md5, sharks      only when creating an object
+ */
+function validateObject(args) {
+    assert.object(args, 'args');
+
+    checkUuid('owner', args.owner);
+    checkUuid('object_id', args.object_id);
+
+    if (args.hasOwnProperty('content_length') &&
+        (!isFinite(args.content_length) || args.content_length < 0 ||
+        Math.floor(args.content_length) !== args.content_length)) {
+        throw (invalid('content_length', 'expected a non-negative integer'));
+    }
+
+    if (args.hasOwnProperty('content_md5') &&
+        !contentMd5Re.test(args.content_md5)) {
+        throw (invalid('content_md5', 'expected a base64-encoded MD5 digest'));
+    }
+
+    if (args.hasOwnProperty('sharks')) {
+        checkSharks(args.sharks);
+    }
+
+    checkHeaders(args.headers);
+    if (args.props !== undefined && args.props !== null) {
+        checkJsonSize('props', args.props, validateMaxPropsBytes);
+    }
+}
+
+
+///--- Exports
+
+module.exports = {
+    validateBucket: validateBucket,
+    validateObject: validateObject
+};
@@ -0,0 +1,157 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/bucket_cache.test.js: tests for the cache of bucket lookups
+ * (lib/bucket_cache.js)
+ */
+
+var tape = require('tape');
+
+var BucketCache = require('../lib/bucket_cache').BucketCache;
+
+
+///--- Helpers
+
+var owner = '6ee1e5da-6a18-4c43-9ad3-6b1d0c3d2b1c';
+
+/*
+ * Replaces Date.now() with a clock that only moves when the returned function
+ * is invoked as advance(ms), and restores the real clock when the test ends.
+ */
+function fakeClock(t) {
+    var realNow = Date.now;
+    var now = realNow();
+
+    Date.now = function () {
+        return (now);
+    };
+
+    t.on('end', function () {
+        Date.now = realNow;
+    });
+
+    return (function advance(ms) {
+        now += ms;
+    });
+}
+
+function bucketRecord(name) {
+    return ({ 'id': name + '-id', 'owner': owner, 'name': name });
+}
+
+
+///--- Tests
+
+tape('BucketCache: positive entries', function (t) {
+    var cache = new BucketCache({});
+    var record = bucketRecord('b1');
+
+    t.strictEqual(cache.get(owner, 'b1'), null, 'miss');
+    cache.putBucket(cache.epoch(), owner, 'b1', record);
+    t.deepEqual(cache.get(owner, 'b1'), { 'bucket': record }, 'hit');
+    t.strictEqual(cache.get(owner, 'b2'), null, 'other bucket');
+    t.strictEqual(cache.get('other-owner', 'b1'), null, 'other owner');
+    t.equal(cache.count(), 1);
+    t.end();
+});
+
+tape('BucketCache: negative entries', function (t) {
+    var cache = new BucketCache({});
+    var err = new Error('bucket not found');
+
+    cache.putNotFound(cache.epoch(), owner, 'b1', err);
+    t.deepEqual(cache.get(owner, 'b1'), { 'error': err });
+
+    cache = new BucketCache({ 'negativeTtl': 0 });
+    cache.putNotFound(cache.epoch(), owner, 'b1', err);
+    t.strictEqual(cache.get(owner, 'b1'), null,
+        'not cached with negativeTtl 0');
+    t.equal(cache.count(), 0);
+    t.end();
+});
+
+tape('BucketCache: expiry', function (t) {
+    var advance = fakeClock(t);
+    var cache = new BucketCache({ 'ttl': 1000, 'negativeTtl': 100 });
+
+    cache.putBucket(cache.epoch(), owner, 'b1', bucketRecord('b1'));
+    cache.putNotFound(cache.epoch(), owner, 'b2', new Error('not found'));
+
+    advance(99);
+    t.notEqual(cache.get(owner, 'b1'), null);
+    t.notEqual(cache.get(owner, 'b2'), null);
+
+    advance(1);
+    t.notEqual(cache.get(owner, 'b1'), null);
+    t.strictEqual(cache.get(owner, 'b2'), null, 'negative entry expired');
+
+    advance(900);
+    t.strictEqual(cache.get(owner, 'b1'), null, 'positive entry expired');
+    t.equal(cache.count(), 0, 'expired entries are removed');
+    t.end();
+});
+
+tape('BucketCache: least recently used entries are evicted', function (t) {
+    var cache = new BucketCache({ 'size': 2 });
+
+    cache.putBucket(cache.epoch(), owner, 'b1', bucketRecord('b1'));
+    cache.putBucket(cache.epoch(), owner, 'b2', bucketRecord('b2'));
+    t.notEqual(cache.get(owner, 'b1'), null, 'b1 is now most recent');
+
+    cache.putBucket(cache.epoch(), owner, 'b3', bucketRecord('b3'));
+    t.equal(cache.count(), 2);
+    t.strictEqual(cache.get(owner, 'b2'), null, 'b2 evicted');
+    t.notEqual(cache.get(owner, 'b1'), null);
+    t.notEqual(cache.get(owner, 'b3'), null);
+
+    /* Replacing an entry does not evict anything. */
+    cache.putBucket(cache.epoch(), owner, 'b1', bucketRecord('b1'));
+    t.equal(cache.count(), 2);
+    t.notEqual(cache.get(owner, 'b3'), null);
+    t.end();
+});
+
+tape('BucketCache: invalidation', function (t) {
+    var cache = new BucketCache({});
+    var epoch;
+
+    cache.putBucket(cache.epoch(), owner, 'b1', bucketRecord('b1'));
+    cache.invalidate(owner, 'b1');
+    t.strictEqual(cache.get(owner, 'b1'), null, 'entry removed');
+    t.equal(cache.count(), 0);
+
+    /* A lookup that raced with an invalidation is not cached. */
+    epoch = cache.epoch();
+    cache.invalidate(owner, 'b2');
+    cache.putBucket(epoch, owner, 'b1', bucketRecord('b1'));
+    cache.putNotFound(epoch, owner, 'b3', new Error('not found'));
+    t.equal(cache.count(), 0, 'stale lookups are not cached');
+
+    cache.putBucket(cache.epoch(), owner, 'b1', bucketRecord('b1'));
+    t.equal(cache.count(), 1);
+    t.end();
+});
+
+tape('BucketCache: bad options', function (t) {
+    t.throws(function () {
+        return (new BucketCache({ 'size': 0 }));
+    }, /size must be a positive integer/);
+    t.throws(function () {
+        return (new BucketCache({ 'size': 1.5 }));
+    }, /size must be a positive integer/);
+    t.throws(function () {
+        return (new BucketCache({ 'ttl': 0 }));
+    }, /ttl must be positive/);
+    t.throws(function () {
+        return (new BucketCache({ 'negativeTtl': -1 }));
+    }, /negativeTtl must not be negative/);
+    t.end();
+});
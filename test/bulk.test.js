@@ -0,0 +1,740 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/bulk.test.js: tests for bulk operations (lib/bulk.js)
+ */
+
+var tape = require('tape');
+var VError = require('verror');
+
+var bulk = require('../lib/bulk');
+var errors = require('../lib/errors');
+var helpers = require('./helpers');
+var retry = require('../lib/retry');
+
+
+///--- Helpers
+
+var BUCKET_ID = 'a1b2c3d4-0000-0000-0000-000000000001';
+
+/*
+ * Returns "n" keys for a BulkDelete, named "obj0" through "obj<n-1>".
+ */
+function makeKeys(n) {
+    var keys = [];
+    var i;
+
+    for (i = 0; i < n; i++) {
+        keys.push({ 'name': 'obj' + i, 'vnode': i });
+    }
+
+    return (keys);
+}
+
+/*
+ * Returns an error like the one the server reports for "name".
+ */
+function serverError(name) {
+    return (errors.serverError({
+        'name': name,
+        'message': name,
+        'rpcmethod': 'deleteobject',
+        'addrs': { 'local': '127.0.0.1:10000', 'remote': '10.0.0.1:2030' }
+    }));
+}
+
+/*
+ * Creates a BulkDelete for "nkeys" keys whose deletes are not completed until
+ * the test completes them.  Returns an object with properties:
+ *
+ *     bd           the BulkDelete
+ *
+ *     started      keys whose deletes were started, in order
+ *
+ *     pending      callbacks for outstanding deletes, by key name
+ *
+ *     maxPending   the most deletes that have been outstanding at once
+ *
+ *     complete     if set, a function invoked as complete(key) when each
+ *                  delete is started, which returns the error (or null) with
+ *                  which the delete completes on the next tick
+ */
+function makeBulkDelete(nkeys, options) {
+    var rv = {
+        'started': [],
+        'pending': {},
+        'maxPending': 0,
+        'complete': null
+    };
+
+    function npending() {
+        return (Object.keys(rv.pending).length);
+    }
+
+    rv.bd = new bulk.BulkDelete({
+        'keys': makeKeys(nkeys),
+        'concurrency': options.concurrency,
+        'stopOnError': options.stopOnError ? true : false,
+        'log': helpers.log,
+        'deleteKey': function (key, cb) {
+            rv.started.push(key.name);
+            rv.pending[key.name] = function (err) {
+                delete (rv.pending[key.name]);
+                cb(err);
+            };
+            rv.maxPending = Math.max(rv.maxPending, npending());
+
+            if (rv.complete !== null) {
+                setImmediate(rv.pending[key.name], rv.complete(key));
+            }
+        }
+    });
+
+    rv.bd.on('error', function (err) {
+        throw (new VError(err, 'unexpected error from BulkDelete'));
+    });
+
+    return (rv);
+}
+
+/*
+ * Invokes each of "funcs" in turn, allowing time between them for the
+ * BulkDelete to start deletes (which its work queue does asynchronously).
+ */
+function inTurn(funcs) {
+    if (funcs.length > 0) {
+        setTimeout(function () {
+            funcs[0]();
+            inTurn(funcs.slice(1));
+        }, 10);
+    }
+}
+
+/*
+ * Returns null, for the "complete" property of makeBulkDelete()'s result.
+ */
+function succeed() {
+    return (null);
+}
+
+/*
+ * Reads every result from "bd" and invokes callback(results).
+ */
+function readAll(bd, callback) {
+    var results = [];
+
+    bd.on('data', function (result) {
+        results.push(result);
+    });
+    bd.on('end', function () {
+        callback(results);
+    });
+}
+
+/*
+ * Returns a valid record for a BulkCreate for an object called "obj<i>", with
+ * the properties of "overrides" replacing the defaults.
+ */
+function makeRecord(i, overrides) {
+    var record = {
+        'owner': 'owner0',
+        'bucket_id': BUCKET_ID,
+        'name': 'obj' + i,
+        'object_id': 'c0ffee00-1234-4321-abcd-0123456789ab',
+        'content_length': 5,
+        'content_md5': 'XrY7u+Ae7tCTyyK7j1rNww==',
+        'content_type': 'text/plain',
+        'headers': {},
+        'sharks': [],
+        'props': {},
+        'vnode': i
+    };
+
+    Object.keys(overrides || {}).forEach(function (k) {
+        record[k] = overrides[k];
+    });
+
+    return (record);
+}
+
+/*
+ * Creates a BulkCreate whose creates are not completed until the test
+ * completes them.  Returns an object with properties "started", "pending",
+ * "maxPending", and "complete" as for makeBulkDelete(), plus:
+ *
+ *     bc           the BulkCreate
+ *
+ *     failures     objects emitted with "failure", in order
+ *
+ *     summaries    objects emitted with "summary", in order
+ *
+ * Records with property "throwInvalid" cause createRecord() to throw an
+ * InvalidArgumentError.  If "options" has property "retryArgs", it is used as
+ * the BulkCreate's "retryArgs".  Otherwise, records are not retried.
+ */
+function makeBulkCreate(options) {
+    var rv = {
+        'started': [],
+        'pending': {},
+        'maxPending': 0,
+        'complete': null,
+        'failures': [],
+        'summaries': []
+    };
+
+    rv.bc = new bulk.BulkCreate({
+        'concurrency': options.concurrency,
+        'requireVnode': options.requireVnode ? true : false,
+        'log': helpers.log,
+        'retryArgs': options.retryArgs || function () {
+            return (null);
+        },
+        'createRecord': function (record, cb) {
+            if (record.throwInvalid) {
+                throw (new errors.InvalidArgumentError({
+                    'argument': 'record',
+                    'message': 'rejected by createRecord'
+                }));
+            }
+
+            rv.started.push(record.name);
+            rv.pending[record.name] = function (err) {
+                delete (rv.pending[record.name]);
+                cb(err);
+            };
+            rv.maxPending = Math.max(rv.maxPending,
+                Object.keys(rv.pending).length);
+
+            if (rv.complete !== null) {
+                setImmediate(rv.pending[record.name], rv.complete(record));
+            }
+        }
+    });
+
+    rv.bc.on('failure', function (failure) {
+        rv.failures.push(failure);
+    });
+    rv.bc.on('summary', function (summary) {
+        rv.summaries.push(summary);
+    });
+    rv.bc.on('error', function (err) {
+        throw (new VError(err, 'unexpected error from BulkCreate'));
+    });
+
+    return (rv);
+}
+
+
+///--- Tests
+
+tape('BulkDelete: results', function (t) {
+    var d = makeBulkDelete(4, { 'concurrency': 4 });
+    var notfound = serverError('ObjectNotFound');
+    var precond = serverError('PreconditionFailed');
+    var other = new VError(serverError('DatabaseError'), 'delete failed');
+
+    readAll(d.bd, function (results) {
+        t.deepEqual(results, [ {
+            'name': 'obj2',
+            'vnode': 2,
+            'result': 'not-found',
+            'error': notfound
+        }, {
+            'name': 'obj0',
+            'vnode': 0,
+            'result': 'deleted',
+            'error': undefined
+        }, {
+            'name': 'obj3',
+            'vnode': 3,
+            'result': 'error',
+            'error': other
+        }, {
+            'name': 'obj1',
+            'vnode': 1,
+            'result': 'precondition-failed',
+            'error': precond
+        } ], 'results in order of completion');
+        t.end();
+    });
+
+    inTurn([ function () {
+        t.deepEqual(d.started, [ 'obj0', 'obj1', 'obj2', 'obj3' ],
+            'every delete started');
+        d.pending.obj2(notfound);
+        d.pending.obj0(null);
+        d.pending.obj3(other);
+        d.pending.obj1(precond);
+    } ]);
+});
+
+tape('BulkDelete: no keys', function (t) {
+    var d = makeBulkDelete(0, { 'concurrency': 4 });
+
+    readAll(d.bd, function (results) {
+        t.deepEqual(results, [], 'no results');
+        t.deepEqual(d.started, [], 'no deletes started');
+        t.end();
+    });
+});
+
+tape('BulkDelete: concurrency', function (t) {
+    var d = makeBulkDelete(10, { 'concurrency': 3 });
+
+    readAll(d.bd, function (results) {
+        t.equal(results.length, 10, 'every key reported');
+        t.equal(d.maxPending, 3, 'at most 3 deletes outstanding');
+        t.end();
+    });
+
+    inTurn([ function () {
+        t.deepEqual(d.started, [ 'obj0', 'obj1', 'obj2' ],
+            'only 3 deletes started');
+
+        /* Each completion starts exactly one more delete. */
+        d.pending.obj1(null);
+    }, function () {
+        t.deepEqual(d.started, [ 'obj0', 'obj1', 'obj2', 'obj3' ],
+            'next delete started after one completes');
+        t.deepEqual(Object.keys(d.pending), [ 'obj0', 'obj2', 'obj3' ],
+            '3 deletes outstanding');
+
+        d.complete = succeed;
+        Object.keys(d.pending).forEach(function (name) {
+            d.pending[name](null);
+        });
+    } ]);
+});
+
+tape('BulkDelete: default concurrency', function (t) {
+    var args = bulk.bulkDeleteArgs(makeKeys(2), undefined);
+
+    t.equal(args.concurrency, 10, 'default concurrency');
+    t.equal(args.stopOnError, false, 'stopOnError off by default');
+    t.equal(bulk.bulkDeleteArgs([], { 'concurrency': 2 }).concurrency, 2,
+        'concurrency');
+    [ 0, -1, 1.5 ].forEach(function (c) {
+        t.throws(function () {
+            bulk.bulkDeleteArgs([], { 'concurrency': c });
+        }, /concurrency must be a positive integer/, 'concurrency ' + c);
+    });
+    t.end();
+});
+
+tape('BulkDelete: failures do not stop the deletes by default',
+    function (t) {
+    var d = makeBulkDelete(4, { 'concurrency': 1 });
+
+    d.complete = function () {
+        return (new Error('delete failed'));
+    };
+    readAll(d.bd, function (results) {
+        t.deepEqual(results.map(function (r) {
+            return (r.result);
+        }), [ 'error', 'error', 'error', 'error' ], 'every key attempted');
+        t.equal(d.maxPending, 1, 'at most 1 delete outstanding');
+        t.end();
+    });
+});
+
+tape('BulkDelete: stopOnError', function (t) {
+    var d = makeBulkDelete(10, { 'concurrency': 3, 'stopOnError': true });
+    var err = new Error('delete failed');
+
+    readAll(d.bd, function (results) {
+        t.deepEqual(results.map(function (r) {
+            return ([ r.name, r.result ]);
+        }), [
+            [ 'obj0', 'not-found' ],
+            [ 'obj1', 'precondition-failed' ],
+            [ 'obj3', 'error' ],
+            [ 'obj2', 'deleted' ],
+            [ 'obj4', 'deleted' ]
+        ], 'outstanding deletes reported, later keys not reported');
+        t.deepEqual(d.started, [ 'obj0', 'obj1', 'obj2', 'obj3', 'obj4' ],
+            'no deletes started after the error');
+        t.end();
+    });
+
+    inTurn([ function () {
+        /* Neither of these is an "error" result, so we keep going. */
+        d.pending.obj0(serverError('ObjectNotFound'));
+        d.pending.obj1(serverError('PreconditionFailed'));
+    }, function () {
+        t.deepEqual(Object.keys(d.pending), [ 'obj2', 'obj3', 'obj4' ],
+            'deletes continue after other failures');
+        d.pending.obj3(err);
+    }, function () {
+        t.deepEqual(Object.keys(d.pending), [ 'obj2', 'obj4' ],
+            'no delete started after the error');
+        d.pending.obj2(null);
+        d.pending.obj4(null);
+    } ]);
+});
+
+tape('BulkDelete: stops starting deletes when the consumer does not read',
+    function (t) {
+    var d = makeBulkDelete(100, { 'concurrency': 5 });
+    var limit = d.bd.readableHighWaterMark + 5;
+
+    d.complete = succeed;
+    setTimeout(function () {
+        var nstarted = d.started.length;
+
+        t.ok(nstarted >= d.bd.readableHighWaterMark && nstarted <= limit,
+            nstarted + ' deletes started while the consumer was not ' +
+            'reading (at most ' + limit + ')');
+        t.deepEqual(d.pending, {}, 'no deletes outstanding');
+
+        readAll(d.bd, function (results) {
+            t.equal(results.length, 100, 'every key reported');
+            t.equal(d.started.length, 100, 'every delete started');
+            t.ok(d.maxPending <= 5, 'at most 5 deletes outstanding');
+            t.end();
+        });
+    }, 100);
+});
+
+tape('client: deleteObjects', function (t) {
+    var backend = new helpers.FakeBackend('10.0.0.1:2030');
+
+    backend.handle('deleteobject', function (rpcargs, req) {
+        if (rpcargs[0].name === 'obj1') {
+            req.respond([ { 'error': {
+                'name': 'ObjectNotFound',
+                'message': 'requested object not found'
+            } } ]);
+        } else {
+            req.respond([ { 'name': rpcargs[0].name } ]);
+        }
+    });
+
+    helpers.createClient(backend, {}, function (client) {
+        var bd = client.deleteObjects('owner0', BUCKET_ID, [
+            { 'name': 'obj0', 'vnode': 0 },
+            { 'name': 'obj1', 'vnode': 1, 'conditions': { 'if-match': '*' } }
+        ], 'req0', { 'concurrency': 1 });
+
+        readAll(bd, function (results) {
+            t.deepEqual(results.map(function (r) {
+                return ([ r.name, r.vnode, r.result ]);
+            }), [
+                [ 'obj0', 0, 'deleted' ],
+                [ 'obj1', 1, 'not-found' ]
+            ], 'results');
+            t.ok(results[1].error instanceof errors.ObjectNotFoundError,
+                'not-found error');
+            t.deepEqual(backend.requests.map(function (req) {
+                return ([ req.fr_rpcargs[0].name, req.fr_rpcargs[0].vnode,
+                    req.fr_rpcargs[0].conditions ]);
+            }), [
+                [ 'obj0', 0, undefined ],
+                [ 'obj1', 1, { 'if-match': [ '*' ] } ]
+            ], 'requests');
+            client.close();
+            t.end();
+        });
+    });
+});
+
+tape('BulkCreate: concurrency', function (t) {
+    var c = makeBulkCreate({ 'concurrency': 3 });
+    var i;
+
+    for (i = 0; i < 10; i++) {
+        c.bc.write(makeRecord(i));
+    }
+    c.bc.end();
+
+    c.bc.on('summary', function (summary) {
+        t.deepEqual(summary, { 'written': 10, 'failed': 0, 'retried': 0 },
+            'summary');
+        t.equal(c.started.length, 10, 'every record created');
+        t.equal(c.maxPending, 3, 'at most 3 creates outstanding');
+        t.end();
+    });
+
+    inTurn([ function () {
+        t.deepEqual(c.started, [ 'obj0', 'obj1', 'obj2' ],
+            'only 3 creates started');
+        c.pending.obj1(null);
+    }, function () {
+        t.deepEqual(c.started, [ 'obj0', 'obj1', 'obj2', 'obj3' ],
+            'next create started after one completes');
+        t.deepEqual(Object.keys(c.pending), [ 'obj0', 'obj2', 'obj3' ],
+            '3 creates outstanding');
+
+        c.complete = succeed;
+        Object.keys(c.pending).forEach(function (name) {
+            c.pending[name](null);
+        });
+    } ]);
+});
+
+tape('BulkCreate: default concurrency', function (t) {
+    t.deepEqual(bulk.bulkCreateArgs(undefined, true),
+        { 'requireVnode': true, 'concurrency': 10 }, 'defaults');
+    t.deepEqual(bulk.bulkCreateArgs({ 'concurrency': 2 }, false),
+        { 'requireVnode': false, 'concurrency': 2 }, 'concurrency');
+    t.throws(function () {
+        bulk.bulkCreateArgs({ 'concurrency': 0 }, true);
+    }, /concurrency must be a positive integer/, 'bad concurrency');
+    t.end();
+});
+
+tape('BulkCreate: writers are paused while creates are outstanding',
+    function (t) {
+    var c = makeBulkCreate({ 'concurrency': 2 });
+    var limit = c.bc.writableHighWaterMark + 2;
+    var nwritten = 0;
+
+    while (c.bc.write(makeRecord(nwritten++)) && nwritten < 100) {
+        continue;
+    }
+
+    t.ok(nwritten <= limit, 'write() returned false after ' + nwritten +
+        ' records (at most ' + limit + ')');
+
+    inTurn([ function () {
+        t.deepEqual(c.started, [ 'obj0', 'obj1' ], 'only 2 creates started');
+
+        c.bc.once('drain', function () {
+            t.equal(c.started.length, nwritten, 'every record created');
+            c.bc.end();
+        });
+        c.bc.on('summary', function (summary) {
+            t.equal(summary.written, nwritten, 'summary');
+            t.end();
+        });
+
+        c.complete = succeed;
+        c.pending.obj0(null);
+        c.pending.obj1(null);
+    } ]);
+});
+
+tape('BulkCreate: failures', function (t) {
+    var c = makeBulkCreate({ 'concurrency': 10 });
+    var createError = new Error('create failed');
+    var records = [
+        makeRecord(0),
+        makeRecord(1, { 'content_length': '5' }),
+        'obj2',
+        makeRecord(3, { 'throwInvalid': true }),
+        makeRecord(4),
+        makeRecord(5)
+    ];
+
+    c.complete = function (record) {
+        return (record.name === 'obj4' ? createError : null);
+    };
+    c.bc.on('summary', function (summary) {
+        t.deepEqual(summary, { 'written': 2, 'failed': 4, 'retried': 0 },
+            'summary');
+        t.deepEqual(c.started, [ 'obj0', 'obj4', 'obj5' ],
+            'invalid records not created');
+
+        t.equal(c.failures.length, 4, '"failure" emitted for each failure');
+        c.failures.forEach(function (f) {
+            t.deepEqual(Object.keys(f).sort(), [ 'error', 'record' ],
+                'failure properties');
+        });
+
+        t.ok(c.failures[0].record === records[1], 'failure: invalid field');
+        t.ok(c.failures[0].error instanceof errors.InvalidArgumentError,
+            'invalid field: InvalidArgumentError');
+        t.ok(/record\.content_length/.test(c.failures[0].error.message),
+            'invalid field: message names the field');
+
+        t.ok(c.failures[1].record === records[2], 'failure: non-object');
+        t.equal(c.failures[1].error.message,
+            'invalid argument "record": expected an object',
+            'non-object: message');
+
+        t.ok(c.failures[2].record === records[3],
+            'failure: createRecord() threw');
+        t.ok(c.failures[2].error instanceof errors.InvalidArgumentError,
+            'createRecord() threw: InvalidArgumentError');
+
+        t.ok(c.failures[3].record === records[4], 'failure: create failed');
+        t.ok(c.failures[3].error === createError, 'create failed: error');
+        t.end();
+    });
+
+    records.forEach(function (record) {
+        c.bc.write(record);
+    });
+    c.bc.end();
+});
+
+tape('BulkCreate: requireVnode', function (t) {
+    var c = makeBulkCreate({ 'concurrency': 10, 'requireVnode': true });
+
+    c.complete = succeed;
+    c.bc.on('summary', function (summary) {
+        t.deepEqual(summary, { 'written': 1, 'failed': 1, 'retried': 0 },
+            'summary');
+        t.equal(c.failures[0].record.name, 'obj1', 'failed record');
+        t.ok(/record\.vnode/.test(c.failures[0].error.message),
+            'message names the field');
+        t.end();
+    });
+
+    c.bc.write(makeRecord(0));
+    c.bc.write(makeRecord(1, { 'vnode': undefined }));
+    c.bc.end();
+});
+
+tape('BulkCreate: retries', function (t) {
+    var policy = new retry.RetryPolicy({
+        'maxAttempts': 3,
+        'initialDelay': 1,
+        'maxDelay': 2,
+        'retryableErrors': [ 'TransientError' ]
+    });
+    var c = makeBulkCreate({
+        'concurrency': 10,
+        'retryArgs': function (record) {
+            if (record.name === 'obj4') {
+                return (null);
+            }
+
+            return ({
+                'policy': policy,
+                'log': helpers.log,
+                'method': 'createObject'
+            });
+        }
+    });
+    var nattempts = {};
+
+    c.complete = function (record) {
+        var n = nattempts[record.name] = (nattempts[record.name] || 0) + 1;
+        var transient = new VError({ 'name': 'TransientError' }, 'try again');
+
+        switch (record.name) {
+        case 'obj0':
+            return (n < 2 ? transient : null);
+        case 'obj1':
+            return (transient);
+        case 'obj2':
+            return (new Error('create failed'));
+        case 'obj4':
+            return (transient);
+        default:
+            return (null);
+        }
+    };
+
+    c.bc.on('summary', function (summary) {
+        t.deepEqual(nattempts, {
+            'obj0': 2,
+            'obj1': 3,
+            'obj2': 1,
+            'obj3': 1,
+            'obj4': 1
+        }, 'attempts for each record');
+        t.deepEqual(summary, { 'written': 2, 'failed': 3, 'retried': 2 },
+            'summary');
+        t.deepEqual(c.failures.map(function (f) {
+            return ([ f.record.name, f.error.name ]);
+        }), [
+            [ 'obj2', 'Error' ],
+            [ 'obj4', 'TransientError' ],
+            [ 'obj1', 'TransientError' ]
+        ], 'failures');
+        t.end();
+    });
+
+    [ 0, 1, 2, 3, 4 ].forEach(function (i) {
+        c.bc.write(makeRecord(i));
+    });
+    c.bc.end();
+});
+
+tape('BulkCreate: "summary" waits for outstanding creates', function (t) {
+    var c = makeBulkCreate({ 'concurrency': 10 });
+    var finished = false;
+
+    c.bc.on('finish', function () {
+        finished = true;
+    });
+    c.bc.write(makeRecord(0));
+    c.bc.write(makeRecord(1));
+    c.bc.end();
+
+    inTurn([ function () {
+        t.ok(finished, '"finish" emitted');
+        c.pending.obj0(null);
+    }, function () {
+        t.deepEqual(c.summaries, [], '"summary" not emitted');
+        t.deepEqual(c.bc.summary(),
+            { 'written': 1, 'failed': 0, 'retried': 0 }, 'summary so far');
+        c.pending.obj1(new Error('create failed'));
+    }, function () {
+        t.deepEqual(c.summaries,
+            [ { 'written': 1, 'failed': 1, 'retried': 0 } ],
+            '"summary" emitted once');
+        t.end();
+    } ]);
+});
+
+tape('BulkCreate: no records', function (t) {
+    var c = makeBulkCreate({ 'concurrency': 10 });
+
+    c.bc.on('summary', function (summary) {
+        t.deepEqual(summary, { 'written': 0, 'failed': 0, 'retried': 0 },
+            'summary');
+        t.end();
+    });
+    c.bc.end();
+});
+
+tape('client: createObjects', function (t) {
+    var backend = new helpers.FakeBackend('10.0.0.1:2030');
+
+    backend.handle('createobject', function (rpcargs, req) {
+        if (rpcargs[0].name === 'obj1') {
+            req.respond([ { 'error': {
+                'name': 'BucketNotFound',
+                'message': 'requested bucket not found'
+            } } ]);
+        } else {
+            req.respond([ { 'name': rpcargs[0].name } ]);
+        }
+    });
+
+    helpers.createClient(backend, {}, function (client) {
+        var bc = client.createObjects('req0', { 'concurrency': 1 });
+        var failures = [];
+
+        bc.on('failure', function (failure) {
+            failures.push(failure);
+        });
+        bc.on('summary', function (summary) {
+            t.deepEqual(summary, { 'written': 1, 'failed': 1, 'retried': 0 },
+                'summary');
+            t.equal(failures.length, 1, 'one failure');
+            t.equal(failures[0].record.name, 'obj1', 'failed record');
+            t.ok(failures[0].error instanceof errors.BucketNotFoundError,
+                'failure error');
+            t.deepEqual(backend.requests.map(function (req) {
+                return ([ req.fr_rpcargs[0].name, req.fr_rpcargs[0].vnode ]);
+            }), [ [ 'obj0', 0 ], [ 'obj1', 1 ] ], 'requests');
+            client.close();
+            t.end();
+        });
+
+        bc.write(makeRecord(0));
+        bc.write(makeRecord(1));
+        bc.end();
+    });
+});
@@ -0,0 +1,209 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/coalesce.test.js: tests for coalescing concurrent identical reads
+ * (lib/coalesce.js)
+ */
+
+var bunyan = require('bunyan');
+var tape = require('tape');
+var vasync = require('vasync');
+
+var Coalescer = require('../lib/coalesce').Coalescer;
+
+
+///--- Helpers
+
+var log = bunyan.createLogger({
+    'name': 'coalesce.test',
+    'level': process.env.LOG_LEVEL || 'fatal'
+});
+
+/*
+ * Returns a Coalescer along with a fake artedi counter that records the
+ * labels of each increment in "increments".
+ */
+function makeCoalescer() {
+    var increments = [];
+    var co = new Coalescer({
+        'log': log,
+        'counter': {
+            'increment': function (labels) {
+                increments.push(labels);
+            }
+        }
+    });
+
+    return ({ 'co': co, 'increments': increments });
+}
+
+
+///--- Tests
+
+tape('Coalescer: concurrent requests share one request', function (t) {
+    var c = makeCoalescer();
+    var nstarts = 0;
+    var done;
+    var created = new Date(0);
+
+    function start(cb) {
+        nstarts++;
+        done = cb;
+    }
+
+    vasync.forEachParallel({
+        'inputs': [ 0, 1, 2 ],
+        'func': function (i, cb) {
+            c.co.call('getobject', 'key1', start, cb);
+        }
+    }, function (err, results) {
+        var values;
+
+        t.error(err);
+        t.equal(nstarts, 1, 'one request sent');
+        t.equal(c.co.inflight(), 0, 'no requests outstanding');
+        t.deepEqual(c.increments, [
+            { 'method': 'getobject' },
+            { 'method': 'getobject' }
+        ], 'coalesced requests counted');
+
+        values = results.successes;
+        t.equal(values.length, 3);
+        values.forEach(function (v) {
+            t.deepEqual(v, { 'name': 'obj', 'created': created });
+            t.ok(v.created instanceof Date, 'Dates are copied as Dates');
+        });
+        t.notEqual(values[0], values[1], 'each caller gets its own copy');
+        t.notEqual(values[1], values[2], 'each caller gets its own copy');
+        t.notEqual(values[0].created, values[1].created);
+        t.end();
+    });
+
+    t.equal(c.co.inflight(), 1, 'one request outstanding');
+    done(null, { 'name': 'obj', 'created': created });
+});
+
+tape('Coalescer: errors are delivered to every caller', function (t) {
+    var c = makeCoalescer();
+    var nstarts = 0;
+    var errors = [];
+
+    function start(cb) {
+        nstarts++;
+        setImmediate(cb, new Error('request failed'));
+    }
+
+    function onDone(err) {
+        errors.push(err);
+        if (errors.length === 2) {
+            t.equal(nstarts, 1);
+            t.equal(errors[0].message, 'request failed');
+            t.strictEqual(errors[0], errors[1]);
+            t.end();
+        }
+    }
+
+    c.co.call('getbucket', 'key1', start, onDone);
+    c.co.call('getbucket', 'key1', start, onDone);
+});
+
+tape('Coalescer: different keys are not coalesced', function (t) {
+    var c = makeCoalescer();
+    var nstarts = 0;
+    var ndone = 0;
+
+    function start(cb) {
+        nstarts++;
+        setImmediate(cb, null, nstarts);
+    }
+
+    function onDone(err) {
+        t.error(err);
+        if (++ndone === 2) {
+            t.equal(nstarts, 2);
+            t.equal(c.increments.length, 0);
+            t.end();
+        }
+    }
+
+    c.co.call('getobject', 'key1', start, onDone);
+    c.co.call('getobject', 'key2', start, onDone);
+    t.equal(c.co.inflight(), 2);
+});
+
+tape('Coalescer: later requests are sent again', function (t) {
+    var c = makeCoalescer();
+    var nstarts = 0;
+
+    function start(cb) {
+        nstarts++;
+        setImmediate(cb, null, nstarts);
+    }
+
+    c.co.call('getobject', 'key1', start, function (err, first) {
+        t.error(err);
+        t.equal(first, 1);
+        c.co.call('getobject', 'key1', start, function (err2, second) {
+            t.error(err2);
+            t.equal(second, 2, 'a completed request is not reused');
+            t.end();
+        });
+    });
+});
+
+tape('Coalescer: start() throws', function (t) {
+    var c = makeCoalescer();
+
+    t.throws(function () {
+        c.co.call('getobject', 'key1', function () {
+            throw (new Error('bad request'));
+        }, function () {
+            t.fail('callback invoked');
+        });
+    }, /bad request/);
+    t.equal(c.co.inflight(), 0, 'key cleared');
+
+    c.co.call('getobject', 'key1', function (cb) {
+        setImmediate(cb, null, 'ok');
+    }, function (err, result) {
+        t.error(err);
+        t.equal(result, 'ok', 'next request is sent');
+        t.end();
+    });
+});
+
+tape('Coalescer: a callback that throws does not affect others',
+    function (t) {
+    var c = makeCoalescer();
+    var done, thrown;
+
+    process.once('uncaughtException', function (err) {
+        thrown = err;
+    });
+
+    c.co.call('getobject', 'key1', function (cb) {
+        done = cb;
+    }, function () {
+        throw (new Error('callback failed'));
+    });
+
+    c.co.call('getobject', 'key1', function () {
+        t.fail('second request sent');
+    }, function (err, result) {
+        t.error(err);
+        t.equal(result, 'ok', 'second callback invoked');
+        t.ok(thrown instanceof Error, 'first callback threw');
+        t.equal(thrown.message, 'callback failed');
+        t.end();
+    });
+
+    done(null, 'ok');
+});
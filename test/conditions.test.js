@@ -0,0 +1,247 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/conditions.test.js: tests for conditional request conditions
+ * (lib/conditions.js)
+ */
+
+var tape = require('tape');
+
+var conds = require('../lib/conditions');
+var errors = require('../lib/errors');
+var helpers = require('./helpers');
+
+
+///--- Helpers
+
+var BUCKET_ID = 'a1b2c3d4-0000-0000-0000-000000000001';
+var ETAG0 = 'e0e0e0e0-0000-0000-0000-000000000000';
+var ETAG1 = 'e1e1e1e1-0000-0000-0000-000000000001';
+var DATE = '2020-03-01T12:00:00.000Z';
+
+/*
+ * Checks that func() throws an InvalidArgumentError for "argument" whose
+ * message contains "message".
+ */
+function checkThrows(t, func, argument, message) {
+    var err;
+
+    try {
+        func();
+    } catch (ex) {
+        err = ex;
+    }
+
+    t.ok(err instanceof errors.InvalidArgumentError,
+        'throws InvalidArgumentError: ' + (err ? err.message : 'nothing'));
+    if (err) {
+        t.equal(err.argument, argument, 'argument');
+        t.ok(err.message.indexOf(message) !== -1,
+            'message contains "' + message + '"');
+    }
+}
+
+
+///--- Tests
+
+tape('normalizeConditions: no conditions', function (t) {
+    t.equal(conds.normalizeConditions(undefined), undefined, 'undefined');
+    t.equal(conds.normalizeConditions(null), null, 'null');
+    t.deepEqual(conds.normalizeConditions({}), {}, 'empty');
+    t.throws(function () {
+        conds.normalizeConditions('if-match');
+    }, /conditions \(object\) is required/, 'non-object');
+    t.end();
+});
+
+tape('normalizeConditions: etags', function (t) {
+    [
+        [ [ ETAG0 ], [ ETAG0 ] ],
+        [ [ ETAG0, ETAG1 ], [ ETAG0, ETAG1 ] ],
+        [ [ '"' + ETAG0 + '"' ], [ ETAG0 ] ],
+        [ ETAG0, [ ETAG0 ] ],
+        [ ' "' + ETAG0 + '" , ' + ETAG1, [ ETAG0, ETAG1 ] ],
+        [ '*', [ '*' ] ],
+        [ [ '"*"' ], [ '*' ] ]
+    ].forEach(function (tc) {
+        var input = tc[0];
+
+        [ 'if-match', 'if-none-match' ].forEach(function (cond) {
+            var c = {};
+            c[cond] = input;
+            t.deepEqual(conds.normalizeConditions(c)[cond], tc[1],
+                cond + ': ' + JSON.stringify(input));
+        });
+    });
+
+    t.end();
+});
+
+tape('normalizeConditions: the caller\'s array is not modified',
+    function (t) {
+    var etags = [ '"' + ETAG0 + '"' ];
+
+    t.deepEqual(conds.normalizeConditions({ 'if-match': etags }),
+        { 'if-match': [ ETAG0 ] });
+    t.deepEqual(etags, [ '"' + ETAG0 + '"' ], 'input unchanged');
+    t.end();
+});
+
+tape('normalizeConditions: bad etags', function (t) {
+    [
+        [ 42, 'expected a string or array of strings' ],
+        [ { 'etag': ETAG0 }, 'expected a string or array of strings' ],
+        [ [ ETAG0, 42 ], 'expected etags to be strings' ],
+        [ [], 'expected at least one etag' ],
+        [ '', 'empty etag' ],
+        [ [ '""' ], 'empty etag' ],
+        [ ETAG0 + ',', 'empty etag' ],
+        [ [ '*', ETAG0 ], '"*" may not be combined with other etags' ],
+        [ ETAG0 + ', *', '"*" may not be combined with other etags' ]
+    ].forEach(function (tc) {
+        checkThrows(t, function () {
+            conds.normalizeConditions({ 'if-none-match': tc[0] });
+        }, 'conditions', 'condition "if-none-match": ' + tc[1]);
+    });
+
+    t.end();
+});
+
+tape('normalizeConditions: dates', function (t) {
+    [
+        [ new Date(DATE), DATE ],
+        [ Date.parse(DATE), DATE ],
+        [ DATE, DATE ],
+        [ 'Sun, 01 Mar 2020 12:00:00 GMT', DATE ]
+    ].forEach(function (tc) {
+        [ 'if-modified-since', 'if-unmodified-since' ].forEach(
+            function (cond) {
+            var c = {};
+            c[cond] = tc[0];
+            t.equal(conds.normalizeConditions(c)[cond], tc[1],
+                cond + ': ' + JSON.stringify(tc[0]));
+        });
+    });
+
+    t.end();
+});
+
+tape('normalizeConditions: bad dates', function (t) {
+    [
+        [ true, 'expected a Date, number, or string' ],
+        [ [ DATE ], 'expected a Date, number, or string' ],
+        [ 'yesterday', 'invalid date: "yesterday"' ],
+        [ new Date('yesterday'), 'invalid date' ]
+    ].forEach(function (tc) {
+        checkThrows(t, function () {
+            conds.normalizeConditions({ 'if-modified-since': tc[0] });
+        }, 'conditions', 'condition "if-modified-since": ' + tc[1]);
+    });
+
+    t.end();
+});
+
+tape('normalizeConditions: several conditions', function (t) {
+    t.deepEqual(conds.normalizeConditions({
+        'if-match': ETAG0,
+        'if-unmodified-since': new Date(DATE),
+        'if-none-match': undefined
+    }), {
+        'if-match': [ ETAG0 ],
+        'if-unmodified-since': DATE
+    }, 'undefined conditions are dropped');
+    t.end();
+});
+
+tape('normalizeConditions: unsupported conditions', function (t) {
+    [ 'if-matches', 'If-Match', 'ifMatch', 'if-range' ].forEach(
+        function (cond) {
+        checkThrows(t, function () {
+            var c = {};
+            c[cond] = ETAG0;
+            conds.normalizeConditions(c);
+        }, 'conditions', 'condition "' + cond + '": unsupported condition');
+    });
+
+    t.end();
+});
+
+tape('buildConditions', function (t) {
+    t.deepEqual(conds.buildConditions({}), {}, 'no options');
+    t.deepEqual(conds.buildConditions({
+        'ifMatch': ETAG0,
+        'ifNoneMatch': [ ETAG1 ],
+        'ifModifiedSince': DATE,
+        'ifUnmodifiedSince': new Date(DATE)
+    }), {
+        'if-match': [ ETAG0 ],
+        'if-none-match': [ ETAG1 ],
+        'if-modified-since': DATE,
+        'if-unmodified-since': DATE
+    }, 'every option');
+
+    checkThrows(t, function () {
+        conds.buildConditions({ 'if-match': ETAG0 });
+    }, 'options', 'unsupported condition option "if-match"');
+    checkThrows(t, function () {
+        conds.buildConditions({ 'ifMatch': [] });
+    }, 'conditions', 'condition "if-match": expected at least one etag');
+    t.throws(function () {
+        conds.buildConditions();
+    }, /options \(object\) is required/, 'no options object');
+    t.end();
+});
+
+tape('client: conditions are normalized before they are sent',
+    function (t) {
+    var backend = new helpers.FakeBackend('10.0.0.1:2030');
+
+    backend.handle('getobject', function (rpcargs, req) {
+        req.respond([ { 'id': ETAG0, 'name': rpcargs[0].name } ]);
+    });
+
+    helpers.createClient(backend, {}, function (client) {
+        client.getObject('owner0', BUCKET_ID, 'obj0', 0, {
+            'if-match': '"' + ETAG0 + '"',
+            'if-unmodified-since': new Date(DATE)
+        }, 'req0', function (err) {
+            t.ifError(err);
+            t.equal(backend.requests.length, 1, 'request sent');
+            t.deepEqual(backend.requests[0].fr_rpcargs[0].conditions, {
+                'if-match': [ ETAG0 ],
+                'if-unmodified-since': DATE
+            }, 'conditions sent');
+            client.close();
+            t.end();
+        });
+    });
+});
+
+tape('client: invalid conditions are not sent', function (t) {
+    var backend = new helpers.FakeBackend('10.0.0.1:2030');
+
+    helpers.createClient(backend, {}, function (client) {
+        var sync = true;
+
+        client.getObject('owner0', BUCKET_ID, 'obj0', 0,
+            { 'if-macth': ETAG0 }, 'req0', function (err) {
+            t.notOk(sync, 'callback invoked asynchronously');
+            t.ok(err instanceof errors.InvalidArgumentError,
+                'error is an InvalidArgumentError');
+            t.equal(err.message, 'invalid argument "conditions": ' +
+                'condition "if-macth": unsupported condition');
+            t.equal(backend.requests.length, 0, 'no request sent');
+            client.close();
+            t.end();
+        });
+        sync = false;
+    });
+});
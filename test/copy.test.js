@@ -0,0 +1,535 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/copy.test.js: tests for copying and renaming objects (lib/copy.js)
+ */
+
+var tape = require('tape');
+var VError = require('verror');
+
+var copy = require('../lib/copy');
+var errors = require('../lib/errors');
+var helpers = require('./helpers');
+
+
+///--- Helpers
+
+var BUCKET_ID = 'a1b2c3d4-0000-0000-0000-000000000001';
+var SOURCE = { 'bucket_id': BUCKET_ID, 'name': 'src', 'vnode': 1 };
+var DEST = { 'bucket_id': BUCKET_ID, 'name': 'dst', 'vnode': 2 };
+
+/*
+ * Returns the metadata of an object with id "id", as returned by getObject().
+ */
+function makeObject(name, id) {
+    return ({
+        'id': id,
+        'name': name,
+        'content_length': id.length,
+        'content_md5': id + '-md5',
+        'content_type': 'text/plain',
+        'headers': { 'm-id': id },
+        'sharks': [ { 'datacenter': 'dc0', 'manta_storage_id': id } ],
+        'properties': { 'id': id }
+    });
+}
+
+/*
+ * Returns an error like the one the server reports for "name".
+ */
+function serverError(name, rpcmethod) {
+    return (errors.serverError({
+        'name': name,
+        'message': name,
+        'rpcmethod': rpcmethod,
+        'addrs': { 'local': '127.0.0.1:10000', 'remote': '10.0.0.1:2030' }
+    }));
+}
+
+/*
+ * Returns the error, if any, with which a request with "conditions" for an
+ * object "obj" (null if it doesn't exist) fails on the server.  Only
+ * createobject requests may be made for an object that doesn't exist.
+ */
+function checkRequest(obj, conditions, rpcmethod) {
+    if (obj === null && rpcmethod !== 'createobject') {
+        return (serverError('ObjectNotFound', rpcmethod));
+    }
+
+    if (!conditions) {
+        return (null);
+    }
+
+    if (conditions['if-none-match'] && obj !== null) {
+        return (serverError('PreconditionFailed', rpcmethod));
+    }
+
+    if (conditions['if-match'] && (obj === null ||
+        conditions['if-match'].indexOf(obj.id) === -1)) {
+        return (serverError('PreconditionFailed', rpcmethod));
+    }
+
+    return (null);
+}
+
+/*
+ * Copies (or, with "rename", renames) SOURCE to DEST in a bucket whose objects
+ * are given by "objects" (an object mapping names to metadata), using stubs
+ * for getObject(), createObject(), and deleteObject() that evaluate
+ * conditions as the server does and modify "objects".  "options" may have
+ * properties "overwrite", "conditions", and:
+ *
+ *     before       object mapping requests, named "<method> <object name>"
+ *                  (e.g., "deleteObject src"), to functions invoked just
+ *                  before the first such request is evaluated, to simulate
+ *                  changes made by other clients
+ *
+ *     fail         object mapping requests (named as for "before") to errors
+ *                  with which those requests fail
+ *
+ * Returns an array to which each request is appended as it's made, as an
+ * array of the request name and its conditions.  "callback" is invoked with
+ * the result of the copy.
+ */
+function runCopy(objects, rename, options, callback) {
+    var calls = [];
+    var before = options.before || {};
+    var fail = options.fail || {};
+
+    function request(method, loc, conditions, cb, func) {
+        var name = method + ' ' + loc.name;
+
+        calls.push([ name, conditions ]);
+        if (before[name]) {
+            before[name]();
+            delete (before[name]);
+        }
+
+        setImmediate(function () {
+            var obj = objects.hasOwnProperty(loc.name) ?
+                objects[loc.name] : null;
+            var err = fail[name] || checkRequest(obj, conditions,
+                method.toLowerCase());
+
+            if (err) {
+                cb(err);
+            } else {
+                func(obj, cb);
+            }
+        });
+    }
+
+    copy.copyObject({
+        'log': helpers.log,
+        'source': SOURCE,
+        'dest': DEST,
+        'conditions': options.conditions,
+        'overwrite': options.overwrite ? true : false,
+        'rename': rename,
+        'getObject': function (loc, conditions, cb) {
+            request('getObject', loc, conditions, cb, function (obj, rcb) {
+                rcb(null, obj);
+            });
+        },
+        'createObject': function (loc, r, cb) {
+            request('createObject', loc, r.conditions, cb,
+                function (_, rcb) {
+                objects[loc.name] = {
+                    'id': r.object_id,
+                    'name': loc.name,
+                    'content_length': r.content_length,
+                    'content_md5': r.content_md5,
+                    'content_type': r.content_type,
+                    'headers': r.headers,
+                    'sharks': r.sharks,
+                    'properties': r.props
+                };
+                rcb(null, objects[loc.name]);
+            });
+        },
+        'deleteObject': function (loc, conditions, cb) {
+            request('deleteObject', loc, conditions, cb, function (_, rcb) {
+                delete (objects[loc.name]);
+                rcb(null);
+            });
+        }
+    }, callback);
+
+    return (calls);
+}
+
+
+///--- Tests
+
+tape('copyOverwrite', function (t) {
+    t.equal(copy.copyOverwrite(), false, 'default');
+    t.equal(copy.copyOverwrite({ 'timeout': 50 }), false, 'not given');
+    t.equal(copy.copyOverwrite({ 'overwrite': true }), true, 'overwrite');
+    t.throws(function () {
+        copy.copyOverwrite({ 'overwrite': 1 });
+    }, /options\.overwrite \(bool\) is required/, 'bad overwrite');
+    t.end();
+});
+
+tape('copy', function (t) {
+    var objects = { 'src': makeObject('src', 'id0') };
+    var calls = runCopy(objects, false, {}, function (err, created) {
+        t.ifError(err);
+        t.deepEqual(calls, [
+            [ 'getObject src', undefined ],
+            [ 'createObject dst', { 'if-none-match': [ '*' ] } ]
+        ], 'requests');
+        t.deepEqual(objects.dst, makeObject('dst', 'id0'), 'copy created');
+        t.deepEqual(objects.src, makeObject('src', 'id0'), 'source remains');
+        t.ok(created === objects.dst, 'result of creating the copy');
+        t.end();
+    });
+});
+
+tape('copy with conditions on the source', function (t) {
+    var objects = { 'src': makeObject('src', 'id0') };
+    var calls = runCopy(objects, false, {
+        'conditions': { 'if-match': [ 'id1' ] }
+    }, function (err) {
+        t.ok(errors.hasCause(err, errors.PreconditionFailedError),
+            'error is PreconditionFailed');
+        t.deepEqual(calls, [ [ 'getObject src', { 'if-match': [ 'id1' ] } ] ],
+            'conditions given to getObject');
+        t.notOk(objects.hasOwnProperty('dst'), 'no copy created');
+        t.end();
+    });
+});
+
+tape('copy a missing object', function (t) {
+    runCopy({}, false, {}, function (err) {
+        t.ok(err instanceof errors.ObjectNotFoundError,
+            'error is ObjectNotFound');
+        t.end();
+    });
+});
+
+tape('copy to the same object', function (t) {
+    copy.copyObject({
+        'log': helpers.log,
+        'source': SOURCE,
+        'dest': { 'bucket_id': BUCKET_ID, 'name': 'src', 'vnode': 1 },
+        'overwrite': false,
+        'rename': true,
+        'getObject': function () {
+            t.fail('getObject called');
+        },
+        'createObject': function () {
+            t.fail('createObject called');
+        },
+        'deleteObject': function () {
+            t.fail('deleteObject called');
+        }
+    }, function (err) {
+        t.ok(err instanceof errors.InvalidArgumentError,
+            'error is an InvalidArgumentError');
+        t.equal(err.argument, 'new_name', 'argument');
+        t.end();
+    });
+});
+
+tape('copy does not replace an existing object', function (t) {
+    var objects = {
+        'src': makeObject('src', 'id0'),
+        'dst': makeObject('dst', 'id1')
+    };
+
+    runCopy(objects, false, {}, function (err) {
+        t.ok(err instanceof errors.PreconditionFailedError,
+            'error is PreconditionFailed');
+        t.deepEqual(objects.dst, makeObject('dst', 'id1'),
+            'destination unchanged');
+        t.end();
+    });
+});
+
+tape('copy with overwrite', function (t) {
+    var objects = {
+        'src': makeObject('src', 'id0'),
+        'dst': makeObject('dst', 'id1')
+    };
+    var calls = runCopy(objects, false, { 'overwrite': true },
+        function (err) {
+        t.ifError(err);
+        t.deepEqual(calls, [
+            [ 'getObject src', undefined ],
+            [ 'getObject dst', null ],
+            [ 'createObject dst', { 'if-match': [ 'id1' ] } ]
+        ], 'destination replaced only if unchanged');
+        t.deepEqual(objects.dst, makeObject('dst', 'id0'), 'copy created');
+        t.end();
+    });
+});
+
+tape('copy with overwrite to a new object', function (t) {
+    var objects = { 'src': makeObject('src', 'id0') };
+    var calls = runCopy(objects, false, { 'overwrite': true },
+        function (err) {
+        t.ifError(err);
+        t.deepEqual(calls[2], [ 'createObject dst',
+            { 'if-none-match': [ '*' ] } ], 'destination must not exist');
+        t.deepEqual(objects.dst, makeObject('dst', 'id0'), 'copy created');
+        t.end();
+    });
+});
+
+tape('copy with overwrite: failure to fetch the destination', function (t) {
+    var objects = { 'src': makeObject('src', 'id0') };
+    var fetchErr = new Error('fetch failed');
+    var calls = runCopy(objects, false, {
+        'overwrite': true,
+        'fail': { 'getObject dst': fetchErr }
+    }, function (err) {
+        t.ok(err === fetchErr, 'error');
+        t.equal(calls.length, 2, 'nothing created');
+        t.end();
+    });
+});
+
+tape('copy with overwrite: destination changed', function (t) {
+    var objects = {
+        'src': makeObject('src', 'id0'),
+        'dst': makeObject('dst', 'id1')
+    };
+
+    runCopy(objects, false, {
+        'overwrite': true,
+        'before': {
+            'createObject dst': function () {
+                objects.dst = makeObject('dst', 'id2');
+            }
+        }
+    }, function (err) {
+        t.ok(err instanceof errors.PreconditionFailedError,
+            'error is PreconditionFailed');
+        t.deepEqual(objects.dst, makeObject('dst', 'id2'),
+            'other client\'s change kept');
+        t.end();
+    });
+});
+
+tape('rename', function (t) {
+    var objects = { 'src': makeObject('src', 'id0') };
+    var calls = runCopy(objects, true, {}, function (err, created) {
+        t.ifError(err);
+        t.deepEqual(calls, [
+            [ 'getObject src', undefined ],
+            [ 'createObject dst', { 'if-none-match': [ '*' ] } ],
+            [ 'deleteObject src', { 'if-match': [ 'id0' ] } ]
+        ], 'requests');
+        t.deepEqual(objects, { 'dst': makeObject('dst', 'id0') },
+            'object renamed');
+        t.ok(created === objects.dst, 'result of creating the copy');
+        t.end();
+    });
+});
+
+tape('rename: failure to create the destination', function (t) {
+    var objects = {
+        'src': makeObject('src', 'id0'),
+        'dst': makeObject('dst', 'id1')
+    };
+    var calls = runCopy(objects, true, {}, function (err) {
+        t.ok(err instanceof errors.PreconditionFailedError,
+            'error is PreconditionFailed');
+        t.equal(calls.length, 2, 'source not deleted');
+        t.deepEqual(objects.src, makeObject('src', 'id0'), 'source remains');
+        t.end();
+    });
+});
+
+tape('rename: source changed before it was deleted', function (t) {
+    var objects = { 'src': makeObject('src', 'id0') };
+    var calls = runCopy(objects, true, {
+        'before': {
+            'deleteObject src': function () {
+                objects.src = makeObject('src', 'id9');
+            }
+        }
+    }, function (err) {
+        t.ok(err instanceof errors.PreconditionFailedError,
+            'error from deleting the source');
+        t.deepEqual(calls.slice(2), [
+            [ 'deleteObject src', { 'if-match': [ 'id0' ] } ],
+            [ 'deleteObject dst', { 'if-match': [ 'id0' ] } ]
+        ], 'copy deleted only if unchanged');
+        t.deepEqual(objects, { 'src': makeObject('src', 'id9') },
+            'copy rolled back, other client\'s change kept');
+        t.end();
+    });
+});
+
+tape('rename: source deleted before we deleted it', function (t) {
+    var objects = { 'src': makeObject('src', 'id0') };
+
+    runCopy(objects, true, {
+        'before': {
+            'deleteObject src': function () {
+                delete (objects.src);
+            }
+        }
+    }, function (err) {
+        t.ok(err instanceof errors.ObjectNotFoundError,
+            'error from deleting the source');
+        t.deepEqual(objects, {}, 'copy rolled back');
+        t.end();
+    });
+});
+
+tape('rename with overwrite: source changed, destination restored',
+    function (t) {
+    var objects = {
+        'src': makeObject('src', 'id0'),
+        'dst': makeObject('dst', 'id1')
+    };
+    var calls = runCopy(objects, true, {
+        'overwrite': true,
+        'before': {
+            'deleteObject src': function () {
+                objects.src = makeObject('src', 'id9');
+            }
+        }
+    }, function (err) {
+        t.ok(err instanceof errors.PreconditionFailedError,
+            'error from deleting the source');
+        t.deepEqual(calls.slice(3), [
+            [ 'deleteObject src', { 'if-match': [ 'id0' ] } ],
+            [ 'createObject dst', { 'if-match': [ 'id0' ] } ]
+        ], 'previous destination restored only if the copy is unchanged');
+        t.deepEqual(objects, {
+            'src': makeObject('src', 'id9'),
+            'dst': makeObject('dst', 'id1')
+        }, 'previous destination restored');
+        t.end();
+    });
+});
+
+tape('rename: other failure to delete the source', function (t) {
+    var objects = { 'src': makeObject('src', 'id0') };
+    var timeoutErr = new VError({ 'name': 'TimeoutError' }, 'timed out');
+    var calls = runCopy(objects, true, {
+        'fail': { 'deleteObject src': timeoutErr }
+    }, function (err) {
+        t.ok(err === timeoutErr, 'error from deleting the source');
+        t.equal(calls.length, 3, 'no rollback');
+        t.deepEqual(objects, {
+            'src': makeObject('src', 'id0'),
+            'dst': makeObject('dst', 'id0')
+        }, 'copy left in place');
+        t.end();
+    });
+});
+
+tape('rename: rollback fails', function (t) {
+    var objects = { 'src': makeObject('src', 'id0') };
+
+    runCopy(objects, true, {
+        'before': {
+            'deleteObject src': function () {
+                objects.src = makeObject('src', 'id9');
+            },
+            'deleteObject dst': function () {
+                objects.dst = makeObject('dst', 'id8');
+            }
+        }
+    }, function (err) {
+        var cause = VError.cause(err);
+
+        t.equal(err.name, 'RollbackError', 'error is a RollbackError');
+        t.equal(err.message, 'failed to roll back rename after ' +
+            '"PreconditionFailed": PreconditionFailed', 'message');
+        t.ok(cause instanceof errors.PreconditionFailedError,
+            'cause is the rollback failure');
+        t.equal(cause.rpcmethod, 'deleteobject', 'cause is from the delete');
+        t.deepEqual(VError.info(err).source, SOURCE, 'info: source');
+        t.deepEqual(VError.info(err).dest, DEST, 'info: dest');
+        t.deepEqual(objects, {
+            'src': makeObject('src', 'id9'),
+            'dst': makeObject('dst', 'id8')
+        }, 'other clients\' changes kept');
+        t.end();
+    });
+});
+
+tape('rename with overwrite: restoring the destination fails', function (t) {
+    var objects = {
+        'src': makeObject('src', 'id0'),
+        'dst': makeObject('dst', 'id1')
+    };
+    var restoreErr = new Error('restore failed');
+    var fail = {};
+    var calls = runCopy(objects, true, {
+        'overwrite': true,
+        'fail': fail,
+        'before': {
+            'deleteObject src': function () {
+                delete (objects.src);
+                /* The next createObject of "dst" restores it. */
+                fail['createObject dst'] = restoreErr;
+            }
+        }
+    }, function (err) {
+        t.equal(err.name, 'RollbackError', 'error is a RollbackError');
+        t.ok(VError.cause(err) === restoreErr,
+            'cause is the rollback failure');
+        t.deepEqual(calls[4], [ 'createObject dst', { 'if-match': [ 'id0' ] } ],
+            'tried to restore the previous destination');
+        t.deepEqual(objects, { 'dst': makeObject('dst', 'id0') },
+            'copy left in place');
+        t.end();
+    });
+});
+
+tape('client: renameObject', function (t) {
+    var backend = new helpers.FakeBackend('10.0.0.1:2030');
+    var src = makeObject('src', 'c0ffee00-1234-4321-abcd-0123456789ab');
+
+    backend.handle('getobject', function (rpcargs, req) {
+        req.respond([ src ]);
+    });
+    backend.handle('createobject', function (rpcargs, req) {
+        req.respond([ { 'id': rpcargs[0].id, 'name': rpcargs[0].name } ]);
+    });
+    backend.handle('deleteobject', function (rpcargs, req) {
+        req.respond([ { 'id': src.id, 'name': rpcargs[0].name } ]);
+    });
+
+    helpers.createClient(backend, {}, function (client) {
+        client.renameObject('owner0', BUCKET_ID, 'src', 1, 'dst', 2, null,
+            'req0', function (err, created) {
+            var args;
+
+            t.ifError(err);
+            t.equal(created.name, 'dst', 'result');
+            t.deepEqual(backend.requests.map(function (req) {
+                return ([ req.fr_rpcmethod, req.fr_rpcargs[0].name,
+                    req.fr_rpcargs[0].vnode, req.fr_rpcargs[0].conditions ]);
+            }), [
+                [ 'getobject', 'src', 1, null ],
+                [ 'createobject', 'dst', 2, { 'if-none-match': [ '*' ] } ],
+                [ 'deleteobject', 'src', 1, { 'if-match': [ src.id ] } ]
+            ], 'requests');
+
+            args = backend.requests[1].fr_rpcargs[0];
+            t.deepEqual([ args.id, args.content_length, args.content_md5,
+                args.content_type, args.headers, args.sharks,
+                args.properties ], [ src.id, src.content_length,
+                src.content_md5, src.content_type, src.headers, src.sharks,
+                src.properties ], 'metadata copied');
+            client.close();
+            t.end();
+        });
+    });
+});
@@ -0,0 +1,213 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/errors.test.js: tests for the client's error classes (lib/errors.js)
+ */
+
+var tape = require('tape');
+var VError = require('verror');
+
+var errors = require('../lib/errors');
+var helpers = require('./helpers');
+
+
+///--- Helpers
+
+var ADDRS = { 'local': '127.0.0.1:10000', 'remote': '10.0.0.1:2030' };
+var BUCKET_ID = 'a1b2c3d4-0000-0000-0000-000000000001';
+
+/*
+ * Returns named arguments for serverError() for an error called "name".
+ */
+function serverErrorArgs(name) {
+    return ({
+        'name': name,
+        'message': 'requested object not found',
+        'rpcmethod': 'getobject',
+        'req_id': 'req0',
+        'owner': 'owner0',
+        'bucket': BUCKET_ID,
+        'key': 'obj0',
+        'addrs': ADDRS
+    });
+}
+
+
+///--- Tests
+
+tape('TimeoutError', function (t) {
+    var cause = new VError({ 'name': 'TimeoutError' }, 'fast timeout');
+    var err = new errors.TimeoutError({
+        'cause': cause,
+        'rpcmethod': 'getobject',
+        'req_id': 'req0',
+        'timeout': 50,
+        'addrs': ADDRS
+    });
+
+    t.ok(err instanceof VError, 'is a VError');
+    t.equal(err.name, 'TimeoutError');
+    t.equal(err.message, 'buckets-mdapi request "getobject" (req_id req0) ' +
+        'to "10.0.0.1:2030" timed out after 50ms: fast timeout');
+    t.ok(VError.cause(err) === cause, 'cause');
+    t.equal(err.timeout, 50);
+    t.equal(err.rpcmethod, 'getobject');
+    t.equal(err.req_id, 'req0');
+    t.equal(err.remote, '10.0.0.1:2030');
+    t.deepEqual(VError.info(err), {
+        'rpcmethod': 'getobject',
+        'req_id': 'req0',
+        'timeout': 50,
+        'local': '127.0.0.1:10000',
+        'remote': '10.0.0.1:2030'
+    }, 'info');
+    t.end();
+});
+
+tape('AbortError', function (t) {
+    var err = new errors.AbortError({
+        'rpcmethod': 'listobjects',
+        'addrs': ADDRS
+    });
+
+    t.ok(err instanceof VError, 'is a VError');
+    t.equal(err.name, 'AbortError');
+    t.equal(err.message, 'buckets-mdapi request "listobjects" ' +
+        '(req_id unknown) to "10.0.0.1:2030" was aborted');
+    t.equal(VError.cause(err), null, 'no cause');
+    t.equal(err.rpcmethod, 'listobjects');
+    t.equal(err.req_id, undefined);
+    t.equal(err.remote, '10.0.0.1:2030');
+    t.end();
+});
+
+tape('NoBackendsError', function (t) {
+    var err = new errors.NoBackendsError();
+
+    t.equal(err.name, 'NoBackendsError');
+    t.equal(err.message, 'no connections available');
+
+    err = new errors.NoBackendsError({ 'reason': 'breakers open' });
+    t.equal(err.name, 'NoBackendsError');
+    t.equal(err.message, 'no connections available (breakers open)');
+    t.end();
+});
+
+tape('ClientClosedError', function (t) {
+    var err = new errors.ClientClosedError();
+
+    t.ok(err instanceof VError, 'is a VError');
+    t.equal(err.name, 'ClientClosedError');
+    t.equal(err.message, 'buckets-mdapi client has been closed');
+    t.end();
+});
+
+tape('InvalidArgumentError', function (t) {
+    var err = new errors.InvalidArgumentError({
+        'argument': 'headers',
+        'message': 'must be an object'
+    });
+
+    t.equal(err.name, 'InvalidArgumentError');
+    t.equal(err.message, 'invalid argument "headers": must be an object');
+    t.equal(err.argument, 'headers');
+    t.deepEqual(VError.info(err), { 'argument': 'headers' }, 'info');
+    t.end();
+});
+
+tape('serverError: known errors', function (t) {
+    [
+        [ 'ObjectNotFound', errors.ObjectNotFoundError ],
+        [ 'ObjectNotFoundError', errors.ObjectNotFoundError ],
+        [ 'BucketNotFound', errors.BucketNotFoundError ],
+        [ 'BucketNotFoundError', errors.BucketNotFoundError ],
+        [ 'BucketAlreadyExists', errors.BucketAlreadyExistsError ],
+        [ 'BucketAlreadyExistsError', errors.BucketAlreadyExistsError ],
+        [ 'PreconditionFailed', errors.PreconditionFailedError ],
+        [ 'PreconditionFailedError', errors.PreconditionFailedError ]
+    ].forEach(function (tc) {
+        var err = errors.serverError(serverErrorArgs(tc[0]));
+
+        t.ok(err instanceof tc[1], tc[0] + ': class');
+        t.ok(err instanceof errors.ServerError, tc[0] + ': is a ServerError');
+        t.equal(err.name, tc[0], tc[0] + ': name is the server\'s');
+    });
+
+    t.end();
+});
+
+tape('serverError: other errors', function (t) {
+    var err = errors.serverError(serverErrorArgs('DatabaseError'));
+
+    t.ok(err instanceof errors.ServerError, 'is a ServerError');
+    t.notOk(err instanceof errors.ObjectNotFoundError,
+        'is not a more specific class');
+    t.equal(err.name, 'DatabaseError');
+    t.equal(err.message, 'requested object not found');
+    t.equal(err.rpcmethod, 'getobject');
+    t.equal(err.req_id, 'req0');
+    t.equal(err.owner, 'owner0');
+    t.equal(err.bucket, BUCKET_ID);
+    t.equal(err.key, 'obj0');
+    t.equal(err.remote, '10.0.0.1:2030');
+    t.deepEqual(VError.info(err), {
+        'rpcmethod': 'getobject',
+        'req_id': 'req0',
+        'owner': 'owner0',
+        'bucket': BUCKET_ID,
+        'key': 'obj0',
+        'local': '127.0.0.1:10000',
+        'remote': '10.0.0.1:2030'
+    }, 'info');
+    t.end();
+});
+
+tape('hasCause', function (t) {
+    var err = errors.serverError(serverErrorArgs('ObjectNotFound'));
+    var wrapped = new VError(new VError(err, 'inner'), 'outer');
+
+    t.ok(errors.hasCause(err, errors.ObjectNotFoundError), 'error itself');
+    t.ok(errors.hasCause(wrapped, errors.ObjectNotFoundError), 'cause');
+    t.ok(errors.hasCause(wrapped, errors.ServerError), 'superclass');
+    t.equal(VError.findCauseByName(wrapped, 'ObjectNotFoundError'), null,
+        'findCauseByName() misses errors named by the server');
+    t.notOk(errors.hasCause(wrapped, errors.BucketNotFoundError),
+        'other class');
+    t.notOk(errors.hasCause(null, errors.ServerError), 'no error');
+    t.end();
+});
+
+tape('client: errors reported by the server', function (t) {
+    var backend = new helpers.FakeBackend('10.0.0.1:2030');
+
+    backend.handle('getobject', function (rpcargs, req) {
+        req.respond([ { 'error': {
+            'name': 'ObjectNotFound',
+            'message': 'requested object not found'
+        } } ]);
+    });
+
+    helpers.createClient(backend, {}, function (client) {
+        client.getObject('owner0', BUCKET_ID, 'obj0', 0, {}, 'req0',
+            function (err) {
+            t.ok(err instanceof errors.ObjectNotFoundError, 'class');
+            t.equal(err.name, 'ObjectNotFound', 'name');
+            t.equal(err.rpcmethod, 'getobject');
+            t.equal(err.req_id, 'req0');
+            t.equal(err.owner, 'owner0');
+            t.equal(err.bucket, BUCKET_ID);
+            t.equal(err.key, 'obj0');
+            t.equal(err.remote, '10.0.0.1:2030');
+            client.close();
+            t.end();
+        });
+    });
+});
@@ -0,0 +1,422 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/hedge.test.js: tests for hedged read requests (lib/hedge.js)
+ */
+
+var tape = require('tape');
+var VError = require('verror');
+
+var errors = require('../lib/errors');
+var hedge = require('../lib/hedge');
+var helpers = require('./helpers');
+
+
+///--- Helpers
+
+/*
+ * Returns an "attempt" function for hedgeCall() that records each copy of the
+ * request in "attempts" (with its signal, the "exclude" it was given, and its
+ * callback) and uses connection keys "conn1", "conn2", and so on.  If
+ * "available" is specified, only that many copies get a connection; the rest
+ * fail with a NoBackendsError.
+ */
+function makeAttempt(available) {
+    var attempts = [];
+
+    function attempt(signal, exclude, cb) {
+        var a = {
+            'signal': signal,
+            'exclude': exclude,
+            'cb': cb,
+            'time': Date.now()
+        };
+
+        attempts.push(a);
+        if (available !== undefined && attempts.length > available) {
+            setImmediate(cb, new errors.NoBackendsError());
+            return (null);
+        }
+
+        return ('conn' + attempts.length);
+    }
+
+    return ({ 'attempt': attempt, 'attempts': attempts });
+}
+
+/*
+ * Returns a fake artedi counter that records the labels of each increment in
+ * "increments".
+ */
+function makeCounter() {
+    var increments = [];
+
+    return ({
+        'increments': increments,
+        'increment': function (labels) {
+            increments.push(labels);
+        }
+    });
+}
+
+/*
+ * Returns named arguments for hedgeCall() with the given policy options.
+ */
+function hedgeArgs(policyOptions, counter) {
+    return ({
+        'policy': new hedge.HedgePolicy(policyOptions),
+        'log': helpers.log,
+        'method': 'getObject',
+        'req_id': 'req0',
+        'counter': counter
+    });
+}
+
+
+///--- Tests
+
+tape('HedgePolicy: bad options', function (t) {
+    t.throws(function () {
+        return (new hedge.HedgePolicy({ 'delay': 0 }));
+    }, /delay must be positive/);
+    t.throws(function () {
+        return (new hedge.HedgePolicy({ 'percentile': 100 }));
+    }, /percentile must be between 0 and 100/);
+    t.throws(function () {
+        return (new hedge.HedgePolicy({ 'percentile': 0 }));
+    }, /percentile must be between 0 and 100/);
+    t.end();
+});
+
+tape('HedgePolicy: fixed delay', function (t) {
+    var policy = new hedge.HedgePolicy({});
+    var i;
+
+    t.equal(policy.delay('getObject'), 50, 'default delay');
+    for (i = 0; i < 100; i++) {
+        policy.record('getObject', 5);
+    }
+    t.equal(policy.delay('getObject'), 50, 'latencies are not used');
+
+    policy = new hedge.HedgePolicy({ 'delay': 20 });
+    t.equal(policy.delay('getObject'), 20, 'configured delay');
+    t.end();
+});
+
+tape('HedgePolicy: percentile delay after enough samples', function (t) {
+    var policy = new hedge.HedgePolicy({ 'delay': 500, 'percentile': 90 });
+    var i;
+
+    for (i = 1; i <= 19; i++) {
+        policy.record('getObject', i);
+    }
+    t.equal(policy.delay('getObject'), 500,
+        'fixed delay with 19 samples');
+    t.equal(policy.delay('getBucket'), 500,
+        'fixed delay for a method with no samples');
+
+    policy.record('getObject', 20);
+    t.equal(policy.delay('getObject'), 18, '90th percentile of 20 samples');
+
+    for (i = 0; i < 100; i++) {
+        policy.record('getObject', 100);
+    }
+    t.equal(policy.delay('getObject'), 100, 'old samples are replaced');
+
+    policy = new hedge.HedgePolicy({ 'percentile': 50 });
+    for (i = 0; i < 20; i++) {
+        policy.record('getObject', 0.1);
+    }
+    t.equal(policy.delay('getObject'), 1, 'delay is at least 1ms');
+    t.end();
+});
+
+tape('hedgeCall: hedge sent after the delay on another connection',
+    function (t) {
+    var a = makeAttempt();
+    var start = Date.now();
+
+    hedge.hedgeCall(hedgeArgs({ 'delay': 30 }), a.attempt,
+        function (err, result) {
+        t.ifError(err);
+        t.equal(result, 'hedge result', 'result from the hedge');
+        t.end();
+    });
+
+    t.equal(a.attempts.length, 1, 'primary sent immediately');
+    t.equal(a.attempts[0].exclude, undefined, 'primary excludes nothing');
+
+    setTimeout(function () {
+        t.equal(a.attempts.length, 1, 'no hedge before the delay');
+    }, 15);
+
+    setTimeout(function () {
+        t.equal(a.attempts.length, 2, 'hedge sent');
+        t.ok(a.attempts[1].time - start >= 25,
+            'hedge sent after ' + (a.attempts[1].time - start) + 'ms');
+        t.equal(a.attempts[1].exclude, 'conn1',
+            'hedge excludes the primary\'s connection');
+        a.attempts[1].cb(null, 'hedge result');
+    }, 60);
+});
+
+tape('hedgeCall: primary wins and the hedge is aborted', function (t) {
+    var a = makeAttempt();
+    var counter = makeCounter();
+    var ncalls = 0;
+
+    hedge.hedgeCall(hedgeArgs({ 'delay': 10 }, counter), a.attempt,
+        function (err, result) {
+        ncalls++;
+        t.ifError(err);
+        t.equal(result, 'primary result', 'result from the primary');
+        t.notOk(a.attempts[0].signal.aborted, 'primary not aborted');
+        t.ok(a.attempts[1].signal.aborted, 'hedge aborted');
+        t.deepEqual(counter.increments, [
+            { 'method': 'getObject', 'result': 'lost' }
+        ], 'hedge counted as lost');
+
+        /* The aborted hedge completes, but is ignored. */
+        a.attempts[1].cb(new Error('aborted'));
+        setImmediate(function () {
+            t.equal(ncalls, 1, 'callback invoked once');
+            t.end();
+        });
+    });
+
+    setTimeout(function () {
+        t.equal(a.attempts.length, 2, 'hedge sent');
+        a.attempts[0].cb(null, 'primary result');
+    }, 30);
+});
+
+tape('hedgeCall: hedge wins and the primary is aborted', function (t) {
+    var a = makeAttempt();
+    var counter = makeCounter();
+
+    hedge.hedgeCall(hedgeArgs({ 'delay': 10 }, counter), a.attempt,
+        function (err, result) {
+        t.ifError(err);
+        t.equal(result, 'hedge result', 'result from the hedge');
+        t.ok(a.attempts[0].signal.aborted, 'primary aborted');
+        t.notOk(a.attempts[1].signal.aborted, 'hedge not aborted');
+        t.deepEqual(counter.increments, [
+            { 'method': 'getObject', 'result': 'won' }
+        ], 'hedge counted as won');
+        t.end();
+    });
+
+    setTimeout(function () {
+        a.attempts[1].cb(null, 'hedge result');
+    }, 30);
+});
+
+tape('hedgeCall: a failed copy waits for the other', function (t) {
+    var a = makeAttempt();
+
+    hedge.hedgeCall(hedgeArgs({ 'delay': 10 }), a.attempt,
+        function (err, result) {
+        t.ifError(err);
+        t.equal(result, 'hedge result', 'result from the hedge');
+        t.end();
+    });
+
+    setTimeout(function () {
+        a.attempts[0].cb(new Error('primary failed'));
+        setTimeout(function () {
+            a.attempts[1].cb(null, 'hedge result');
+        }, 10);
+    }, 30);
+});
+
+tape('hedgeCall: both copies fail', function (t) {
+    var a = makeAttempt();
+    var counter = makeCounter();
+
+    hedge.hedgeCall(hedgeArgs({ 'delay': 10 }, counter), a.attempt,
+        function (err) {
+        t.ok(err instanceof Error, 'callback gets an error');
+        t.equal(err.message, 'primary failed', 'error from the last failure');
+        t.deepEqual(counter.increments, [
+            { 'method': 'getObject', 'result': 'failed' }
+        ], 'hedge counted as failed');
+        t.end();
+    });
+
+    setTimeout(function () {
+        a.attempts[1].cb(new Error('hedge failed'));
+        setTimeout(function () {
+            a.attempts[0].cb(new Error('primary failed'));
+        }, 10);
+    }, 30);
+});
+
+tape('hedgeCall: primary fails before the hedge is sent', function (t) {
+    var a = makeAttempt();
+    var counter = makeCounter();
+
+    hedge.hedgeCall(hedgeArgs({ 'delay': 20 }, counter), a.attempt,
+        function (err) {
+        t.equal(err.message, 'primary failed', 'error from the primary');
+        setTimeout(function () {
+            t.equal(a.attempts.length, 1, 'no hedge sent');
+            t.deepEqual(counter.increments, [], 'nothing counted');
+            t.end();
+        }, 40);
+    });
+
+    a.attempts[0].cb(new Error('primary failed'));
+});
+
+tape('hedgeCall: no connection available for the hedge', function (t) {
+    var a = makeAttempt(1);
+    var counter = makeCounter();
+
+    hedge.hedgeCall(hedgeArgs({ 'delay': 10 }, counter), a.attempt,
+        function (err, result) {
+        t.ifError(err);
+        t.equal(result, 'primary result', 'result from the primary');
+        t.deepEqual(counter.increments, [], 'nothing counted');
+        t.end();
+    });
+
+    setTimeout(function () {
+        t.equal(a.attempts.length, 2, 'hedge attempted');
+        a.attempts[0].cb(null, 'primary result');
+    }, 30);
+});
+
+tape('hedgeCall: no connection available for the primary', function (t) {
+    var a = makeAttempt(0);
+
+    hedge.hedgeCall(hedgeArgs({ 'delay': 10 }), a.attempt, function (err) {
+        t.equal(err.name, 'NoBackendsError', 'error name');
+        setTimeout(function () {
+            t.equal(a.attempts.length, 1, 'no hedge attempted');
+            t.end();
+        }, 30);
+    });
+});
+
+tape('hedgeCall: percentile delay', function (t) {
+    var args = hedgeArgs({ 'delay': 5000, 'percentile': 50 });
+    var a = makeAttempt();
+    var start, i;
+
+    for (i = 0; i < 20; i++) {
+        args.policy.record('getObject', 20);
+    }
+
+    start = Date.now();
+    hedge.hedgeCall(args, a.attempt, function (err) {
+        t.ifError(err);
+        t.ok(a.attempts[1].time - start < 1000,
+            'hedge sent after ' + (a.attempts[1].time - start) + 'ms');
+        t.end();
+    });
+
+    setTimeout(function () {
+        t.equal(a.attempts.length, 2, 'hedge sent');
+        a.attempts[1].cb(null);
+    }, 100);
+});
+
+tape('hedgeCall: caller abort aborts both copies', function (t) {
+    var args = hedgeArgs({ 'delay': 10 });
+    var a = makeAttempt();
+
+    args.signal = new helpers.FakeSignal();
+    hedge.hedgeCall(args, a.attempt, function (err) {
+        t.equal(err.message, 'aborted', 'error from the last copy');
+        t.equal(args.signal.listenerCount('abort'), 0,
+            'abort listener removed');
+        t.end();
+    });
+
+    setTimeout(function () {
+        args.signal.abort();
+        t.ok(a.attempts.every(function (o) {
+            return (o.signal.aborted);
+        }), 'both copies aborted');
+        a.attempts.forEach(function (o) {
+            o.cb(new Error('aborted'));
+        });
+    }, 30);
+});
+
+tape('client: hedged getObject', function (t) {
+    var backends = [ '10.0.0.1:2030', '10.0.0.2:2030' ].map(function (remote) {
+        return (new helpers.FakeBackend(remote));
+    });
+    var nreqs = 0;
+
+    /* The first request sent to either backend never completes. */
+    backends.forEach(function (backend) {
+        backend.handle('getobject', function (rpcargs, req) {
+            if (++nreqs > 1) {
+                req.respond([ { 'name': rpcargs[0].name } ]);
+            }
+        });
+    });
+
+    helpers.createClient(backends, { 'requestHedge': { 'delay': 20 } },
+        function (client) {
+        client.getObject('owner0', 'a1b2c3d4-0000-0000-0000-000000000001',
+            'obj0', 0, {}, 'req0', function (err, obj) {
+            var primary;
+
+            t.ifError(err);
+            t.equal(obj.name, 'obj0', 'result from the hedge');
+            t.ok(backends.every(function (be) {
+                return (be.requests.length === 1);
+            }), 'one copy sent to each backend');
+
+            primary = backends.filter(function (be) {
+                return (be.requests[0].fr_abandoned);
+            });
+            t.equal(primary.length, 1, 'primary abandoned');
+
+            client.getObject('owner0', 'a1b2c3d4-0000-0000-0000-000000000001',
+                'obj0', 0, {}, 'req1', { 'hedge': false },
+                function (err2) {
+                t.ifError(err2);
+                t.equal(backends[0].requests.length +
+                    backends[1].requests.length, 3,
+                    'no hedge with "hedge: false"');
+                client.close();
+                t.end();
+            });
+        });
+    });
+});
+
+tape('client: hedge fails when only one backend is available', function (t) {
+    var backend = new helpers.FakeBackend('10.0.0.1:2030');
+
+    backend.handle('getobject', function (rpcargs, req) {
+        setTimeout(function () {
+            req.fail(new VError({ 'name': 'ObjectNotFoundError' },
+                'requested object not found'));
+        }, 50);
+    });
+
+    helpers.createClient(backend, { 'requestHedge': { 'delay': 10 } },
+        function (client) {
+        client.getObject('owner0', 'a1b2c3d4-0000-0000-0000-000000000001',
+            'obj0', 0, {}, 'req0', function (err) {
+            t.ok(VError.findCauseByName(err, 'ObjectNotFoundError'),
+                'error from the primary');
+            t.equal(backend.requests.length, 1, 'no hedge sent');
+            client.close();
+            t.end();
+        });
+    });
+});
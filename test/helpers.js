@@ -0,0 +1,346 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/helpers.js: common functions for tests that use a client.  Rather than
+ * talking to a buckets-mdapi server, these clients' connections are served by
+ * FakeBackend objects, which answer each RPC with a handler supplied by the
+ * test.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var stream = require('stream');
+var util = require('util');
+
+var assert = require('assert-plus');
+var bunyan = require('bunyan');
+var cueball = require('cueball');
+var VError = require('verror');
+
+var Client = require('../lib/client').Client;
+
+
+///--- Globals
+
+var log = bunyan.createLogger({
+    'name': 'buckets-mdapi.test',
+    'level': process.env.LOG_LEVEL || 'fatal'
+});
+
+
+///--- Fake Fast requests, clients and connections
+
+/*
+ * A FakeRequest stands in for the object returned by FastClient.rpc(): an
+ * object-mode stream of the records sent by the server, which ends when the
+ * RPC completes or emits "error" if it fails.  Like Fast, we fail the request
+ * with a TimeoutError if it takes longer than "timeout" milliseconds.
+ */
+function FakeRequest(options) {
+    var self = this;
+
+    stream.PassThrough.call(this, { 'objectMode': true });
+
+    this.fr_rpcmethod = options.rpcmethod;
+    this.fr_rpcargs = options.rpcargs;
+    this.fr_timeout = options.timeout;
+    this.fr_done = false;
+    this.fr_abandoned = false;
+    this.fr_timer = null;
+
+    if (typeof (options.timeout) === 'number') {
+        this.fr_timer = setTimeout(function () {
+            self.fr_timer = null;
+            self.fail(new VError({ 'name': 'TimeoutError' },
+                'timed out after %d ms', options.timeout));
+        }, options.timeout);
+    }
+}
+
+util.inherits(FakeRequest, stream.PassThrough);
+
+/*
+ * Sends each of "records" and completes the RPC.
+ */
+FakeRequest.prototype.respond = function respond(records) {
+    var self = this;
+
+    assert.array(records, 'records');
+    if (this.fr_done) {
+        return;
+    }
+
+    this.complete();
+    records.forEach(function (rec) {
+        self.write(rec);
+    });
+    this.end();
+};
+
+/*
+ * Fails the RPC with "err".
+ */
+FakeRequest.prototype.fail = function fail(err) {
+    if (this.fr_done) {
+        return;
+    }
+
+    this.complete();
+    this.emit('error', err);
+};
+
+FakeRequest.prototype.abandon = function abandon() {
+    this.fr_abandoned = true;
+    this.fail(new VError({ 'name': 'RequestAbandonedError' },
+        'request abandoned'));
+};
+
+FakeRequest.prototype.complete = function complete() {
+    this.fr_done = true;
+    if (this.fr_timer !== null) {
+        clearTimeout(this.fr_timer);
+        this.fr_timer = null;
+    }
+};
+
+/*
+ * A FakeBackend stands in for one buckets-mdapi server, listening at the
+ * address "remote".  Tests specify how each RPC is answered with handle().
+ * Every request received is recorded in "requests".
+ */
+function FakeBackend(remote) {
+    assert.string(remote, 'remote');
+
+    this.remote = remote;
+    this.requests = [];
+    this.handlers = {};
+}
+
+/*
+ * Answer requests for "rpcmethod" by invoking handler(rpcargs, req, backend),
+ * where "req" is the FakeRequest to respond to or fail.  Requests for methods
+ * without a handler are never answered.
+ */
+FakeBackend.prototype.handle = function handle(rpcmethod, handler) {
+    assert.string(rpcmethod, 'rpcmethod');
+    assert.func(handler, 'handler');
+    this.handlers[rpcmethod] = handler;
+};
+
+FakeBackend.prototype.rpc = function rpc(options) {
+    var self = this;
+    var req = new FakeRequest(options);
+
+    this.requests.push(req);
+    if (this.handlers.hasOwnProperty(options.rpcmethod)) {
+        setImmediate(function () {
+            self.handlers[options.rpcmethod](options.rpcargs, req, self);
+        });
+    }
+
+    return (req);
+};
+
+/*
+ * A FakeConnection implements the Cueball "Connection" interface and the parts
+ * of FastConnection that the client uses (see lib/fast_connection.js).  Its
+ * Fast client sends every request to "backend".
+ */
+function FakeConnection(backend, localPort) {
+    var self = this;
+
+    EventEmitter.call(this);
+
+    this.destroyed = false;
+    this.fc_backend = backend;
+    this.fc_local = '127.0.0.1:' + localPort;
+    this.fc_fast = {
+        'rpc': function (options) {
+            return (backend.rpc(options));
+        },
+        'detach': function () {
+            backend.requests.forEach(function (req) {
+                req.fail(new VError('detached'));
+            });
+        }
+    };
+
+    setImmediate(function () {
+        self.emit('connect');
+    });
+}
+
+util.inherits(FakeConnection, EventEmitter);
+
+FakeConnection.prototype.fastClient = function fastClient() {
+    return (this.fc_fast);
+};
+
+FakeConnection.prototype.socketAddrs = function socketAddrs() {
+    return ({ 'local': this.fc_local, 'remote': this.fc_backend.remote });
+};
+
+FakeConnection.prototype.destroy = function destroy() {
+    var self = this;
+
+    this.destroyed = true;
+    setImmediate(function () {
+        self.emit('close');
+    });
+};
+
+FakeConnection.prototype.ref = function ref() {};
+FakeConnection.prototype.unref = function unref() {};
+
+
+///--- API
+
+/*
+ * Returns a function suitable for use as a client's createFastConnection()
+ * method, which connects to whichever of "backends" has the address of the
+ * given Cueball backend.
+ */
+function fakeConnector(backends) {
+    var nconns = 0;
+
+    assert.arrayOfObject(backends, 'backends');
+
+    return (function createFakeConnection(backend) {
+        var remote = backend.address + ':' + backend.port;
+        var matching = backends.filter(function (be) {
+            return (be.remote === remote);
+        });
+
+        assert.equal(matching.length, 1, 'one backend for ' + remote);
+        return (new FakeConnection(matching[0], 10000 + nconns++));
+    });
+}
+
+/*
+ * Creates a client whose connections are served by "backends", a FakeBackend
+ * or an array of them, and invokes callback(client) once it has connected to
+ * each of them.  "options" are additional options for the client constructor.
+ * The client is also returned, for tests of requests made before it connects.
+ *
+ * Each backend's "remote" must be an IP address and port.  The client's
+ * resolver reports exactly these backends, and the client opens one connection
+ * to each of them.
+ */
+function createClient(backends, options, callback) {
+    var client, copts, resolverForIpOrDomain, nready;
+
+    if (!Array.isArray(backends)) {
+        backends = [ backends ];
+    }
+
+    assert.arrayOfObject(backends, 'backends');
+    assert.object(options, 'options');
+    assert.func(callback, 'callback');
+
+    copts = {
+        'log': log,
+        'host': '127.0.0.1',
+        'cueballOptions': {
+            'target': backends.length,
+            'maximum': backends.length
+        }
+    };
+
+    Object.keys(options).forEach(function (k) {
+        copts[k] = options[k];
+    });
+
+    resolverForIpOrDomain = cueball.resolverForIpOrDomain;
+    cueball.resolverForIpOrDomain = function (args) {
+        return (new cueball.StaticIpResolver({
+            'defaultPort': args.resolverConfig.defaultPort,
+            'backends': backends.map(function (be) {
+                var parts = be.remote.split(':');
+                return ({
+                    'address': parts[0],
+                    'port': parseInt(parts[1], 10)
+                });
+            })
+        }));
+    };
+
+    try {
+        client = new Client(copts);
+    } finally {
+        cueball.resolverForIpOrDomain = resolverForIpOrDomain;
+    }
+
+    client.createFastConnection = fakeConnector(backends);
+
+    /*
+     * The client's connection pool adds each connection when the
+     * ConnectionSet emits "added", so once we've seen that for each backend,
+     * requests may be sent to any of them.
+     */
+    nready = 0;
+    client.cueball.on('added', function onAdded() {
+        if (++nready === backends.length) {
+            client.cueball.removeListener('added', onAdded);
+            setImmediate(callback, client);
+        }
+    });
+
+    return (client);
+}
+
+/*
+ * Closes "client" and invokes callback() once it has closed.
+ */
+function closeClient(client, callback) {
+    client.once('close', function () {
+        callback();
+    });
+    client.close();
+}
+
+/*
+ * A minimal AbortSignal, for Node versions without AbortController.  Tests can
+ * check that listeners are removed with listenerCount().
+ */
+function FakeSignal() {
+    this.aborted = false;
+    this.fs_emitter = new EventEmitter();
+}
+
+FakeSignal.prototype.addEventListener = function (name, listener) {
+    this.fs_emitter.on(name, listener);
+};
+
+FakeSignal.prototype.removeEventListener = function (name, listener) {
+    this.fs_emitter.removeListener(name, listener);
+};
+
+FakeSignal.prototype.listenerCount = function (name) {
+    return (this.fs_emitter.listeners(name).length);
+};
+
+FakeSignal.prototype.abort = function () {
+    if (!this.aborted) {
+        this.aborted = true;
+        this.fs_emitter.emit('abort');
+    }
+};
+
+
+///--- Exports
+
+module.exports = {
+    FakeBackend: FakeBackend,
+    FakeSignal: FakeSignal,
+    closeClient: closeClient,
+    createClient: createClient,
+    fakeConnector: fakeConnector,
+    log: log
+};
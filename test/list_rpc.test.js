@@ -0,0 +1,179 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/list_rpc.test.js: tests for the listObjects and listBuckets RPCs
+ * (lib/objects.js and lib/buckets.js)
+ */
+
+var stream = require('stream');
+
+var tape = require('tape');
+
+var helpers = require('./helpers');
+
+
+///--- Helpers
+
+/*
+ * Number of records returned by each listing.  This is well beyond the number
+ * that the streams between the Fast request and the caller can buffer.
+ */
+var NRECORDS = 100;
+
+var BUCKET_ID = 'a1b2c3d4-0000-0000-0000-000000000001';
+
+/*
+ * Returns a FakeBackend that answers listobjects and listbuckets RPCs with
+ * NRECORDS records each.
+ */
+function makeBackend() {
+    var backend = new helpers.FakeBackend('10.0.0.1:2030');
+
+    function respond(rpcargs, req) {
+        var records = [];
+        var i;
+
+        for (i = 0; i < NRECORDS; i++) {
+            records.push({ 'name': 'name' + i });
+        }
+
+        req.respond(records);
+    }
+
+    backend.handle('listobjects', respond);
+    backend.handle('listbuckets', respond);
+    return (backend);
+}
+
+/*
+ * Invokes callback(t, client) with a client connected to a backend from
+ * makeBackend(), and closes the client when the test ends.
+ */
+function clientTest(name, callback) {
+    tape(name, function (t) {
+        helpers.createClient(makeBackend(), {}, function (client) {
+            t.once('end', function () {
+                client.close();
+            });
+            callback(t, client);
+        });
+    });
+}
+
+/*
+ * Reads "res" through a consumer that takes "delay" milliseconds to process
+ * each record, and invokes callback(err, names) with the names it read.
+ */
+function readSlowly(res, delay, callback) {
+    var names = [];
+    var done = false;
+    var consumer = new stream.Writable({
+        'objectMode': true,
+        'highWaterMark': 1,
+        'write': function (record, _, cb) {
+            names.push(record.name);
+            setTimeout(cb, delay);
+        }
+    });
+
+    function finish(err) {
+        if (!done) {
+            done = true;
+            callback(err, names);
+        }
+    }
+
+    res.on('error', finish);
+    consumer.on('finish', function () {
+        finish(null);
+    });
+    res.pipe(consumer);
+}
+
+/*
+ * Checks that "names" are the names of all NRECORDS records, in order.
+ */
+function checkNames(t, names) {
+    var i;
+
+    t.equal(names.length, NRECORDS, 'read every record');
+    for (i = 0; i < names.length; i++) {
+        if (names[i] !== 'name' + i) {
+            t.fail('record ' + i + ' has name ' + names[i]);
+            return;
+        }
+    }
+}
+
+
+///--- Tests
+
+clientTest('listObjects: slow consumer', function (t, client) {
+    var res = client.listObjects('owner0', BUCKET_ID, undefined, NRECORDS,
+        undefined, 0, 'req0');
+
+    readSlowly(res, 1, function (err, names) {
+        t.ifError(err);
+        checkNames(t, names);
+        t.end();
+    });
+});
+
+clientTest('listObjects: paused until the RPC completes',
+    function (t, client) {
+    var res = client.listObjects('owner0', BUCKET_ID, undefined, NRECORDS,
+        undefined, 0, 'req0');
+    var rpcdone = false;
+
+    res.once('_buckets_mdapi_internal_rpc_done', function () {
+        rpcdone = true;
+    });
+
+    setTimeout(function () {
+        t.ok(rpcdone, 'RPC completed before reading');
+        readSlowly(res, 0, function (err, names) {
+            t.ifError(err);
+            checkNames(t, names);
+            t.end();
+        });
+    }, 100);
+});
+
+clientTest('listBuckets: slow consumer', function (t, client) {
+    var res = client.listBuckets('owner0', undefined, NRECORDS, undefined, 0,
+        'req0');
+
+    readSlowly(res, 1, function (err, names) {
+        t.ifError(err);
+        checkNames(t, names);
+        t.end();
+    });
+});
+
+clientTest('listBuckets: paused until the RPC completes',
+    function (t, client) {
+    var res = client.listBuckets('owner0', undefined, NRECORDS, undefined, 0,
+        'req0');
+    var rpcdone = false;
+
+    res.once('_buckets_mdapi_internal_rpc_done', function () {
+        rpcdone = true;
+    });
+
+    setTimeout(function () {
+        t.ok(rpcdone, 'RPC completed before reading');
+        readSlowly(res, 0, function (err, names) {
+            t.ifError(err);
+            checkNames(t, names);
+            t.end();
+        });
+    }, 100);
+});
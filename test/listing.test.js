@@ -0,0 +1,523 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/listing.test.js: tests for paginated, merged and delimited listings
+ * (lib/listing.js)
+ */
+
+var stream = require('stream');
+
+var tape = require('tape');
+
+var listing = require('../lib/listing');
+
+
+///--- Helpers
+
+/*
+ * Returns a stream of entries with the given names.
+ */
+function entryStream(names) {
+    var rv = new stream.PassThrough({ 'objectMode': true });
+
+    setImmediate(function () {
+        names.forEach(function (name) {
+            rv.write({ 'name': name });
+        });
+        rv.end();
+    });
+
+    return (rv);
+}
+
+/*
+ * Returns a listPage() function for a PaginatedListing that lists from
+ * "names", which must be sorted.  Each request is recorded in "requests".
+ */
+function pageLister(names, requests) {
+    return (function listPage(limit, marker) {
+        requests.push({ 'limit': limit, 'marker': marker });
+        return (entryStream(names.filter(function (name) {
+            return (marker === undefined || name > marker);
+        }).slice(0, limit)));
+    });
+}
+
+/*
+ * Returns a listPage() function for a MergedListing that lists from
+ * "contents", an object mapping each vnode to its sorted names.  Each request
+ * is recorded in "requests".
+ */
+function fakeListPage(contents, requests) {
+    return (function listPage(vnode, limit, marker) {
+        var names;
+
+        requests.push({ 'vnode': vnode, 'limit': limit, 'marker': marker });
+        names = contents[vnode].filter(function (name) {
+            return (marker === undefined || name > marker);
+        });
+        return (entryStream(names.slice(0, limit)));
+    });
+}
+
+/*
+ * Returns an array of "n" sorted names.
+ */
+function makeNames(n) {
+    var names = [];
+    var i;
+
+    for (i = 0; i < n; i++) {
+        names.push('obj' + ('000' + i).substr(-4));
+    }
+
+    return (names);
+}
+
+/*
+ * Reads every record from "s", invoking callback(err, records).  Records are
+ * summarized as "prefix:NAME" for rolled-up prefixes and NAME otherwise.
+ */
+function readAll(s, callback) {
+    var records = [];
+
+    s.on('data', function (rec) {
+        records.push(rec.type === 'prefix' ? 'prefix:' + rec.name : rec.name);
+    });
+
+    s.on('error', function (err) {
+        callback(err);
+    });
+
+    s.on('end', function () {
+        callback(null, records);
+    });
+}
+
+
+///--- Tests
+
+tape('PaginatedListing: follows the marker from page to page', function (t) {
+    var names = makeNames(25);
+    var requests = [];
+    var s = new listing.PaginatedListing({
+        'listPage': pageLister(names, requests),
+        'pageSize': 10
+    });
+
+    readAll(s, function (err, records) {
+        t.error(err);
+        t.deepEqual(records, names);
+        t.deepEqual(requests, [
+            { 'limit': 10, 'marker': undefined },
+            { 'limit': 10, 'marker': 'obj0009' },
+            { 'limit': 10, 'marker': 'obj0019' }
+        ], 'a short page ends the listing');
+        t.end();
+    });
+});
+
+tape('PaginatedListing: a full last page', function (t) {
+    var names = makeNames(20);
+    var requests = [];
+    var s = new listing.PaginatedListing({
+        'listPage': pageLister(names, requests),
+        'pageSize': 10
+    });
+
+    readAll(s, function (err, records) {
+        t.error(err);
+        t.deepEqual(records, names);
+        t.equal(requests.length, 3, 'an empty page ends the listing');
+        t.end();
+    });
+});
+
+tape('PaginatedListing: limit and marker', function (t) {
+    var names = makeNames(50);
+    var requests = [];
+    var s = new listing.PaginatedListing({
+        'listPage': pageLister(names, requests),
+        'pageSize': 10,
+        'limit': 15,
+        'marker': 'obj0004'
+    });
+
+    readAll(s, function (err, records) {
+        t.error(err);
+        t.deepEqual(records, names.slice(5, 20));
+        t.deepEqual(requests, [
+            { 'limit': 10, 'marker': 'obj0004' },
+            { 'limit': 5, 'marker': 'obj0014' }
+        ], 'no page requests more than the limit');
+        t.equal(s.marker(), 'obj0019', 'marker resumes the listing');
+        t.end();
+    });
+});
+
+tape('PaginatedListing: pages wait for the consumer', function (t) {
+    var names = makeNames(100);
+    var requests = [];
+    var s = new listing.PaginatedListing({
+        'listPage': pageLister(names, requests),
+        'pageSize': 10
+    });
+
+    setTimeout(function () {
+        t.equal(requests.length, 0, 'nothing requested before reading');
+
+        s.once('readable', function () {
+            setTimeout(function () {
+                t.ok(requests.length <= 2,
+                    'stopped after ' + requests.length + ' pages');
+                readAll(s, function (err, records) {
+                    t.error(err);
+                    t.equal(records.length, 100);
+                    t.end();
+                });
+            }, 50);
+        });
+    }, 20);
+});
+
+tape('PaginatedListing: page errors', function (t) {
+    var s = new listing.PaginatedListing({
+        'listPage': function () {
+            var rv = new stream.PassThrough({ 'objectMode': true });
+
+            setImmediate(function () {
+                rv.emit('error', new Error('page failed'));
+            });
+
+            return (rv);
+        },
+        'pageSize': 10
+    });
+
+    readAll(s, function (err) {
+        t.ok(err instanceof Error, 'emits an error');
+        t.equal(err.message, 'page failed');
+        t.end();
+    });
+});
+
+tape('listLimit', function (t) {
+    t.strictEqual(listing.listLimit(undefined), undefined);
+    t.strictEqual(listing.listLimit(null), undefined);
+    t.equal(listing.listLimit(5), 5);
+    [ 0, -1, 1.5 ].forEach(function (limit) {
+        t.throws(function () {
+            listing.listLimit(limit);
+        }, /limit must be a positive integer/, 'limit ' + limit);
+    });
+    t.throws(function () {
+        listing.listLimit('5');
+    }, /limit/);
+    t.end();
+});
+
+tape('listAllPageSize', function (t) {
+    t.equal(listing.listAllPageSize(undefined), 1000);
+    t.equal(listing.listAllPageSize({}), 1000);
+    t.equal(listing.listAllPageSize({ 'pageSize': 50 }), 50);
+    t.throws(function () {
+        listing.listAllPageSize({ 'pageSize': '50' });
+    }, /pageSize/);
+    t.end();
+});
+
+tape('MergedListing: merges vnodes in order', function (t) {
+    var requests = [];
+    var s = new listing.MergedListing({
+        'listPage': fakeListPage({
+            '0': [ 'a', 'd', 'e', 'h' ],
+            '1': [ 'b', 'c', 'g' ],
+            '2': [ 'f' ]
+        }, requests),
+        'vnodes': [ 0, 1, 2 ],
+        'pageSize': 2,
+        'concurrency': 2
+    });
+
+    readAll(s, function (err, records) {
+        t.error(err);
+        t.deepEqual(records, [ 'a', 'b', 'c', 'd', 'e', 'f', 'g', 'h' ]);
+        t.ok(requests.every(function (r) {
+            return (r.limit === 2);
+        }), 'every page uses the page size');
+        t.deepEqual(requests.filter(function (r) {
+            return (r.vnode === 0);
+        }).map(function (r) {
+            return (r.marker);
+        }), [ undefined, 'd', 'h' ], 'pages resume after the last entry');
+        t.end();
+    });
+});
+
+tape('MergedListing: limit and marker', function (t) {
+    var requests = [];
+    var s = new listing.MergedListing({
+        'listPage': fakeListPage({
+            '0': [ 'a', 'c', 'e', 'g' ],
+            '1': [ 'b', 'd', 'f', 'h' ]
+        }, requests),
+        'vnodes': [ 0, 1 ],
+        'pageSize': 10,
+        'concurrency': 10,
+        'limit': 3,
+        'marker': 'b'
+    });
+
+    readAll(s, function (err, records) {
+        t.error(err);
+        t.deepEqual(records, [ 'c', 'd', 'e' ]);
+        t.equal(s.marker(), 'e', 'marker resumes after the last entry');
+        t.ok(requests.every(function (r) {
+            return (r.limit <= 3);
+        }), 'no page requests more than the limit');
+        t.equal(requests[0].marker, 'b');
+        t.end();
+    });
+});
+
+tape('MergedListing: empty vnodes', function (t) {
+    var s = new listing.MergedListing({
+        'listPage': fakeListPage({ '0': [], '1': [] }, []),
+        'vnodes': [ 0, 1 ],
+        'pageSize': 10,
+        'concurrency': 1
+    });
+
+    readAll(s, function (err, records) {
+        t.error(err);
+        t.deepEqual(records, []);
+        t.end();
+    });
+});
+
+tape('MergedListing: page errors', function (t) {
+    var s = new listing.MergedListing({
+        'listPage': function (vnode) {
+            var rv = new stream.PassThrough({ 'objectMode': true });
+
+            setImmediate(function () {
+                if (vnode === 1) {
+                    rv.emit('error', new Error('page failed'));
+                } else {
+                    rv.end({ 'name': 'a' });
+                }
+            });
+
+            return (rv);
+        },
+        'vnodes': [ 0, 1 ],
+        'pageSize': 10,
+        'concurrency': 2
+    });
+
+    readAll(s, function (err) {
+        t.ok(err instanceof Error, 'emits an error');
+        t.equal(err.message, 'page failed');
+        t.end();
+    });
+});
+
+tape('mergedListingArgs', function (t) {
+    var args = listing.mergedListingArgs('dir/', [ 1, 2 ], 10, 'dir/a',
+        { 'pageSize': 5, 'concurrency': 3 });
+
+    t.deepEqual(args, {
+        'vnodes': [ 1, 2 ],
+        'pageSize': 5,
+        'concurrency': 3,
+        'limit': 10,
+        'marker': 'dir/a',
+        'rollup': undefined
+    });
+
+    args = listing.mergedListingArgs(undefined, [ 1 ], undefined, '');
+    t.equal(args.pageSize, 1000, 'default page size');
+    t.equal(args.concurrency, 10, 'default concurrency');
+    t.strictEqual(args.limit, undefined);
+    t.strictEqual(args.marker, undefined);
+
+    t.throws(function () {
+        listing.mergedListingArgs(undefined, [ 1 ], 0);
+    }, /limit must be a positive integer/);
+    t.throws(function () {
+        listing.mergedListingArgs(undefined, [ '1' ]);
+    }, /vnodes/);
+    t.end();
+});
+
+tape('PrefixRollup: rolls up names containing the delimiter', function (t) {
+    var rollup = new listing.PrefixRollup(undefined, '/');
+    var ent = { 'name': 'a' };
+
+    t.strictEqual(rollup.entry(ent), ent, 'passes through other entries');
+    t.equal(rollup.marker(), 'a');
+    t.deepEqual(rollup.entry({ 'name': 'b/1' }),
+        { 'type': 'prefix', 'name': 'b/' });
+    t.equal(rollup.marker(), 'b/\uffff', 'marker skips the group');
+    t.equal(rollup.entry({ 'name': 'b/2' }), null, 'drops rest of group');
+    t.equal(rollup.entry({ 'name': 'b/c/3' }), null, 'drops nested names');
+    t.equal(rollup.marker('b/2'), 'b/\uffff');
+    t.deepEqual(rollup.entry({ 'name': 'c/1' }),
+        { 'type': 'prefix', 'name': 'c/' }, 'starts a new group');
+    t.equal(rollup.entry({ 'name': 'd' }).name, 'd');
+    t.equal(rollup.marker(), 'd', 'marker after the group');
+    t.end();
+});
+
+tape('PrefixRollup: prefix and multi-character delimiter', function (t) {
+    var rollup = new listing.PrefixRollup('dir/', '--');
+
+    t.equal(rollup.entry({ 'name': 'dir/a' }).name, 'dir/a');
+    t.deepEqual(rollup.entry({ 'name': 'dir/b--1' }),
+        { 'type': 'prefix', 'name': 'dir/b--' });
+    t.equal(rollup.entry({ 'name': 'dir/b--2--3' }), null);
+    t.equal(rollup.marker(), 'dir/b--\uffff');
+
+    rollup = new listing.PrefixRollup('a--', '--');
+    t.equal(rollup.entry({ 'name': 'a--b' }).name, 'a--b',
+        'ignores the delimiter within the prefix');
+    t.end();
+});
+
+tape('PrefixRollup: bad arguments', function (t) {
+    t.throws(function () {
+        return (new listing.PrefixRollup(undefined, ''));
+    }, /delimiter must not be empty/);
+    t.throws(function () {
+        return (new listing.PrefixRollup(undefined, 3));
+    }, /delimiter/);
+    t.end();
+});
+
+tape('PrefixRollup: resuming after a group', function (t) {
+    var rollup;
+
+    /*
+     * A page that ended within group "b/" resumes after "b/\uffff".  A name
+     * in that group sorting after the marker must not produce a second record
+     * for the group.
+     */
+    rollup = new listing.PrefixRollup(undefined, '/', 'b/\uffff');
+    t.equal(rollup.entry({ 'name': 'b/\ud83d\ude00' }), null,
+        'drops names in the skipped group');
+    t.equal(rollup.entry({ 'name': 'c' }).name, 'c');
+
+    /* Markers that do not end a group are ordinary markers. */
+    rollup = new listing.PrefixRollup(undefined, '/', 'b/c\uffff');
+    t.deepEqual(rollup.entry({ 'name': 'b/d' }),
+        { 'type': 'prefix', 'name': 'b/' });
+
+    rollup = new listing.PrefixRollup('x/', '/', 'b/\uffff');
+    t.deepEqual(rollup.entry({ 'name': 'x/b/1' }),
+        { 'type': 'prefix', 'name': 'x/b/' });
+
+    rollup = new listing.PrefixRollup(undefined, '/', 'b');
+    t.deepEqual(rollup.entry({ 'name': 'b/1' }),
+        { 'type': 'prefix', 'name': 'b/' });
+    t.end();
+});
+
+tape('rollupStream: truncated page ending in a group', function (t) {
+    var s = listing.rollupStream(entryStream([ 'a', 'b/1', 'b/2' ]),
+        listing.listRollup(undefined, { 'delimiter': '/' }), 3);
+
+    readAll(s, function (err, records) {
+        t.error(err);
+        t.deepEqual(records, [ 'a', 'prefix:b/' ]);
+        t.ok(s.truncated(), 'page is truncated');
+        t.equal(s.marker(), 'b/\uffff', 'next page skips the group');
+        t.end();
+    });
+});
+
+tape('rollupStream: truncated page ending in an entry', function (t) {
+    var s = listing.rollupStream(entryStream([ 'a/1', 'a/2', 'b' ]),
+        listing.listRollup(undefined, { 'delimiter': '/' }), 3);
+
+    readAll(s, function (err, records) {
+        t.error(err);
+        t.deepEqual(records, [ 'prefix:a/', 'b' ]);
+        t.ok(s.truncated(), 'page is truncated');
+        t.equal(s.marker(), 'b');
+        t.end();
+    });
+});
+
+tape('rollupStream: complete listing', function (t) {
+    var s = listing.rollupStream(entryStream([ 'a', 'b/1' ]),
+        listing.listRollup(undefined, { 'delimiter': '/' }), 3);
+
+    readAll(s, function (err, records) {
+        t.error(err);
+        t.deepEqual(records, [ 'a', 'prefix:b/' ]);
+        t.notOk(s.truncated(), 'page is not truncated');
+        t.strictEqual(s.marker(), undefined, 'no next page');
+        t.end();
+    });
+});
+
+tape('listRollup', function (t) {
+    t.strictEqual(listing.listRollup('p', undefined), null);
+    t.strictEqual(listing.listRollup('p', {}), null);
+    t.ok(listing.listRollup('p', { 'delimiter': '/' }) instanceof
+        listing.PrefixRollup);
+    t.throws(function () {
+        listing.listRollup('p', { 'delimiter': 5 });
+    }, /delimiter/);
+    t.end();
+});
+
+tape('PaginatedListing: rollup across pages', function (t) {
+    var requests = [];
+    var s = new listing.PaginatedListing({
+        'listPage': pageLister([ 'a', 'b/1', 'b/2', 'b/3', 'b/4', 'c' ],
+            requests),
+        'pageSize': 2,
+        'rollup': listing.listRollup(undefined, { 'delimiter': '/' })
+    });
+
+    readAll(s, function (err, records) {
+        t.error(err);
+        t.deepEqual(records, [ 'a', 'prefix:b/', 'c' ]);
+        t.deepEqual(requests.map(function (r) {
+            return (r.marker);
+        }), [ undefined, 'b/\uffff' ], 'next page skips the group');
+        t.end();
+    });
+});
+
+tape('MergedListing: rollup across vnodes', function (t) {
+    var requests = [];
+    var s = new listing.MergedListing({
+        'listPage': fakeListPage({
+            '0': [ 'a', 'b/1', 'b/3', 'b/5', 'c' ],
+            '1': [ 'b/2', 'b/4', 'd/1' ]
+        }, requests),
+        'vnodes': [ 0, 1 ],
+        'pageSize': 2,
+        'concurrency': 2,
+        'rollup': listing.listRollup(undefined, { 'delimiter': '/' })
+    });
+
+    readAll(s, function (err, records) {
+        t.error(err);
+        t.deepEqual(records, [ 'a', 'prefix:b/', 'c', 'prefix:d/' ]);
+        t.ok(requests.some(function (r) {
+            return (r.marker === 'b/\uffff');
+        }), 'a page skips the rest of a group');
+        t.end();
+    });
+});
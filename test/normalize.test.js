@@ -0,0 +1,372 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/normalize.test.js: tests for result normalization (the
+ * "normalizeResults" constructor option and the "raw" request option in
+ * lib/client.js, normalizeObject() in lib/objects.js, normalizeBucket() in
+ * lib/buckets.js, and resultDate() in lib/rpc.js)
+ */
+
+var tape = require('tape');
+var vasync = require('vasync');
+
+var buckets = require('../lib/buckets');
+var helpers = require('./helpers');
+var objects = require('../lib/objects');
+var rpc = require('../lib/rpc');
+
+
+///--- Helpers
+
+var BUCKET_ID = 'a1b2c3d4-0000-0000-0000-000000000001';
+var OBJECT_ID = 'c0ffee00-1234-4321-abcd-0123456789ab';
+var CREATED = '2020-03-01T12:00:00.000Z';
+var MODIFIED = Date.parse('2020-03-02T12:00:00.000Z');
+
+var SHARKS = [
+    { 'datacenter': 'dc0', 'manta_storage_id': '1.stor.example.com' },
+    { 'datacenter': 'dc1', 'manta_storage_id': '2.stor.example.com',
+        'extra': true }
+];
+
+/*
+ * An object record as the server sends it, and its normalized form.
+ */
+var RAW_OBJECT = {
+    'id': OBJECT_ID,
+    'owner': 'owner0',
+    'bucket_id': BUCKET_ID,
+    'name': 'obj0',
+    'content_length': 5,
+    'content_md5': 'XrY7u+Ae7tCTyyK7j1rNww==',
+    'content_type': 'text/plain',
+    'headers': { 'Content-Type': 'text/plain', 'm-Color': 'blue' },
+    'sharks': JSON.stringify(SHARKS),
+    'properties': { 'color': 'blue' },
+    'created': CREATED,
+    'modified': MODIFIED
+};
+
+var NORMALIZED_OBJECT = {
+    'id': OBJECT_ID,
+    'etag': OBJECT_ID,
+    'owner': 'owner0',
+    'bucket_id': BUCKET_ID,
+    'name': 'obj0',
+    'content_length': 5,
+    'content_md5': 'XrY7u+Ae7tCTyyK7j1rNww==',
+    'content_type': 'text/plain',
+    'headers': { 'content-type': 'text/plain', 'm-color': 'blue' },
+    'sharks': SHARKS,
+    'properties': { 'color': 'blue' },
+    'created': new Date(CREATED),
+    'modified': new Date(MODIFIED)
+};
+
+/*
+ * A bucket record as the server sends it, and its normalized form.
+ */
+var RAW_BUCKET = {
+    'id': BUCKET_ID,
+    'owner': 'owner0',
+    'name': 'bucket0',
+    'created': CREATED
+};
+
+var NORMALIZED_BUCKET = {
+    'id': BUCKET_ID,
+    'owner': 'owner0',
+    'name': 'bucket0',
+    'created': new Date(CREATED)
+};
+
+/*
+ * Returns a deep copy of "record" (which must contain only JSON values), so
+ * that the records sent by the server are never shared with each other or
+ * with the records above.
+ */
+function copyOf(record) {
+    return (JSON.parse(JSON.stringify(record)));
+}
+
+/*
+ * Invokes callback(t, client, backend) with a client created with "options"
+ * and connected to a backend that answers every object and bucket RPC with
+ * RAW_OBJECT or RAW_BUCKET (two of them for a listing), and closes the client
+ * when the test ends.
+ */
+function clientTest(name, options, callback) {
+    tape(name, function (t) {
+        var backend = new helpers.FakeBackend('10.0.0.1:2030');
+
+        [ 'createobject', 'updateobject', 'getobject' ].forEach(
+            function (rpcmethod) {
+            backend.handle(rpcmethod, function (rpcargs, req) {
+                req.respond([ copyOf(RAW_OBJECT) ]);
+            });
+        });
+        [ 'createbucket', 'getbucket' ].forEach(function (rpcmethod) {
+            backend.handle(rpcmethod, function (rpcargs, req) {
+                req.respond([ copyOf(RAW_BUCKET) ]);
+            });
+        });
+        backend.handle('listobjects', function (rpcargs, req) {
+            req.respond([ copyOf(RAW_OBJECT), copyOf(RAW_OBJECT) ]);
+        });
+        backend.handle('listbuckets', function (rpcargs, req) {
+            req.respond([ copyOf(RAW_BUCKET), copyOf(RAW_BUCKET) ]);
+        });
+
+        helpers.createClient(backend, options, function (client) {
+            t.once('end', function () {
+                client.close();
+            });
+            callback(t, client, backend);
+        });
+    });
+}
+
+/*
+ * Returns functions invoked as func(client, opts, callback) that make each
+ * kind of request that returns object or bucket records, with request options
+ * "opts", and invoke callback(err, records) with the records returned (as an
+ * array, for a single-record result).  Each is named "<method> (<kind>)",
+ * where "kind" is "object" or "bucket".
+ */
+function recordRequests() {
+    function single(cb) {
+        return (function (err, record) {
+            cb(err, err ? undefined : [ record ]);
+        });
+    }
+
+    function all(res, cb) {
+        var records = [];
+
+        res.on('data', function (record) {
+            records.push(record);
+        });
+        res.on('error', cb);
+        res.on('end', function () {
+            cb(null, records);
+        });
+    }
+
+    return ({
+        'createObject (object)': function (client, opts, cb) {
+            client.createObject('owner0', BUCKET_ID, 'obj0', OBJECT_ID, 5,
+                RAW_OBJECT.content_md5, 'text/plain', {}, SHARKS, {}, 0, {},
+                'req0', opts, single(cb));
+        },
+        'updateObject (object)': function (client, opts, cb) {
+            client.updateObject('owner0', BUCKET_ID, 'obj0', OBJECT_ID,
+                'text/plain', {}, {}, 0, {}, 'req0', opts, single(cb));
+        },
+        'getObject (object)': function (client, opts, cb) {
+            client.getObject('owner0', BUCKET_ID, 'obj0', 0, {}, 'req0', opts,
+                single(cb));
+        },
+        'listObjects (object)': function (client, opts, cb) {
+            all(client.listObjects('owner0', BUCKET_ID, undefined, 10,
+                undefined, 0, 'req0', opts), cb);
+        },
+        'createBucket (bucket)': function (client, opts, cb) {
+            client.createBucket('owner0', 'bucket0', 0, 'req0', opts,
+                single(cb));
+        },
+        'getBucket (bucket)': function (client, opts, cb) {
+            client.getBucket('owner0', 'bucket0', 0, 'req0', opts,
+                single(cb));
+        },
+        'listBuckets (bucket)': function (client, opts, cb) {
+            all(client.listBuckets('owner0', undefined, 10, undefined, 0,
+                'req0', opts), cb);
+        }
+    });
+}
+
+/*
+ * Makes each request from recordRequests() with request options "opts" and
+ * checks that the records returned are normalized if "normalized" is true,
+ * and exactly as sent by the server otherwise.
+ */
+function checkRequests(t, client, opts, normalized, callback) {
+    var requests = recordRequests();
+
+    vasync.forEachPipeline({
+        'inputs': Object.keys(requests),
+        'func': function (name, cb) {
+            var kind = /\(object\)$/.test(name) ? 'object' : 'bucket';
+            var raw = kind === 'object' ? RAW_OBJECT : RAW_BUCKET;
+            var expected = normalized ? (kind === 'object' ?
+                NORMALIZED_OBJECT : NORMALIZED_BUCKET) : raw;
+
+            requests[name](client, opts, function (err, records) {
+                t.ifError(err, name + ': no error');
+                records.forEach(function (record) {
+                    t.deepEqual(record, expected, name + ': ' +
+                        (normalized ? 'normalized' : 'raw'));
+                });
+                cb();
+            });
+        }
+    }, callback);
+}
+
+
+///--- Tests
+
+tape('resultDate', function (t) {
+    t.deepEqual(rpc.resultDate(CREATED), new Date(CREATED), 'ISO 8601');
+    t.deepEqual(rpc.resultDate(MODIFIED), new Date(MODIFIED), 'milliseconds');
+    t.equal(rpc.resultDate('yesterday'), 'yesterday', 'unparseable string');
+    t.equal(rpc.resultDate(null), null, 'null');
+    t.equal(rpc.resultDate(undefined), undefined, 'undefined');
+    t.deepEqual(rpc.resultDate({}), {}, 'object');
+    t.end();
+});
+
+tape('normalizeObject', function (t) {
+    var raw = copyOf(RAW_OBJECT);
+
+    t.deepEqual(objects.normalizeObject(raw), NORMALIZED_OBJECT,
+        'normalized');
+    t.deepEqual(raw, RAW_OBJECT, 'record not modified');
+    t.deepEqual(objects.normalizeObject(NORMALIZED_OBJECT), NORMALIZED_OBJECT,
+        'normalizing again has no effect');
+    t.end();
+});
+
+tape('normalizeObject: id and etag', function (t) {
+    t.deepEqual(objects.normalizeObject({ 'etag': OBJECT_ID }),
+        { 'id': OBJECT_ID, 'etag': OBJECT_ID }, 'etag only');
+    t.deepEqual(objects.normalizeObject({ 'id': OBJECT_ID, 'etag': 'old' }),
+        { 'id': OBJECT_ID, 'etag': OBJECT_ID }, 'id takes precedence');
+    t.deepEqual(objects.normalizeObject({ 'name': 'obj0' }),
+        { 'name': 'obj0' }, 'neither');
+    t.end();
+});
+
+tape('normalizeObject: sharks', function (t) {
+    var sharks = copyOf(SHARKS);
+    var rv = objects.normalizeObject({ 'sharks': sharks });
+
+    t.deepEqual(rv.sharks, SHARKS, 'array');
+    t.ok(rv.sharks !== sharks && rv.sharks[0] !== sharks[0],
+        'array and sharks copied');
+    t.deepEqual(objects.normalizeObject({ 'sharks': '[]' }),
+        { 'sharks': [] }, 'empty JSON array');
+    [ '{"datacenter":"dc0"}', 'not json', 5, null ].forEach(function (v) {
+        t.deepEqual(objects.normalizeObject({ 'sharks': v }),
+            { 'sharks': v }, 'left unchanged: ' + JSON.stringify(v));
+    });
+    t.end();
+});
+
+tape('normalizeObject: other values', function (t) {
+    [ null, undefined, 'obj0', 5 ].forEach(function (v) {
+        t.equal(objects.normalizeObject(v), v,
+            'returned unchanged: ' + JSON.stringify(v));
+    });
+    t.deepEqual(objects.normalizeObject({ 'created': 'yesterday' }),
+        { 'created': 'yesterday' }, 'unparseable dates left unchanged');
+    t.deepEqual(objects.normalizeObject({ 'headers': null }),
+        { 'headers': null }, 'null headers left unchanged');
+    t.end();
+});
+
+tape('normalizeBucket', function (t) {
+    var raw = copyOf(RAW_BUCKET);
+
+    t.deepEqual(buckets.normalizeBucket(raw), NORMALIZED_BUCKET,
+        'normalized');
+    t.deepEqual(raw, RAW_BUCKET, 'record not modified');
+    t.deepEqual(buckets.normalizeBucket({ 'name': 'bucket0' }),
+        { 'name': 'bucket0' }, 'no timestamp');
+    t.equal(buckets.normalizeBucket(null), null, 'null');
+    t.end();
+});
+
+clientTest('client: results are raw by default', {}, function (t, client) {
+    checkRequests(t, client, {}, false, function () {
+        t.end();
+    });
+});
+
+clientTest('client: "raw: false" normalizes results', {},
+    function (t, client) {
+    checkRequests(t, client, { 'raw': false }, true, function () {
+        t.end();
+    });
+});
+
+clientTest('client: normalizeResults', { 'normalizeResults': true },
+    function (t, client) {
+    checkRequests(t, client, {}, true, function () {
+        t.end();
+    });
+});
+
+clientTest('client: "raw: true" overrides normalizeResults',
+    { 'normalizeResults': true }, function (t, client) {
+    checkRequests(t, client, { 'raw': true }, false, function () {
+        t.end();
+    });
+});
+
+clientTest('client: normalized results match raw results normalized',
+    { 'normalizeResults': true }, function (t, client) {
+    var requests = recordRequests();
+
+    vasync.forEachPipeline({
+        'inputs': Object.keys(requests),
+        'func': function (name, cb) {
+            var normalize = /\(object\)$/.test(name) ?
+                objects.normalizeObject : buckets.normalizeBucket;
+
+            requests[name](client, {}, function (err, normalized) {
+                t.ifError(err);
+                requests[name](client, { 'raw': true }, function (err2, raw) {
+                    t.ifError(err2);
+                    t.deepEqual(normalized, raw.map(normalize), name);
+                    cb();
+                });
+            });
+        }
+    }, function () {
+        t.end();
+    });
+});
+
+clientTest('client: raw and normalized reads are not coalesced',
+    { 'normalizeResults': true, 'coalesceReads': true },
+    function (t, client, backend) {
+    var requests = recordRequests();
+    var get = requests['getObject (object)'];
+    var results = [];
+
+    function done(err, records) {
+        t.ifError(err);
+        results.push(records[0]);
+        if (results.length < 3) {
+            return;
+        }
+
+        t.equal(backend.requests.length, 2, 'two requests sent');
+        t.deepEqual(results, [ NORMALIZED_OBJECT, NORMALIZED_OBJECT,
+            RAW_OBJECT ], 'results');
+        t.end();
+    }
+
+    get(client, {}, done);
+    get(client, { 'raw': false }, done);
+    get(client, { 'raw': true }, done);
+});
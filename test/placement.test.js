@@ -0,0 +1,252 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/placement.test.js: tests for parsing placement data and locating keys
+ * (lib/placement.js)
+ */
+
+var crypto = require('crypto');
+
+var tape = require('tape');
+
+var placement = require('../lib/placement');
+
+
+///--- Helpers
+
+/*
+ * Returns a string of "n" copies of "c".
+ */
+function repeat(c, n) {
+    return (new Array(n + 1).join(c));
+}
+
+var sha256Max = repeat('f', 64);
+
+/*
+ * Returns valid placement data for a ring of "nvnodes" vnodes, assigned
+ * alternately to two pnodes.
+ */
+function makePlacementData(nvnodes) {
+    var map, vnode, pnode;
+
+    map = {
+        'tcp://1.buckets-mdapi.example.com:2030': {},
+        'tcp://2.buckets-mdapi.example.com:2030': {}
+    };
+
+    for (vnode = 0; vnode < nvnodes; vnode++) {
+        pnode = 'tcp://' + (vnode % 2 + 1) +
+            '.buckets-mdapi.example.com:2030';
+        map[pnode][vnode] = 1;
+    }
+
+    return ({
+        'version': '1.0.0',
+        'vnodes': nvnodes,
+        'algorithm': {
+            'NAME': 'sha256',
+            'MAX': sha256Max
+        },
+        'pnodeToVnodeMap': map
+    });
+}
+
+/*
+ * Checks that parsing "data" fails with an error whose message matches "re".
+ */
+function checkInvalid(t, data, re) {
+    var err = placement.parsePlacementData(data);
+
+    t.ok(err instanceof Error, 'returns an Error for ' + re);
+    t.equal(err.name, 'PlacementDataError');
+    t.ok(re.test(err.message), 'message "' + err.message + '" matches');
+}
+
+
+///--- Tests
+
+tape('hexDivide: small values', function (t) {
+    var cases = [
+        [ 0, 1 ],
+        [ 1, 1 ],
+        [ 15, 16 ],
+        [ 16, 16 ],
+        [ 255, 16 ],
+        [ 0xffff, 0x100 ],
+        [ 0x10000, 0xffff ],
+        [ 123456789, 1000 ],
+        [ 0xfffffffffff, 0x3ff ],
+        [ 0xabcdef012345, 0xabcdef012345 ],
+        [ 0xabcdef012344, 0xabcdef012345 ]
+    ];
+
+    cases.forEach(function (c) {
+        t.equal(placement.hexDivide(c[0].toString(16), c[1].toString(16)),
+            Math.floor(c[0] / c[1]), c[0] + ' / ' + c[1]);
+    });
+
+    t.equal(placement.hexDivide('00ff', '0010'), 15, 'leading zeros');
+    t.equal(placement.hexDivide('FF', 'A'), 25, 'upper case');
+    t.end();
+});
+
+tape('hexDivide: 256-bit values', function (t) {
+    var interval = placement.hexDivideSmall(sha256Max, 1024);
+
+    t.equal(interval, '3f' + repeat('f', 60), 'interval for 1024 vnodes');
+    t.equal(placement.hexDivide(interval, interval), 1);
+    t.equal(placement.hexDivide('0', interval), 0);
+    t.equal(placement.hexDivide('3f' + repeat('f', 59) + 'e', interval), 0);
+    t.equal(placement.hexDivide('4' + repeat('0', 61), interval), 1);
+    t.equal(placement.hexDivide('8' + repeat('0', 63), interval), 512);
+    t.equal(placement.hexDivide(sha256Max, interval), 1024);
+    t.equal(placement.hexDivide(sha256Max, '1'), Math.pow(2, 256));
+    t.end();
+});
+
+tape('hexDivide: bad arguments', function (t) {
+    t.throws(function () {
+        placement.hexDivide('xyz', '1');
+    }, /dividend must be hex/);
+    t.throws(function () {
+        placement.hexDivide('1', '');
+    }, /divisor must be hex/);
+    t.throws(function () {
+        placement.hexDivide('1', '000');
+    }, /divisor must be non-zero/);
+    t.end();
+});
+
+tape('hexDivideSmall', function (t) {
+    t.equal(placement.hexDivideSmall('ffff', 16), 'fff');
+    t.equal(placement.hexDivideSmall('10000', 2), '8000');
+    t.equal(placement.hexDivideSmall('f', 16), '0');
+    t.equal(placement.hexDivideSmall(sha256Max, 1), sha256Max);
+    t.equal(placement.hexDivideSmall(sha256Max, 0x10000),
+        repeat('f', 60));
+    t.throws(function () {
+        placement.hexDivideSmall('ff', 0);
+    }, /divisor must fit in 32 bits/);
+    t.end();
+});
+
+tape('parsePlacementData: valid data', function (t) {
+    var data, p, digest, vnode;
+
+    data = makePlacementData(8);
+    p = placement.parsePlacementData(data);
+    t.ok(p instanceof placement.Placement, 'returns a Placement');
+    t.equal(p.version(), '1.0.0');
+    t.equal(p.vnodeCount(), 8);
+    t.deepEqual(p.pnodes(), [
+        'tcp://1.buckets-mdapi.example.com:2030',
+        'tcp://2.buckets-mdapi.example.com:2030'
+    ]);
+    t.deepEqual(p.vnodesForPnode('tcp://1.buckets-mdapi.example.com:2030'),
+        [ 0, 2, 4, 6 ]);
+    t.deepEqual(p.vnodesForPnode('tcp://3.buckets-mdapi.example.com:2030'),
+        []);
+    t.equal(p.pnodeForVnode(3), 'tcp://2.buckets-mdapi.example.com:2030');
+    t.throws(function () {
+        p.pnodeForVnode(8);
+    }, /vnode out of range/);
+    t.strictEqual(p.toJSON(), data);
+
+    digest = crypto.createHash('sha256').update('owner:bucket:object').
+        digest('hex');
+    vnode = p.vnodeForKey('owner', 'bucket', 'object');
+    t.equal(vnode, placement.hexDivide(digest,
+        placement.hexDivideSmall(sha256Max, 8)));
+    t.ok(vnode >= 0 && vnode < 8, 'object vnode is in range');
+    t.notEqual(p.vnodeForKey('owner', 'bucket'), undefined);
+    t.end();
+});
+
+tape('parsePlacementData: VNODE_HASH_INTERVAL', function (t) {
+    var data, p;
+
+    /* An explicit interval that agrees with "MAX" is accepted. */
+    data = makePlacementData(4);
+    data.algorithm.VNODE_HASH_INTERVAL = '3F' + repeat('F', 62);
+    p = placement.parsePlacementData(data);
+    t.ok(p instanceof placement.Placement, 'matching interval');
+
+    /* The interval may be given without "MAX". */
+    delete (data.algorithm.MAX);
+    p = placement.parsePlacementData(data);
+    t.ok(p instanceof placement.Placement, 'interval without MAX');
+
+    data.algorithm.VNODE_HASH_INTERVAL = '0';
+    checkInvalid(t, data, /must be a non-zero hexadecimal number/);
+
+    delete (data.algorithm.VNODE_HASH_INTERVAL);
+    checkInvalid(t, data, /"algorithm.VNODE_HASH_INTERVAL" is required/);
+
+    data = makePlacementData(4);
+    data.algorithm.VNODE_HASH_INTERVAL = repeat('f', 63);
+    checkInvalid(t, data, /does not match/);
+    t.end();
+});
+
+tape('parsePlacementData: invalid data', function (t) {
+    var data;
+
+    checkInvalid(t, null, /expected an object/);
+    checkInvalid(t, 'placement', /expected an object/);
+
+    data = makePlacementData(4);
+    data.version = '';
+    checkInvalid(t, data, /"version" must be a non-empty string/);
+
+    [ 0, -1, 1.5, '4' ].forEach(function (nvnodes) {
+        data = makePlacementData(4);
+        data.vnodes = nvnodes;
+        checkInvalid(t, data, /"vnodes" must be a positive integer/);
+    });
+
+    data = makePlacementData(4);
+    data.algorithm = null;
+    checkInvalid(t, data, /"algorithm" must be an object/);
+
+    data = makePlacementData(4);
+    data.algorithm.NAME = 'nosuchhash';
+    checkInvalid(t, data, /unsupported hash algorithm: "nosuchhash"/);
+
+    data = makePlacementData(4);
+    data.algorithm.MAX = 'fffg';
+    checkInvalid(t, data, /"algorithm.MAX" must be a hexadecimal number/);
+
+    data = makePlacementData(4);
+    delete (data.pnodeToVnodeMap);
+    checkInvalid(t, data, /"pnodeToVnodeMap" must be an object/);
+
+    data = makePlacementData(4);
+    data.pnodeToVnodeMap['tcp://3.buckets-mdapi.example.com:2030'] = 3;
+    checkInvalid(t, data, /vnodes for pnode ".*" must be an object/);
+
+    data = makePlacementData(4);
+    data.pnodeToVnodeMap['tcp://1.buckets-mdapi.example.com:2030']['4'] = 1;
+    checkInvalid(t, data, /invalid vnode "4"/);
+
+    data = makePlacementData(4);
+    data.pnodeToVnodeMap['tcp://1.buckets-mdapi.example.com:2030']['-1'] = 1;
+    checkInvalid(t, data, /invalid vnode "-1"/);
+
+    data = makePlacementData(4);
+    data.pnodeToVnodeMap['tcp://1.buckets-mdapi.example.com:2030']['1'] = 1;
+    checkInvalid(t, data, /vnode 1 assigned to both/);
+
+    data = makePlacementData(4);
+    delete (data.pnodeToVnodeMap['tcp://2.buckets-mdapi.example.com:2030']);
+    checkInvalid(t, data, /expected 4 vnodes, but found 2 assigned/);
+    t.end();
+});
@@ -0,0 +1,359 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/pool.test.js: tests for the connection pool's circuit breakers and
+ * connection selection (lib/pool.js)
+ */
+
+var EventEmitter = require('events').EventEmitter;
+
+var bunyan = require('bunyan');
+var tape = require('tape');
+
+var errors = require('../lib/errors');
+var BucketsMdapiConnectionPool = require('../lib/pool');
+
+
+///--- Helpers
+
+var log = bunyan.createLogger({
+    'name': 'pool.test',
+    'level': process.env.LOG_LEVEL || 'fatal'
+});
+
+/*
+ * Reports a new connection with key "key" to the remote address "remote" to
+ * the pool using the fake ConnectionSet "cset".
+ */
+function addConnection(cset, key, remote) {
+    cset.emit('added', key, {
+        'destroyed': false,
+        'socketAddrs': function () {
+            return ({ 'local': '127.0.0.1:1234', 'remote': remote });
+        }
+    }, {});
+}
+
+/*
+ * Returns a pool with circuit breakers configured by "conf" and one connection
+ * to each of the given remote addresses, keyed by the address.  Every breaker
+ * transition is recorded in "changes" as "REMOTE: OLDSTATE -> NEWSTATE".
+ * Further connections may be added with addConnection() and "cset".
+ * "selection" is the connection selection strategy [optional].
+ */
+function makePool(conf, remotes, selection) {
+    var cset = new EventEmitter();
+    var pool, changes;
+
+    pool = new BucketsMdapiConnectionPool({
+        'log': log,
+        'cueballResolver': {},
+        'cueballSet': cset,
+        'circuitBreaker': conf,
+        'connectionSelection': selection
+    });
+
+    changes = [];
+    pool.on('breakerStateChanged', function (change) {
+        changes.push(change.remote + ': ' + change.oldState + ' -> ' +
+            change.newState);
+    });
+
+    remotes.forEach(function (remote) {
+        addConnection(cset, remote, remote);
+    });
+
+    return ({ 'pool': pool, 'changes': changes, 'cset': cset });
+}
+
+/*
+ * Allocates a connection from "pool" and releases it, recording the request
+ * as having succeeded or failed.  Returns the key of the connection used.
+ */
+function request(t, pool, succeeded) {
+    var aconn = pool.connAlloc();
+    var key;
+
+    t.notOk(aconn instanceof Error, 'connection allocated');
+    key = aconn.key();
+    pool.connRelease(aconn, succeeded);
+    return (key);
+}
+
+
+///--- Tests
+
+tape('breaker: opens after consecutive failures', function (t) {
+    var p = makePool({ 'failureThreshold': 3 }, [ 'backend1' ]);
+    var err;
+
+    request(t, p.pool, false);
+    request(t, p.pool, false);
+    request(t, p.pool, true);
+    request(t, p.pool, false);
+    request(t, p.pool, false);
+    t.deepEqual(p.changes, [], 'a success resets the failure count');
+
+    request(t, p.pool, false);
+    t.deepEqual(p.changes, [ 'backend1: closed -> open' ]);
+
+    err = p.pool.connAlloc();
+    t.ok(err instanceof errors.NoBackendsError, 'no backend available');
+    t.ok(/open circuit breakers/.test(err.message), err.message);
+    t.end();
+});
+
+tape('breaker: requests of unknown outcome are not counted', function (t) {
+    var p = makePool({ 'failureThreshold': 1 }, [ 'backend1' ]);
+
+    request(t, p.pool);
+    request(t, p.pool);
+    t.deepEqual(p.changes, []);
+    t.end();
+});
+
+tape('breaker: successful probe closes the breaker', function (t) {
+    var p = makePool({ 'failureThreshold': 1, 'coolDown': 20 },
+        [ 'backend1' ]);
+
+    request(t, p.pool, false);
+    t.ok(p.pool.connAlloc() instanceof Error, 'open during cool-down');
+
+    setTimeout(function () {
+        var probe;
+
+        probe = p.pool.connAlloc();
+        t.notOk(probe instanceof Error, 'probe allowed after cool-down');
+        t.deepEqual(p.changes, [
+            'backend1: closed -> open',
+            'backend1: open -> half-open'
+        ]);
+        t.ok(p.pool.connAlloc() instanceof Error,
+            'only one probe at a time');
+
+        p.pool.connRelease(probe, true);
+        t.deepEqual(p.changes.slice(2), [ 'backend1: half-open -> closed' ]);
+
+        request(t, p.pool, true);
+        request(t, p.pool, true);
+        t.end();
+    }, 40);
+});
+
+tape('breaker: failed probe reopens the breaker', function (t) {
+    var p = makePool({ 'failureThreshold': 2, 'coolDown': 20 },
+        [ 'backend1' ]);
+
+    request(t, p.pool, false);
+    request(t, p.pool, false);
+
+    setTimeout(function () {
+        request(t, p.pool, false);
+        t.deepEqual(p.changes, [
+            'backend1: closed -> open',
+            'backend1: open -> half-open',
+            'backend1: half-open -> open'
+        ]);
+        t.ok(p.pool.connAlloc() instanceof Error,
+            'open for another cool-down');
+        t.end();
+    }, 40);
+});
+
+tape('breaker: open backends are skipped', function (t) {
+    var p = makePool({ 'failureThreshold': 1 },
+        [ 'backend1', 'backend2' ]);
+    var key, i;
+
+    key = request(t, p.pool, false);
+    t.deepEqual(p.changes, [ key + ': closed -> open' ]);
+    for (i = 0; i < 10; i++) {
+        t.notEqual(request(t, p.pool, true), key,
+            'request sent to the other backend');
+    }
+    t.end();
+});
+
+tape('breaker: bad options', function (t) {
+    t.throws(function () {
+        makePool({ 'failureThreshold': -1 }, []);
+    }, /failureThreshold must be positive/);
+    t.throws(function () {
+        makePool({ 'coolDown': -1 }, []);
+    }, /coolDown must be positive/);
+    t.end();
+});
+
+tape('connAlloc: "exclude" skips other connections to the same backend',
+    function (t) {
+    var p = makePool(undefined, [ 'backend1', 'backend2' ]);
+    var aconn, i;
+
+    addConnection(p.cset, 'backend1-2', 'backend1');
+    for (i = 0; i < 20; i++) {
+        aconn = p.pool.connAlloc({ 'exclude': 'backend1' });
+        t.equal(aconn.key(), 'backend2', 'connection to the other backend');
+        p.pool.connRelease(aconn, true);
+    }
+
+    aconn = p.pool.connAlloc({ 'exclude': 'backend2' });
+    t.ok(aconn.key() === 'backend1' || aconn.key() === 'backend1-2',
+        'connection to the other backend');
+    p.pool.connRelease(aconn, true);
+
+    p = makePool(undefined, [ 'backend1' ]);
+    addConnection(p.cset, 'backend1-2', 'backend1');
+    aconn = p.pool.connAlloc({ 'exclude': 'backend1' });
+    t.ok(aconn instanceof errors.NoBackendsError,
+        'no connection to another backend');
+    t.end();
+});
+
+tape('selection: bad strategy', function (t) {
+    t.throws(function () {
+        makePool(undefined, [], 'fastest');
+    }, /unsupported connectionSelection: "fastest"/);
+    t.end();
+});
+
+tape('selection: least-outstanding', function (t) {
+    var p = makePool(undefined, [ 'backend1', 'backend2', 'backend3' ],
+        'least-outstanding');
+    var held = [];
+    var seen = {};
+    var aconn, i;
+
+    /* Ties are broken at random. */
+    for (i = 0; i < 30; i++) {
+        seen[request(t, p.pool, true)] = true;
+    }
+    t.deepEqual(Object.keys(seen).sort(),
+        [ 'backend1', 'backend2', 'backend3' ], 'every backend used');
+
+    /* Each outstanding request goes to the least-loaded connection. */
+    for (i = 0; i < 6; i++) {
+        aconn = p.pool.connAlloc();
+        held.push(aconn);
+    }
+    [ 'backend1', 'backend2', 'backend3' ].forEach(function (key) {
+        t.equal(held.filter(function (a) {
+            return (a.key() === key);
+        }).length, 2, key + ': two requests');
+    });
+
+    held.filter(function (a) {
+        return (a.key() === 'backend2');
+    }).forEach(function (a) {
+        p.pool.connRelease(a, true);
+    });
+    for (i = 0; i < 10; i++) {
+        t.equal(request(t, p.pool, true), 'backend2',
+            'request sent to the least-loaded connection');
+    }
+
+    t.end();
+});
+
+tape('selection: p2c', function (t) {
+    var p = makePool(undefined, [ 'backend1', 'backend2', 'backend3' ],
+        'p2c');
+    var seen = {};
+    var held = [];
+    var aconn, i;
+
+    for (i = 0; i < 30; i++) {
+        seen[request(t, p.pool, true)] = true;
+    }
+    t.deepEqual(Object.keys(seen).sort(),
+        [ 'backend1', 'backend2', 'backend3' ], 'every backend used');
+
+    /*
+     * Load up backend1.  It's always one of two candidates compared, so it's
+     * never chosen while it has more outstanding requests than the others.
+     */
+    p = makePool(undefined, [ 'backend1' ], 'p2c');
+    for (i = 0; i < 3; i++) {
+        held.push(p.pool.connAlloc());
+    }
+    addConnection(p.cset, 'backend2', 'backend2');
+    addConnection(p.cset, 'backend3', 'backend3');
+    for (i = 0; i < 30; i++) {
+        aconn = p.pool.connAlloc();
+        t.notEqual(aconn.key(), 'backend1',
+            'request not sent to the most-loaded connection');
+        p.pool.connRelease(aconn, true);
+    }
+
+    held.forEach(function (a) {
+        p.pool.connRelease(a, true);
+    });
+    t.end();
+});
+
+tape('selection: ewma prefers the lowest latency', function (t) {
+    var p = makePool(undefined, [ 'backend1', 'backend2' ], 'ewma');
+    var fast = p.pool.connAlloc();
+
+    setTimeout(function () {
+        var slow;
+
+        p.pool.connRelease(fast, true);
+        slow = p.pool.connAlloc();
+        t.notEqual(slow.key(), fast.key(),
+            'connection without latency is preferred');
+
+        setTimeout(function () {
+            var i;
+
+            p.pool.connRelease(slow, true);
+            for (i = 0; i < 10; i++) {
+                t.equal(request(t, p.pool, true), fast.key(),
+                    'request sent to the faster connection');
+            }
+            t.end();
+        }, 50);
+    }, 5);
+});
+
+tape('selection: ewma ignores failed and abandoned requests', function (t) {
+    var p = makePool(undefined, [ 'backend1', 'backend2' ], 'ewma');
+    var ok = p.pool.connAlloc();
+
+    setTimeout(function () {
+        var failed;
+
+        p.pool.connRelease(ok, true);
+        failed = p.pool.connAlloc();
+        t.notEqual(failed.key(), ok.key(),
+            'connection without latency is preferred');
+
+        setTimeout(function () {
+            var abandoned;
+
+            /*
+             * Had it been counted, this slow failure would make the other
+             * connection preferred.  Instead this one still has no latency.
+             */
+            p.pool.connRelease(failed, false);
+            abandoned = p.pool.connAlloc();
+            t.equal(abandoned.key(), failed.key(),
+                'connection with only a failed request is preferred');
+
+            setTimeout(function () {
+                p.pool.connRelease(abandoned);
+                t.equal(request(t, p.pool, true), failed.key(),
+                    'connection with only unsuccessful requests is ' +
+                    'preferred');
+                t.end();
+            }, 50);
+        }, 50);
+    }, 5);
+});
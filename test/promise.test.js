@@ -0,0 +1,189 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/promise.test.js: tests for the Promise-based form of the client's
+ * callback RPC methods (see promiseCall() in lib/client.js)
+ */
+
+var tape = require('tape');
+var VError = require('verror');
+
+var helpers = require('./helpers');
+
+
+///--- Helpers
+
+var BUCKET = {
+    'id': 'a1b2c3d4-0000-0000-0000-000000000001',
+    'owner': 'owner0',
+    'name': 'bucket0',
+    'created': '2020-01-01T00:00:00.000Z'
+};
+
+/*
+ * Returns a FakeBackend that answers the RPCs used below.
+ */
+function makeBackend() {
+    var backend = new helpers.FakeBackend('10.0.0.1:2030');
+
+    backend.handle('getbucket', function (rpcargs, req) {
+        if (rpcargs[0].name === BUCKET.name) {
+            req.respond([ BUCKET ]);
+        } else {
+            req.fail(new VError({ 'name': 'BucketNotFoundError' },
+                'requested bucket not found'));
+        }
+    });
+    backend.handle('createobject', function (rpcargs, req) {
+        req.respond([ {
+            'id': rpcargs[0].id,
+            'name': rpcargs[0].name,
+            'content_type': rpcargs[0].content_type,
+            'content_md5': rpcargs[0].content_md5
+        } ]);
+    });
+    backend.handle('ping', function (rpcargs, req) {
+        req.respond([]);
+    });
+    backend.handle('version', function (rpcargs, req) {
+        req.respond([ { 'version': 2 } ]);
+    });
+
+    return (backend);
+}
+
+/*
+ * Invokes callback(t, client, backend) with a client connected to a backend
+ * from makeBackend(), and closes the client when the test ends.
+ */
+function clientTest(name, callback) {
+    tape(name, function (t) {
+        var backend = makeBackend();
+
+        helpers.createClient(backend, {}, function (client) {
+            t.once('end', function () {
+                client.close();
+            });
+            callback(t, client, backend);
+        });
+    });
+}
+
+
+///--- Tests
+
+clientTest('getBucket: returns a Promise without a callback',
+    function (t, client) {
+    var p = client.getBucket('owner0', 'bucket0', 0, 'req0');
+
+    t.ok(p instanceof Promise, 'returns a Promise');
+    p.then(function (bucket) {
+        t.deepEqual(bucket, BUCKET, 'resolved with the bucket');
+        t.end();
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+clientTest('getBucket: request options without a callback',
+    function (t, client) {
+    client.getBucket('owner0', 'bucket0', 0, 'req0', {}).then(
+        function (bucket) {
+        t.deepEqual(bucket, BUCKET, 'resolved with the bucket');
+        t.end();
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+clientTest('getBucket: failed request rejects the Promise',
+    function (t, client) {
+    client.getBucket('owner0', 'nosuchbucket', 0, 'req0').then(function () {
+        t.fail('Promise resolved');
+        t.end();
+    }, function (err) {
+        t.ok(err instanceof Error, 'rejected with an Error');
+        t.ok(VError.findCauseByName(err, 'BucketNotFoundError'),
+            'error has the server error as a cause');
+        t.end();
+    });
+});
+
+clientTest('getBucket: callback form is unchanged', function (t, client) {
+    var rv = client.getBucket('owner0', 'bucket0', 0, 'req0',
+        function (err, bucket) {
+        t.ifError(err);
+        t.deepEqual(bucket, BUCKET, 'callback gets the bucket');
+        t.end();
+    });
+
+    t.equal(rv, undefined, 'returns undefined');
+});
+
+clientTest('createObject: all positional arguments without a callback',
+    function (t, client, backend) {
+    client.createObject('owner0', BUCKET.id, 'obj0',
+        'b0b1b2b3-0000-0000-0000-000000000002', 5, 'XrY7u+Ae7tCTyyK7j1rNww==',
+        'text/plain', {}, [], {}, 3, {}, 'req0').then(function (obj) {
+        t.equal(obj.name, 'obj0', 'object name');
+        t.equal(obj.content_type, 'text/plain', 'content type');
+        t.equal(obj.content_md5, 'XrY7u+Ae7tCTyyK7j1rNww==', 'content md5');
+        t.equal(backend.requests[0].fr_rpcargs[0].vnode, 3,
+            'vnode sent in its usual position');
+        t.end();
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+clientTest('ping and versionInternal: Promise form', function (t, client) {
+    client.ping().then(function (rv) {
+        t.equal(rv, undefined, 'ping resolved');
+        return (client.versionInternal());
+    }).then(function (version) {
+        t.equal(version, 2, 'versionInternal resolved with the version');
+        t.end();
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+tape('closed client rejects the Promise', function (t) {
+    helpers.createClient(makeBackend(), {}, function (client) {
+        helpers.closeClient(client, function () {
+            client.getBucket('owner0', 'bucket0', 0, 'req0').then(function () {
+                t.fail('Promise resolved');
+                t.end();
+            }, function (err) {
+                t.equal(err.name, 'ClientClosedError', 'error name');
+                t.end();
+            });
+        });
+    });
+});
+
+tape('no connections rejects the Promise', function (t) {
+    var client = helpers.createClient(makeBackend(), {}, function () {});
+
+    /* The client has not connected yet. */
+    client.getBucket('owner0', 'bucket0', 0, 'req0').then(function () {
+        t.fail('Promise resolved');
+        t.end();
+    }, function (err) {
+        t.equal(err.name, 'NoBackendsError', 'error name');
+        client.close();
+        t.end();
+    });
+});
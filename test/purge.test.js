@@ -0,0 +1,454 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/purge.test.js: tests for purging buckets (lib/purge.js)
+ */
+
+var stream = require('stream');
+
+var tape = require('tape');
+var VError = require('verror');
+
+var errors = require('../lib/errors');
+var helpers = require('./helpers');
+var purge = require('../lib/purge');
+
+
+///--- Helpers
+
+var BUCKET_ID = 'a1b2c3d4-0000-0000-0000-000000000001';
+
+/*
+ * Creates a BucketPurge of a bucket whose objects on each vnode are given by
+ * "objects" (an object mapping vnodes to sorted arrays of names), with the
+ * given purge arguments (see purgeArgs()) and stubs for the functions that
+ * make requests.  Returns an object with properties:
+ *
+ *     bp           the BucketPurge
+ *
+ *     calls        requests made, in order, each an array of the request
+ *                  name and its arguments
+ *
+ *     progress     objects emitted with "progress", in order
+ *
+ *     maxPending   the most deletes that have been outstanding at once
+ *
+ *     fail         object mapping request names (or, for deletes, object
+ *                  names) to errors with which those requests should fail.
+ *                  This can be modified until the request is made.
+ *
+ * "callback" is invoked as callback(err, summary) with the error emitted with
+ * "error" or the summary emitted with "end".
+ */
+function makePurge(objects, vnodes, options, callback) {
+    var rv = {
+        'calls': [],
+        'progress': [],
+        'maxPending': 0,
+        'fail': {}
+    };
+    var args = purge.purgeArgs(vnodes, options);
+    var npending = 0;
+
+    args.log = helpers.log;
+    args.getBucketId = function (cb) {
+        rv.calls.push([ 'getBucketId' ]);
+        setImmediate(cb, rv.fail.getBucketId || null,
+            rv.fail.getBucketId ? undefined : BUCKET_ID);
+    };
+    args.listPage = function (bucket_id, vnode, limit, marker) {
+        var res = new stream.PassThrough({ 'objectMode': true });
+        var names = (objects[vnode] || []).filter(function (name) {
+            return (marker === undefined || name > marker);
+        }).slice(0, limit);
+
+        rv.calls.push([ 'listPage', bucket_id, vnode, limit, marker ]);
+        setImmediate(function () {
+            if (rv.fail.listPage) {
+                res.emit('error', rv.fail.listPage);
+                return;
+            }
+
+            names.forEach(function (name) {
+                res.write({ 'name': name, 'id': name + '-id' });
+            });
+            res.end();
+        });
+
+        return (res);
+    };
+    args.deleteKey = function (bucket_id, key, cb) {
+        var err = rv.fail[key.name] || null;
+
+        rv.calls.push([ 'deleteKey', bucket_id, key.name, key.vnode ]);
+        rv.maxPending = Math.max(rv.maxPending, ++npending);
+        if (err === null) {
+            objects[key.vnode] = objects[key.vnode].filter(function (name) {
+                return (name !== key.name);
+            });
+        }
+
+        setImmediate(function () {
+            npending--;
+            cb(err);
+        });
+    };
+    args.deleteBucket = function (cb) {
+        rv.calls.push([ 'deleteBucket' ]);
+        setImmediate(cb, rv.fail.deleteBucket || null);
+    };
+
+    rv.bp = new purge.BucketPurge(args);
+    rv.bp.on('progress', function (progress) {
+        rv.progress.push(progress);
+    });
+    rv.bp.on('error', function (err) {
+        callback(err);
+    });
+    rv.bp.on('end', function (summary) {
+        callback(null, summary);
+    });
+
+    return (rv);
+}
+
+/*
+ * Returns the "calls" of a purge with the bucket id left out.
+ */
+function callsSummary(calls) {
+    return (calls.map(function (c) {
+        return (c[1] === BUCKET_ID ? [ c[0] ].concat(c.slice(2)) : c);
+    }));
+}
+
+/*
+ * Returns a server error like the one reported for a missing object.
+ */
+function notFoundError() {
+    return (errors.serverError({
+        'name': 'ObjectNotFound',
+        'message': 'requested object not found',
+        'rpcmethod': 'deleteobject',
+        'addrs': { 'local': '127.0.0.1:10000', 'remote': '10.0.0.1:2030' }
+    }));
+}
+
+
+///--- Tests
+
+tape('purgeArgs', function (t) {
+    t.deepEqual(purge.purgeArgs([ 0, 1 ]), {
+        'vnodes': [ 0, 1 ],
+        'pageSize': 1000,
+        'concurrency': 10,
+        'dryRun': false,
+        'checkpoint': undefined
+    }, 'defaults');
+    t.deepEqual(purge.purgeArgs([ 2 ], {
+        'pageSize': 5,
+        'concurrency': 2,
+        'dryRun': true,
+        'checkpoint': { 'vnode': 2, 'marker': 'obj' }
+    }), {
+        'vnodes': [ 2 ],
+        'pageSize': 5,
+        'concurrency': 2,
+        'dryRun': true,
+        'checkpoint': { 'vnode': 2, 'marker': 'obj' }
+    }, 'options');
+    t.throws(function () {
+        purge.purgeArgs([ 0 ], { 'dryRun': 'yes' });
+    }, /options\.dryRun \(bool\) is required/, 'bad dryRun');
+    t.end();
+});
+
+tape('purge every vnode', function (t) {
+    var objects = {
+        '0': [ 'a', 'b', 'c' ],
+        '1': [ 'd', 'e' ],
+        '2': []
+    };
+    var p = makePurge(objects, [ 0, 1, 2 ], { 'pageSize': 2 },
+        function (err, summary) {
+        t.ifError(err);
+        t.deepEqual(summary,
+            { 'objects': 5, 'pages': 5, 'bucketDeleted': true }, 'summary');
+        t.deepEqual(callsSummary(p.calls), [
+            [ 'getBucketId' ],
+            [ 'listPage', 0, 2, undefined ],
+            [ 'deleteKey', 'a', 0 ],
+            [ 'deleteKey', 'b', 0 ],
+            [ 'listPage', 0, 2, 'b' ],
+            [ 'deleteKey', 'c', 0 ],
+            [ 'listPage', 1, 2, undefined ],
+            [ 'deleteKey', 'd', 1 ],
+            [ 'deleteKey', 'e', 1 ],
+            [ 'listPage', 1, 2, 'e' ],
+            [ 'listPage', 2, 2, undefined ],
+            [ 'deleteBucket' ]
+        ], 'requests');
+        t.deepEqual(p.progress, [
+            { 'vnode': 0, 'objects': 2,
+                'checkpoint': { 'vnode': 0, 'marker': 'b' } },
+            { 'vnode': 0, 'objects': 3,
+                'checkpoint': { 'vnode': 1, 'marker': null } },
+            { 'vnode': 1, 'objects': 5,
+                'checkpoint': { 'vnode': 1, 'marker': 'e' } },
+            { 'vnode': 1, 'objects': 5,
+                'checkpoint': { 'vnode': 2, 'marker': null } },
+            { 'vnode': 2, 'objects': 5,
+                'checkpoint': { 'vnode': null, 'marker': null } }
+        ], 'progress');
+        t.deepEqual(objects, { '0': [], '1': [], '2': [] },
+            'every object deleted');
+        t.deepEqual(p.bp.checkpoint(), { 'vnode': null, 'marker': null },
+            'final checkpoint');
+        t.end();
+    });
+
+    t.deepEqual(p.bp.checkpoint(), { 'vnode': 0, 'marker': null },
+        'initial checkpoint');
+});
+
+tape('deletes within a page are concurrent', function (t) {
+    var objects = { '0': [ 'a', 'b', 'c', 'd', 'e' ] };
+    var p = makePurge(objects, [ 0 ], { 'pageSize': 10, 'concurrency': 2 },
+        function (err, summary) {
+        t.ifError(err);
+        t.equal(summary.objects, 5, 'every object deleted');
+        t.equal(p.maxPending, 2, 'at most 2 deletes outstanding');
+        t.end();
+    });
+});
+
+tape('objects already deleted are counted', function (t) {
+    var p = makePurge({ '0': [ 'a', 'b' ] }, [ 0 ], {},
+        function (err, summary) {
+        t.ifError(err);
+        t.deepEqual(summary,
+            { 'objects': 2, 'pages': 1, 'bucketDeleted': true }, 'summary');
+        t.end();
+    });
+
+    p.fail.a = notFoundError();
+});
+
+tape('dry run', function (t) {
+    var objects = { '0': [ 'a', 'b', 'c' ], '1': [ 'd' ] };
+    var p = makePurge(objects, [ 0, 1 ], { 'pageSize': 2, 'dryRun': true },
+        function (err, summary) {
+        t.ifError(err);
+        t.deepEqual(summary,
+            { 'objects': 4, 'pages': 3, 'bucketDeleted': false }, 'summary');
+        t.deepEqual(callsSummary(p.calls), [
+            [ 'getBucketId' ],
+            [ 'listPage', 0, 2, undefined ],
+            [ 'listPage', 0, 2, 'b' ],
+            [ 'listPage', 1, 2, undefined ]
+        ], 'only listed objects');
+        t.deepEqual(p.progress.map(function (pr) {
+            return (pr.objects);
+        }), [ 2, 3, 4 ], 'progress counts objects');
+        t.deepEqual(objects, { '0': [ 'a', 'b', 'c' ], '1': [ 'd' ] },
+            'nothing deleted');
+        t.end();
+    });
+});
+
+tape('resume from a checkpoint', function (t) {
+    var objects = { '0': [ 'a' ], '1': [ 'b', 'c', 'd' ], '2': [ 'e' ] };
+    var p = makePurge(objects, [ 0, 1, 2 ], {
+        'checkpoint': { 'vnode': 1, 'marker': 'b' }
+    }, function (err, summary) {
+        t.ifError(err);
+        t.deepEqual(summary,
+            { 'objects': 3, 'pages': 2, 'bucketDeleted': true }, 'summary');
+        t.deepEqual(callsSummary(p.calls), [
+            [ 'getBucketId' ],
+            [ 'listPage', 1, 1000, 'b' ],
+            [ 'deleteKey', 'c', 1 ],
+            [ 'deleteKey', 'd', 1 ],
+            [ 'listPage', 2, 1000, undefined ],
+            [ 'deleteKey', 'e', 2 ],
+            [ 'deleteBucket' ]
+        ], 'resumed from the checkpoint');
+        t.deepEqual(objects, { '0': [ 'a' ], '1': [ 'b' ], '2': [] },
+            'objects before the checkpoint not listed');
+        t.end();
+    });
+
+    t.deepEqual(p.bp.checkpoint(), { 'vnode': 1, 'marker': 'b' },
+        'initial checkpoint');
+});
+
+tape('resume from the final checkpoint', function (t) {
+    var p = makePurge({ '0': [ 'a' ] }, [ 0 ], {
+        'checkpoint': { 'vnode': null, 'marker': null }
+    }, function (err, summary) {
+        t.ifError(err);
+        t.deepEqual(summary,
+            { 'objects': 0, 'pages': 0, 'bucketDeleted': true }, 'summary');
+        t.deepEqual(p.calls, [ [ 'getBucketId' ], [ 'deleteBucket' ] ],
+            'only deleted the bucket');
+        t.end();
+    });
+});
+
+tape('bad checkpoints', function (t) {
+    [
+        [ { 'vnode': 3, 'marker': null }, /must be one of args\.vnodes/ ],
+        [ { 'vnode': '0', 'marker': null }, /must be a number or null/ ],
+        [ { 'vnode': 0, 'marker': 5 }, /must be a string or null/ ]
+    ].forEach(function (tc) {
+        t.throws(function () {
+            makePurge({}, [ 0, 1 ], { 'checkpoint': tc[0] }, function () {
+                t.fail('purge started');
+            });
+        }, tc[1], JSON.stringify(tc[0]));
+    });
+
+    t.end();
+});
+
+tape('failure to look up the bucket', function (t) {
+    var lookupErr = new Error('no such bucket');
+    var p = makePurge({ '0': [ 'a' ] }, [ 0 ], {}, function (err) {
+        t.ok(err === lookupErr, 'error');
+        t.deepEqual(p.calls, [ [ 'getBucketId' ] ], 'nothing else done');
+        t.end();
+    });
+
+    p.fail.getBucketId = lookupErr;
+});
+
+tape('failure to list a page', function (t) {
+    var listErr = new Error('list failed');
+    var p = makePurge({ '0': [ 'a', 'b', 'c' ] }, [ 0 ], { 'pageSize': 2 },
+        function (err) {
+        t.ok(err === listErr, 'error');
+        t.deepEqual(callsSummary(p.calls).map(function (c) {
+            return (c[0]);
+        }), [ 'getBucketId', 'listPage', 'deleteKey', 'deleteKey',
+            'listPage' ], 'stopped after the failed page');
+        t.deepEqual(p.bp.checkpoint(), { 'vnode': 0, 'marker': 'b' },
+            'checkpoint after the last completed page');
+        t.end();
+    });
+
+    p.bp.once('progress', function () {
+        p.fail.listPage = listErr;
+    });
+});
+
+tape('failure to delete an object, then resume', function (t) {
+    var objects = { '0': [ 'a', 'b' ], '1': [ 'c', 'd', 'e', 'f' ] };
+    var deleteErr = new VError('delete failed');
+    var p = makePurge(objects, [ 0, 1 ], {
+        'pageSize': 2,
+        'concurrency': 1
+    }, function (err) {
+        var checkpoint = p.bp.checkpoint();
+        var p2;
+
+        t.ok(err === deleteErr, 'error');
+        t.deepEqual(checkpoint, { 'vnode': 1, 'marker': null },
+            'checkpoint at the start of the failed page');
+        t.deepEqual(callsSummary(p.calls).slice(-2), [
+            [ 'listPage', 1, 2, undefined ],
+            [ 'deleteKey', 'c', 1 ]
+        ], 'no more objects deleted after the failure');
+        t.deepEqual(objects, { '0': [], '1': [ 'c', 'd', 'e', 'f' ] },
+            'objects on the failed page remain');
+
+        /* Resuming the purge lists the failed page again. */
+        p2 = makePurge(objects, [ 0, 1 ], {
+            'pageSize': 2,
+            'checkpoint': checkpoint
+        }, function (err2, summary) {
+            t.ifError(err2);
+            t.deepEqual(summary,
+                { 'objects': 4, 'pages': 3, 'bucketDeleted': true },
+                'summary of resumed purge');
+            t.deepEqual(callsSummary(p2.calls)[1],
+                [ 'listPage', 1, 2, undefined ], 'failed page listed again');
+            t.deepEqual(objects, { '0': [], '1': [] },
+                'every object deleted');
+            t.end();
+        });
+    });
+
+    p.fail.c = deleteErr;
+});
+
+tape('failure to delete the bucket', function (t) {
+    var bucketErr = new Error('delete failed');
+    var p = makePurge({ '0': [ 'a' ] }, [ 0 ], {}, function (err) {
+        t.ok(err === bucketErr, 'error');
+        t.equal(p.progress.length, 1, 'objects were purged');
+        t.deepEqual(p.bp.checkpoint(), { 'vnode': null, 'marker': null },
+            'checkpoint');
+        t.end();
+    });
+
+    p.fail.deleteBucket = bucketErr;
+});
+
+tape('client: purgeBucket', function (t) {
+    var backend = new helpers.FakeBackend('10.0.0.1:2030');
+    var objects = { '3': [ 'a', 'b' ], '4': [ 'c' ] };
+
+    backend.handle('getbucket', function (rpcargs, req) {
+        req.respond([ { 'id': BUCKET_ID, 'name': rpcargs[0].name } ]);
+    });
+    backend.handle('listobjects', function (rpcargs, req) {
+        req.respond(objects[rpcargs[0].vnode].filter(function (name) {
+            return (rpcargs[0].marker === undefined ||
+                name > rpcargs[0].marker);
+        }).slice(0, rpcargs[0].limit).map(function (name) {
+            return ({ 'name': name, 'id': name + '-id' });
+        }));
+    });
+    backend.handle('deleteobject', function (rpcargs, req) {
+        req.respond([ { 'name': rpcargs[0].name } ]);
+    });
+    backend.handle('deletebucket', function (rpcargs, req) {
+        req.respond([ { 'name': rpcargs[0].name } ]);
+    });
+
+    helpers.createClient(backend, {}, function (client) {
+        var bp = client.purgeBucket('owner0', 'bucket0', 7, 'req0',
+            { 'vnodes': [ 3, 4 ], 'pageSize': 2 });
+
+        bp.on('error', function (err) {
+            t.ifError(err);
+        });
+        bp.on('end', function (summary) {
+            t.deepEqual(summary,
+                { 'objects': 3, 'pages': 3, 'bucketDeleted': true },
+                'summary');
+            t.deepEqual(backend.requests.map(function (req) {
+                var a = req.fr_rpcargs[0];
+                return ([ req.fr_rpcmethod, a.vnode, a.name || a.marker ]);
+            }), [
+                [ 'getbucket', 7, 'bucket0' ],
+                [ 'listobjects', 3, undefined ],
+                [ 'deleteobject', 3, 'a' ],
+                [ 'deleteobject', 3, 'b' ],
+                [ 'listobjects', 3, 'b' ],
+                [ 'listobjects', 4, undefined ],
+                [ 'deleteobject', 4, 'c' ],
+                [ 'deletebucket', 7, 'bucket0' ]
+            ], 'requests');
+            client.close();
+            t.end();
+        });
+    });
+});
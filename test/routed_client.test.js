@@ -0,0 +1,258 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/routed_client.test.js: tests for routing requests to pnodes
+ * (lib/routed_client.js)
+ */
+
+var tape = require('tape');
+var VError = require('verror');
+
+var Client = require('../lib/client').Client;
+var helpers = require('./helpers');
+var RoutedClient = require('../lib/routed_client').RoutedClient;
+
+
+///--- Helpers
+
+var NVNODES = 8;
+var PNODES = [ 'tcp://127.0.0.1:2030', 'tcp://127.0.0.2:2030' ];
+var BUCKET_ID = 'a1b2c3d4-0000-0000-0000-000000000001';
+
+/*
+ * Returns placement data assigning the vnodes alternately to the pnodes.
+ */
+function makePlacementData() {
+    var map = {};
+    var vnode;
+
+    PNODES.forEach(function (pnode) {
+        map[pnode] = {};
+    });
+
+    for (vnode = 0; vnode < NVNODES; vnode++) {
+        map[PNODES[vnode % PNODES.length]][vnode] = 1;
+    }
+
+    return ({
+        'version': '1.0.0',
+        'vnodes': NVNODES,
+        'algorithm': {
+            'NAME': 'sha256',
+            'MAX': new Array(65).join('f')
+        },
+        'pnodeToVnodeMap': map
+    });
+}
+
+/*
+ * Returns a FakeBackend for each pnode, which answers getbucket and getobject
+ * RPCs with the arguments it was sent.
+ */
+function makeBackends() {
+    return (PNODES.map(function (pnode) {
+        var backend = new helpers.FakeBackend(pnode.substr('tcp://'.length));
+
+        backend.handle('getbucket', function (rpcargs, req) {
+            req.respond([ {
+                'id': BUCKET_ID,
+                'owner': rpcargs[0].owner,
+                'name': rpcargs[0].name,
+                'vnode': rpcargs[0].vnode
+            } ]);
+        });
+        backend.handle('getobject', function (rpcargs, req) {
+            req.respond([ {
+                'bucket_id': rpcargs[0].bucket_id,
+                'name': rpcargs[0].name,
+                'vnode': rpcargs[0].vnode
+            } ]);
+        });
+
+        return (backend);
+    }));
+}
+
+/*
+ * Invokes callback(t, routed, backends) with a routed client whose per-pnode
+ * clients are connected to backends from makeBackends(), and closes the client
+ * when the test ends (unless the test has already done so).
+ */
+function routedTest(name, callback) {
+    tape(name, function (t) {
+        var backends = makeBackends();
+        var createFastConnection = Client.prototype.createFastConnection;
+        var routed;
+
+        /*
+         * The routed client constructs its own per-pnode clients, so we
+         * substitute our fake connections for all clients created here.
+         */
+        Client.prototype.createFastConnection =
+            helpers.fakeConnector(backends);
+        t.once('end', function () {
+            Client.prototype.createFastConnection = createFastConnection;
+            if (!routed.rc_closing) {
+                routed.close();
+            }
+        });
+
+        routed = new RoutedClient({
+            'log': helpers.log,
+            'placementData': makePlacementData()
+        });
+        routed.on('connect', function () {
+            callback(t, routed, backends);
+        });
+    });
+}
+
+/*
+ * Returns the FakeBackend for "pnode".
+ */
+function backendFor(backends, pnode) {
+    return (backends[PNODES.indexOf(pnode)]);
+}
+
+
+///--- Tests
+
+routedTest('buckets are routed to the pnode for their vnode',
+    function (t, routed, backends) {
+    var names = [ 'bucket0', 'bucket1', 'bucket2', 'bucket3', 'bucket4',
+        'bucket5', 'bucket6', 'bucket7' ];
+    var p = routed.placement();
+    var ndone = 0;
+
+    names.forEach(function (name) {
+        var vnode = p.vnodeForKey('owner0', name);
+        var backend = backendFor(backends, p.pnodeForVnode(vnode));
+
+        routed.getBucket('owner0', name, 'req0', function (err, bucket) {
+            t.ifError(err);
+            t.equal(bucket.vnode, vnode, name + ': vnode from placement');
+            t.ok(backend.requests.some(function (req) {
+                return (req.fr_rpcargs[0].name === name);
+            }), name + ': sent to pnode for vnode ' + vnode);
+
+            if (++ndone === names.length) {
+                t.ok(backends.every(function (be) {
+                    return (be.requests.length > 0);
+                }), 'requests sent to every pnode');
+                t.end();
+            }
+        });
+    });
+});
+
+routedTest('objects are routed to the pnode for their vnode',
+    function (t, routed, backends) {
+    var names = [ 'obj0', 'obj1', 'obj2', 'obj3', 'obj4', 'obj5', 'obj6',
+        'obj7' ];
+    var p = routed.placement();
+    var ndone = 0;
+
+    names.forEach(function (name) {
+        var vnode = p.vnodeForKey('owner0', BUCKET_ID, name);
+        var loc = routed.locateObject('owner0', BUCKET_ID, name);
+        var backend = backendFor(backends, p.pnodeForVnode(vnode));
+
+        t.equal(loc.vnode, vnode, name + ': located vnode');
+        t.equal(loc.pnode, p.pnodeForVnode(vnode), name + ': located pnode');
+
+        routed.getObject('owner0', BUCKET_ID, name, {}, 'req0',
+            function (err, obj) {
+            t.ifError(err);
+            t.equal(obj.vnode, vnode, name + ': vnode from placement');
+            t.ok(backend.requests.some(function (req) {
+                return (req.fr_rpcargs[0].name === name);
+            }), name + ': sent to pnode for vnode ' + vnode);
+
+            if (++ndone === names.length) {
+                t.ok(backends.every(function (be) {
+                    return (be.requests.length > 0);
+                }), 'requests sent to every pnode');
+                t.end();
+            }
+        });
+    });
+});
+
+routedTest('locateVnode', function (t, routed) {
+    var loc;
+
+    loc = routed.locateVnode(3);
+    t.equal(loc.vnode, 3, 'vnode');
+    t.equal(loc.pnode, PNODES[1], 'pnode');
+    t.ok(loc.client instanceof Client, 'client');
+
+    [ -1, NVNODES, NVNODES + 100, 1.5 ].forEach(function (vnode) {
+        var err = routed.locateVnode(vnode);
+
+        t.ok(err instanceof Error, 'vnode ' + vnode + ': returns an Error');
+        t.equal(err.name, 'InvalidArgumentError', 'error name');
+        t.equal(err.argument, 'vnode', 'invalid argument');
+    });
+
+    t.end();
+});
+
+routedTest('listing an out-of-range vnode', function (t, routed, backends) {
+    var res = routed.listObjects('owner0', BUCKET_ID, undefined, 10,
+        undefined, NVNODES, 'req0');
+
+    res.on('data', function () {
+        t.fail('unexpected record');
+    });
+    res.on('end', function () {
+        t.fail('unexpected end');
+    });
+    res.on('error', function (err) {
+        t.equal(err.name, 'InvalidArgumentError', 'error name');
+        t.ok(/no vnode 8/.test(err.message), 'error message');
+        t.ok(backends.every(function (be) {
+            return (be.requests.length === 0);
+        }), 'no request sent');
+        t.end();
+    });
+});
+
+routedTest('"error" from a pnode client', function (t, routed) {
+    var loc = routed.locateVnode(1);
+    var cause = new Error('boom');
+
+    routed.once('error', function (err) {
+        t.ok(VError.cause(err) === cause, 'cause is the client error');
+        t.ok(err.message.indexOf(loc.pnode) !== -1, 'message names pnode');
+        t.end();
+    });
+
+    loc.client.emit('error', cause);
+});
+
+routedTest('"close" after all pnode clients close', function (t, routed) {
+    var clients = [ routed.locateVnode(0).client,
+        routed.locateVnode(1).client ];
+    var nclosed = 0;
+
+    t.notEqual(clients[0], clients[1], 'one client per pnode');
+    clients.forEach(function (client) {
+        client.on('close', function () {
+            nclosed++;
+        });
+    });
+
+    routed.on('close', function () {
+        t.equal(nclosed, clients.length, 'every pnode client closed');
+        t.end();
+    });
+    routed.close();
+});
@@ -0,0 +1,221 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/rpc_params.test.js: tests for the named-options form of the RPC methods
+ * (lib/rpc_params.js)
+ */
+
+var tape = require('tape');
+
+var helpers = require('./helpers');
+var rpcParams = require('../lib/rpc_params');
+
+
+///--- Helpers
+
+var BUCKET_ID = 'a1b2c3d4-0000-0000-0000-000000000001';
+
+/*
+ * Returns a FakeBackend that answers getbucket and listobjects RPCs.
+ */
+function makeBackend() {
+    var backend = new helpers.FakeBackend('10.0.0.1:2030');
+
+    backend.handle('getbucket', function (rpcargs, req) {
+        req.respond([ {
+            'id': BUCKET_ID,
+            'owner': rpcargs[0].owner,
+            'name': rpcargs[0].name
+        } ]);
+    });
+    backend.handle('listobjects', function (rpcargs, req) {
+        req.respond([ { 'name': 'obj0' }, { 'name': 'obj1' } ]);
+    });
+
+    return (backend);
+}
+
+/*
+ * Invokes callback(t, client, backend) with a client connected to a backend
+ * from makeBackend(), and closes the client when the test ends.
+ */
+function clientTest(name, callback) {
+    tape(name, function (t) {
+        var backend = makeBackend();
+
+        helpers.createClient(backend, {}, function (client) {
+            t.once('end', function () {
+                client.close();
+            });
+            callback(t, client, backend);
+        });
+    });
+}
+
+
+///--- Tests
+
+tape('isNamedForm', function (t) {
+    t.ok(rpcParams.isNamedForm({ 'owner': 'owner0' }), 'options object');
+    t.notOk(rpcParams.isNamedForm('owner0'), 'positional owner');
+    t.notOk(rpcParams.isNamedForm(null), 'null');
+    t.notOk(rpcParams.isNamedForm(undefined), 'undefined');
+    t.end();
+});
+
+tape('namedToPositional: argument order', function (t) {
+    var argv = rpcParams.namedToPositional('updateObject', {
+        'owner': 'owner0',
+        'bucketId': BUCKET_ID,
+        'name': 'obj0',
+        'objectId': 'b0b1b2b3-0000-0000-0000-000000000002',
+        'contentType': 'text/plain',
+        'headers': {},
+        'vnode': 3,
+        'conditions': { 'if-match': [ '*' ] },
+        'reqId': 'req0',
+        'timeout': 1000
+    });
+
+    t.deepEqual(argv, [
+        'owner0', BUCKET_ID, 'obj0', 'b0b1b2b3-0000-0000-0000-000000000002',
+        'text/plain', {}, undefined, 3, { 'if-match': [ '*' ] }, 'req0',
+        { 'timeout': 1000 }
+    ], 'positional arguments');
+    t.end();
+});
+
+tape('namedToPositional: generated request id', function (t) {
+    var argv = rpcParams.namedToPositional('getBucket', {
+        'owner': 'owner0',
+        'bucket': 'bucket0',
+        'vnode': 0
+    });
+
+    t.equal(argv.length, 5, 'number of arguments');
+    t.equal(typeof (argv[3]), 'string', 'request id generated');
+    t.deepEqual(argv[4], {}, 'empty request options');
+    t.end();
+});
+
+tape('namedToPositional: invalid options', function (t) {
+    t.throws(function () {
+        rpcParams.namedToPositional('getBucket', {
+            'owner': 'owner0',
+            'bucket': 'bucket0',
+            'vnode': 0,
+            'vnodes': [ 1 ]
+        });
+    }, /unsupported option "vnodes"/, 'unknown option');
+    t.throws(function () {
+        rpcParams.namedToPositional('getBucket', {
+            'owner': 'owner0',
+            'bucket': 'bucket0',
+            'vnode': '0'
+        });
+    }, /options\.vnode/, 'option with the wrong type');
+    t.throws(function () {
+        rpcParams.namedToPositional('getBucket', {
+            'owner': 'owner0',
+            'vnode': 0
+        });
+    }, /options\.bucket/, 'missing option');
+    t.end();
+});
+
+clientTest('getBucket: named options', function (t, client, backend) {
+    client.getBucket({
+        'owner': 'owner0',
+        'bucket': 'bucket0',
+        'vnode': 2,
+        'reqId': 'req0'
+    }, function (err, bucket) {
+        t.ifError(err);
+        t.equal(bucket.id, BUCKET_ID, 'bucket id');
+        t.deepEqual(backend.requests[0].fr_rpcargs[0], {
+            'owner': 'owner0',
+            'name': 'bucket0',
+            'vnode': 2,
+            'request_id': 'req0'
+        }, 'RPC arguments');
+        t.end();
+    });
+});
+
+clientTest('getBucket: invalid named options', function (t, client, backend) {
+    var p;
+
+    t.throws(function () {
+        client.getBucket({ 'owner': 'owner0', 'vnode': 0 }, function () {
+            t.fail('callback invoked');
+        });
+    }, /options\.bucket/, 'throws with a callback');
+
+    p = client.getBucket({ 'owner': 'owner0', 'vnode': 0 });
+    t.ok(p instanceof Promise, 'returns a Promise without a callback');
+    p.then(function () {
+        t.fail('Promise resolved');
+        t.end();
+    }, function (err) {
+        t.ok(/options\.bucket/.test(err.message), 'Promise rejected');
+        t.equal(backend.requests.length, 0, 'no request sent');
+        t.end();
+    });
+});
+
+clientTest('listObjects: named options', function (t, client, backend) {
+    var names = [];
+    var res = client.listObjects({
+        'owner': 'owner0',
+        'bucketId': BUCKET_ID,
+        'limit': 10,
+        'vnode': 1,
+        'reqId': 'req0'
+    });
+
+    res.on('data', function (obj) {
+        names.push(obj.name);
+    });
+    res.on('error', function (err) {
+        t.ifError(err);
+        t.end();
+    });
+    res.on('end', function () {
+        t.deepEqual(names, [ 'obj0', 'obj1' ], 'listed objects');
+        t.equal(backend.requests[0].fr_rpcargs[0].vnode, 1, 'vnode');
+        t.end();
+    });
+});
+
+clientTest('listObjects and listBuckets: invalid named options throw',
+    function (t, client, backend) {
+    var unhandled = [];
+
+    function onUnhandled(err) {
+        unhandled.push(err);
+    }
+
+    process.on('unhandledRejection', onUnhandled);
+
+    t.throws(function () {
+        client.listObjects({ 'owner': 'owner0', 'limit': 10, 'vnode': 0 });
+    }, /options\.bucketId/, 'listObjects throws');
+    t.throws(function () {
+        client.listBuckets({ 'owner': 'owner0', 'vnode': 0 });
+    }, /options\.limit/, 'listBuckets throws');
+
+    setImmediate(function () {
+        process.removeListener('unhandledRejection', onUnhandled);
+        t.deepEqual(unhandled, [], 'no unhandled rejections');
+        t.equal(backend.requests.length, 0, 'no request sent');
+        t.end();
+    });
+});
@@ -0,0 +1,163 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/signal.test.js: tests for aborting requests with the "signal" request
+ * option (lib/client.js and lib/rpc.js)
+ */
+
+var tape = require('tape');
+
+var errors = require('../lib/errors');
+var helpers = require('./helpers');
+
+
+///--- Helpers
+
+var BUCKET_ID = 'a1b2c3d4-0000-0000-0000-000000000001';
+
+/*
+ * Invokes callback(t, client, backend) with a client connected to a backend
+ * that answers getbucket requests for "bucket0" and never answers any other
+ * request, and closes the client when the test ends.
+ */
+function clientTest(name, callback) {
+    tape(name, function (t) {
+        var backend = new helpers.FakeBackend('10.0.0.1:2030');
+
+        backend.handle('getbucket', function (rpcargs, req) {
+            if (rpcargs[0].name === 'bucket0') {
+                req.respond([ { 'id': BUCKET_ID, 'name': 'bucket0' } ]);
+            }
+        });
+
+        helpers.createClient(backend, {}, function (client) {
+            t.once('end', function () {
+                client.close();
+            });
+            callback(t, client, backend);
+        });
+    });
+}
+
+/*
+ * Checks that "err" is an AbortError for a getbucket request.
+ */
+function checkAbort(t, err) {
+    t.ok(err instanceof errors.AbortError, 'error is an AbortError');
+    t.equal(err.name, 'AbortError', 'error name');
+    t.equal(err.rpcmethod, 'getbucket', 'error reports the RPC');
+    t.equal(err.req_id, 'req0', 'error reports the request id');
+}
+
+
+///--- Tests
+
+clientTest('already-aborted signal', function (t, client, backend) {
+    var signal = new helpers.FakeSignal();
+    var ncalls = 0;
+
+    signal.abort();
+    client.getBucket('owner0', 'bucket0', 0, 'req0', { 'signal': signal },
+        function (err) {
+        ncalls++;
+        checkAbort(t, err);
+        t.equal(backend.requests.length, 0, 'no request sent');
+
+        setTimeout(function () {
+            t.equal(ncalls, 1, 'callback invoked once');
+            t.equal(signal.listenerCount('abort'), 0, 'no abort listeners');
+            t.end();
+        }, 50);
+    });
+});
+
+clientTest('abort while in flight', function (t, client, backend) {
+    var signal = new helpers.FakeSignal();
+    var ncalls = 0;
+
+    client.getBucket('owner0', 'nosuchbucket', 0, 'req0',
+        { 'signal': signal }, function (err) {
+        ncalls++;
+        checkAbort(t, err);
+        t.ok(backend.requests[0].fr_abandoned, 'request abandoned');
+        t.equal(signal.listenerCount('abort'), 0,
+            'abort listener removed');
+
+        /* Aborting again has no effect. */
+        signal.abort();
+        setTimeout(function () {
+            t.equal(ncalls, 1, 'callback invoked once');
+
+            /* The connection is available for other requests. */
+            client.getBucket('owner0', 'bucket0', 0, 'req1',
+                function (err2, bucket) {
+                t.ifError(err2);
+                t.equal(bucket.id, BUCKET_ID, 'next request completed');
+                t.end();
+            });
+        }, 50);
+    });
+
+    setTimeout(function () {
+        t.equal(backend.requests.length, 1, 'request sent');
+        t.notOk(backend.requests[0].fr_done, 'request outstanding');
+        t.equal(signal.listenerCount('abort'), 1, 'abort listener added');
+        t.equal(ncalls, 0, 'callback not yet invoked');
+        signal.abort();
+    }, 50);
+});
+
+clientTest('listener removed after normal completion',
+    function (t, client, backend) {
+    var signal = new helpers.FakeSignal();
+    var ncalls = 0;
+
+    client.getBucket('owner0', 'bucket0', 0, 'req0', { 'signal': signal },
+        function (err, bucket) {
+        ncalls++;
+        t.ifError(err);
+        t.equal(bucket.id, BUCKET_ID, 'request completed');
+        t.equal(signal.listenerCount('abort'), 0, 'abort listener removed');
+
+        /* Aborting after completion has no effect. */
+        signal.abort();
+        setTimeout(function () {
+            t.equal(ncalls, 1, 'callback invoked once');
+            t.notOk(backend.requests[0].fr_abandoned,
+                'request not abandoned');
+            t.end();
+        }, 50);
+    });
+});
+
+clientTest('abort a listing', function (t, client, backend) {
+    var signal = new helpers.FakeSignal();
+    var res = client.listObjects('owner0', BUCKET_ID, undefined, 10,
+        undefined, 0, 'req0', { 'signal': signal });
+
+    res.on('data', function () {
+        t.fail('unexpected record');
+    });
+    res.on('end', function () {
+        t.fail('unexpected end');
+    });
+    res.on('error', function (err) {
+        t.equal(err.name, 'AbortError', 'error name');
+        t.equal(err.rpcmethod, 'listobjects', 'error reports the RPC');
+        t.ok(backend.requests[0].fr_abandoned, 'request abandoned');
+        t.equal(signal.listenerCount('abort'), 0, 'abort listener removed');
+        t.end();
+    });
+
+    setTimeout(function () {
+        signal.abort();
+    }, 50);
+});
@@ -0,0 +1,147 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/timeout.test.js: tests for request timeouts (the "requestTimeout"
+ * constructor option and the "timeout" request option in lib/client.js)
+ */
+
+var tape = require('tape');
+
+var errors = require('../lib/errors');
+var helpers = require('./helpers');
+
+
+///--- Helpers
+
+var BUCKET_ID = 'a1b2c3d4-0000-0000-0000-000000000001';
+
+/*
+ * Invokes callback(t, client, backend) with a client created with "options"
+ * and connected to a backend that never responds to any request, and closes
+ * the client when the test ends.
+ */
+function clientTest(name, options, callback) {
+    tape(name, function (t) {
+        var backend = new helpers.FakeBackend('10.0.0.1:2030');
+
+        helpers.createClient(backend, options, function (client) {
+            t.once('end', function () {
+                client.close();
+            });
+            callback(t, client, backend);
+        });
+    });
+}
+
+/*
+ * Checks that "err" is a TimeoutError for a getbucket request that timed out
+ * after "timeout" milliseconds, and that it was reported after no less than
+ * that (and not much more).
+ */
+function checkTimeout(t, err, timeout, start) {
+    var elapsed = Date.now() - start;
+
+    t.ok(err instanceof errors.TimeoutError, 'error is a TimeoutError');
+    t.equal(err.name, 'TimeoutError', 'error name');
+    t.equal(err.timeout, timeout, 'error reports the timeout');
+    t.equal(err.rpcmethod, 'getbucket', 'error reports the RPC');
+    t.equal(err.req_id, 'req0', 'error reports the request id');
+    t.equal(err.remote, '10.0.0.1:2030', 'error reports the remote');
+    t.ok(elapsed >= timeout - 5 && elapsed < timeout + 1000,
+        'reported after ' + elapsed + 'ms');
+}
+
+
+///--- Tests
+
+clientTest('no timeout by default', {}, function (t, client, backend) {
+    client.getBucket('owner0', 'bucket0', 0, 'req0', function () {
+        /* The request fails when the client is closed. */
+    });
+
+    setTimeout(function () {
+        t.equal(backend.requests.length, 1, 'request sent');
+        t.notEqual(typeof (backend.requests[0].fr_timeout), 'number',
+            'no timeout given to Fast');
+        t.notOk(backend.requests[0].fr_done, 'request still outstanding');
+        t.end();
+    }, 100);
+});
+
+clientTest('client-wide timeout', { 'requestTimeout': 50 },
+    function (t, client, backend) {
+    var start = Date.now();
+
+    client.getBucket('owner0', 'bucket0', 0, 'req0', function (err) {
+        t.equal(backend.requests[0].fr_timeout, 50, 'timeout given to Fast');
+        checkTimeout(t, err, 50, start);
+        t.end();
+    });
+});
+
+clientTest('per-request timeout', {}, function (t, client, backend) {
+    var start = Date.now();
+
+    client.getBucket('owner0', 'bucket0', 0, 'req0', { 'timeout': 50 },
+        function (err) {
+        t.equal(backend.requests[0].fr_timeout, 50, 'timeout given to Fast');
+        checkTimeout(t, err, 50, start);
+        t.end();
+    });
+});
+
+clientTest('per-request timeout overrides client-wide timeout',
+    { 'requestTimeout': 10000 }, function (t, client, backend) {
+    var start = Date.now();
+
+    client.getBucket('owner0', 'bucket0', 0, 'req0', { 'timeout': 50 },
+        function (err) {
+        t.equal(backend.requests[0].fr_timeout, 50, 'timeout given to Fast');
+        checkTimeout(t, err, 50, start);
+        t.end();
+    });
+});
+
+clientTest('longer per-request timeout overrides client-wide timeout',
+    { 'requestTimeout': 50 }, function (t, client, backend) {
+    backend.handle('getbucket', function (rpcargs, req) {
+        setTimeout(function () {
+            req.respond([ { 'id': BUCKET_ID, 'name': rpcargs[0].name } ]);
+        }, 150);
+    });
+
+    client.getBucket('owner0', 'bucket0', 0, 'req0', { 'timeout': 5000 },
+        function (err, bucket) {
+        t.ifError(err);
+        t.equal(backend.requests[0].fr_timeout, 5000,
+            'timeout given to Fast');
+        t.equal(bucket.id, BUCKET_ID, 'request completed');
+        t.end();
+    });
+});
+
+clientTest('timeout for a listing', {}, function (t, client) {
+    var res = client.listObjects('owner0', BUCKET_ID, undefined, 10,
+        undefined, 0, 'req0', { 'timeout': 50 });
+
+    res.on('data', function () {
+        t.fail('unexpected record');
+    });
+    res.on('end', function () {
+        t.fail('unexpected end');
+    });
+    res.on('error', function (err) {
+        t.equal(err.name, 'TimeoutError', 'error name');
+        t.equal(err.timeout, 50, 'error reports the timeout');
+        t.equal(err.rpcmethod, 'listobjects', 'error reports the RPC');
+        t.end();
+    });
+});
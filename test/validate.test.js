@@ -0,0 +1,274 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/validate.test.js: tests for strict validation of bucket and object
+ * metadata (lib/validate.js and the "strictValidation" client option)
+ */
+
+var tape = require('tape');
+
+var errors = require('../lib/errors');
+var helpers = require('./helpers');
+var validate = require('../lib/validate');
+
+
+///--- Helpers
+
+var OWNER = '0f1e2d3c-4b5a-6978-8796-a5b4c3d2e1f0';
+var OBJECT_ID = 'c0ffee00-1234-4321-abcd-0123456789ab';
+var BUCKET_ID = 'a1b2c3d4-0000-0000-0000-000000000001';
+var CONTENT_MD5 = 'XrY7u+Ae7tCTyyK7j1rNww==';
+
+/*
+ * Returns valid named arguments for validateObject(), with the properties of
+ * "overrides" replacing the defaults.
+ */
+function objectArgs(overrides) {
+    var args = {
+        'owner': OWNER,
+        'object_id': OBJECT_ID,
+        'content_length': 5,
+        'content_md5': CONTENT_MD5,
+        'headers': { 'content-type': 'text/plain' },
+        'sharks': [ {
+            'datacenter': 'dc0',
+            'manta_storage_id': '1.stor.example.com'
+        } ],
+        'props': { 'color': 'blue' }
+    };
+
+    Object.keys(overrides || {}).forEach(function (k) {
+        args[k] = overrides[k];
+    });
+
+    return (args);
+}
+
+/*
+ * Checks that func() throws an InvalidArgumentError for "argument" whose
+ * message contains "message".
+ */
+function checkThrows(t, func, argument, message, label) {
+    var err;
+
+    try {
+        func();
+    } catch (ex) {
+        err = ex;
+    }
+
+    t.ok(err instanceof errors.InvalidArgumentError,
+        label + ': throws InvalidArgumentError');
+    if (err) {
+        t.equal(err.argument, argument, label + ': argument');
+        t.ok(err.message.indexOf(message) !== -1,
+            label + ': message contains "' + message + '"');
+    }
+}
+
+/*
+ * Invokes callback(t, client, backend) with a client created with "options"
+ * and connected to a backend that answers createbucket and createobject
+ * requests, and closes the client when the test ends.
+ */
+function clientTest(name, options, callback) {
+    tape(name, function (t) {
+        var backend = new helpers.FakeBackend('10.0.0.1:2030');
+
+        backend.handle('createbucket', function (rpcargs, req) {
+            req.respond([ { 'id': BUCKET_ID, 'name': rpcargs[0].name } ]);
+        });
+        backend.handle('createobject', function (rpcargs, req) {
+            req.respond([ { 'id': rpcargs[0].id, 'name': rpcargs[0].name } ]);
+        });
+
+        helpers.createClient(backend, options, function (client) {
+            t.once('end', function () {
+                client.close();
+            });
+            callback(t, client, backend);
+        });
+    });
+}
+
+/*
+ * Creates an object whose content_md5 is not a valid MD5 digest, and invokes
+ * callback(err).
+ */
+function createBadObject(client, callback) {
+    var args = objectArgs();
+
+    client.createObject(args.owner, BUCKET_ID, 'obj0', args.object_id,
+        args.content_length, 'not-an-md5', 'text/plain', args.headers,
+        args.sharks, args.props, 0, {}, 'req0', callback);
+}
+
+
+///--- Tests
+
+tape('validateBucket: valid buckets', function (t) {
+    [
+        'abc',
+        'bucket0',
+        'my-bucket.example',
+        '0.1.2',
+        'a' + new Array(62).join('b') + 'c'
+    ].forEach(function (bucket) {
+        t.doesNotThrow(function () {
+            validate.validateBucket({ 'owner': OWNER, 'bucket': bucket });
+        }, bucket);
+    });
+
+    t.end();
+});
+
+tape('validateBucket: invalid buckets', function (t) {
+    [
+        'ab',
+        'a' + new Array(63).join('b') + 'c',
+        'Bucket0',
+        '-bucket',
+        'bucket.',
+        'my_bucket',
+        'bucket\u00e9',
+        '10.0.0.1'
+    ].forEach(function (bucket) {
+        checkThrows(t, function () {
+            validate.validateBucket({ 'owner': OWNER, 'bucket': bucket });
+        }, 'bucket', 'bucket names must be 3 to 63', JSON.stringify(bucket));
+    });
+
+    t.end();
+});
+
+tape('validateBucket: invalid owner', function (t) {
+    checkThrows(t, function () {
+        validate.validateBucket({ 'owner': 'owner0', 'bucket': 'bucket0' });
+    }, 'owner', 'expected a UUID', 'owner0');
+    t.throws(function () {
+        validate.validateBucket({ 'owner': OWNER });
+    }, /args\.bucket \(string\) is required/, 'missing bucket');
+    t.end();
+});
+
+tape('validateObject: valid objects', function (t) {
+    [
+        [ 'create', {} ],
+        [ 'update', {
+            'content_length': undefined,
+            'content_md5': undefined,
+            'sharks': undefined
+        } ],
+        [ 'upper-case UUIDs', {
+            'owner': OWNER.toUpperCase(),
+            'object_id': OBJECT_ID.toUpperCase()
+        } ],
+        [ 'empty object', { 'content_length': 0, 'sharks': [] } ],
+        [ 'no props', { 'props': null } ],
+        [ 'large headers', {
+            'headers': { 'm-big': new Array(4000).join('x') }
+        } ]
+    ].forEach(function (tc) {
+        var args = objectArgs(tc[1]);
+
+        Object.keys(tc[1]).forEach(function (k) {
+            if (tc[1][k] === undefined) {
+                delete (args[k]);
+            }
+        });
+
+        t.doesNotThrow(function () {
+            validate.validateObject(args);
+        }, tc[0]);
+    });
+
+    t.end();
+});
+
+tape('validateObject: invalid objects', function (t) {
+    [
+        [ { 'owner': 'owner0' }, 'owner', 'expected a UUID' ],
+        [ { 'object_id': OBJECT_ID + '0' }, 'object_id', 'expected a UUID' ],
+        [ { 'content_length': -1 }, 'content_length',
+            'expected a non-negative integer' ],
+        [ { 'content_length': 1.5 }, 'content_length',
+            'expected a non-negative integer' ],
+        [ { 'content_length': Infinity }, 'content_length',
+            'expected a non-negative integer' ],
+        [ { 'content_md5': 'd41d8cd98f00b204e9800998ecf8427e' },
+            'content_md5', 'expected a base64-encoded MD5 digest' ],
+        [ { 'sharks': {} }, 'sharks', 'expected an array' ],
+        [ { 'sharks': [ { 'datacenter': 'dc0' } ] }, 'sharks',
+            'element 0 must have non-empty string properties' ],
+        [ { 'sharks': [ objectArgs().sharks[0], null ] }, 'sharks',
+            'element 1 must have non-empty string properties' ],
+        [ { 'sharks': [ { 'datacenter': '', 'manta_storage_id': 's' } ] },
+            'sharks', 'element 0 must have non-empty string properties' ],
+        [ { 'headers': { 'm-count': 5 } }, 'headers',
+            'value of header "m-count" is not a string' ],
+        [ { 'headers': { 'm-big': new Array(4200).join('x') } }, 'headers',
+            'too large (' ],
+        [ { 'props': { 'big': new Array(4200).join('x') } }, 'props',
+            'maximum 4096)' ]
+    ].forEach(function (tc) {
+        checkThrows(t, function () {
+            validate.validateObject(objectArgs(tc[0]));
+        }, tc[1], tc[2], JSON.stringify(tc[0]).substr(0, 60));
+    });
+
+    t.end();
+});
+
+tape('validateObject: sizes are in bytes', function (t) {
+    /* 1500 three-byte characters are under 4096 characters but not bytes. */
+    checkThrows(t, function () {
+        validate.validateObject(objectArgs({
+            'headers': { 'm-wide': new Array(1501).join('\u20ac') }
+        }));
+    }, 'headers', 'too large (', 'multi-byte header');
+    t.end();
+});
+
+clientTest('client: no strict validation by default', {},
+    function (t, client, backend) {
+    client.createBucket('owner0', 'Not_A_Bucket', 0, 'req0', function (err) {
+        t.ifError(err);
+        createBadObject(client, function (err2) {
+            t.ifError(err2);
+            t.equal(backend.requests.length, 2, 'requests sent');
+            t.end();
+        });
+    });
+});
+
+clientTest('client: strict validation', { 'strictValidation': true },
+    function (t, client, backend) {
+    client.createBucket('owner0', 'Not_A_Bucket', 0, 'req0', function (err) {
+        t.ok(err instanceof errors.InvalidArgumentError,
+            'createBucket: error is an InvalidArgumentError');
+        t.equal(err.argument, 'owner', 'createBucket: argument');
+
+        createBadObject(client, function (err2) {
+            t.ok(err2 instanceof errors.InvalidArgumentError,
+                'createObject: error is an InvalidArgumentError');
+            t.equal(err2.argument, 'content_md5', 'createObject: argument');
+            t.equal(backend.requests.length, 0, 'no requests sent');
+
+            client.createBucket(OWNER, 'bucket0', 0, 'req1',
+                function (err3, bucket) {
+                t.ifError(err3);
+                t.equal(bucket.name, 'bucket0', 'valid bucket created');
+                t.equal(backend.requests.length, 1, 'request sent');
+                t.end();
+            });
+        });
+    });
+});